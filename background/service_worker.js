@@ -2,10 +2,13 @@
  * File: background/service_worker.js
  * Purpose: Initializes storage, configures side panel behavior, handles extension-level
  *          runtime actions, and owns the on-device Transformers.js AI model.
- * Communicates with: utils/storage.js, popup/popup.js, content/content.js, utils/ai-bridge.js.
+ * Communicates with: utils/storage.js, utils/providers.js, popup/popup.js, content/content.js, utils/ai-bridge.js.
  */
 
 import { pipeline, env } from '../libs/transformers.min.js';
+import '../utils/providers.js';
+import '../utils/storage.js';
+import '../utils/custom-platforms.js';
 
 // ─── Transformers.js Environment ─────────────────────────────────────────────
 
@@ -19,21 +22,15 @@ const AI = {
   pipe: null,
   status: 'idle',          // idle | loading | ready | failed
   embeddingCache: {},      // promptId → Float32Array
+  messageCache: new Map(), // "historyId:index" → { historyId, index, vector }
+  messageSync: null,       // in-flight chat message indexing, if any
 };
 
 const BRAND_KEYS = {
-  geminiKey: 'promptiumGeminiKey',
   sidePanelPayload: 'promptiumSidePanelPayload',
   improvePayload: 'promptiumImprovePayload'
 };
 
-/** Returns the configured Promptium Gemini API key. */
-const getGeminiApiKey = async () => {
-  const snapshot = await chrome.storage.local.get([BRAND_KEYS.geminiKey]);
-  const primary = String(snapshot?.[BRAND_KEYS.geminiKey] || '').trim();
-  return primary;
-};
-
 // ─── AI Bootstrap ────────────────────────────────────────────────────────────
 
 async function loadModel() {
@@ -66,6 +63,9 @@ async function loadModel() {
 
     AI.status = 'ready';
     broadcast({ type: 'AI_STATUS', status: 'ready' });
+
+    // Chat messages can be numerous; index them in the background after prompts are ready
+    void syncMessageCache();
   } catch (err) {
     AI.status = 'failed';
     broadcast({ type: 'AI_STATUS', status: 'failed', error: err.message });
@@ -99,58 +99,54 @@ function broadcast(message) {
 
 // ─── Embedding Cache ─────────────────────────────────────────────────────────
 
-let _cacheSaveTimer = null;
-const CACHE_SAVE_DELAY_MS = 5000;
-
-/** Debounced write of embedding cache to storage — coalesces rapid mutations. */
-function scheduleCacheSave() {
-  if (_cacheSaveTimer) clearTimeout(_cacheSaveTimer);
-  _cacheSaveTimer = setTimeout(() => {
-    _cacheSaveTimer = null;
-    chrome.storage.local.set({ embeddingCache: AI.embeddingCache }).catch(() => {});
-  }, CACHE_SAVE_DELAY_MS);
-}
-
 async function rebuildCache() {
-  const { prompts = [] } = await chrome.storage.local.get('prompts');
-  const stored = await chrome.storage.local.get('embeddingCache');
-  AI.embeddingCache = stored.embeddingCache ?? {};
+  const prompts = await self.Store.getPrompts();
+  AI.embeddingCache = await self.Store.getEmbeddings();
 
   const toEmbed = prompts.filter(p => !AI.embeddingCache[p.id]);
+  const fresh = {};
 
   for (const prompt of toEmbed) {
     try {
       const text = `${prompt.title} ${prompt.text} ${(prompt.tags ?? []).join(' ')}`;
-      AI.embeddingCache[prompt.id] = await embed(text);
+      fresh[prompt.id] = await embed(text);
+      AI.embeddingCache[prompt.id] = fresh[prompt.id];
     } catch (_) {
       // Skip if individual embed fails
     }
   }
 
-  // Flush immediately after full rebuild
-  await chrome.storage.local.set({ embeddingCache: AI.embeddingCache });
+  // Only newly embedded vectors are written; existing records stay untouched
+  if (Object.keys(fresh).length) {
+    await self.Store.putEmbeddings(fresh);
+  }
 }
 
 async function addToCache(prompt) {
   try {
     const text = `${prompt.title} ${prompt.text} ${(prompt.tags ?? []).join(' ')}`;
     AI.embeddingCache[prompt.id] = await embed(text);
-    scheduleCacheSave();
+    await self.Store.putEmbeddings({ [prompt.id]: AI.embeddingCache[prompt.id] });
   } catch (_) {}
 }
 
 async function removeFromCache(promptId) {
   delete AI.embeddingCache[promptId];
-  scheduleCacheSave();
+  await self.Store.deleteEmbedding(promptId);
 }
 
 // ─── AI Feature: Semantic Search ─────────────────────────────────────────────
 
-async function semanticSearch(query) {
+// Similarity floor when the caller does not pass one; results below it are not semantic matches.
+const DEFAULT_MIN_SIMILARITY = 0.25;
+
+async function semanticSearch(query, minScore = DEFAULT_MIN_SIMILARITY) {
   if (AI.status !== 'ready') return null;
 
+  const floor = Number.isFinite(minScore) ? Math.min(0.9, Math.max(0, minScore)) : DEFAULT_MIN_SIMILARITY;
+
   const queryEmbed = await embed(query);
-  const { prompts = [] } = await chrome.storage.local.get('prompts');
+  const prompts = await self.Store.getPrompts();
 
   const scored = prompts
     .filter(p => AI.embeddingCache[p.id])
@@ -158,7 +154,7 @@ async function semanticSearch(query) {
       id: p.id,
       score: cosineSimilarity(queryEmbed, AI.embeddingCache[p.id]),
     }))
-    .filter(r => r.score > 0.25)
+    .filter(r => r.score > floor)
     .sort((a, b) => b.score - a.score);
 
   // Mark results that semantic search surfaced but keyword search would miss
@@ -180,6 +176,86 @@ async function semanticSearch(query) {
   }));
 }
 
+// ─── AI Feature: Chat History Search ─────────────────────────────────────────
+
+// Long replies are embedded from their opening, which carries most of the topic.
+const MESSAGE_EMBED_CHARS = 1000;
+const MAX_HISTORY_RESULTS = 50;
+
+/** Returns the text used to embed one stored chat message, or '' when it has none. */
+function messageEmbedText(message) {
+  return String(message?.text || '').replace(/\s+/g, ' ').trim().slice(0, MESSAGE_EMBED_CHARS);
+}
+
+/**
+ * Embeds chat messages that have no stored vector yet and drops vectors for deleted chats.
+ * Runs once at a time; callers share the in-flight pass.
+ */
+function syncMessageCache() {
+  if (AI.status !== 'ready') return Promise.resolve();
+  if (AI.messageSync) return AI.messageSync;
+
+  AI.messageSync = (async () => {
+    try {
+      const [history, records] = await Promise.all([self.Store.getChatHistory(), self.Store.getMessageEmbeddings()]);
+      const liveIds = new Set(history.map((entry) => entry.id));
+      const stale = records.filter((record) => !liveIds.has(record.historyId)).map((record) => record.id);
+
+      AI.messageCache = new Map(records
+        .filter((record) => liveIds.has(record.historyId))
+        .map((record) => [record.id, record]));
+      if (stale.length) await self.Store.deleteMessageEmbeddings(stale);
+
+      for (const entry of history) {
+        const fresh = [];
+        (entry.messages || []).forEach((message, index) => {
+          if (!AI.messageCache.has(`${entry.id}:${index}`) && messageEmbedText(message)) fresh.push(index);
+        });
+        if (!fresh.length) continue;
+
+        const batch = [];
+        for (const index of fresh) {
+          try {
+            const record = { historyId: entry.id, index, vector: await embed(messageEmbedText(entry.messages[index])) };
+            AI.messageCache.set(`${entry.id}:${index}`, record);
+            batch.push(record);
+          } catch (_) {
+            // Skip if individual embed fails
+          }
+        }
+        // Written per chat so an interrupted pass keeps its progress
+        await self.Store.putMessageEmbeddings(batch);
+      }
+    } catch (err) {
+      console.warn('[Promptium AI] Chat message indexing failed:', err.message);
+    } finally {
+      AI.messageSync = null;
+    }
+  })();
+
+  return AI.messageSync;
+}
+
+/**
+ * Ranks chat messages by cosine similarity. Searches what is indexed so far and starts indexing
+ * anything new, so results fill in as history grows. Returns [{ historyId, index, score }] or null.
+ */
+async function historySearch(query, minScore = DEFAULT_MIN_SIMILARITY) {
+  if (AI.status !== 'ready') return null;
+
+  void syncMessageCache();
+  const floor = Number.isFinite(minScore) ? Math.min(0.9, Math.max(0, minScore)) : DEFAULT_MIN_SIMILARITY;
+  const queryEmbed = await embed(query);
+  const scored = [];
+
+  for (const record of AI.messageCache.values()) {
+    const score = cosineSimilarity(queryEmbed, record.vector);
+    if (score > floor) scored.push({ historyId: record.historyId, index: record.index, score });
+  }
+
+  return scored.sort((a, b) => b.score - a.score).slice(0, MAX_HISTORY_RESULTS);
+}
+
 // ─── AI Feature: Auto-Tagging ────────────────────────────────────────────────
 
 const TAG_DEFINITIONS = {
@@ -231,7 +307,7 @@ async function checkDuplicate(promptText, excludeId = null) {
   if (AI.status !== 'ready') return null;
 
   const textEmbed = await embed(promptText);
-  const { prompts = [] } = await chrome.storage.local.get('prompts');
+  const prompts = await self.Store.getPrompts();
 
   let best = null;
   let bestScore = 0;
@@ -253,16 +329,13 @@ async function checkDuplicate(promptText, excludeId = null) {
   return null;
 }
 
-// ─── AI Feature: Smart Suggestions via Gemini Flash Lite ─────────────────────
+// ─── AI Feature: Smart Suggestions via LLM Provider ──────────────────────────
 
 async function getSmartSuggestions(conversationText) {
   if (!conversationText || conversationText.length < 30) return null;
 
   try {
-    const promptiumGeminiKey = await getGeminiApiKey();
-    if (!promptiumGeminiKey) return null;
-
-    const { prompts = [] } = await chrome.storage.local.get('prompts');
+    const prompts = await self.Store.getPrompts();
     if (!prompts.length) return null;
 
     const promptList = prompts
@@ -274,30 +347,17 @@ async function getSmartSuggestions(conversationText) {
 
     const userMessage = `Conversation:\n${conversationText.slice(0, 600)}\n\nSaved prompts:\n${promptList}`;
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${promptiumGeminiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [
-            { role: 'user', parts: [{ text: `${systemPrompt}\n\n${userMessage}` }] }
-          ],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 200,
-          },
-        }),
-      }
-    );
-
-    if (!response.ok) return null;
+    const result = await self.LLMProviders.complete({
+      system: systemPrompt,
+      prompt: userMessage,
+      temperature: 0.1,
+      maxTokens: 200
+    });
 
-    const data = await response.json();
-    const textResult = data?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+    if (result.error) return null;
 
     // Parse the JSON array from the response
-    const match = textResult.match(/\[[\s\S]*?\]/);
+    const match = String(result.text || '').match(/\[[\s\S]*?\]/);
     if (!match) return null;
 
     const ids = JSON.parse(match[0]);
@@ -313,23 +373,15 @@ async function getSmartSuggestions(conversationText) {
   }
 }
 
-// ─── AI Feature: AI Prompt Improvement (Gemini Flash) ─────────────────────────
+// ─── AI Feature: AI Prompt Improvement ───────────────────────────────────────
 
-async function improvePromptViaGemini(text, tags = [], style = 'general') {
-  console.log('[Promptium] improvePromptViaGemini called with:', { text, tags, style });
-  
+async function improvePromptViaProvider(text, tags = [], style = 'general') {
   if (!text || text.trim().length === 0) {
-    console.warn('[Promptium] Empty text provided to improvePromptViaGemini');
+    console.warn('[Promptium] Empty text provided to improvePromptViaProvider');
     return { error: 'Empty prompt text provided.' };
   }
 
   try {
-    const promptiumGeminiKey = await getGeminiApiKey();
-    if (!promptiumGeminiKey) {
-      console.warn('[Promptium] No Gemini API key found in storage!');
-      return { error: 'No Gemini API Key found in Extension Settings.' };
-    }
-
     let styleInstruction = 'Make it clear, concise, and highly effective for an AI.';
     if (style === 'coding') {
       styleInstruction = 'Optimize for software engineering. Ask for code snippets, architecture details, and edge case handling.';
@@ -346,83 +398,47 @@ ${styleInstruction}
 ${tagContext}
 ONLY return the improved prompt text. Do not add quotes, do not explain your changes, do not write "Here is the improved prompt:". Just the raw, ready-to-use prompt text.`;
 
-    console.log('[Promptium] Fetching from Gemini API...');
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${promptiumGeminiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [
-            { role: 'user', parts: [{ text: `${systemPrompt}\n\nUser's Original Prompt: ${text}` }] }
-          ],
-          generationConfig: {
-            temperature: 0.4,
-            maxOutputTokens: 800,
-          },
-        }),
-      }
-    );
+    const result = await self.LLMProviders.complete({
+      system: systemPrompt,
+      prompt: `User's Original Prompt: ${text}`,
+      temperature: 0.4,
+      maxTokens: 800
+    });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[Promptium] Gemini API error:', response.status, errorText);
-      return { error: `Gemini API Error (${response.status}): ${errorText.substring(0, 100)}` };
+    if (result.error) {
+      return { error: result.error };
     }
 
-    const data = await response.json();
-    const textResult = data?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
-    
-    console.log('[Promptium] Successfully grabbed Gemini response');
-    return { text: textResult.trim() };
+    return { text: result.text };
   } catch (err) {
-    console.error('[Promptium] Failed to improve prompt via Gemini:', err);
-    return { error: err.message || 'Failed to improve prompt via Gemini.' };
+    console.error('[Promptium] Failed to improve prompt:', err);
+    return { error: err.message || 'Failed to improve prompt.' };
   }
 }
 
-async function generatePromptTitleViaGemini(text) {
+async function generatePromptTitleViaProvider(text) {
   const source = String(text || '').trim();
   if (!source) {
     return { error: 'Empty text provided.', title: '' };
   }
 
   try {
-    const promptiumGeminiKey = await getGeminiApiKey();
-    if (!promptiumGeminiKey) {
-      return { error: 'No Gemini API Key found in Extension Settings.', title: '' };
-    }
-
     const instruction = `Create one concise title (max 8 words) for this prompt.
 Return ONLY the title text.
 No quotes, no numbering, no extra text.`;
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${promptiumGeminiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [
-            { role: 'user', parts: [{ text: `${instruction}\n\nPrompt:\n${source.slice(0, 2500)}` }] }
-          ],
-          generationConfig: {
-            temperature: 0.2,
-            maxOutputTokens: 40,
-          },
-        }),
-      }
-    );
+    const result = await self.LLMProviders.complete({
+      system: instruction,
+      prompt: `Prompt:\n${source.slice(0, 2500)}`,
+      temperature: 0.2,
+      maxTokens: 40
+    });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return { error: `Gemini API Error (${response.status}): ${errorText.substring(0, 100)}`, title: '' };
+    if (result.error) {
+      return { error: result.error, title: '' };
     }
 
-    const data = await response.json();
-    const textResult = String(data?.candidates?.[0]?.content?.parts?.[0]?.text || '').trim();
-    const title = textResult
+    const title = String(result.text || '')
       .split('\n')[0]
       .replace(/^["'`]+|["'`]+$/g, '')
       .replace(/^\d+[\).\s-]+/, '')
@@ -450,7 +466,11 @@ const handleAIMessage = async (message, sendResponse) => {
         return true;
 
       case 'AI_SEARCH':
-        sendResponse({ results: await semanticSearch(message.query) });
+        sendResponse({ results: await semanticSearch(message.query, message.minScore) });
+        return true;
+
+      case 'AI_HISTORY_SEARCH':
+        sendResponse({ results: await historySearch(message.query, message.minScore) });
         return true;
 
       case 'AI_SUGGEST_TAGS':
@@ -475,12 +495,23 @@ const handleAIMessage = async (message, sendResponse) => {
         sendResponse({ ok: true });
         return true;
 
+      case 'AI_CACHE_RELOAD':
+        if (AI.status === 'ready') {
+          await rebuildCache();
+        }
+        sendResponse({ ok: true });
+        return true;
+
       case 'AI_IMPROVE_PROMPT':
-        improvePromptViaGemini(message.text, message.tags, message.style).then(result => sendResponse(result));
+        improvePromptViaProvider(message.text, message.tags, message.style).then(result => sendResponse(result));
         return true;
 
       case 'AI_GENERATE_PROMPT_TITLE':
-        generatePromptTitleViaGemini(message.text).then(result => sendResponse(result));
+        generatePromptTitleViaProvider(message.text).then(result => sendResponse(result));
+        return true;
+
+      case 'AI_PROVIDER_TEST':
+        self.LLMProviders.testConnection(message.providerId, message.config).then(result => sendResponse(result));
         return true;
 
       case 'AI_STATUS_CHECK':
@@ -509,21 +540,10 @@ const ALLOWED_LLM_HOSTS = new Set([
   'copilot.microsoft.com'
 ]);
 
-/** Ensures prompts and chatHistory keys exist in storage without overwriting existing data. */
-const initializeStorageKeys = async () => {
-  const state = await chrome.storage.local.get(['prompts', 'chatHistory']);
-  const updates = {};
-
-  if (!Array.isArray(state.prompts)) {
-    updates.prompts = [];
-  }
-
-  if (!Array.isArray(state.chatHistory)) {
-    updates.chatHistory = [];
-  }
-
-  if (Object.keys(updates).length > 0) {
-    await chrome.storage.local.set(updates);
+/** Opens the IndexedDB store so the one-time chrome.storage.local migration runs at install/update. */
+const initializeStore = async () => {
+  if (!(await self.Store.initDatabase())) {
+    throw new Error(self.Store.getLastError() || 'Failed to open the prompt database.');
   }
 };
 
@@ -540,15 +560,68 @@ chrome.action.onClicked.addListener((tab) => {
 /** Handles extension install lifecycle and applies initial storage and side panel setup. */
 const onInstalled = async () => {
   try {
-    await initializeStorageKeys();
+    await initializeStore();
   } catch (error) {
     console.error('[Promptium][ServiceWorker] Initialization failed.', error);
   }
+  await self.CustomPlatforms.syncContentScripts();
 };
 
+// Re-register user-defined platform content scripts when definitions or granted hosts change.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[self.CustomPlatforms.CUSTOM_PLATFORMS_KEY]) {
+    void self.CustomPlatforms.syncContentScripts();
+  }
+});
+chrome.permissions.onAdded.addListener(() => {
+  void self.CustomPlatforms.syncContentScripts();
+});
+chrome.permissions.onRemoved.addListener(() => {
+  void self.CustomPlatforms.syncContentScripts();
+});
+
+
+const LLM_TAB_LOAD_TIMEOUT_MS = 20000;
+const LLM_TAB_INJECT_ATTEMPTS = 10;
+const LLM_TAB_INJECT_DELAY_MS = 1000;
+
+/** Resolves once a tab has finished loading, or after timeoutMs. */
+const waitForTabComplete = (tabId, timeoutMs) => new Promise((resolve) => {
+  let timer = null;
+  const finish = () => {
+    clearTimeout(timer);
+    chrome.tabs.onUpdated.removeListener(onUpdated);
+    resolve();
+  };
+  const onUpdated = (updatedId, info) => {
+    if (updatedId === tabId && info.status === 'complete') finish();
+  };
+  timer = setTimeout(finish, timeoutMs);
+  chrome.tabs.onUpdated.addListener(onUpdated);
+  chrome.tabs.get(tabId).then((tab) => {
+    if (tab?.status === 'complete') finish();
+  }).catch(finish);
+});
+
+/**
+ * Injects text into the chat box of a freshly opened tab. Chat apps render their composer after the
+ * load event, so the inject is retried until the content script finds it. Returns true on success.
+ */
+const injectIntoNewTab = async (tabId, text) => {
+  await waitForTabComplete(tabId, LLM_TAB_LOAD_TIMEOUT_MS);
+  for (let attempt = 0; attempt < LLM_TAB_INJECT_ATTEMPTS; attempt += 1) {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'injectPrompt', text, mode: 'replace' }).catch(() => null);
+    if (response?.ok) return true;
+    await new Promise((resolve) => setTimeout(resolve, LLM_TAB_INJECT_DELAY_MS));
+  }
+  return false;
+};
 
-/** Opens a new browser tab when content scripts request cross-LLM navigation. */
-const handleOpenLlmTab = async (url) => {
+/**
+ * Opens a new browser tab when content scripts or the side panel request cross-LLM navigation.
+ * With text, the tab's chat box is filled once it loads; injected reports whether that worked.
+ */
+const handleOpenLlmTab = async (url, text = '') => {
   try {
     const parsed = new URL(String(url || ''));
 
@@ -556,12 +629,15 @@ const handleOpenLlmTab = async (url) => {
       return { ok: false, error: 'Invalid tab URL.' };
     }
 
-    if (!ALLOWED_LLM_HOSTS.has(parsed.hostname.toLowerCase())) {
+    if (!ALLOWED_LLM_HOSTS.has(parsed.hostname.toLowerCase()) && !(await self.CustomPlatforms.findForHost(parsed.hostname))) {
       return { ok: false, error: 'Target host is not allowlisted.' };
     }
 
-    await chrome.tabs.create({ url: parsed.toString() });
-    return { ok: true };
+    const tab = await chrome.tabs.create({ url: parsed.toString() });
+    if (!String(text || '').trim() || !tab?.id) {
+      return { ok: true };
+    }
+    return { ok: true, injected: await injectIntoNewTab(tab.id, String(text)) };
   } catch (_error) {
     return { ok: false, error: 'Failed to open requested tab.' };
   }
@@ -630,6 +706,12 @@ const onRuntimeMessage = (message, sender, sendResponse) => {
     };
 
     try {
+      // Content scripts cannot open the extension's IndexedDB, so their Store calls run here
+      if (message?.type === self.Store.STORE_CALL_TYPE) {
+        respond(await self.Store.handleRemoteCall(message));
+        return;
+      }
+
       // Route AI messages first (type-based) before existing action-based routing
       if (message?.type?.startsWith('AI_')) {
         const handled = await handleAIMessage(message, respond);
@@ -685,7 +767,7 @@ const onRuntimeMessage = (message, sender, sendResponse) => {
       }
 
       if (message?.action === 'openLlmTab') {
-        respond(await handleOpenLlmTab(message.url));
+        respond(await handleOpenLlmTab(message.url, message.text));
         return;
       }
 
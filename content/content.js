@@ -449,13 +449,24 @@ const collectChatMessageNodes = async (selectors) => {
 
 /** Scans message DOM, injects checkboxes, and refreshes cached extraction payloads. */
 const scanSelectionTargets = async () => {
-  const selectors = exportSelectionState.selectors;
+  let selectors = exportSelectionState.selectors;
 
   if (!selectors) {
     return;
   }
 
-  const nodes = await collectChatMessageNodes(selectors);
+  let nodes = await collectChatMessageNodes(selectors);
+
+  // Messages may have rendered after the selectors were resolved; re-resolve so fallbacks can take over.
+  if (!nodes.length) {
+    const refreshed = await window.Platform.getSelectors(exportSelectionState.platform);
+    if (refreshed && JSON.stringify(refreshed) !== JSON.stringify(selectors)) {
+      exportSelectionState.selectors = refreshed;
+      selectors = refreshed;
+      nodes = await collectChatMessageNodes(selectors);
+    }
+  }
+
   const nextOrder = [];
   const nextMessagesById = new Map();
 
@@ -594,10 +605,25 @@ const initExportSelectionUi = async (platform) => {
   await startSelectionUrlWatcher(platform);
 };
 
-/** Handles injectPrompt action messages from popup and returns operation status. */
+/**
+ * Handles injectPrompt action messages (text plus optional mode and autoSubmit) from popup and side panel.
+ * With autoSubmit the send button is clicked and the response carries the runId of the reply watch.
+ */
 const handleInjectPrompt = async (msg, platform, sendResponse) => {
-  const success = await window.Injector.inject(String(msg?.text || ''), platform);
-  sendResponse({ ok: success });
+  const text = String(msg?.text || '');
+  const success = await window.Injector.inject(text, platform, String(msg?.mode || 'replace'));
+
+  if (success && msg?.promptId) {
+    void window.Store.recordUsage({ promptId: String(msg.promptId), action: 'inject', platform });
+  }
+
+  if (!success || !msg?.autoSubmit) {
+    sendResponse({ ok: success });
+    return;
+  }
+
+  const submitted = await window.Submitter.submit(platform, { promptText: text, runId: msg.runId || undefined });
+  sendResponse({ ok: true, submitted: submitted.ok, runId: submitted.runId, error: submitted.error });
 };
 
 /** Handles exportChat action by scraping, storing history, and exporting chat data. */
@@ -631,6 +657,12 @@ const handleGetPlatform = async (platform, sendResponse) => {
   sendResponse({ ok: true, platform });
 };
 
+/** Handles side-panel diagnostics requests and returns the page report. */
+const handleRunDiagnostics = async (msg, platform, sendResponse) => {
+  const report = await window.Diagnostics.run({ platform, injectTest: msg?.injectTest !== false });
+  sendResponse({ ok: true, report });
+};
+
 /** Handles side-panel export open requests that should include every visible message. */
 const handleOpenSidePanelAll = async (sendResponse) => {
   sendResponse(await openSidePanelWithAllMessages());
@@ -684,6 +716,11 @@ const onRuntimeMessage = (msg, _sender, sendResponse) => {
         return;
       }
 
+      if (msg?.action === 'runDiagnostics') {
+        await handleRunDiagnostics(msg, platform, respond);
+        return;
+      }
+
       if (msg?.type === 'GET_CONVERSATION_SNIPPET') {
         try {
           const selectors = exportSelectionState.selectors || await window.Platform.getSelectors();
@@ -747,7 +784,7 @@ const hydratePendingContext = async (platform) => {
 
     if (success) {
       await chrome.storage.local.remove(pendingKey);
-      const label = PLATFORM_LABELS[platform] || platform;
+      const label = await window.Platform.getLabel(platform);
       await notify(`Context injected into ${label}`);
     }
   } catch (error) {
@@ -783,6 +820,7 @@ const init = async () => {
   }
 
   await window.Toolbar.waitAndInject(platform);
+  await window.PromptPicker.init(platform);
   await hydratePendingContext(platform);
   await initExportSelectionUi(platform);
 
@@ -0,0 +1,168 @@
+(() => {
+/**
+ * File: content/diagnostics.js
+ * Purpose: Self-diagnosis for the current chat page: selector match counts (primary and fallbacks),
+ * chat input editability, a test injection round-trip into an empty composer, and a scrape summary.
+ * Communicates with: utils/platform.js, content/injector.js, content/scraper.js, content/content.js.
+ */
+
+const PROBE_TEXT = 'Promptium diagnostics probe';
+const PROBE_SETTLE_MS = 80;
+
+/** Waits briefly so host editors can sync their model after an injection. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, PROBE_SETTLE_MS));
+
+/** Returns true when an element is a contenteditable composer. */
+const isContentEditable = (element) => {
+  const value = element?.getAttribute?.('contenteditable');
+  return value === 'true' || value === 'plaintext-only';
+};
+
+/** Returns the text currently held by a chat input. */
+const readInputText = (input) => {
+  if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+    return String(input.value || '');
+  }
+  return String(input?.innerText || input?.textContent || '');
+};
+
+/** Describes the chat input element: tag, editability, and disabled/read-only state. */
+const describeInput = (input, strategy) => {
+  if (!input) {
+    return { found: false, tag: '', editable: false, detail: 'No element matched the input selector.', strategy };
+  }
+
+  const isField = input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement;
+  const disabled = Boolean(isField && input.disabled);
+  const readOnly = Boolean(isField && input.readOnly);
+  const editable = isField ? !disabled && !readOnly : isContentEditable(input);
+  let detail = isField ? 'Form field' : 'Contenteditable editor';
+  if (!isField && !editable) detail = 'Element is not a textarea, input, or contenteditable editor.';
+  if (disabled) detail = 'Input is disabled.';
+  if (readOnly) detail = 'Input is read-only.';
+
+  return { found: true, tag: input.tagName.toLowerCase(), editable, detail, strategy };
+};
+
+/** Empties a chat input after the probe. */
+const clearInput = async (input) => {
+  input.focus();
+  if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+    input.select();
+  } else {
+    document.execCommand('selectAll');
+  }
+  document.execCommand('delete');
+  if (readInputText(input).trim() && 'value' in input) {
+    input.value = '';
+  }
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+/**
+ * Injects a probe string, reads it back from the input, and clears it again. Skipped when the input already
+ * holds a draft, so diagnostics never overwrite what the user typed.
+ */
+const probeInjection = async (platform, input) => {
+  if (readInputText(input).trim()) {
+    return {
+      attempted: false,
+      injected: false,
+      roundTrip: false,
+      restored: false,
+      skipped: 'The chat box has a draft; clear it to run the injection test.',
+      error: ''
+    };
+  }
+
+  try {
+    const injected = await window.Injector.inject(PROBE_TEXT, platform);
+    await settle();
+    const roundTrip = injected && readInputText(input).includes(PROBE_TEXT);
+
+    await clearInput(input);
+    await settle();
+
+    return {
+      attempted: true,
+      injected,
+      roundTrip,
+      restored: !readInputText(input).trim(),
+      skipped: '',
+      error: ''
+    };
+  } catch (error) {
+    return { attempted: true, injected: false, roundTrip: false, restored: false, skipped: '', error: error?.message || String(error) };
+  }
+};
+
+/** Counts every selector candidate and marks the one the platform config resolves to. */
+const inspectSelectors = async (platform) => {
+  const candidates = await window.Platform.getSelectorCandidates(platform);
+  const resolved = await window.Platform.getSelectors(platform);
+
+  if (!candidates || !resolved) {
+    return [];
+  }
+
+  return [...window.Platform.SELECTOR_KEYS, 'sendButton'].filter((key) => candidates[key]).map((key) => ({
+    key,
+    active: resolved[key],
+    candidates: candidates[key].map((candidate) => ({
+      ...candidate,
+      count: window.Platform.countSelectorMatches(candidate.selector)
+    }))
+  }));
+};
+
+/**
+ * Runs every check against the current page and returns a plain report object.
+ * The injection probe is skipped when injectTest is false or no input was found.
+ */
+const run = async ({ platform = null, injectTest = true } = {}) => {
+  const resolvedPlatform = platform || (await window.Platform.detect());
+  const selectors = await inspectSelectors(resolvedPlatform);
+  const inputSelector = selectors.find((item) => item.key === 'input')?.active || '';
+  let input = null;
+
+  try {
+    input = inputSelector ? document.querySelector(inputSelector) : null;
+  } catch (_error) {
+    input = null;
+  }
+
+  const strategy = await window.Platform.getInjectionStrategy(resolvedPlatform);
+  const inputReport = describeInput(input, strategy);
+  const injection = injectTest && inputReport.editable
+    ? await probeInjection(resolvedPlatform, input)
+    : { attempted: false, injected: false, roundTrip: false, restored: false, skipped: '', error: '' };
+
+  const messages = await window.Scraper.scrape(resolvedPlatform);
+
+  return {
+    platform: resolvedPlatform,
+    label: await window.Platform.getLabel(resolvedPlatform),
+    url: window.location.href,
+    ranAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest?.().version || '',
+    userAgent: navigator.userAgent,
+    selectors,
+    input: inputReport,
+    injection,
+    scrape: {
+      total: messages.length,
+      user: messages.filter((message) => message.role === 'user').length,
+      assistant: messages.filter((message) => message.role === 'assistant').length
+    }
+  };
+};
+
+const Diagnostics = {
+  run
+};
+
+if (typeof window !== 'undefined') {
+  window.Diagnostics = Diagnostics;
+}
+
+})();
@@ -5,8 +5,6 @@
  * Communicates with: utils/platform.js, content/content.js, popup/popup.js.
  */
 
-const reactPlatforms = ['chatgpt'];
-
 /** Dispatches an input event that host editors use to sync model state. */
 const dispatchInput = async (element) => {
   if (!element || typeof element.dispatchEvent !== 'function') {
@@ -63,8 +61,11 @@ const injectIntoPlainTextarea = async (textarea, text) => {
   return true;
 };
 
-/** Injects text into the active platform input and reports whether it succeeded. */
-const inject = async (text, platform = null) => {
+/**
+ * Injects text into the active platform input and reports whether it succeeded. Mode is one of
+ * INJECTION_MODES (replace, append, prepend, cursor, wrap); replace overwrites the whole composer.
+ */
+const inject = async (text, platform = null, mode = 'replace') => {
   try {
     const resolvedPlatform = platform || (await window.Platform.detect());
     const sel = await window.Platform.getSelectors(resolvedPlatform);
@@ -85,12 +86,48 @@ const inject = async (text, platform = null) => {
       return false;
     }
 
-    // For React platforms, sometimes they still use a normal contenteditable but have React state tied to it.
-    // So we'll try the normal contenteditable flow first for modern ChatGPT if it's not a textarea.
+    if (mode !== 'replace' && window.INJECTION_MODES?.[mode]) {
+      return injectWithMode(input, text, mode);
+    }
+
+    text = fillSelection(text, captureInputSelection(input)?.text);
+
+    const strategy = await window.Platform.getInjectionStrategy(resolvedPlatform);
     const isEditable = input.getAttribute('contenteditable') === 'true' || input.getAttribute('contenteditable') === 'plaintext-only';
 
+    if (strategy === 'execCommand') {
+      // insertText goes through the browser's editing pipeline, which rich editors and textareas both observe.
+      input.focus();
+      if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+        input.select();
+      } else {
+        document.execCommand('selectAll');
+      }
+      document.execCommand('insertText', false, text);
+      await dispatchInput(input);
+      return true;
+    }
+
+    if (strategy === 'value') {
+      if (isEditable) {
+        input.focus();
+        input.textContent = text;
+        await dispatchInput(input);
+        return true;
+      }
+      if (input instanceof HTMLInputElement) {
+        input.focus();
+        input.value = text;
+        await dispatchInput(input);
+        return true;
+      }
+      return injectIntoPlainTextarea(input, text);
+    }
+
+    // For React platforms, sometimes they still use a normal contenteditable but have React state tied to it.
+    // So we'll try the normal contenteditable flow first for modern ChatGPT if it's not a textarea.
     if (isEditable) {
-      if (reactPlatforms.includes(resolvedPlatform)) {
+      if (strategy === 'react') {
          // ChatGPT requires both inner content setting AND input events
          input.focus();
          document.execCommand('selectAll');
@@ -101,7 +138,7 @@ const inject = async (text, platform = null) => {
       return injectIntoEditable(input, text);
     }
 
-    if (reactPlatforms.includes(resolvedPlatform) && input instanceof HTMLTextAreaElement) {
+    if (strategy === 'react' && input instanceof HTMLTextAreaElement) {
       return injectIntoReactTextarea(input, text);
     }
 
@@ -116,8 +153,163 @@ const inject = async (text, platform = null) => {
   }
 };
 
+/**
+ * Inserts text at the current selection of a chat input, replacing whatever is selected, instead of
+ * overwriting the whole composer. Callers select the range to replace first.
+ */
+const insertAtSelection = async (input, text) => {
+  if (!input) {
+    return false;
+  }
+
+  try {
+    input.focus();
+
+    // insertText goes through the editor's own input pipeline and keeps native undo.
+    if (document.execCommand('insertText', false, text)) {
+      await dispatchInput(input);
+      return true;
+    }
+
+    if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+      input.setRangeText(text, input.selectionStart, input.selectionEnd, 'end');
+      await dispatchInput(input);
+      return true;
+    }
+
+    const selection = window.getSelection();
+    if (!selection?.rangeCount) {
+      return false;
+    }
+
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    await dispatchInput(input);
+    return true;
+  } catch (error) {
+    console.error('[Promptium][Injector] Failed to insert at selection.', error);
+    return false;
+  }
+};
+
+/** Returns true for textarea and text input composers. */
+const isTextField = (element) => element instanceof HTMLTextAreaElement || element instanceof HTMLInputElement;
+
+/** Returns the composer's current plain text. */
+const readInputText = (input) => (isTextField(input) ? String(input.value || '') : String(input.innerText || input.textContent || ''));
+
+/**
+ * Captures the composer's selection before focus moves: offsets for fields, a cloned Range for
+ * editors. Returns null when the page selection is outside the composer.
+ */
+const captureInputSelection = (input) => {
+  if (isTextField(input)) {
+    const length = input.value.length;
+    const start = input.selectionStart ?? length;
+    const end = input.selectionEnd ?? length;
+    return { start, end, text: input.value.slice(start, end) };
+  }
+
+  const selection = window.getSelection();
+  if (!selection?.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  if (!input.contains(range.commonAncestorContainer)) return null;
+  return { range: range.cloneRange(), text: range.toString() };
+};
+
+/** Restores a captured selection, optionally collapsed to its end. */
+const restoreInputSelection = (input, captured, collapseToEnd = false) => {
+  if (isTextField(input)) {
+    const start = collapseToEnd ? captured.end : captured.start;
+    input.setSelectionRange(start, captured.end);
+    return;
+  }
+
+  const range = captured.range.cloneRange();
+  if (collapseToEnd) range.collapse(false);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+/** Places the caret at the start or end of the composer's text (inside the first/last text node for rich editors). */
+const placeCaretAtEdge = (input, atEnd) => {
+  if (isTextField(input)) {
+    const position = atEnd ? input.value.length : 0;
+    input.setSelectionRange(position, position);
+    return;
+  }
+
+  const walker = document.createTreeWalker(input, NodeFilter.SHOW_TEXT);
+  let edgeNode = null;
+  while (walker.nextNode()) {
+    if (!edgeNode || atEnd) edgeNode = walker.currentNode;
+    if (!atEnd) break;
+  }
+
+  const range = document.createRange();
+  if (edgeNode) {
+    range.setStart(edgeNode, atEnd ? edgeNode.length : 0);
+    range.collapse(true);
+  } else {
+    range.selectNodeContents(input);
+    range.collapse(!atEnd);
+  }
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+/** Replaces every {{selection}} with the selected composer text, or '' when nothing is selected. */
+const fillSelection = (text, selected) => String(text).replace(/\{\{\s*selection\s*\}\}/gi, () => selected || '');
+
+/** Builds wrap-mode text: the selection replaces {{selection}} when present, otherwise follows the prompt. */
+const buildWrappedText = (text, selected) => (
+  /\{\{\s*selection\s*\}\}/i.test(text)
+    ? fillSelection(text, selected)
+    : `${text}\n\n${selected}`
+);
+
+/**
+ * Combines text with the composer's existing content for the non-replace modes. Insert-at-cursor
+ * falls back to append when the caret is not in the composer; wrap needs a non-empty selection and
+ * otherwise inserts at the cursor. {{selection}} is filled in every mode.
+ */
+const injectWithMode = async (input, text, mode) => {
+  const captured = captureInputSelection(input);
+  const existing = readInputText(input).trim();
+  input.focus();
+
+  if (mode === 'wrap' && captured?.text.trim()) {
+    restoreInputSelection(input, captured);
+    return insertAtSelection(input, buildWrappedText(text, captured.text));
+  }
+
+  text = fillSelection(text, captured?.text);
+
+  if ((mode === 'cursor' || mode === 'wrap') && captured) {
+    restoreInputSelection(input, captured, true);
+    return insertAtSelection(input, text);
+  }
+
+  if (mode === 'prepend') {
+    placeCaretAtEdge(input, false);
+    return insertAtSelection(input, existing ? `${text}\n\n` : text);
+  }
+
+  placeCaretAtEdge(input, true);
+  return insertAtSelection(input, existing ? `\n\n${text}` : text);
+};
+
 const Injector = {
-  inject
+  inject,
+  insertAtSelection
 };
 
 if (typeof window !== 'undefined') {
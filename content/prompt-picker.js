@@ -0,0 +1,395 @@
+(() => {
+/**
+ * File: content/prompt-picker.js
+ * Purpose: Slash-command prompt picker inside the chat composer. Typing the trigger ("/" by default)
+ * opens an inline list of saved prompts ranked by the shared keyword/semantic search; a "#tag" query
+ * filters by tag instead, and Enter inserts the prompt at the cursor in place of the typed command.
+ * Communicates with: utils/platform.js, utils/storage.js, utils/prompt-search.js, utils/variables.js, content/injector.js, content/toolbar.js, content/content.js.
+ */
+
+const SETTINGS_KEY = 'promptiumSettings';
+const DEFAULT_TRIGGER = '/';
+const MAX_RESULTS = 8;
+const MAX_QUERY_LENGTH = 80;
+const SEARCH_DEBOUNCE_MS = 120;
+
+const pickerState = {
+  platform: null,
+  enabled: true,
+  trigger: DEFAULT_TRIGGER,
+  semantic: false,
+  fusion: null,
+  open: false,
+  input: null,
+  anchor: null,
+  query: '',
+  prompts: [],
+  results: [],
+  resultsQuery: '',
+  activeIndex: 0,
+  searchTimer: null,
+  searchSeq: 0
+};
+
+/** Returns true for textarea and text input composers. */
+const isTextField = (element) => element instanceof HTMLTextAreaElement || element instanceof HTMLInputElement;
+
+/** Escapes a string for literal use inside a RegExp. */
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Loads picker-related settings (enabled, trigger, semantic ranking). */
+const loadPickerSettings = async () => {
+  try {
+    const snapshot = await chrome.storage.local.get([SETTINGS_KEY]);
+    const settings = snapshot?.[SETTINGS_KEY] || {};
+    pickerState.enabled = settings.slashCommands !== false;
+    pickerState.trigger = String(settings.slashTrigger || '').trim() || DEFAULT_TRIGGER;
+    pickerState.semantic = settings.enableAI !== false && settings.semanticSearch !== false;
+    pickerState.fusion = window.PromptSearch.fusionFromBalance(settings.searchBalance, settings.semanticFloor);
+  } catch (_error) {
+    pickerState.enabled = true;
+    pickerState.trigger = DEFAULT_TRIGGER;
+  }
+};
+
+/** Returns the platform composer element when the event target sits inside it. */
+const resolveComposer = async (target) => {
+  const sel = await window.Platform.getSelectors(pickerState.platform);
+
+  if (!sel?.input || !(target instanceof Element)) {
+    return null;
+  }
+
+  try {
+    const input = document.querySelector(sel.input);
+    return input && (input === target || input.contains(target)) ? input : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Reads the text between the start of the caret's text node (or field) and the caret.
+ * Returns null when there is a non-collapsed selection or the caret is outside the composer.
+ */
+const getCaretContext = (input) => {
+  if (isTextField(input)) {
+    if (input.selectionStart !== input.selectionEnd) return null;
+    return { node: input, offset: input.selectionStart, text: input.value.slice(0, input.selectionStart) };
+  }
+
+  const selection = window.getSelection();
+  if (!selection?.rangeCount || !selection.isCollapsed) return null;
+
+  const { startContainer, startOffset } = selection.getRangeAt(0);
+  if (startContainer.nodeType !== Node.TEXT_NODE || !input.contains(startContainer)) return null;
+  return { node: startContainer, offset: startOffset, text: startContainer.data.slice(0, startOffset) };
+};
+
+/**
+ * Finds the command being typed before the caret. A new command needs the trigger at the start of
+ * a line or after whitespace; an open command keeps its anchor and ends at the first whitespace.
+ */
+const findCommand = (context) => {
+  const { trigger } = pickerState;
+
+  if (pickerState.open && pickerState.anchor?.node === context.node) {
+    const start = pickerState.anchor.start;
+    const query = context.text.slice(start + trigger.length);
+    if (context.text.slice(start, start + trigger.length) === trigger && !/\s/.test(query) && query.length <= MAX_QUERY_LENGTH) {
+      return { start, query };
+    }
+    return null;
+  }
+
+  const match = new RegExp(`(^|\\s)${escapeRegExp(trigger)}(\\S*)$`).exec(context.text);
+  if (!match) return null;
+  return { start: match.index + match[1].length, query: match[2] };
+};
+
+/** Reads a picker query, which ends at the first whitespace, as either a "#tag" filter or free text. */
+const parsePickerQuery = (query) => {
+  const term = String(query || '');
+  return term.startsWith('#') && term.length > 1
+    ? { tag: term.slice(1).toLowerCase(), text: '' }
+    : { tag: null, text: term };
+};
+
+/** Ranks prompts for the current query: a tag prefix filter, or the shared keyword/semantic search. */
+const rankPrompts = async (query) => {
+  const { tag, text } = parsePickerQuery(query);
+  const tagged = tag
+    ? pickerState.prompts.filter((prompt) =>
+      (prompt.tags || []).some((promptTag) => String(promptTag).toLowerCase().startsWith(tag)))
+    : pickerState.prompts;
+
+  const { results } = await window.PromptSearch.searchPrompts(text, tagged, {
+    semantic: pickerState.semantic,
+    fusion: pickerState.fusion || undefined
+  });
+  return results.slice(0, MAX_RESULTS);
+};
+
+/** Creates the picker list element once. */
+const ensurePickerElement = () => {
+  let root = document.getElementById('pn-picker');
+
+  if (root) {
+    return root;
+  }
+
+  root = document.createElement('div');
+  root.id = 'pn-picker';
+  root.className = 'pn-picker pn-hidden';
+  root.setAttribute('role', 'listbox');
+  root.addEventListener('mousedown', (event) => {
+    // Keep focus (and the caret) in the composer while clicking an item.
+    event.preventDefault();
+    const item = event.target.closest?.('.pn-picker__item');
+    if (!item) return;
+    pickerState.activeIndex = Number(item.dataset.index) || 0;
+    void selectActivePrompt();
+  });
+  document.body.appendChild(root);
+  return root;
+};
+
+/** Positions the picker above the composer, aligned to its left edge. */
+const positionPicker = (root) => {
+  const rect = pickerState.input?.getBoundingClientRect();
+  if (!rect) return;
+
+  root.style.left = `${Math.max(8, rect.left)}px`;
+  root.style.width = `${Math.min(Math.max(rect.width, 280), 480)}px`;
+  root.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 8)}px`;
+};
+
+/** Renders the current results into the picker list. */
+const renderPicker = () => {
+  const root = ensurePickerElement();
+  root.innerHTML = '';
+
+  if (!pickerState.results.length) {
+    const empty = document.createElement('div');
+    empty.className = 'pn-picker__empty';
+    empty.textContent = pickerState.prompts.length ? 'No matching prompts' : 'No saved prompts yet';
+    root.appendChild(empty);
+  }
+
+  pickerState.results.forEach((prompt, index) => {
+    const item = document.createElement('div');
+    item.className = `pn-picker__item${index === pickerState.activeIndex ? ' is-active' : ''}`;
+    item.dataset.index = String(index);
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(index === pickerState.activeIndex));
+
+    const title = document.createElement('div');
+    title.className = 'pn-picker__title';
+    title.textContent = prompt.title || 'Untitled prompt';
+
+    const meta = document.createElement('div');
+    meta.className = 'pn-picker__meta';
+    const tags = (prompt.tags || []).slice(0, 3).map((tag) => `#${tag}`).join(' ');
+    meta.textContent = [tags, String(prompt.text || '').replace(/\s+/g, ' ').slice(0, 80)].filter(Boolean).join(' · ');
+
+    item.append(title, meta);
+    root.appendChild(item);
+  });
+
+  const hint = document.createElement('div');
+  hint.className = 'pn-picker__hint';
+  hint.textContent = '↑↓ to move · Enter to insert · type #tag or text to filter · Esc to close';
+  root.appendChild(hint);
+
+  positionPicker(root);
+  root.classList.remove('pn-hidden');
+  root.querySelector('.pn-picker__item.is-active')?.scrollIntoView({ block: 'nearest' });
+};
+
+/** Closes the picker and forgets the command anchor. */
+const closePicker = () => {
+  pickerState.open = false;
+  pickerState.anchor = null;
+  pickerState.query = '';
+  pickerState.results = [];
+  pickerState.resultsQuery = '';
+  clearTimeout(pickerState.searchTimer);
+  document.getElementById('pn-picker')?.classList.add('pn-hidden');
+};
+
+/** Re-runs the ranking for the current query, dropping results from superseded searches. */
+const scheduleSearch = () => {
+  clearTimeout(pickerState.searchTimer);
+  const seq = ++pickerState.searchSeq;
+  const query = pickerState.query;
+
+  const show = (results) => {
+    if (seq !== pickerState.searchSeq || !pickerState.open) return;
+    pickerState.results = results;
+    pickerState.resultsQuery = query;
+    pickerState.activeIndex = 0;
+    renderPicker();
+  };
+
+  pickerState.searchTimer = setTimeout(() => {
+    void rankPrompts(query).then(show).catch((error) => {
+      // Fall back to the unranked library so Enter is not held back waiting for results that never come
+      console.error('[Promptium][PromptPicker] Search failed:', error);
+      show(pickerState.prompts.slice(0, MAX_RESULTS));
+    });
+  }, SEARCH_DEBOUNCE_MS);
+};
+
+/** Opens the picker for a composer, loading the prompt library fresh. */
+const openPicker = async (input) => {
+  pickerState.open = true;
+  pickerState.input = input;
+  pickerState.prompts = await window.Store.getPrompts();
+  pickerState.results = pickerState.prompts.slice(0, MAX_RESULTS);
+  pickerState.resultsQuery = '';
+  pickerState.activeIndex = 0;
+  renderPicker();
+};
+
+/** Selects the typed command in the composer so the insertion replaces it. */
+const selectCommandRange = (input, anchor) => {
+  input.focus();
+
+  if (isTextField(input)) {
+    input.setSelectionRange(anchor.start, anchor.end);
+    return true;
+  }
+
+  if (!anchor.node.isConnected) return false;
+  const range = document.createRange();
+  range.setStart(anchor.node, anchor.start);
+  range.setEnd(anchor.node, Math.min(anchor.end, anchor.node.length));
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  return true;
+};
+
+/** Inserts the highlighted prompt at the cursor, filling variables first when the prompt has any. */
+const selectActivePrompt = async () => {
+  const prompt = pickerState.results[pickerState.activeIndex];
+  const input = pickerState.input;
+  const anchor = pickerState.anchor ? { ...pickerState.anchor, end: pickerState.anchor.start + pickerState.trigger.length + pickerState.query.length } : null;
+  closePicker();
+
+  if (!prompt || !input || !anchor) return;
+
+  // The variable form (shown only when the prompt has variables) takes focus; the command range is re-selected afterwards.
+  const text = await window.PromptVariables.resolvePromptText(prompt, { submitLabel: 'Insert' });
+  if (text === null) return;
+
+  if (!selectCommandRange(input, anchor)) {
+    await window.Toolbar?.showNotification('The chat box changed; type the command again.');
+    return;
+  }
+
+  const success = await window.Injector.insertAtSelection(input, text);
+  if (!success) {
+    await window.Toolbar?.showNotification('Could not insert the prompt.');
+    return;
+  }
+
+  void window.Store.recordUsage({ promptId: prompt.id, action: 'inject', platform: pickerState.platform });
+};
+
+/** Opens, updates, or closes the picker as the user types in the composer. */
+const onComposerInput = async (event) => {
+  if (!pickerState.enabled || event.isComposing) return;
+
+  const input = await resolveComposer(event.target);
+  if (!input) return;
+
+  const context = getCaretContext(input);
+  const command = context ? findCommand(context) : null;
+
+  if (!command) {
+    if (pickerState.open) closePicker();
+    return;
+  }
+
+  pickerState.anchor = { node: context.node, start: command.start };
+  pickerState.query = command.query;
+
+  if (!pickerState.open) {
+    await openPicker(input);
+  }
+  scheduleSearch();
+};
+
+/** Handles list navigation while the picker is open; runs in the capture phase ahead of site handlers. */
+const onKeyDown = (event) => {
+  if (!pickerState.open || event.isComposing) return;
+
+  const count = pickerState.results.length;
+  const handled = () => {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  };
+
+  if (event.key === 'ArrowDown' && count) {
+    handled();
+    pickerState.activeIndex = (pickerState.activeIndex + 1) % count;
+    renderPicker();
+  } else if (event.key === 'ArrowUp' && count) {
+    handled();
+    pickerState.activeIndex = (pickerState.activeIndex - 1 + count) % count;
+    renderPicker();
+  } else if ((event.key === 'Enter' || event.key === 'Tab') && !event.shiftKey && pickerState.resultsQuery !== pickerState.query) {
+    // The list still shows results for an older query; wait for the pending search instead of inserting a stale match.
+    handled();
+  } else if ((event.key === 'Enter' || event.key === 'Tab') && !event.shiftKey && count) {
+    handled();
+    void selectActivePrompt();
+  } else if (event.key === 'Enter') {
+    closePicker();
+  } else if (event.key === 'Escape') {
+    handled();
+    closePicker();
+  } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(event.key)) {
+    closePicker();
+  }
+};
+
+/** Starts listening for slash commands in the platform composer. */
+const init = async (platform) => {
+  if (pickerState.platform) {
+    return;
+  }
+
+  pickerState.platform = platform;
+  await loadPickerSettings();
+
+  document.addEventListener('input', (event) => {
+    void onComposerInput(event);
+  }, true);
+  window.addEventListener('keydown', onKeyDown, true);
+  document.addEventListener('focusout', (event) => {
+    if (pickerState.open && event.target === pickerState.input) closePicker();
+  }, true);
+  window.addEventListener('resize', () => {
+    if (pickerState.open) renderPicker();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+    void loadPickerSettings().then(() => {
+      if (!pickerState.enabled) closePicker();
+    });
+  });
+};
+
+const PromptPicker = {
+  init,
+  close: closePicker
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptPicker = PromptPicker;
+}
+
+})();
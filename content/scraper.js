@@ -82,7 +82,7 @@ const scrape = async (platform = null) => {
     }
 
     if ((await isKnownPlatform(resolvedPlatform)) && messages.length === 0) {
-      console.warn('[Promptium][Platform] No selectors matched for', resolvedPlatform);
+      console.warn('[Promptium][Platform] No selectors matched for', resolvedPlatform, '- run Diagnostics in the side panel settings.');
     }
 
     return messages;
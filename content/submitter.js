@@ -0,0 +1,179 @@
+(() => {
+/**
+ * File: content/submitter.js
+ * Purpose: Opt-in auto-submit: clicks the platform send button after an injection, then watches the
+ * assistant message selector until the response stops streaming and announces the finished reply.
+ * Communicates with: utils/platform.js, content/scraper.js, content/content.js, sidepanel/sidepanel.js.
+ */
+
+const RESPONSE_COMPLETE_TYPE = 'PN_RESPONSE_COMPLETE';
+const RESPONSE_COMPLETE_EVENT = 'promptium:response-complete';
+const POLL_MS = 250;
+const SEND_READY_TIMEOUT_MS = 3000;
+// A reply counts as finished once it has stopped changing for this long and no stop control is shown.
+const STABLE_MS = 1500;
+const START_TIMEOUT_MS = 30000;
+const RESPONSE_TIMEOUT_MS = 180000;
+
+/** Resolves after the given delay. */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Returns every node matching a selector, or an empty list when the selector is missing or invalid. */
+const queryAll = (selector) => {
+  if (!selector) return [];
+  try {
+    return Array.from(document.querySelectorAll(selector));
+  } catch (_error) {
+    return [];
+  }
+};
+
+/** Returns true when a button is rendered and accepts clicks. */
+const isClickable = (button) => {
+  if (!button || button.disabled || button.getAttribute('aria-disabled') === 'true') {
+    return false;
+  }
+  return button.getClientRects().length > 0;
+};
+
+/** Returns the first clickable send button on the page, or null. */
+const findSendButton = (selectors) => queryAll(selectors?.sendButton).find(isClickable) || null;
+
+/** Returns true while the platform shows its stop-generating control. */
+const isStreaming = (selectors) => queryAll(selectors?.stopButton).some((node) => node.getClientRects().length > 0);
+
+/** Returns the count of assistant messages and the text of the last one. */
+const readLastReply = (selectors) => {
+  const nodes = queryAll(selectors?.botMsg);
+  const last = nodes[nodes.length - 1] || null;
+  return {
+    count: nodes.length,
+    node: last,
+    text: String(last?.innerText || last?.textContent || '').trim()
+  };
+};
+
+/**
+ * Waits for the send button to become clickable (editors enable it after the input event) and clicks it.
+ * Returns { ok, error }.
+ */
+const clickSend = async (platform) => {
+  const selectors = await window.Platform.getSelectors(platform);
+
+  if (!selectors?.sendButton) {
+    return { ok: false, error: 'No send button selector is configured for this platform.' };
+  }
+
+  const deadline = Date.now() + SEND_READY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    // Re-resolve each pass: the button is often re-rendered once the composer has text.
+    const button = findSendButton(await window.Platform.getSelectors(platform));
+    if (button) {
+      button.click();
+      return { ok: true, error: '' };
+    }
+    await wait(POLL_MS);
+  }
+
+  return { ok: false, error: 'Send button was not found or stayed disabled.' };
+};
+
+/**
+ * Watches the assistant message selector until the reply that follows a submit has stopped streaming.
+ * Resolves { text, html, timedOut }; timedOut is true when no reply started or it never settled.
+ */
+const waitForResponse = async (platform, baseline) => {
+  let lastChangeAt = Date.now();
+  const observer = new MutationObserver(() => {
+    lastChangeAt = Date.now();
+  });
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+  const startedAt = Date.now();
+  let started = false;
+  let reply = baseline;
+
+  try {
+    while (Date.now() - startedAt < RESPONSE_TIMEOUT_MS) {
+      await wait(POLL_MS);
+      const selectors = await window.Platform.getSelectors(platform);
+      reply = readLastReply(selectors);
+
+      if (!started) {
+        started = reply.count > baseline.count || (reply.text && reply.text !== baseline.text);
+        if (!started && Date.now() - startedAt > START_TIMEOUT_MS) {
+          break;
+        }
+        continue;
+      }
+
+      if (reply.text && !isStreaming(selectors) && Date.now() - lastChangeAt >= STABLE_MS) {
+        return { text: reply.text, html: String(reply.node?.innerHTML || ''), timedOut: false };
+      }
+    }
+  } finally {
+    observer.disconnect();
+  }
+
+  return { text: started ? reply.text : '', html: started ? String(reply.node?.innerHTML || '') : '', timedOut: true };
+};
+
+/** Broadcasts a finished reply to extension pages and to scripts on this page. */
+const announce = async (detail) => {
+  window.dispatchEvent(new CustomEvent(RESPONSE_COMPLETE_EVENT, { detail }));
+
+  try {
+    await chrome.runtime.sendMessage({ type: RESPONSE_COMPLETE_TYPE, ...detail });
+  } catch (_error) {
+    // No extension page is listening; the page event above is still delivered.
+  }
+};
+
+/**
+ * Clicks send for an injected prompt and starts watching for the reply in the background.
+ * Returns { ok, error, runId } straight after the click; the reply arrives later as a
+ * PN_RESPONSE_COMPLETE runtime message and a promptium:response-complete window event with the same runId.
+ */
+const submit = async (platform, { promptText = '', runId = crypto.randomUUID() } = {}) => {
+  const baseline = readLastReply(await window.Platform.getSelectors(platform));
+  const clicked = await clickSend(platform);
+
+  if (!clicked.ok) {
+    return { ok: false, error: clicked.error, runId };
+  }
+
+  const submittedAt = Date.now();
+  void (async () => {
+    try {
+      const reply = await waitForResponse(platform, baseline);
+      await announce({
+        runId,
+        platform,
+        url: window.location.href,
+        title: document.title || 'Untitled chat',
+        promptText,
+        responseText: reply.text,
+        responseHtml: reply.html,
+        messages: await window.Scraper.scrape(platform),
+        durationMs: Date.now() - submittedAt,
+        timedOut: reply.timedOut
+      });
+    } catch (error) {
+      console.warn('[Promptium][Submitter] Response watch failed.', error);
+    }
+  })();
+
+  return { ok: true, error: '', runId };
+};
+
+const Submitter = {
+  RESPONSE_COMPLETE_TYPE,
+  RESPONSE_COMPLETE_EVENT,
+  submit
+};
+
+if (typeof window !== 'undefined') {
+  window.Submitter = Submitter;
+}
+
+})();
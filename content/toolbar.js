@@ -14,6 +14,7 @@ let reinjectDebounceTimer = null;
 let isFabMenuOpen = false;
 const SIDEPANEL_PAYLOAD_KEY = 'promptiumSidePanelPayload';
 const IMPROVE_PAYLOAD_KEY = 'promptiumImprovePayload';
+const LIBRARY_VIEW_KEY = 'promptiumLibraryView';
 
 /** Returns the active input element for a platform based on selector config. */
 const getInputElement = async (platform) => {
@@ -381,7 +382,20 @@ const onLibraryClick = () => {
   });
 };
 
-/** Triggers Gemini Flash Lite to improve the current active prompt in the chat box. */
+/** Opens the side panel library filtered to favorite prompts. */
+const onFavoritesClick = async () => {
+  // Open first so the click still counts as a user gesture; the panel applies the filter on load or on change.
+  onLibraryClick();
+  try {
+    await chrome.storage.local.set({
+      [LIBRARY_VIEW_KEY]: { favoritesOnly: true, createdAt: new Date().toISOString() }
+    });
+  } catch (error) {
+    console.error('[Promptium] Favorites view request failed:', error);
+  }
+};
+
+/** Opens the side panel improve flow for the current prompt in the chat box. */
 const onImprovePromptClick = async (platform) => {
   const input = await getInputElement(platform);
   const text = String(input?.value || input?.textContent || '').trim();
@@ -408,6 +422,28 @@ const onImprovePromptClick = async (platform) => {
   }
 };
 
+/** Opens the variable form for placeholders in the chat box and writes the filled prompt back. */
+const onFillVariablesClick = async (platform) => {
+  const input = await getInputElement(platform);
+  const text = String(input?.value || input?.innerText || input?.textContent || '').trim();
+
+  if (!text) {
+    await showNotification('Type or insert a prompt in the chat box first.');
+    return;
+  }
+
+  if (!window.PromptVariables.hasVariables(text)) {
+    await showNotification('No {{variables}} or [placeholders] found in the chat box.');
+    return;
+  }
+
+  const filled = await window.PromptVariables.resolvePromptText({ text, title: 'Fill Prompt Variables' }, { submitLabel: 'Apply' });
+  if (filled === null) return;
+
+  const success = await window.Injector.inject(filled, platform);
+  await showNotification(success ? 'Variables applied.' : 'Could not update the chat box.');
+};
+
 // Listen for the improved prompt coming back from the side panel
 chrome.runtime.onMessage.addListener((msg) => {
   if (msg.action === 'APPLY_IMPROVED_PROMPT' && msg.text) {
@@ -425,7 +461,7 @@ chrome.runtime.onMessage.addListener((msg) => {
   }
 });
 
-/** Routes FAB action clicks to prompt save, export dialog, library guidance, or improvement. */
+/** Routes FAB action clicks to prompt save, export dialog, variable fill, library or favorites, or improvement. */
 const handleFabAction = (platform, action) => {
   if (action === 'save-prompt') {
     onSavePromptClick(platform).catch(console.error);
@@ -437,11 +473,21 @@ const handleFabAction = (platform, action) => {
     return;
   }
 
+  if (action === 'fill-variables') {
+    onFillVariablesClick(platform).catch(console.error);
+    return;
+  }
+
   if (action === 'library') {
     onLibraryClick();
     return;
   }
 
+  if (action === 'favorites') {
+    onFavoritesClick().catch(console.error);
+    return;
+  }
+
   if (action === 'improve-prompt') {
     onImprovePromptClick(platform).catch(console.error);
   }
@@ -465,10 +511,18 @@ const createToolbar = async () => {
         <span class="pn-fab-icon"><svg xmlns="http://www.w3.org/2000/svg" width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg></span>
         <span class="pn-fab-label">Improve</span>
       </button>
+      <button class="pn-fab-action" data-action="fill-variables" type="button" aria-label="Fill Prompt Variables">
+        <span class="pn-fab-icon"><svg xmlns="http://www.w3.org/2000/svg" width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3H7a2 2 0 0 0-2 2v5a2 2 0 0 1-2 2 2 2 0 0 1 2 2v5a2 2 0 0 0 2 2h1"></path><path d="M16 21h1a2 2 0 0 0 2-2v-5a2 2 0 0 1 2-2 2 2 0 0 1-2-2V5a2 2 0 0 0-2-2h-1"></path></svg></span>
+        <span class="pn-fab-label">Fill Variables</span>
+      </button>
       <button class="pn-fab-action" data-action="library" type="button" aria-label="Open Prompt Library">
         <span class="pn-fab-icon"><svg xmlns="http://www.w3.org/2000/svg" width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><line x1="9" y1="3" x2="9" y2="21"></line></svg></span>
         <span class="pn-fab-label">Library</span>
       </button>
+      <button class="pn-fab-action" data-action="favorites" type="button" aria-label="Open Favorite Prompts">
+        <span class="pn-fab-icon"><svg xmlns="http://www.w3.org/2000/svg" width="15" height="15" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg></span>
+        <span class="pn-fab-label">Favorites</span>
+      </button>
     </div>
     <button id="pn-fab-trigger" type="button" aria-label="Promptium Actions">
       <svg class="pn-fab-logo" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
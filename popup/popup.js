@@ -7,7 +7,20 @@
 let pendingDuplicatePayload = null;
 let popupBootstrapped = false;
 let _searchTimer = null;
+let defaultInjectMode = 'replace';
+let usageSummary = new Map();
 const TEXT_CLAMP_LENGTH = 180;
+const SETTINGS_KEY = 'promptiumSettings';
+
+/** Reads the default injection mode from side panel settings. */
+const loadDefaultInjectMode = async () => {
+  try {
+    const snapshot = await chrome.storage.local.get([SETTINGS_KEY]);
+    defaultInjectMode = String(snapshot?.[SETTINGS_KEY]?.defaultInjectMode || 'replace');
+  } catch (_error) {
+    defaultInjectMode = 'replace';
+  }
+};
 
 /** Formats a relative time string from an ISO date (e.g. '3 hours ago'). */
 const formatRelativeTime = (isoDate) => {
@@ -58,6 +71,11 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
     card.appendChild(relevance);
   }
 
+  // Favorite and pin toggles (user prompts only); re-render so pinned prompts move to the top
+  if (!isTemplate) {
+    card.appendChild(createPromptFlagToggles(prompt, () => renderPrompts(activeFilter)));
+  }
+
   // Title
   const title = document.createElement('h3');
   title.className = 'pn-card-title';
@@ -71,7 +89,7 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
   const createdLabel = prompt.createdAt ? formatRelativeTime(prompt.createdAt) : '';
   meta.textContent = isTemplate
     ? `${charCount} chars • ${prompt.category || 'General'}`
-    : `${charCount} chars${createdLabel ? ` • ${createdLabel}` : ''}`;
+    : `${charCount} chars${createdLabel ? ` • ${createdLabel}` : ''} • ${window.PromptUsage.describeUsage(usageSummary.get(prompt.id))}`;
   card.appendChild(meta);
 
   // Text with clamp
@@ -116,18 +134,32 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
   injectButton.className = 'pn-btn pn-btn--ghost pn-btn-icon-label';
   injectButton.type = 'button';
   injectButton.innerHTML = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M15 3h6v6"></path><path d="M10 14L21 3"></path><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path></svg>Inject`;
+  const injectMode = createInjectModeSelect(defaultInjectMode);
   if (!canInject) {
     injectButton.disabled = true;
     injectButton.title = 'Open on a supported LLM page';
+    injectMode.disabled = true;
   } else {
     injectButton.title = 'Inject into active chat';
     injectButton.addEventListener('click', () => {
       void (async () => {
-        const response = await sendToActiveTab({ action: 'injectPrompt', text: prompt.text });
+        const text = await window.PromptVariables.resolvePromptText(prompt);
+        if (text === null) return;
+        const response = await sendToActiveTab({
+          action: 'injectPrompt',
+          text,
+          mode: injectMode.value,
+          autoSubmit: Boolean(prompt.autoSubmit),
+          promptId: isTemplate ? '' : prompt.id
+        });
         if (!response?.ok) {
           await showToast(response?.error || 'Inject failed.');
           return;
         }
+        if (prompt.autoSubmit && !response.submitted) {
+          await showToast(`Injected, but auto-submit failed: ${response.error || 'send button not found.'}`);
+          return;
+        }
         window.close();
       })();
     });
@@ -143,6 +175,10 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
     void (async () => {
       try {
         await navigator.clipboard.writeText(prompt.text);
+        if (!isTemplate) {
+          const { platform } = await getActiveTabContext().catch(() => ({}));
+          void window.Store.recordUsage({ promptId: prompt.id, action: 'copy', platform });
+        }
         copyButton.innerHTML = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" class="pn-btn-icon" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"></polyline></svg>Copied!`;
         copyButton.classList.add('pn-btn--copied');
         setTimeout(() => {
@@ -179,6 +215,7 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
       })();
     });
     actions.appendChild(injectButton);
+    actions.appendChild(injectMode);
     actions.appendChild(copyButton);
     actions.appendChild(saveBtn);
   } else {
@@ -209,6 +246,7 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
       })();
     });
     actions.appendChild(injectButton);
+    actions.appendChild(injectMode);
     actions.appendChild(copyButton);
     actions.appendChild(improveButton);
     actions.appendChild(deleteButton);
@@ -297,15 +335,17 @@ const switchTab = async (tabName) => {
   await updateTabIndicator();
 };
 
-/** Uses AI semantic ranking when possible and keyword filtering as fallback. */
+/** Applies query filters (tag:, used:, OR, ...), then ranks the free text with AI semantic scoring or keyword fallback. */
 const filterPrompts = async (filter, prompts) => {
-  const normalizedFilter = String(filter || '').trim();
-
-  if (!normalizedFilter) {
-    return prompts;
-  }
+  const query = window.PromptSearch.parseQuery(filter);
+  const collections = query.filter ? await window.Store.getCollections() : [];
+  const context = {
+    usage: usageSummary,
+    collectionPaths: new Map(window.PromptCollections.listOptions(collections).map((option) => [option.id, option.label]))
+  };
+  const pool = prompts.filter((prompt) => window.PromptSearch.matchesQuery(query.filter, prompt, context));
 
-  return window.AI.semanticSearch(normalizedFilter, prompts);
+  return query.text ? window.AI.semanticSearch(query.text, pool) : pool;
 };
 
 /** Renders prompts list with semantic or keyword filtering based on AI availability. */
@@ -317,9 +357,11 @@ const renderPrompts = async (filter = '') => {
   }
 
   const prompts = await window.Store.getPrompts();
+  usageSummary = window.PromptUsage.summarizeByPrompt(await window.Store.getUsageEvents());
   const filtered = await filterPrompts(filter, prompts);
   const tabContext = await getActiveTabContext();
-  const filterStr = String(filter || '').trim().toLowerCase();
+  // Kept as typed: query operators like OR are case-sensitive.
+  const filterStr = String(filter || '').trim();
 
   container.innerHTML = '';
 
@@ -352,7 +394,9 @@ const renderPrompts = async (filter = '') => {
 
   // -- Templates section --
   if (window.PromptTemplates) {
-    const templates = window.PromptTemplates.getTemplates(filterStr);
+    const query = window.PromptSearch.parseQuery(filterStr);
+    const templates = window.PromptTemplates.getTemplates(query.text)
+      .filter((template) => window.PromptSearch.matchesQuery(query.filter, template));
 
     if (templates.length) {
       // Section header
@@ -651,6 +695,7 @@ const bootstrapMainUi = async ({ skipAiInit = false } = {}) => {
   }
 
   popupBootstrapped = true;
+  await loadDefaultInjectMode();
 
   if (!skipAiInit) {
     await window.AI.initModel();
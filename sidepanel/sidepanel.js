@@ -6,18 +6,29 @@
 
 const SIDEPANEL_SESSION_KEY = 'promptiumSidePanelPayload';
 const SETTINGS_KEY = 'promptiumSettings';
-const GEMINI_KEY = 'promptiumGeminiKey';
 const IMPROVE_PAYLOAD_KEY = 'promptiumImprovePayload';
+const LIBRARY_VIEW_KEY = 'promptiumLibraryView';
 const ONBOARDING_KEY = 'onboardingComplete';
+const BATCH_EXPORT_KEY = 'promptiumBatchExport';
+
+// Semantic share of hybrid ranking (0 = keywords only, 100 = meaning only) and cosine floors offered in Settings.
+const SEARCH_BALANCES = [20, 35, 50, 65, 80];
+const SEMANTIC_FLOORS = [0.15, 0.2, 0.25, 0.3, 0.4];
 
 const DEFAULT_SETTINGS = {
   enableAI: true,
   semanticSearch: true,
+  searchBalance: 50,
+  semanticFloor: 0.25,
   autoSuggestTags: true,
   duplicateCheck: true,
   defaultExportFormat: 'markdown',
   defaultIncludeDate: true,
   defaultIncludePlatform: true,
+  slashCommands: true,
+  slashTrigger: '/',
+  defaultInjectMode: 'replace',
+  captureReplies: false,
   userContext: ''
 };
 
@@ -102,6 +113,7 @@ const state = {
     includeDate: DEFAULT_SETTINGS.defaultIncludeDate,
     includePlatform: DEFAULT_SETTINGS.defaultIncludePlatform,
     includeMessageNumbers: false,
+    includeCoverPage: false,
     contentMode: 'structured',
     fontStyle: 'System',
     fontSize: 14,
@@ -112,6 +124,13 @@ const state = {
   onboardingIndex: 0,
   aiReady: false,
   semanticResults: null,
+  providerSettings: null,
+  providerDraft: null,
+  customPlatforms: [],
+  usageSummary: new Map(),
+  collections: [],
+  collectionScope: '',
+  knownTags: [],
   _searchDebounce: null,
 };
 
@@ -454,6 +473,10 @@ const switchTab = async (tabName) => {
     }
     await renderExportMeta();
   }
+
+  if (state.activeTab === 'stats') {
+    await renderStats();
+  }
 };
 
 /** Sets plain fallback AI badge state when AI is disabled by settings. */
@@ -513,11 +536,17 @@ const normalizeSettings = (raw) => {
   return {
     enableAI: Boolean(source.enableAI),
     semanticSearch: Boolean(source.semanticSearch),
+    searchBalance: SEARCH_BALANCES.includes(Number(source.searchBalance)) ? Number(source.searchBalance) : DEFAULT_SETTINGS.searchBalance,
+    semanticFloor: SEMANTIC_FLOORS.includes(Number(source.semanticFloor)) ? Number(source.semanticFloor) : DEFAULT_SETTINGS.semanticFloor,
     autoSuggestTags: Boolean(source.autoSuggestTags),
     duplicateCheck: Boolean(source.duplicateCheck),
-    defaultExportFormat: exportFormat === 'pdf' ? 'pdf' : 'markdown',
+    defaultExportFormat: ['pdf', 'html', 'docx', 'notes'].includes(exportFormat) ? exportFormat : 'markdown',
     defaultIncludeDate: Boolean(source.defaultIncludeDate),
     defaultIncludePlatform: Boolean(source.defaultIncludePlatform),
+    slashCommands: source.slashCommands !== false,
+    slashTrigger: String(source.slashTrigger || '').replace(/\s+/g, '').slice(0, 3) || DEFAULT_SETTINGS.slashTrigger,
+    defaultInjectMode: INJECTION_MODES[source.defaultInjectMode] ? source.defaultInjectMode : DEFAULT_SETTINGS.defaultInjectMode,
+    captureReplies: Boolean(source.captureReplies),
     userContext: String(source.userContext || '').trim()
   };
 };
@@ -526,11 +555,17 @@ const normalizeSettings = (raw) => {
 const getSettingsControls = () => ({
   enableAI: byId('setting-enable-ai'),
   semanticSearch: byId('setting-semantic-search'),
+  searchBalance: byId('setting-search-balance'),
+  semanticFloor: byId('setting-semantic-floor'),
   autoSuggestTags: byId('setting-auto-suggest'),
   duplicateCheck: byId('setting-duplicate-check'),
   defaultExportFormat: byId('setting-export-format'),
   defaultIncludeDate: byId('setting-export-date'),
   defaultIncludePlatform: byId('setting-export-platform'),
+  slashCommands: byId('setting-slash-commands'),
+  slashTrigger: byId('setting-slash-trigger'),
+  defaultInjectMode: byId('setting-inject-mode'),
+  captureReplies: byId('setting-capture-replies'),
   userContext: byId('setting-user-context')
 });
 
@@ -540,11 +575,17 @@ const readSettingsControlsSnapshot = () => {
   return normalizeSettings({
     enableAI: controls.enableAI?.checked,
     semanticSearch: controls.semanticSearch?.checked,
+    searchBalance: controls.searchBalance?.value,
+    semanticFloor: controls.semanticFloor?.value,
     autoSuggestTags: controls.autoSuggestTags?.checked,
     duplicateCheck: controls.duplicateCheck?.checked,
     defaultExportFormat: controls.defaultExportFormat?.value,
     defaultIncludeDate: controls.defaultIncludeDate?.checked,
     defaultIncludePlatform: controls.defaultIncludePlatform?.checked,
+    slashCommands: controls.slashCommands?.checked,
+    slashTrigger: controls.slashTrigger?.value,
+    defaultInjectMode: controls.defaultInjectMode?.value,
+    captureReplies: controls.captureReplies?.checked,
     userContext: controls.userContext?.value
   });
 };
@@ -556,11 +597,17 @@ const areSettingsEqual = (left, right) => {
   return (
     a.enableAI === b.enableAI &&
     a.semanticSearch === b.semanticSearch &&
+    a.searchBalance === b.searchBalance &&
+    a.semanticFloor === b.semanticFloor &&
     a.autoSuggestTags === b.autoSuggestTags &&
     a.duplicateCheck === b.duplicateCheck &&
     a.defaultExportFormat === b.defaultExportFormat &&
     a.defaultIncludeDate === b.defaultIncludeDate &&
     a.defaultIncludePlatform === b.defaultIncludePlatform &&
+    a.slashCommands === b.slashCommands &&
+    a.slashTrigger === b.slashTrigger &&
+    a.defaultInjectMode === b.defaultInjectMode &&
+    a.captureReplies === b.captureReplies &&
     a.userContext === b.userContext
   );
 };
@@ -578,6 +625,14 @@ const renderSettingsControls = (settingsInput = state.settings) => {
     controls.semanticSearch.checked = Boolean(settings.semanticSearch);
   }
 
+  if (controls.searchBalance) {
+    controls.searchBalance.value = String(settings.searchBalance);
+  }
+
+  if (controls.semanticFloor) {
+    controls.semanticFloor.value = String(settings.semanticFloor);
+  }
+
   if (controls.autoSuggestTags) {
     controls.autoSuggestTags.checked = Boolean(settings.autoSuggestTags);
   }
@@ -598,6 +653,22 @@ const renderSettingsControls = (settingsInput = state.settings) => {
     controls.defaultIncludePlatform.checked = Boolean(settings.defaultIncludePlatform);
   }
 
+  if (controls.slashCommands) {
+    controls.slashCommands.checked = Boolean(settings.slashCommands);
+  }
+
+  if (controls.slashTrigger) {
+    controls.slashTrigger.value = String(settings.slashTrigger || DEFAULT_SETTINGS.slashTrigger);
+  }
+
+  if (controls.defaultInjectMode) {
+    controls.defaultInjectMode.value = settings.defaultInjectMode;
+  }
+
+  if (controls.captureReplies) {
+    controls.captureReplies.checked = Boolean(settings.captureReplies);
+  }
+
   if (controls.userContext) {
     controls.userContext.value = String(settings.userContext || '');
   }
@@ -639,11 +710,7 @@ const syncSettingsSaveState = async () => {
   const statusNode = byId('settings-status');
   if (!saveButton) return;
   const draftSettings = readSettingsControlsSnapshot();
-  const { [GEMINI_KEY]: promptiumGeminiKey } = await chrome.storage.local.get([GEMINI_KEY]);
-  const currentKey = String(byId('setting-gemini-key')?.value || '').trim();
-  const storedKey = String(promptiumGeminiKey || '').trim();
-  
-  const hasChanges = !areSettingsEqual(draftSettings, state.settings) || currentKey !== storedKey;
+  const hasChanges = !areSettingsEqual(draftSettings, state.settings) || isProviderDraftDirty();
   saveButton.disabled = !hasChanges;
   if (hasChanges) {
     setSettingsStatus('Unsaved changes. Save to apply.', 'info');
@@ -658,11 +725,7 @@ const syncSettingsSaveState = async () => {
 const resetSettingsDraft = async () => {
   renderSettingsControls(DEFAULT_SETTINGS);
   const draftSettings = readSettingsControlsSnapshot();
-  const { [GEMINI_KEY]: promptiumGeminiKey } = await chrome.storage.local.get([GEMINI_KEY]);
-  const currentKey = String(byId('setting-gemini-key')?.value || '').trim();
-  const storedKey = String(promptiumGeminiKey || '').trim();
-
-  const hasChanges = !areSettingsEqual(draftSettings, state.settings) || currentKey !== storedKey;
+  const hasChanges = !areSettingsEqual(draftSettings, state.settings) || isProviderDraftDirty();
   await syncSettingsSaveState();
   if (hasChanges) {
     setSettingsStatus('Defaults loaded. Save settings to apply.', 'info');
@@ -671,6 +734,94 @@ const resetSettingsDraft = async () => {
   setSettingsStatus('Settings already match defaults.', 'ok');
 };
 
+/** Returns provider settings controls in the Connections section. */
+const getProviderControls = () => ({
+  provider: byId('setting-provider'),
+  baseUrl: byId('setting-provider-base-url'),
+  model: byId('setting-provider-model'),
+  temperature: byId('setting-provider-temperature'),
+  apiKey: byId('setting-provider-key'),
+  hint: byId('setting-provider-hint'),
+  keyLink: byId('setting-provider-key-link')
+});
+
+/** Loads persisted provider settings into state and a fresh editable draft. */
+const loadProviderSettings = async () => {
+  state.providerSettings = await window.LLMProviders.loadProviderSettings();
+  state.providerDraft = window.LLMProviders.normalizeProviderSettings(state.providerSettings);
+};
+
+/** Renders the draft config of the selected provider into the Connections controls. */
+const renderProviderControls = () => {
+  const controls = getProviderControls();
+  const draft = state.providerDraft;
+  if (!draft || !controls.provider) return;
+
+  const providerId = draft.activeProvider;
+  const definition = window.LLMProviders.PROVIDERS[providerId];
+  const config = draft.providers[providerId];
+
+  controls.provider.value = providerId;
+  if (controls.baseUrl) {
+    controls.baseUrl.value = config.baseUrl;
+    controls.baseUrl.placeholder = definition.defaults.baseUrl;
+  }
+  if (controls.model) {
+    controls.model.value = config.model;
+    controls.model.placeholder = definition.defaults.model;
+  }
+  if (controls.temperature) {
+    controls.temperature.value = config.temperature === null ? '' : String(config.temperature);
+    controls.temperature.max = String(definition.maxTemperature);
+  }
+  if (controls.apiKey) {
+    controls.apiKey.value = config.apiKey;
+    controls.apiKey.placeholder = definition.keyRequired ? `${definition.label} API key` : 'API key (optional for local servers)';
+  }
+  if (controls.hint) {
+    controls.hint.textContent = `${definition.hint} Powers prompt improvement, titles, and contextual suggestions.`;
+  }
+  if (controls.keyLink) {
+    controls.keyLink.href = definition.keyUrl;
+  }
+};
+
+/** Reads the Connections controls into the draft config of the selected provider. */
+const readProviderControls = () => {
+  const controls = getProviderControls();
+  const draft = state.providerDraft;
+  if (!draft) return;
+
+  const providerId = draft.activeProvider;
+  draft.providers[providerId] = {
+    baseUrl: String(controls.baseUrl?.value || '').trim(),
+    model: String(controls.model?.value || '').trim(),
+    temperature: controls.temperature?.value ?? '',
+    apiKey: String(controls.apiKey?.value || '').trim()
+  };
+  state.providerDraft = window.LLMProviders.normalizeProviderSettings(draft);
+};
+
+/** Returns true when the provider draft differs from persisted provider settings. */
+const isProviderDraftDirty = () => {
+  if (!state.providerDraft || !state.providerSettings) return false;
+  return JSON.stringify(state.providerDraft) !== JSON.stringify(state.providerSettings);
+};
+
+/** Requests optional host access for the draft provider's base URL (must run inside a click). */
+const requestProviderHostAccess = () => {
+  const draft = state.providerDraft;
+  if (!draft || draft.activeProvider === 'gemini' || !chrome.permissions?.request) {
+    return Promise.resolve(true);
+  }
+  const origin = window.LLMProviders.getOriginPattern(draft.providers[draft.activeProvider].baseUrl);
+  if (!origin) return Promise.resolve(false);
+  return chrome.permissions.request({ origins: [origin] }).catch((error) => {
+    console.warn('[Promptium] Host permission request failed:', error?.message || error);
+    return false;
+  });
+};
+
 /** Applies settings defaults to export controls and state. */
 const applyExportDefaultsFromSettings = () => {
   state.exportPrefs = {
@@ -678,6 +829,7 @@ const applyExportDefaultsFromSettings = () => {
     includeDate: Boolean(state.settings.defaultIncludeDate),
     includePlatform: Boolean(state.settings.defaultIncludePlatform),
     includeMessageNumbers: false,
+    includeCoverPage: false,
     contentMode: 'structured',
     fontStyle: 'System',
     fontSize: 14,
@@ -689,6 +841,7 @@ const applyExportDefaultsFromSettings = () => {
   const includeDateNode = byId('include-date');
   const includePlatformNode = byId('include-platform');
   const includeNumbersNode = byId('include-msg-numbers');
+  const includeCoverNode = byId('include-cover-page');
   const fontStyleNode = byId('export-font-style');
   const fontSizeNode = byId('export-font-size');
   const fontSizeNumberNode = byId('export-font-size-number');
@@ -703,6 +856,7 @@ const applyExportDefaultsFromSettings = () => {
     includeNumbersNode.checked = state.exportPrefs.includeMessageNumbers;
     includeNumbersNode.disabled = state.exportPrefs.contentMode === 'combined';
   }
+  if (includeCoverNode) includeCoverNode.checked = state.exportPrefs.includeCoverPage;
   if (fontStyleNode) fontStyleNode.value = state.exportPrefs.fontStyle;
   if (fontSizeNode) fontSizeNode.value = String(state.exportPrefs.fontSize);
   if (fontSizeNumberNode) fontSizeNumberNode.value = String(state.exportPrefs.fontSize);
@@ -812,79 +966,44 @@ const syncAiState = async () => {
 /** Returns readable platform label from known platform id keys. */
 const getPlatformLabel = (platform) => {
   const key = String(platform || '').toLowerCase();
-  return PLATFORM_LABELS[key] || String(platform || 'Unknown');
-};
-
-/** Filters prompts by text when semantic search is not enabled. */
-const sidepanelKeywordFilter = async (query, prompts) => {
-  const normalized = String(query || '').trim().toLowerCase();
-
-  if (!normalized) {
-    return prompts;
-  }
-
-  return prompts.filter((prompt) => {
-    const titleMatch = String(prompt.title || '').toLowerCase().includes(normalized);
-    const textMatch = String(prompt.text || '').toLowerCase().includes(normalized);
-    const tagsMatch = (prompt.tags || []).join(' ').toLowerCase().includes(normalized);
-    return titleMatch || textMatch || tagsMatch;
-  });
+  const custom = state.customPlatforms.find((item) => item.id === key);
+  return PLATFORM_LABELS[key] || custom?.label || String(platform || 'Unknown');
 };
 
 /** Filters prompts with semantic mode if enabled, otherwise keyword mode. */
 const filterPrompts = async (filter, prompts) => {
-  const normalized = String(filter || '').trim();
-
-  if (!normalized) {
-    state.semanticResults = null;
-    return prompts;
-  }
-
-  // Always start with keyword results for instant feedback
-  const keywordResults = await sidepanelKeywordFilter(normalized, prompts);
-
-  // If AI is ready and semantic search is enabled, do a semantic re-rank
-  if (state.aiReady && state.settings.enableAI && state.settings.semanticSearch) {
-    try {
-      const response = await window.AIBridge.search(normalized);
-      if (response?.results) {
-        state.semanticResults = new Map(response.results.map(r => [r.id, r]));
-
-        // Merge: keyword results first (re-ordered by semantic), then semantic-only
-        const promptMap = new Map(prompts.map(p => [p.id, p]));
-        const seen = new Set();
-        const merged = [];
-
-        // Ordered by semantic score
-        for (const r of response.results) {
-          if (promptMap.has(r.id)) {
-            merged.push(promptMap.get(r.id));
-            seen.add(r.id);
-          }
-        }
-
-        // Add keyword-only hits that semantic missed
-        for (const p of keywordResults) {
-          if (!seen.has(p.id)) {
-            merged.push(p);
-          }
-        }
-
-        return merged;
-      }
-    } catch (_) {
-      // Fall through to keyword results
-    }
-  }
+  const semantic = state.aiReady && state.settings.enableAI && state.settings.semanticSearch;
+  const fusion = window.PromptSearch.fusionFromBalance(state.settings.searchBalance, state.settings.semanticFloor);
+  const { results, semanticResults } = await window.PromptSearch.searchPrompts(filter, prompts, {
+    semantic,
+    context: getSearchContext(),
+    fusion
+  });
+  state.semanticResults = semanticResults;
+  return results;
+};
 
-  state.semanticResults = null;
-  return keywordResults;
+/** Returns the "why this matched" line for a search result, with the per-ranking positions as a tooltip. */
+const createMatchReason = (match, activeFilter) => {
+  const reason = document.createElement('p');
+  reason.className = 'pn-relevance pn-match-reason';
+  const parts = window.PromptSearch.describeMatch(match, window.PromptSearch.parseQuery(activeFilter).text);
+  reason.textContent = parts.length ? `Why: ${parts.join(' · ')}` : 'Why: matched the filters';
+  reason.title = [
+    match.lexicalRank !== null ? `Keyword rank ${match.lexicalRank}` : 'No keyword match',
+    match.semanticRank !== null ? `Semantic rank ${match.semanticRank}` : ''
+  ].filter(Boolean).join(' · ');
+  return reason;
 };
 
 /** Renders one prompt card with inject and delete actions. */
 const createPromptCard = async (prompt, activeFilter, canInject) => {
   const card = document.createElement('article');
   card.className = 'pn-prompt-card';
+  if (!prompt.isTemplate) {
+    card.dataset.promptId = prompt.id;
+    card.dataset.pinned = String(Boolean(prompt.pinned));
+  }
 
   const title = document.createElement('h3');
   title.className = 'pn-card-title';
@@ -926,30 +1045,107 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
   injectButton.type = 'button';
   injectButton.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" class="pn-btn-icon" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M7 11v8a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1v-7a1 1 0 0 1 1-1h3a4 4 0 0 0 4-4V4a2 2 0 0 1 4 0v5h3.6a2 2 0 0 1 1.93 2.5l-2 7a2 2 0 0 1-1.93 1.5H8"></path></svg>Use Prompt`;
 
+  const injectMode = createInjectModeSelect(state.settings.defaultInjectMode);
+
+  // Templates are not stored prompts, so only saved prompts carry the auto-submit opt-in.
+  const autoSubmitToggle = document.createElement('label');
+  autoSubmitToggle.className = 'pn-auto-submit';
+  autoSubmitToggle.title = 'Click Send after injecting, then watch for the reply';
+  const autoSubmitInput = document.createElement('input');
+  autoSubmitInput.type = 'checkbox';
+  autoSubmitInput.checked = Boolean(prompt.autoSubmit);
+  autoSubmitInput.addEventListener('change', () => {
+    void (async () => {
+      const updated = await window.Store.updatePrompt(prompt.id, { autoSubmit: autoSubmitInput.checked });
+      if (!updated) {
+        autoSubmitInput.checked = !autoSubmitInput.checked;
+        await showToast('Failed to update prompt.');
+        return;
+      }
+      prompt.autoSubmit = updated.autoSubmit;
+    })();
+  });
+  autoSubmitToggle.append(autoSubmitInput, document.createTextNode('Send'));
+
   if (!canInject) {
     injectButton.disabled = true;
     injectButton.title = 'Open a supported LLM tab to inject.';
+    injectMode.disabled = true;
   } else {
     injectButton.addEventListener('click', () => {
       void (async () => {
-        const response = await sendToActiveTab({ action: 'injectPrompt', text: prompt.text });
+        const text = await window.PromptVariables.resolvePromptText(prompt);
+        if (text === null) return;
+        const autoSubmit = !prompt.isTemplate && Boolean(prompt.autoSubmit);
+        const response = await sendToActiveTab({
+          action: 'injectPrompt',
+          text,
+          mode: injectMode.value,
+          autoSubmit,
+          promptId: prompt.isTemplate ? '' : prompt.id
+        });
 
         if (!response?.ok) {
-        await showToast(response?.error || 'Inject failed.');
+          await showToast(response?.error || 'Inject failed.');
+          return;
+        }
+
+        if (autoSubmit && !response.submitted) {
+          await showToast(`Injected, but auto-submit failed: ${response.error || 'send button not found.'}`);
         }
       })();
     });
   }
 
+  const copyButton = document.createElement('button');
+  copyButton.className = 'pn-btn pn-btn--ghost';
+  copyButton.type = 'button';
+  copyButton.textContent = 'Copy';
+  copyButton.title = 'Copy to clipboard';
+  copyButton.addEventListener('click', () => {
+    void (async () => {
+      try {
+        await navigator.clipboard.writeText(prompt.text);
+      } catch (_error) {
+        await showToast('Failed to copy');
+        return;
+      }
+      if (!prompt.isTemplate) {
+        const { platform } = await getActiveTabContext().catch(() => ({}));
+        void window.Store.recordUsage({ promptId: prompt.id, action: 'copy', platform });
+      }
+      await showToast('Copied to clipboard');
+    })();
+  });
+
   const improveButton = document.createElement('button');
   improveButton.className = 'pn-btn pn-btn--ghost';
   improveButton.type = 'button';
   improveButton.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" class="pn-btn-icon pn-btn-icon--accent" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3v19"></path><path d="M5 10l7-7 7 7"></path></svg>Improve`;
   improveButton.title = 'Improve prompt with AI';
   improveButton.addEventListener('click', () => {
+    void window.Store.recordUsage({ promptId: prompt.id, action: 'improve' });
     void openImproveModal(prompt.id, prompt.text, prompt.tags || []);
   });
 
+  const moveButton = document.createElement('button');
+  moveButton.className = 'pn-btn pn-btn--ghost';
+  moveButton.type = 'button';
+  moveButton.textContent = 'Move';
+  moveButton.title = 'Move or copy to a collection';
+  moveButton.addEventListener('click', () => {
+    openCollectionMove(prompt);
+  });
+
+  const historyButton = document.createElement('button');
+  historyButton.className = 'pn-btn pn-btn--ghost';
+  historyButton.type = 'button';
+  historyButton.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" class="pn-btn-icon" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path><path d="M3 3v5h5"></path><path d="M12 7v5l3 3"></path></svg>History`;
+  historyButton.title = 'Version history';
+  historyButton.addEventListener('click', () => {
+    void openPromptHistory(prompt);
+  });
+
   const deleteButton = document.createElement('button');
   deleteButton.className = 'pn-btn pn-btn-danger';
   deleteButton.type = 'button';
@@ -974,7 +1170,9 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
     })();
   });
 
-  if (typeof prompt._semanticScore === 'number') {
+  if (prompt._match) {
+    card.appendChild(createMatchReason(prompt._match, activeFilter));
+  } else if (typeof prompt._semanticScore === 'number') {
     const relevance = document.createElement('p');
     relevance.className = 'pn-relevance';
     relevance.textContent = `Relevance: ${(prompt._semanticScore * 100).toFixed(0)}%`;
@@ -1011,2167 +1209,5537 @@ const createPromptCard = async (prompt, activeFilter, canInject) => {
       })();
     });
     actions.appendChild(injectButton);
+    actions.appendChild(injectMode);
+    actions.appendChild(copyButton);
     actions.appendChild(saveButton);
   } else {
     actions.appendChild(injectButton);
+    actions.appendChild(injectMode);
+    actions.appendChild(autoSubmitToggle);
+    actions.appendChild(copyButton);
     actions.appendChild(improveButton);
+    actions.appendChild(moveButton);
+    actions.appendChild(historyButton);
     actions.appendChild(deleteButton);
   }
+  if (!prompt.isTemplate) {
+    card.appendChild(createPromptFlagToggles(prompt));
+  }
   card.appendChild(title);
   card.appendChild(text);
   card.appendChild(tagsWrap);
+  if (!prompt.isTemplate) {
+    const usage = document.createElement('p');
+    usage.className = 'pn-card-meta pn-usage-meta';
+    usage.textContent = window.PromptUsage.describeUsage(state.usageSummary.get(prompt.id));
+    // Show where the prompt lives unless the list is already scoped to exactly that collection.
+    const path = prompt.collectionId && prompt.collectionId !== state.collectionScope
+      ? window.PromptCollections.formatPath(state.collections, prompt.collectionId)
+      : '';
+    if (path) {
+      usage.textContent += ` • ${path}`;
+    }
+    card.appendChild(usage);
+  }
   card.appendChild(actions);
   return card;
 };
 
-/** Renders prompts list using active search query and settings behavior. */
-const renderPrompts = async (filter = '') => {
-  const container = await byId('prompt-list');
-
-  if (!container) {
-    return;
-  }
-
-  const prompts = await window.Store.getPrompts();
-  const filtered = await filterPrompts(filter, prompts);
-  const tabContext = await getActiveTabContext();
-  let templates = window.PromptTemplates ? window.PromptTemplates.getTemplates(filter) : [];
-
-  // Filter out any templates that the user has already saved
-  const savedSignatures = new Set(prompts.map(p => `${p.title.trim()}|${p.text.trim()}`));
-  templates = templates.filter(t => !savedSignatures.has(`${t.title.trim()}|${t.text.trim()}`));
+// ─── Collections ─────────────────────────────────────────────────────────────
 
-  container.innerHTML = '';
+/** Collection ids whose sub-collections are folded in the tree. */
+const collapsedCollections = new Set();
 
-  if (!prompts.length && !templates.length) {
-    container.appendChild(createEmptyState({
-      title: 'No Prompts Available',
-      message: 'Start your library by creating a prompt or saving a curated template.',
-      actionLabel: 'Add Prompt',
-      onAction: () => { void openModal(); }
-    }));
-    return;
-  }
+/** Prompt being moved or copied in the move modal, and the collection being edited (null when creating). */
+let movingPrompt = null;
+let editingCollection = null;
 
-  if (!filtered.length && !templates.length) {
-    container.appendChild(createEmptyState({
-      title: 'No results found',
-      message: 'Try a broader query or remove active filters.',
-      actionLabel: 'Clear Filters',
-      onAction: () => {
-        const searchInput = document.getElementById('prompt-search');
-        if (searchInput) {
-          searchInput.value = '';
-        }
-        void renderPrompts('');
-      }
-    }));
-    return;
+/** Reloads collections and falls back to all prompts when the scoped collection was removed. */
+const loadCollections = async () => {
+  state.collections = await window.Store.getCollections();
+  const { SCOPE_ALL, SCOPE_UNFILED } = window.PromptCollections;
+  const scope = state.collectionScope;
+  if (scope !== SCOPE_ALL && scope !== SCOPE_UNFILED && !state.collections.some((collection) => collection.id === scope)) {
+    state.collectionScope = SCOPE_ALL;
   }
+};
 
-  for (const prompt of filtered) {
-    container.appendChild(await createPromptCard(prompt, String(filter || '').trim(), tabContext.supported));
-  }
+/** Returns the id of the scoped collection, or null when the view is all or unfiled prompts. */
+const getScopedCollectionId = () => {
+  const { SCOPE_ALL, SCOPE_UNFILED } = window.PromptCollections;
+  return [SCOPE_ALL, SCOPE_UNFILED].includes(state.collectionScope) ? null : state.collectionScope;
+};
 
-  if (templates.length > 0) {
-    const divider = document.createElement('div');
-    divider.className = 'pn-template-divider';
-    
-    const header = document.createElement('button');
-    header.className = 'pn-template-header';
-    header.innerHTML = `
-      <span>Curated Templates (${templates.length})</span>
-      <svg class="pn-template-chevron" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polyline points="6 9 12 15 18 9"></polyline>
-      </svg>
-    `;
-    
-    const tempsContainer = document.createElement('div');
-    tempsContainer.className = 'pn-template-grid';
-    const isFiltered = filter.trim().length > 0;
-    if (!isFiltered) {
-      tempsContainer.dataset.collapsed = "true";
-      header.classList.add('collapsed');
-    }
+/** Fills a select with "No collection" plus every collection by path, skipping excluded ids. */
+const fillCollectionSelect = (select, { selected = null, excludeIds = new Set(), emptyLabel = 'No collection' } = {}) => {
+  if (!select) return;
+  select.replaceChildren();
 
-    header.addEventListener('click', () => {
-      const isCollapsed = tempsContainer.dataset.collapsed === "true";
-      tempsContainer.dataset.collapsed = isCollapsed ? "false" : "true";
-      header.classList.toggle('collapsed', !isCollapsed);
-    });
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = emptyLabel;
+  select.appendChild(none);
 
-    divider.appendChild(header);
-    divider.appendChild(tempsContainer);
-    
-    for (const tpl of templates) {
-      tempsContainer.appendChild(await createPromptCard(tpl, String(filter || '').trim(), tabContext.supported));
-    }
-    
-    container.appendChild(divider);
+  for (const option of window.PromptCollections.listOptions(state.collections)) {
+    if (excludeIds.has(option.id)) continue;
+    const item = document.createElement('option');
+    item.value = option.id;
+    item.textContent = option.label;
+    select.appendChild(item);
   }
+  select.value = selected && !excludeIds.has(selected) ? selected : '';
 };
 
-/** Renders one history card with export and delete actions. */
-const createHistoryCard = async (entry) => {
-  const card = document.createElement('article');
-  card.className = 'pn-history-card';
-
-  const title = document.createElement('h3');
-  title.className = 'pn-card-title';
-  title.textContent = entry.title || 'Untitled chat';
-
-  const meta = document.createElement('p');
-  meta.className = 'pn-card-meta';
-  meta.textContent = `${getPlatformLabel(entry.platform)} • ${new Date(entry.createdAt).toLocaleString()}`;
-
-  const tagsWrap = document.createElement('div');
-  tagsWrap.className = 'pn-tag-wrap';
+/** Switches the prompt list to a scope and re-renders it; search then runs inside that scope. */
+const setCollectionScope = async (scope) => {
+  state.collectionScope = scope;
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
+};
 
-  for (const tag of entry.tags || []) {
-    tagsWrap.appendChild(createTagPill(tag));
+/** Builds one selectable tree row; collection rows also get fold and management controls. */
+const createCollectionRow = ({ label, scope, count, node = null }) => {
+  const row = document.createElement('div');
+  row.className = 'pn-collection-row';
+  row.classList.toggle('is-active', state.collectionScope === scope);
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'pn-collection-row__toggle';
+  if (node?.children.length) {
+    const collapsed = collapsedCollections.has(scope);
+    toggle.textContent = collapsed ? '▸' : '▾';
+    toggle.title = collapsed ? 'Expand' : 'Collapse';
+    toggle.addEventListener('click', () => {
+      if (collapsed) {
+        collapsedCollections.delete(scope);
+      } else {
+        collapsedCollections.add(scope);
+      }
+      void renderPrompts(String(byId('prompt-search')?.value || ''));
+    });
+  } else {
+    toggle.disabled = true;
+    toggle.setAttribute('aria-hidden', 'true');
   }
 
-  const actions = document.createElement('div');
-  actions.className = 'pn-card-actions';
-
-  const exportMd = document.createElement('button');
-  exportMd.className = 'pn-btn pn-btn--ghost';
-  exportMd.type = 'button';
-  exportMd.textContent = 'Export MD';
+  const name = document.createElement('button');
+  name.type = 'button';
+  name.className = 'pn-collection-row__name';
+  name.textContent = label;
+  name.title = node ? window.PromptCollections.formatPath(state.collections, scope) : label;
+  name.addEventListener('click', () => {
+    void setCollectionScope(scope);
+  });
 
-  exportMd.addEventListener('click', () => {
-    void (async () => {
-      const result = await window.Exporter.exportChat(entry, 'md');
+  const total = document.createElement('span');
+  total.className = 'pn-collection-row__count';
+  total.textContent = String(count);
+
+  row.append(toggle, name, total);
+
+  if (node) {
+    const actions = document.createElement('span');
+    actions.className = 'pn-collection-row__actions';
+    const addAction = (text, title, handler) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pn-collection-row__action';
+      button.textContent = text;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    };
+    addAction('+', 'New sub-collection', () => { openCollectionEditor({ parentId: node.collection.id }); });
+    addAction('✎', 'Rename or move', () => { openCollectionEditor({ collection: node.collection }); });
+    addAction('⤓', 'Export as file', () => { void exportCollection(node.collection); });
+    addAction('×', 'Delete collection', () => { void removeCollection(node.collection); });
+    row.appendChild(actions);
+  }
 
-      if (!result?.ok) {
-        await showToast(result?.error || 'Markdown export failed.');
-      }
-    })();
-  });
+  return row;
+};
 
-  const exportPdf = document.createElement('button');
-  exportPdf.className = 'pn-btn pn-btn--ghost';
-  exportPdf.type = 'button';
-  exportPdf.textContent = 'Export PDF';
+/** Builds a collection tree item with its (unfolded) children. */
+const createCollectionNode = (node) => {
+  const item = document.createElement('li');
+  item.setAttribute('role', 'treeitem');
+  item.appendChild(createCollectionRow({ label: node.collection.name, scope: node.collection.id, count: node.count, node }));
 
-  exportPdf.addEventListener('click', () => {
-    void (async () => {
-      const result = await window.Exporter.exportChat(entry, 'pdf');
+  if (node.children.length && !collapsedCollections.has(node.collection.id)) {
+    item.setAttribute('aria-expanded', 'true');
+    const group = document.createElement('ul');
+    group.setAttribute('role', 'group');
+    node.children.forEach((child) => group.appendChild(createCollectionNode(child)));
+    item.appendChild(group);
+  }
+  return item;
+};
 
-      if (!result?.ok) {
-        await showToast(result?.error || 'PDF export failed.');
-      }
-    })();
+/** Renders the collection tree with prompt counts and the current scope label. */
+const renderCollectionTree = (prompts) => {
+  const tree = byId('collection-tree');
+  const scopeLabel = byId('collection-scope-label');
+  const { SCOPE_ALL, SCOPE_UNFILED } = window.PromptCollections;
+  if (!tree) return;
+
+  if (scopeLabel) {
+    const scopedId = getScopedCollectionId();
+    scopeLabel.textContent = scopedId
+      ? window.PromptCollections.formatPath(state.collections, scopedId)
+      : (state.collectionScope === SCOPE_UNFILED ? 'Unfiled' : 'All prompts');
+  }
+
+  const unfiled = window.PromptCollections.filterByScope(prompts, state.collections, SCOPE_UNFILED).length;
+  const fixedRows = [
+    { label: 'All prompts', scope: SCOPE_ALL, count: prompts.length },
+    { label: 'Unfiled', scope: SCOPE_UNFILED, count: unfiled }
+  ].map((row) => {
+    const item = document.createElement('li');
+    item.setAttribute('role', 'treeitem');
+    item.appendChild(createCollectionRow(row));
+    return item;
   });
 
-  const deleteButton = document.createElement('button');
-  deleteButton.className = 'pn-btn pn-btn-danger';
-  deleteButton.type = 'button';
-  deleteButton.textContent = 'Delete';
-
-  deleteButton.addEventListener('click', () => {
-    void (async () => {
-      const deleted = await window.Store.deleteChatFromHistory(entry.id);
+  tree.replaceChildren(
+    ...fixedRows,
+    ...window.PromptCollections.buildTree(state.collections, prompts).map(createCollectionNode)
+  );
+};
 
-      if (!deleted) {
-        await showToast('Failed to delete history item.');
-        return;
-      }
+/** Shows or clears validation errors in the collection editor. */
+const setCollectionErrors = (message = '') => {
+  const errors = byId('pn-collection-errors');
+  if (!errors) return;
+  errors.textContent = message;
+  errors.classList.toggle('pn-hidden', !message);
+};
 
-      await renderHistory();
-    })();
+/** Opens the collection editor to create a collection under parentId, or to rename/move an existing one. */
+const openCollectionEditor = ({ collection = null, parentId = null } = {}) => {
+  editingCollection = collection;
+  const title = byId('pn-collection-modal-title');
+  const name = byId('pn-collection-name');
+  if (title) title.textContent = collection ? 'Edit Collection' : 'New Collection';
+  if (name) name.value = collection?.name || '';
+
+  // A collection cannot be moved into itself or anything beneath it.
+  const excludeIds = collection ? window.PromptCollections.getDescendantIds(state.collections, collection.id) : new Set();
+  fillCollectionSelect(byId('pn-collection-parent'), {
+    selected: collection ? collection.parentId : parentId,
+    excludeIds,
+    emptyLabel: 'Top level'
   });
 
-  actions.appendChild(exportMd);
-  actions.appendChild(exportPdf);
-  actions.appendChild(deleteButton);
-
-  card.appendChild(title);
-  card.appendChild(meta);
-  card.appendChild(tagsWrap);
-  card.appendChild(actions);
-  return card;
+  setCollectionErrors();
+  byId('pn-collection-modal')?.classList.remove('pn-hidden');
+  name?.focus();
 };
 
-/** Renders chat history from newest to oldest. */
-const renderHistory = async () => {
-  const container = await byId('history-list');
+/** Closes the collection editor. */
+const closeCollectionEditor = () => {
+  byId('pn-collection-modal')?.classList.add('pn-hidden');
+  editingCollection = null;
+};
 
-  if (!container) {
+/** Validates and saves the collection editor. */
+const saveCollectionEditor = async () => {
+  const draft = {
+    id: editingCollection?.id || '',
+    name: window.PromptCollections.normalizeName(byId('pn-collection-name')?.value),
+    parentId: String(byId('pn-collection-parent')?.value || '') || null
+  };
+  const error = window.PromptCollections.validateCollection(state.collections, draft);
+  if (error) {
+    setCollectionErrors(error);
     return;
   }
 
-  const history = await window.Store.getChatHistory();
-  const reversed = [...history].reverse();
-  container.innerHTML = '';
-
-  if (!reversed.length) {
-    container.appendChild(createEmptyState('No chat history yet. Export a chat to populate this section.'));
+  const saved = await window.Store.saveCollection({ ...(editingCollection || {}), ...draft });
+  if (!saved) {
+    setCollectionErrors('Failed to save collection.');
     return;
   }
 
-  for (const entry of reversed) {
-    container.appendChild(await createHistoryCard(entry));
+  closeCollectionEditor();
+  if (draft.parentId) {
+    collapsedCollections.delete(draft.parentId);
   }
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
 };
 
-/** Saves prompts array directly to storage for batch tag rename/delete operations. */
-const savePromptCollection = async (prompts) => {
-  const nextPrompts = Array.isArray(prompts) ? prompts : [];
-  await chrome.storage.local.set({ prompts: nextPrompts });
+/** Deletes a collection and its sub-collections after confirmation; their prompts become unfiled. */
+const removeCollection = async (collection) => {
+  const nested = window.PromptCollections.getDescendantIds(state.collections, collection.id).size - 1;
+  const scope = nested ? ` and its ${nested} sub-collection${nested === 1 ? '' : 's'}` : '';
+  if (!window.confirm(`Delete "${collection.name}"${scope}? Its prompts are kept as unfiled.`)) return;
+
+  if (!await window.Store.deleteCollection(collection.id)) {
+    await showToast('Failed to delete collection.');
+    return;
+  }
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
 };
 
-/** Builds a frequency map of tags currently used by saved prompts. */
-const collectTags = async (prompts) => {
-  const map = new Map();
+/** Downloads one collection, its sub-collections, and their prompts as a share file. */
+const exportCollection = async (collection) => {
+  try {
+    const prompts = await window.Store.getPrompts();
+    const file = window.PromptCollections.buildCollectionFile(collection.id, state.collections, prompts);
+    const { filename, content } = window.PromptCollections.serializeCollectionFile(file);
+    await downloadSidepanelText(content, filename, 'application/json;charset=utf-8');
+    await showToast(`Exported "${collection.name}" with ${file.prompts.length} prompt${file.prompts.length === 1 ? '' : 's'}.`);
+  } catch (error) {
+    console.error('[Promptium] Collection export failed:', error);
+    await showToast('Could not export collection.');
+  }
+};
 
-  for (const prompt of prompts) {
-    for (const tag of prompt.tags || []) {
-      const normalized = String(tag || '').trim();
+/** Imports a shared collection file into the scoped collection (or the top level). */
+const importCollectionFile = async (file) => {
+  if (!file) return;
+  const parsed = window.PromptCollections.parseCollectionFile(await file.text());
+  if (!parsed.ok) {
+    await showToast(`Not a Promptium collection file: ${parsed.errors[0] || 'unknown format.'}`);
+    return;
+  }
 
-      if (!normalized) {
-        continue;
-      }
+  const plan = window.PromptCollections.planCollectionImport(parsed.file, {
+    parentId: getScopedCollectionId(),
+    collections: state.collections,
+    prompts: await window.Store.getPrompts()
+  });
 
-      map.set(normalized, (map.get(normalized) || 0) + 1);
+  for (const collection of plan.collections) {
+    if (!await window.Store.saveCollection(collection)) {
+      await showToast('Failed to create collections from the file.');
+      return;
     }
   }
 
-  return Array.from(map.entries())
-    .map(([tag, count]) => ({ tag, count }))
-    .sort((left, right) => right.count - left.count || left.tag.localeCompare(right.tag));
-};
+  let added = 0;
+  for (const prompt of plan.prompts) {
+    const saved = await window.Store.savePrompt({ ...prompt, source: 'imported' });
+    if (!saved) continue;
+    added += 1;
+    if (state.aiReady) {
+      void window.AIBridge.cacheAdd(saved);
+    }
+  }
 
-/** Renames one existing tag across all saved prompts. */
-const renameTag = async (oldTag, nextTag) => {
-  const prompts = await window.Store.getPrompts();
-  const oldValue = String(oldTag || '').trim();
-  const nextValue = String(nextTag || '').trim();
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
+  await renderTags();
+  await showToast(`Imported ${added} prompt${added === 1 ? '' : 's'}${plan.skipped ? `, ${plan.skipped} already present` : ''}.`);
+};
 
-  if (!oldValue || !nextValue) {
-    return false;
-  }
+/** Opens the move/copy modal for one saved prompt. */
+const openCollectionMove = (prompt) => {
+  movingPrompt = prompt;
+  const label = byId('pn-collection-move-prompt');
+  if (label) label.textContent = prompt.title;
+  fillCollectionSelect(byId('pn-collection-move-target'), { selected: prompt.collectionId || null });
+  byId('pn-collection-move-modal')?.classList.remove('pn-hidden');
+};
 
-  const nextPrompts = prompts.map((prompt) => {
-    const updatedTags = (prompt.tags || []).map((tag) => {
-      if (String(tag || '').trim() !== oldValue) {
-        return String(tag || '').trim();
-      }
+/** Closes the move/copy modal. */
+const closeCollectionMove = () => {
+  byId('pn-collection-move-modal')?.classList.add('pn-hidden');
+  movingPrompt = null;
+};
 
-      return nextValue;
+/** Moves the prompt to the chosen collection, or saves a copy there. */
+const applyCollectionMove = async (copy) => {
+  if (!movingPrompt) return;
+  const collectionId = String(byId('pn-collection-move-target')?.value || '') || null;
+  const prompt = movingPrompt;
+
+  if (copy) {
+    const saved = await window.Store.savePrompt({
+      title: prompt.title,
+      text: prompt.text,
+      tags: prompt.tags,
+      category: prompt.category,
+      autoSubmit: prompt.autoSubmit,
+      collectionId
     });
+    if (!saved) {
+      await showToast('Failed to copy prompt.');
+      return;
+    }
+    if (state.aiReady) {
+      void window.AIBridge.cacheAdd(saved);
+    }
+  } else if (!await window.Store.updatePrompt(prompt.id, { collectionId })) {
+    await showToast('Failed to move prompt.');
+    return;
+  }
 
-    return {
-      ...prompt,
-      tags: Array.from(new Set(updatedTags.filter(Boolean)))
-    };
-  });
+  closeCollectionMove();
+  const where = collectionId ? window.PromptCollections.formatPath(state.collections, collectionId) : 'Unfiled';
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
+  await showToast(`${copy ? 'Copied' : 'Moved'} to ${where}.`);
+};
 
-  await savePromptCollection(nextPrompts);
-  return true;
+/** Binds collection tree, editor, import, and move/copy controls. */
+const bindCollectionEvents = () => {
+  byId('collection-add-btn')?.addEventListener('click', () => {
+    openCollectionEditor({ parentId: getScopedCollectionId() });
+  });
+  byId('collection-import-btn')?.addEventListener('click', () => {
+    byId('collection-import-file')?.click();
+  });
+  byId('collection-import-file')?.addEventListener('change', (event) => {
+    void (async () => {
+      await importCollectionFile(event.target.files?.[0]);
+      event.target.value = '';
+    })();
+  });
+  byId('pn-collection-cancel')?.addEventListener('click', closeCollectionEditor);
+  document.querySelector('#pn-collection-modal [data-close-collection]')?.addEventListener('click', closeCollectionEditor);
+  byId('pn-collection-save')?.addEventListener('click', () => {
+    void saveCollectionEditor();
+  });
+  byId('pn-collection-name')?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      void saveCollectionEditor();
+    }
+  });
+  byId('pn-collection-move-cancel')?.addEventListener('click', closeCollectionMove);
+  document.querySelector('#pn-collection-move-modal [data-close-collection-move]')?.addEventListener('click', closeCollectionMove);
+  byId('pn-collection-move-apply')?.addEventListener('click', () => {
+    void applyCollectionMove(false);
+  });
+  byId('pn-collection-move-copy')?.addEventListener('click', () => {
+    void applyCollectionMove(true);
+  });
 };
 
-/** Removes one tag from all saved prompts. */
-const deleteTag = async (tagToDelete) => {
-  const prompts = await window.Store.getPrompts();
-  const normalized = String(tagToDelete || '').trim();
+// ─── End Collections ─────────────────────────────────────────────────────────
 
-  if (!normalized) {
-    return false;
-  }
+// ─── Search Query ────────────────────────────────────────────────────────────
 
-  const nextPrompts = prompts.map((prompt) => ({
-    ...prompt,
-    tags: (prompt.tags || []).map((tag) => String(tag || '').trim()).filter((tag) => tag && tag !== normalized)
-  }));
+const SEARCH_SUGGEST_LIMIT = 8;
 
-  await savePromptCollection(nextPrompts);
-  return true;
-};
+/** Tag autocomplete state: the suggested tags, the highlighted row, and the tag: term being completed. */
+const searchSuggest = { items: [], index: 0, term: null };
 
-/** Renders tag management rows with rename, delete, and filter actions. */
-const renderTags = async () => {
-  const container = document.getElementById('tag-list');
-  const filterBar = document.getElementById('pn-tag-filter-bar');
-  const emptyState = document.getElementById('pn-tags-empty');
+/** Returns what query filters need beyond the prompt: usage counts and platforms, and collection paths. */
+const getSearchContext = () => ({
+  usage: state.usageSummary,
+  collectionPaths: new Map(window.PromptCollections.listOptions(state.collections).map((option) => [option.id, option.label]))
+});
 
-  if (!container) {
-    return;
+/** Mirrors the search text into the layer behind the input, wrapping query tokens in classed spans. */
+const renderSearchHighlight = () => {
+  const input = byId('prompt-search');
+  const layer = byId('prompt-search-highlight');
+  if (!input || !layer) return;
+
+  const value = input.value;
+  const append = (parent, className, text) => {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    parent.appendChild(span);
+    return span;
+  };
+
+  layer.textContent = '';
+  for (const token of window.PromptSearch.tokenizeQuery(value)) {
+    if (token.kind === 'space') {
+      layer.appendChild(document.createTextNode(value.slice(token.start, token.end)));
+    } else if (token.kind !== 'term') {
+      append(layer, 'pn-q-op', value.slice(token.start, token.end));
+    } else if (!token.field && !token.negated && !token.quoted) {
+      append(layer, token.error ? 'pn-q-error' : 'pn-q-word', value.slice(token.start, token.end));
+    } else {
+      const term = append(layer, token.error ? 'pn-q-term pn-q-error' : 'pn-q-term', '');
+      const fieldStart = token.negated ? token.start + 1 : token.start;
+      if (token.negated) append(term, 'pn-q-neg', '-');
+      if (token.field) append(term, 'pn-q-field', value.slice(fieldStart, token.valueStart));
+      append(term, token.quoted ? 'pn-q-phrase' : 'pn-q-value', value.slice(token.valueStart, token.end));
+    }
   }
+  layer.scrollLeft = input.scrollLeft;
 
-  const prompts = await window.Store.getPrompts();
-  const tags = await collectTags(prompts);
+  const { errors } = window.PromptSearch.parseQuery(value);
+  input.classList.toggle('pn-search--invalid', errors.length > 0);
+  input.title = errors.join(' ');
+};
 
-  // Clear existing rows (keep empty state node)
-  container.querySelectorAll('.pn-tag-row').forEach((r) => r.remove());
+/** Returns the tag: term under the caret, or null. */
+const getTagTermAtCaret = (input) => {
+  const caret = input.selectionStart ?? input.value.length;
+  return window.PromptSearch.tokenizeQuery(input.value).find((token) => (
+    token.kind === 'term' && token.field === 'tag' && token.valueStart <= caret && caret <= token.end
+  )) || null;
+};
 
-  // Clear filter bar
-  if (filterBar) {
-    filterBar.innerHTML = '';
-  }
+/** Hides the tag suggestion list. */
+const closeSearchSuggest = () => {
+  searchSuggest.items = [];
+  searchSuggest.term = null;
+  byId('prompt-search-suggest')?.classList.add('pn-hidden');
+};
 
-  if (!tags.length) {
-    if (emptyState) emptyState.classList.remove('pn-hidden');
+/** Renders the suggestion rows and marks the highlighted one. */
+const renderSearchSuggest = () => {
+  const list = byId('prompt-search-suggest');
+  if (!list) return;
+  list.innerHTML = '';
+  searchSuggest.items.forEach((tag, index) => {
+    const item = document.createElement('li');
+    item.className = `pn-search-suggest__item${index === searchSuggest.index ? ' is-active' : ''}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(index === searchSuggest.index));
+    item.textContent = tag;
+    // mousedown keeps focus in the input so the caret position survives.
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      acceptSearchSuggest(tag);
+    });
+    list.appendChild(item);
+  });
+  list.classList.toggle('pn-hidden', searchSuggest.items.length === 0);
+};
+
+/** Suggests library tags while the caret is inside a tag: term; prefix matches come first. */
+const updateSearchSuggest = () => {
+  const input = byId('prompt-search');
+  const term = input && document.activeElement === input ? getTagTermAtCaret(input) : null;
+  if (!term) {
+    closeSearchSuggest();
     return;
   }
 
-  if (emptyState) emptyState.classList.add('pn-hidden');
+  const caret = input.selectionStart ?? input.value.length;
+  const partial = input.value.slice(term.valueStart, caret).replace(/^"/, '').toLowerCase();
+  const typed = term.value.toLowerCase();
+  const candidates = state.knownTags.filter((tag) => tag.toLowerCase() !== typed);
+  const items = [
+    ...candidates.filter((tag) => tag.toLowerCase().startsWith(partial)),
+    ...candidates.filter((tag) => partial && !tag.toLowerCase().startsWith(partial) && tag.toLowerCase().includes(partial))
+  ].slice(0, SEARCH_SUGGEST_LIMIT);
+
+  const previous = searchSuggest.items[searchSuggest.index];
+  searchSuggest.term = term;
+  searchSuggest.items = items;
+  searchSuggest.index = Math.max(0, items.indexOf(previous));
+  renderSearchSuggest();
+};
 
-  // Render filter chips
-  if (filterBar) {
-    for (const item of tags) {
-      const chip = document.createElement('button');
-      chip.className = 'pn-tag-filter-chip';
-      chip.type = 'button';
-      chip.dataset.tag = item.tag;
-      chip.innerHTML = `${item.tag} <span class="pn-tag-count">${item.count}</span>`;
-      chip.addEventListener('click', () => {
-        const isActive = chip.classList.contains('active');
-        filterBar.querySelectorAll('.pn-tag-filter-chip').forEach((c) =>
-          c.classList.remove('active')
-        );
-        if (!isActive) {
-          chip.classList.add('active');
-          void (async () => {
-            const search = document.getElementById('prompt-search');
-            if (search) search.value = item.tag;
-            await switchTab('prompts');
-            await renderPrompts(item.tag);
-          })();
-        } else {
-          void (async () => {
-            const search = document.getElementById('prompt-search');
-            if (search) search.value = '';
-            await switchTab('prompts');
-            await renderPrompts('');
-          })();
-        }
-      });
-      filterBar.appendChild(chip);
+/** Replaces the tag: value under the caret with a suggestion and re-runs the search. */
+const acceptSearchSuggest = (tag) => {
+  const input = byId('prompt-search');
+  const term = searchSuggest.term;
+  if (!input || !term) return;
+
+  const replacement = /[\s()]/.test(tag) ? `"${tag.replace(/"/g, '')}"` : tag;
+  const after = input.value.slice(term.end);
+  const spacer = /^\s/.test(after) ? '' : ' ';
+  input.value = `${input.value.slice(0, term.valueStart)}${replacement}${spacer}${after}`;
+  const caret = term.valueStart + replacement.length + 1;
+  input.setSelectionRange(caret, caret);
+  closeSearchSuggest();
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+/** Binds highlighting, scroll sync, and tag autocomplete on the library search box. */
+const bindSearchQueryEvents = () => {
+  const input = byId('prompt-search');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    renderSearchHighlight();
+    updateSearchSuggest();
+  });
+  input.addEventListener('scroll', () => {
+    const layer = byId('prompt-search-highlight');
+    if (layer) layer.scrollLeft = input.scrollLeft;
+  });
+  input.addEventListener('click', updateSearchSuggest);
+  input.addEventListener('keyup', (event) => {
+    const layer = byId('prompt-search-highlight');
+    if (layer) layer.scrollLeft = input.scrollLeft;
+    if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) updateSearchSuggest();
+  });
+  input.addEventListener('blur', closeSearchSuggest);
+  input.addEventListener('keydown', (event) => {
+    if (!searchSuggest.items.length) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      searchSuggest.index = (searchSuggest.index + step + searchSuggest.items.length) % searchSuggest.items.length;
+      renderSearchSuggest();
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      acceptSearchSuggest(searchSuggest.items[searchSuggest.index]);
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      closeSearchSuggest();
     }
-  }
+  });
+};
 
-  // Render tag management rows
-  for (const item of tags) {
-    const row = document.createElement('div');
-    row.className = 'pn-tag-row';
+// ─── End Search Query ────────────────────────────────────────────────────────
 
-    const left = document.createElement('div');
-    left.className = 'pn-tag-row-left';
+// ─── Manual Prompt Order ─────────────────────────────────────────────────────
 
-    const dot = document.createElement('span');
-    dot.className = 'pn-tag-dot';
+/** Drag state for the prompt library: the card being moved and the id order before the drag. */
+const promptDrag = {
+  card: null,
+  startIds: []
+};
 
-    const name = document.createElement('span');
-    name.className = 'pn-tag-name';
-    name.textContent = item.tag;
+/** Returns saved prompt ids in the order their cards are shown; template cards are skipped. */
+const readPromptCardOrder = (container) => Array.from(container.querySelectorAll(':scope > .pn-prompt-card[data-prompt-id]'))
+  .map((node) => node.dataset.promptId);
 
-    const count = document.createElement('span');
-    count.className = 'pn-tag-count-badge';
-    count.textContent = `${item.count} prompt${item.count === 1 ? '' : 's'}`;
+/**
+ * Adds a drag handle that moves the card within its pinned or unpinned group.
+ * The card is only draggable while the handle is held, so text in the card stays selectable.
+ */
+const makePromptCardDraggable = (card) => {
+  const handle = document.createElement('span');
+  handle.className = 'pn-drag-handle';
+  handle.title = 'Drag to reorder';
+  handle.textContent = '⋮⋮';
+  card.querySelector('.pn-card-flags')?.prepend(handle);
+
+  handle.addEventListener('pointerdown', () => {
+    card.draggable = true;
+  });
+  handle.addEventListener('pointerup', () => {
+    card.draggable = false;
+  });
 
-    left.appendChild(dot);
-    left.appendChild(name);
-    left.appendChild(count);
+  card.addEventListener('dragstart', (event) => {
+    promptDrag.card = card;
+    promptDrag.startIds = readPromptCardOrder(card.parentNode);
+    card.classList.add('is-dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', card.dataset.promptId);
+  });
 
-    const actions = document.createElement('div');
-    actions.className = 'pn-tag-row-actions';
+  card.addEventListener('dragover', (event) => {
+    const dragged = promptDrag.card;
+    if (!dragged || dragged === card || dragged.dataset.pinned !== card.dataset.pinned) return;
+    event.preventDefault();
+    const rect = card.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    card.parentNode.insertBefore(dragged, after ? card.nextSibling : card);
+  });
 
-    const renameBtn = document.createElement('button');
-    renameBtn.className = 'pn-tag-action-btn rename';
-    renameBtn.type = 'button';
-    renameBtn.title = 'Rename';
-    renameBtn.textContent = '\u270e';
-    renameBtn.addEventListener('click', () => {
-      void (async () => {
-        const nextValue = window.prompt(`Rename tag "${item.tag}" to:`, item.tag);
-        if (nextValue === null) return;
-        const normalized = String(nextValue || '').trim();
-        if (!normalized) {
-          await showToast('Tag name cannot be empty.');
-          return;
-        }
-        await renameTag(item.tag, normalized);
-        await renderTags();
-        await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
-        await showToast('Tag renamed.');
-      })();
-    });
+  card.addEventListener('drop', (event) => {
+    event.preventDefault();
+  });
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'pn-tag-action-btn delete';
-    deleteBtn.type = 'button';
-    deleteBtn.title = 'Remove from all prompts';
-    deleteBtn.textContent = '\u2715';
-    deleteBtn.addEventListener('click', () => {
-      void (async () => {
-        const confirmed = window.confirm(`Delete tag "${item.tag}" from all prompts?`);
-        if (!confirmed) return;
-        await deleteTag(item.tag);
-        await renderTags();
-        await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
-        await showToast('Tag deleted from prompts.');
-      })();
-    });
+  card.addEventListener('dragend', () => {
+    card.draggable = false;
+    card.classList.remove('is-dragging');
+    const ids = readPromptCardOrder(card.parentNode);
+    const moved = ids.join('|') !== promptDrag.startIds.join('|');
+    promptDrag.card = null;
+    promptDrag.startIds = [];
+    if (!moved) return;
 
-    actions.appendChild(renameBtn);
-    actions.appendChild(deleteBtn);
+    void (async () => {
+      if (!await window.Store.reorderPrompts(ids)) {
+        await showToast('Failed to save prompt order.');
+      }
+    })();
+  });
+};
 
-    row.appendChild(left);
-    row.appendChild(actions);
-    container.appendChild(row);
+/** Shows the prompt library with the favorites-only filter on, as requested from the in-page Favorites action. */
+const openFavoritesView = async () => {
+  const favoritesToggle = byId('prompt-favorites-only');
+  if (favoritesToggle) {
+    favoritesToggle.checked = true;
   }
+  await switchTab('prompts');
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
 };
 
-/** Opens add prompt modal and clears previous values. */
-const openModal = async () => {
-  const modal = await byId('add-modal');
-  const title = await byId('prompt-title');
-  const text = await byId('prompt-text');
-  const tags = await byId('prompt-tags');
-  const confirmDuplicate = await byId('confirm-duplicate');
-
-  state.pendingDuplicatePayload = null;
+// ─── End Manual Prompt Order ─────────────────────────────────────────────────
 
-  if (title) title.value = '';
-  if (text) text.value = '';
-  if (tags) tags.value = '';
+/** Renders prompts list using active search query and settings behavior. */
+const renderPrompts = async (filter = '') => {
+  const container = await byId('prompt-list');
 
-  // Clear badge tags
-  const badgeWrap = document.getElementById('tag-badges-wrap');
-  if (badgeWrap) {
-    badgeWrap.querySelectorAll('.pn-tag-badge').forEach(b => b.remove());
+  if (!container) {
+    return;
   }
-  const tagInput = document.getElementById('prompt-tags-input');
-  if (tagInput) tagInput.value = '';
 
-  // Clear AI suggestion containers
-  const suggestionsEl = document.getElementById('pn-tag-suggestions');
-  if (suggestionsEl) suggestionsEl.innerHTML = '';
-  const dupWarnEl = document.getElementById('pn-duplicate-warning');
-  if (dupWarnEl) { dupWarnEl.innerHTML = ''; dupWarnEl.classList.add('pn-hidden'); }
+  const prompts = await window.Store.getPrompts();
+  state.knownTags = Array.from(new Set(prompts.flatMap((prompt) => prompt.tags || []))).sort((a, b) => a.localeCompare(b));
+  renderSearchHighlight();
+  await loadCollections();
+  renderCollectionTree(prompts);
+  const favoritesOnly = Boolean(byId('prompt-favorites-only')?.checked);
+  const sortKey = String(byId('prompt-sort')?.value || 'default');
+  const isScoped = state.collectionScope !== window.PromptCollections.SCOPE_ALL;
+  const scoped = window.PromptCollections.filterByScope(prompts, state.collections, state.collectionScope);
+  const library = favoritesOnly ? scoped.filter((prompt) => prompt.favorite) : scoped;
+  state.usageSummary = window.PromptUsage.summarizeByPrompt(await window.Store.getUsageEvents());
+  // The scope toggle only applies while searching; an empty query always lists the library.
+  const historyOnly = Boolean(String(filter || '').trim()) && getSearchScope() === 'history';
+  const historyMatches = await findHistoryMatches(filter);
+  // A usage sort overrides search relevance; the default keeps the search order.
+  const filtered = historyOnly
+    ? []
+    : window.PromptUsage.sortPrompts(await filterPrompts(filter, library), state.usageSummary, sortKey);
+  // Manual order is only editable while the whole library is shown in library order.
+  const canReorder = !String(filter || '').trim() && sortKey === 'default' && !favoritesOnly && !isScoped;
+  const tabContext = await getActiveTabContext();
+  const query = window.PromptSearch.parseQuery(filter);
+  let templates = window.PromptTemplates && !favoritesOnly && !isScoped && !historyOnly
+    ? window.PromptTemplates.getTemplates(query.text).filter((template) => window.PromptSearch.matchesQuery(query.filter, template))
+    : [];
 
-  confirmDuplicate?.classList.add('hidden');
-  modal?.classList.remove('pn-hidden');
-  title?.focus();
-};
+  // Filter out any templates that the user has already saved
+  const savedSignatures = new Set(prompts.map(p => `${p.title.trim()}|${p.text.trim()}`));
+  templates = templates.filter(t => !savedSignatures.has(`${t.title.trim()}|${t.text.trim()}`));
 
-/** Closes add prompt modal and clears duplicate state. */
-const closeModal = async () => {
-  const modal = await byId('add-modal');
-  const confirmDuplicate = await byId('confirm-duplicate');
+  container.innerHTML = '';
 
-  state.pendingDuplicatePayload = null;
-  confirmDuplicate?.classList.add('hidden');
-  modal?.classList.add('pn-hidden');
-};
+  if (!prompts.length && !templates.length && !historyMatches.length) {
+    container.appendChild(createEmptyState({
+      title: 'No Prompts Available',
+      message: 'Start your library by creating a prompt or saving a curated template.',
+      actionLabel: 'Add Prompt',
+      onAction: () => { void openModal(); }
+    }));
+    return;
+  }
 
-/** Auto-fills tags from AI suggestions when enabled and tag field is empty. */
-const prefillSuggestedTags = async () => {
-  if (!state.settings.enableAI || !state.settings.autoSuggestTags || !state.aiReady) {
+  if (!historyOnly && isScoped && !scoped.length) {
+    container.appendChild(createEmptyState({
+      title: 'This collection is empty',
+      message: 'Add a prompt here, or use Move on a prompt card to file one.',
+      actionLabel: 'Add Prompt',
+      onAction: () => { void openModal(); }
+    }));
     return;
   }
 
-  const textInput = await byId('prompt-text');
-  const tagsHidden = await byId('prompt-tags');
-  const suggestionsEl = document.getElementById('pn-tag-suggestions');
+  if (!historyOnly && favoritesOnly && !library.length) {
+    container.appendChild(createEmptyState({
+      title: 'No favorites yet',
+      message: 'Star a prompt to keep it in this view.',
+      actionLabel: 'Show All Prompts',
+      onAction: () => {
+        const favoritesToggle = byId('prompt-favorites-only');
+        if (favoritesToggle) {
+          favoritesToggle.checked = false;
+        }
+        void renderPrompts(String(byId('prompt-search')?.value || ''));
+      }
+    }));
+    return;
+  }
 
-  if (!textInput || !tagsHidden) return;
-  if (String(tagsHidden.value || '').trim()) return;
+  if (!filtered.length && !templates.length && !historyMatches.length) {
+    container.appendChild(createEmptyState({
+      title: 'No results found',
+      message: historyOnly ? 'No saved chats match. Try a broader query or search prompts too.' : 'Try a broader query or remove active filters.',
+      actionLabel: 'Clear Filters',
+      onAction: () => {
+        const searchInput = document.getElementById('prompt-search');
+        if (searchInput) {
+          searchInput.value = '';
+        }
+        void renderPrompts('');
+      }
+    }));
+    return;
+  }
 
-  const promptText = String(textInput.value || '').trim();
-  if (!promptText) return;
+  for (const prompt of filtered) {
+    const card = await createPromptCard(prompt, String(filter || '').trim(), tabContext.supported);
+    if (canReorder) {
+      makePromptCardDraggable(card);
+    }
+    container.appendChild(card);
+  }
 
-  try {
-    const response = await window.AIBridge.suggestTags(promptText);
-    const tags = response?.tags ?? [];
-    if (!tags.length || !suggestionsEl) return;
+  if (historyMatches.length) {
+    container.appendChild(createHistoryMatchesSection(historyMatches, String(filter || '').trim()));
+  }
 
-    suggestionsEl.innerHTML = '<span class="pn-tag-suggestions__label">Suggested</span>';
-    for (const tag of tags) {
-      const chip = document.createElement('button');
-      chip.type = 'button';
-      chip.className = 'pn-tag-chip--suggestion';
-      chip.textContent = tag;
-      chip.addEventListener('click', () => {
-        addTagBadge(tag);
-        chip.remove();
-        if (!suggestionsEl.querySelector('.pn-tag-chip--suggestion')) {
-          suggestionsEl.innerHTML = '';
-        }
-      });
-      suggestionsEl.appendChild(chip);
+  if (templates.length > 0) {
+    const divider = document.createElement('div');
+    divider.className = 'pn-template-divider';
+    
+    const header = document.createElement('button');
+    header.className = 'pn-template-header';
+    header.innerHTML = `
+      <span>Curated Templates (${templates.length})</span>
+      <svg class="pn-template-chevron" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="6 9 12 15 18 9"></polyline>
+      </svg>
+    `;
+    
+    const tempsContainer = document.createElement('div');
+    tempsContainer.className = 'pn-template-grid';
+    const isFiltered = filter.trim().length > 0;
+    if (!isFiltered) {
+      tempsContainer.dataset.collapsed = "true";
+      header.classList.add('collapsed');
     }
-  } catch (_) {}
-};
 
-/** Persists one prompt and refreshes prompts/tags sections. */
-const persistPrompt = async (payload) => {
-  const saved = await window.Store.savePrompt({
-    ...payload,
-    embedding: null
-  });
+    header.addEventListener('click', () => {
+      const isCollapsed = tempsContainer.dataset.collapsed === "true";
+      tempsContainer.dataset.collapsed = isCollapsed ? "false" : "true";
+      header.classList.toggle('collapsed', !isCollapsed);
+    });
 
-  if (!saved) {
-    const storageError = window.Store?.getLastError?.() || '';
-    if (window.Store?.isQuotaError?.(storageError)) {
-      await showToast('Storage quota exceeded. Delete older prompts or chat history, then try again.');
-      await switchTab('history');
-    } else {
-      await showToast('Failed to save prompt.');
+    divider.appendChild(header);
+    divider.appendChild(tempsContainer);
+    
+    for (const tpl of templates) {
+      tempsContainer.appendChild(await createPromptCard(tpl, String(filter || '').trim(), tabContext.supported));
     }
-    return false;
+    
+    container.appendChild(divider);
   }
+};
 
-  // Add to AI embedding cache
-  if (state.aiReady && saved.id) {
-    void window.AIBridge.cacheAdd(saved);
-  }
+/** Saved chat ids selected for batch export; kept while filters change. */
+const historySelection = new Set();
 
-  await closeModal();
-  await renderPrompts(String((await byId('prompt-search'))?.value || ''));
-  await renderTags();
-  await showToast('Prompt saved.');
-  return true;
-};
+/** Saved chats shown under the current filters, newest first. */
+let visibleHistory = [];
 
-/** Handles duplicate confirmation path for prompt save. */
-const saveDuplicateAnyway = async () => {
-  if (!state.pendingDuplicatePayload) {
-    return;
-  }
+/** Incremented per renderHistory call; a run stops once a newer one has started, so cards are never added twice. */
+let historyRenderToken = 0;
 
-  await persistPrompt(state.pendingDuplicatePayload);
-};
+/** Returns the ids of selected chats that the current filters show; batch export covers only these. */
+const getVisibleSelectionIds = () => new Set(visibleHistory.filter((entry) => historySelection.has(entry.id)).map((entry) => entry.id));
 
-/** Saves prompt from modal fields with optional AI duplicate check and tag suggestion. */
-const savePromptFromModal = async () => {
-  const titleInput = await byId('prompt-title');
-  const textInput = await byId('prompt-text');
-  const tagsHidden = await byId('prompt-tags');
+/** Renders one history card with a batch selection box and export and delete actions. */
+const createHistoryCard = async (entry) => {
+  const card = document.createElement('article');
+  card.className = 'pn-history-card';
 
-  if (!titleInput || !textInput || !tagsHidden) return;
+  const head = document.createElement('label');
+  head.className = 'pn-chat-import-check pn-history-card__head';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = historySelection.has(entry.id);
+  checkbox.setAttribute('aria-label', `Select ${entry.title || 'chat'} for batch export`);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      historySelection.add(entry.id);
+    } else {
+      historySelection.delete(entry.id);
+    }
+    renderHistorySelection();
+  });
 
-  const titleValue = String(titleInput.value || '').trim();
-  const textValue = String(textInput.value || '').trim();
+  const title = document.createElement('h3');
+  title.className = 'pn-card-title';
+  title.textContent = entry.title || 'Untitled chat';
+  head.append(checkbox, title);
 
-  if (!titleValue || !textValue) {
-    await showToast('Title and prompt text are required.');
-    return;
-  }
+  const meta = document.createElement('p');
+  meta.className = 'pn-card-meta';
+  meta.textContent = `${getPlatformLabel(entry.platform)} • ${new Date(entry.createdAt).toLocaleString()}`;
 
-  const payload = {
-    title: titleValue,
-    text: textValue,
-    tags: parseTags(tagsHidden.value || ''),
-    category: null
-  };
+  const tagsWrap = document.createElement('div');
+  tagsWrap.className = 'pn-tag-wrap';
 
-  // Duplicate check via AIBridge
-  if (state.aiReady && state.settings.enableAI && state.settings.duplicateCheck) {
-    try {
-      const response = await window.AIBridge.checkDuplicate(textValue);
-      if (response?.match) {
-        const dupWarn = document.getElementById('pn-duplicate-warning');
-        if (dupWarn) {
-          dupWarn.classList.remove('pn-hidden');
-          dupWarn.innerHTML = `
-            <strong>Looks similar to: "${escapeHtml(response.match.prompt?.title || 'Untitled')}"</strong>
-            <div class="pn-duplicate-actions">
-              <button class="pn-btn-ignore" id="pn-dup-save-anyway" type="button">Save anyway</button>
-            </div>
-          `;
-          document.getElementById('pn-dup-save-anyway')?.addEventListener('click', () => {
-            dupWarn.classList.add('pn-hidden');
-            void persistPrompt(payload);
-          });
-          return;
-        }
-      }
-    } catch (_) {}
+  for (const tag of entry.tags || []) {
+    tagsWrap.appendChild(createTagPill(tag));
   }
 
-  await persistPrompt(payload);
-};
+  const actions = document.createElement('div');
+  actions.className = 'pn-card-actions';
 
-/** Normalizes session payload shape for export tab rendering. */
-const normalizeExportPayload = async (rawPayload) => {
-  const value = rawPayload && typeof rawPayload === 'object' ? rawPayload : {};
-  const messages = Array.isArray(value.messages) ? value.messages : [];
+  const exportMd = document.createElement('button');
+  exportMd.className = 'pn-btn pn-btn--ghost';
+  exportMd.type = 'button';
+  exportMd.textContent = 'Export MD';
 
-  return {
-    title: String(value.title || 'Promptium Chat').trim(),
-    platform: String(value.platform || 'unknown').trim(),
-    url: String(value.url || '').trim(),
-    createdAt: String(value.createdAt || new Date().toISOString()),
-    messages: messages
-      .map((message) => ({
-        role: String(message?.role || 'assistant').toLowerCase(),
-        text: String(message?.text || '').trim(),
-        html: String(message?.html || '').trim()
-      }))
-      .filter((message) => message.text.length > 0)
-  };
-};
+  exportMd.addEventListener('click', () => {
+    void (async () => {
+      const result = await window.Exporter.exportChat(entry, 'md');
 
-/** Loads latest selected export payload from local storage. */
-const loadExportPayload = async () => {
-  const sessionSnapshot = await chrome.storage.session.get([SIDEPANEL_SESSION_KEY]);
-  const localSnapshot = await chrome.storage.local.get([SIDEPANEL_SESSION_KEY]);
-  const rawPayload = sessionSnapshot?.[SIDEPANEL_SESSION_KEY] || localSnapshot?.[SIDEPANEL_SESSION_KEY];
-  state.exportPayload = await normalizeExportPayload(rawPayload);
-  // Clear transport payloads immediately to avoid stale handoffs.
-  await chrome.storage.session.remove([SIDEPANEL_SESSION_KEY]).catch(() => {});
-  await chrome.storage.local.remove([SIDEPANEL_SESSION_KEY]).catch(() => {});
-  return state.exportPayload;
-};
+      if (!result?.ok) {
+        await showToast(result?.error || 'Markdown export failed.');
+      }
+    })();
+  });
 
-const hasPayloadMessages = (payload) => Array.isArray(payload?.messages) && payload.messages.length > 0;
+  const exportPdf = document.createElement('button');
+  exportPdf.className = 'pn-btn pn-btn--ghost';
+  exportPdf.type = 'button';
+  exportPdf.textContent = 'Export PDF';
 
-const applyLatestExportSnapshot = async () => {
-  if (!state.pendingExportPayload) {
-    await setExportStatus('Preview is already up to date.');
-    return;
+  exportPdf.addEventListener('click', () => {
+    void (async () => {
+      const result = await window.Exporter.exportChat(entry, 'pdf');
+
+      if (!result?.ok) {
+        await showToast(result?.error || 'PDF export failed.');
+      }
+    })();
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'pn-btn pn-btn-danger';
+  deleteButton.type = 'button';
+  deleteButton.textContent = 'Delete';
+
+  deleteButton.addEventListener('click', () => {
+    void (async () => {
+      const deleted = await window.Store.deleteChatFromHistory(entry.id);
+
+      if (!deleted) {
+        await showToast('Failed to delete history item.');
+        return;
+      }
+
+      await renderHistory();
+    })();
+  });
+
+  const openButton = document.createElement('button');
+  openButton.className = 'pn-btn pn-btn--ghost';
+  openButton.type = 'button';
+  openButton.textContent = 'Open';
+  openButton.addEventListener('click', () => {
+    void openChatDetail(entry);
+  });
+
+  actions.appendChild(openButton);
+  actions.appendChild(exportMd);
+  actions.appendChild(exportPdf);
+  actions.appendChild(deleteButton);
+
+  card.appendChild(head);
+  card.appendChild(meta);
+  card.appendChild(tagsWrap);
+  card.appendChild(actions);
+  return card;
+};
+
+/** Returns the History tab filters: platform, tag, and an inclusive from/to date range (YYYY-MM-DD). */
+const getHistoryFilters = () => ({
+  platform: String(byId('history-filter-platform')?.value || ''),
+  tag: String(byId('history-filter-tag')?.value || ''),
+  from: String(byId('history-filter-from')?.value || ''),
+  to: String(byId('history-filter-to')?.value || '')
+});
+
+/** Returns true when a saved chat matches the History tab filters. */
+const matchesHistoryFilters = (entry, filters) => {
+  const created = new Date(entry.createdAt);
+  const day = Number.isNaN(created.getTime())
+    ? ''
+    : `${created.getFullYear()}-${String(created.getMonth() + 1).padStart(2, '0')}-${String(created.getDate()).padStart(2, '0')}`;
+  return (!filters.platform || entry.platform === filters.platform)
+    && (!filters.tag || (entry.tags || []).includes(filters.tag))
+    && (!filters.from || day >= filters.from)
+    && (!filters.to || day <= filters.to);
+};
+
+/** Refills a filter select with the given values, keeping the current choice when it still exists. */
+const fillHistoryFilterSelect = (select, values, allLabel, toLabel = (value) => value) => {
+  if (!select) return;
+  const current = select.value;
+  const options = [new Option(allLabel, ''), ...values.map((value) => new Option(toLabel(value), value))];
+  select.replaceChildren(...options);
+  select.value = values.includes(current) ? current : '';
+};
+
+/** Updates the selection count, select-all box, and batch export button. */
+const renderHistorySelection = () => {
+  const count = getVisibleSelectionIds().size;
+  const hidden = historySelection.size - count;
+  const countNode = byId('history-selection-count');
+  const batchButton = byId('history-batch-btn');
+  const selectAll = byId('history-select-all');
+  if (countNode) countNode.textContent = [count ? `${count} selected` : '', hidden ? `${hidden} hidden by filters` : ''].filter(Boolean).join(' · ');
+  if (batchButton) batchButton.disabled = count === 0;
+  if (selectAll) {
+    selectAll.checked = visibleHistory.length > 0 && visibleHistory.every((entry) => historySelection.has(entry.id));
   }
-  state.exportPayload = cloneExportPayload(state.pendingExportPayload);
-  state.exportSnapshotPayload = cloneExportPayload(state.pendingExportPayload);
-  state.pendingExportPayload = null;
-  state.hasPendingExportUpdate = false;
-  await renderExportPreview();
-  await setExportStatus('Loaded latest selected messages.');
 };
 
-const ingestIncomingExportPayload = async (rawPayload) => {
-  const normalized = await normalizeExportPayload(rawPayload);
-  state.exportPayload = normalized;
+/** Renders chat history from newest to oldest, narrowed by the History tab filters. */
+const renderHistory = async () => {
+  const container = await byId('history-list');
 
-  // Freeze preview while user is in export view until they explicitly reload.
-  if (state.activeTab === 'export' && hasPayloadMessages(state.exportSnapshotPayload)) {
-    state.pendingExportPayload = cloneExportPayload(normalized);
-    state.hasPendingExportUpdate = hasPayloadMessages(state.pendingExportPayload);
-    await renderExportMeta();
-    if (state.hasPendingExportUpdate) {
-      await setExportStatus('New selection received. Click "Reload latest selection".');
-    }
+  if (!container) {
     return;
   }
 
-  state.exportSnapshotPayload = cloneExportPayload(normalized);
-  state.pendingExportPayload = null;
-  state.hasPendingExportUpdate = false;
-  await renderExportPreview();
-};
-
-/** Returns lazily initialized Turndown converter instance. */
-const getTurndownService = async () => {
-  if (state.turndown) {
-    return state.turndown;
+  const token = ++historyRenderToken;
+  const history = await window.Store.getChatHistory();
+  if (token !== historyRenderToken) return;
+  const reversed = [...history].reverse();
+  const ids = new Set(reversed.map((entry) => entry.id));
+  for (const id of Array.from(historySelection)) {
+    if (!ids.has(id)) historySelection.delete(id);
   }
 
-  if (!window.TurndownService) {
-    return null;
+  fillHistoryFilterSelect(
+    byId('history-filter-platform'),
+    Array.from(new Set(reversed.map((entry) => entry.platform).filter(Boolean))).sort(),
+    'All platforms',
+    getPlatformLabel
+  );
+  fillHistoryFilterSelect(
+    byId('history-filter-tag'),
+    Array.from(new Set(reversed.flatMap((entry) => entry.tags || []))).sort((a, b) => a.localeCompare(b)),
+    'All tags',
+    (tag) => `#${tag}`
+  );
+
+  const filters = getHistoryFilters();
+  visibleHistory = reversed.filter((entry) => matchesHistoryFilters(entry, filters));
+  container.innerHTML = '';
+  renderHistorySelection();
+
+  if (!reversed.length) {
+    container.appendChild(createEmptyState('No chat history yet. Export a chat to populate this section.'));
+    return;
   }
 
-  state.turndown = new window.TurndownService({
-    codeBlockStyle: 'fenced',
-    headingStyle: 'atx',
-    bulletListMarker: '-'
-  });
+  if (!visibleHistory.length) {
+    container.appendChild(createEmptyState('No saved chats match these filters.'));
+    return;
+  }
 
-  return state.turndown;
+  const cards = [];
+  for (const entry of visibleHistory) {
+    cards.push(await createHistoryCard(entry));
+    if (token !== historyRenderToken) return;
+  }
+  container.append(...cards);
 };
 
-/** Converts one message row into markdown body text without role chrome. */
-const toMessageContentMarkdown = async (message) => {
-  const service = await getTurndownService();
-  const rawHtml = String(message?.html || '').trim();
-  const safeHtml = stripInlineStylesFromHtml(rawHtml);
-  const template = document.createElement('template');
-  template.innerHTML = safeHtml;
-  template.content.querySelectorAll(
-    'script, style, img, svg, figure, nav, header, footer, aside, button, input, textarea, select, [hidden], [aria-hidden="true"]'
-  ).forEach((node) => node.remove());
-  const exportHtml = template.innerHTML.trim();
+// ─── History Search ──────────────────────────────────────────────────────────
 
-  if (service && exportHtml) {
-    const converted = service.turndown(`<div>${exportHtml}</div>`).trim();
-    if (converted) return converted;
+/** The saved chat open in the detail view. */
+let chatDetailEntry = null;
+
+/** Returns what a search looks through: 'both', 'prompts', or 'history'. */
+const getSearchScope = () => String(byId('search-scope')?.value || 'both');
+
+/** Searches saved chats for the prompts-tab query; returns [] for an empty query or the prompts-only scope. */
+const findHistoryMatches = async (filter) => {
+  if (!String(filter || '').trim() || getSearchScope() === 'prompts') {
+    return [];
   }
-  return String(message?.text || '').trim();
+  const semantic = state.aiReady && state.settings.enableAI && state.settings.semanticSearch;
+  const fusion = window.PromptSearch.fusionFromBalance(state.settings.searchBalance, state.settings.semanticFloor);
+  return window.PromptSearch.searchHistory(filter, await window.Store.getChatHistory(), { semantic, fusion });
 };
 
-/** Converts one message row into markdown with role heading. */
-const toStructuredMessageMarkdown = async (message, index) => {
-  const roleLabel = message.role === 'user' ? 'You' : 'Assistant';
-  const messageNumber = state.exportPrefs.includeMessageNumbers ? `${index + 1}. ` : '';
-  const content = await toMessageContentMarkdown(message);
-  return `### ${messageNumber}${roleLabel}\n\n${content}`;
-};
+/** Returns the free-text words of a query, for highlighting. */
+const getHighlightWords = (filter) => window.PromptSearch.parseQuery(filter).text
+  .toLowerCase()
+  .split(/\s+/)
+  .filter((word) => word.length > 1);
+
+/** Appends text to a parent with each occurrence of the given words wrapped in <mark>. */
+const appendHighlightedText = (parent, text, words) => {
+  const source = String(text || '');
+  const escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) {
+    parent.append(source);
+    return;
+  }
 
-/** Builds markdown output for selected export payload and options. */
-const buildMarkdown = async () => {
-  const payload = getActiveExportPayload();
+  // split() with a capture group puts the matched words at the odd indexes.
+  source.split(new RegExp(`(${escaped.join('|')})`, 'gi')).forEach((part, index) => {
+    if (index % 2) {
+      const mark = document.createElement('mark');
+      mark.className = 'pn-highlight';
+      mark.textContent = part;
+      parent.appendChild(mark);
+    } else if (part) {
+      parent.append(part);
+    }
+  });
+};
 
-  if (!payload || !payload.messages.length) {
-    return '';
-  }
+/** Renders one matched message (or the chat title) as a row that opens the chat at that message. */
+const createHistoryHitRow = (entry, hit, filter, words) => {
+  const row = document.createElement('div');
+  row.className = 'pn-history-hit';
+  row.tabIndex = 0;
+  row.setAttribute('role', 'button');
 
-  const lines = [`# ${payload.title || 'Promptium Chat'}`];
+  const label = document.createElement('span');
+  label.className = 'pn-history-hit__role';
+  const message = hit.index === null ? null : entry.messages?.[hit.index];
+  label.textContent = message
+    ? `#${hit.index + 1} ${message.role === 'user' ? 'You' : 'Assistant'}`
+    : 'Title / tags';
+  row.appendChild(label);
 
-  if (state.exportPrefs.includePlatform) {
-    lines.push(`Platform: ${getPlatformLabel(payload.platform)}`);
+  if (hit.snippet) {
+    const snippet = document.createElement('p');
+    snippet.className = 'pn-history-hit__snippet';
+    appendHighlightedText(snippet, hit.snippet, words);
+    row.appendChild(snippet);
   }
 
-  if (state.exportPrefs.includeDate) {
-    lines.push(`Exported: ${new Date().toLocaleString()}`);
+  if (hit.match) {
+    row.appendChild(createMatchReason(hit.match, filter));
   }
 
-  const sections = [];
-  if (state.exportPrefs.contentMode === 'combined') {
-    for (let index = 0; index < payload.messages.length; index += 1) {
-      sections.push(await toMessageContentMarkdown(payload.messages[index]));
+  const open = () => {
+    void openChatDetail(entry, hit.index, words);
+  };
+  row.addEventListener('click', open);
+  row.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      open();
     }
-    const combinedText = sections.filter(Boolean).join('\n\n').trim();
-    return `${lines.join('\n')}\n\n---\n\n${combinedText}`.trim();
+  });
+  return row;
+};
+
+/** Renders one chat that matched a search, with its best-matching messages. */
+const createHistoryMatchCard = ({ entry, hits }, filter) => {
+  const words = getHighlightWords(filter);
+  const card = document.createElement('article');
+  card.className = 'pn-history-card pn-history-match';
+
+  const title = document.createElement('h3');
+  title.className = 'pn-card-title';
+  appendHighlightedText(title, entry.title || 'Untitled chat', words);
+
+  const meta = document.createElement('p');
+  meta.className = 'pn-card-meta';
+  meta.textContent = `${getPlatformLabel(entry.platform)} • ${new Date(entry.createdAt).toLocaleString()} • ${(entry.messages || []).length} messages`;
+
+  card.appendChild(title);
+  card.appendChild(meta);
+  for (const hit of hits) {
+    card.appendChild(createHistoryHitRow(entry, hit, filter, words));
   }
 
-  for (let index = 0; index < payload.messages.length; index += 1) {
-    sections.push(await toStructuredMessageMarkdown(payload.messages[index], index));
+  const actions = document.createElement('div');
+  actions.className = 'pn-card-actions';
+  const openButton = document.createElement('button');
+  openButton.className = 'pn-btn pn-btn--ghost';
+  openButton.type = 'button';
+  openButton.textContent = 'Open Chat';
+  openButton.addEventListener('click', () => {
+    void openChatDetail(entry, hits.find((hit) => hit.index !== null)?.index ?? null, words);
+  });
+  actions.appendChild(openButton);
+  card.appendChild(actions);
+  return card;
+};
+
+/** Renders the chat history block shown under prompt results while searching. */
+const createHistoryMatchesSection = (groups, filter) => {
+  const section = document.createElement('section');
+  section.className = 'pn-history-matches';
+
+  const heading = document.createElement('h3');
+  heading.className = 'pn-history-matches__title';
+  heading.textContent = `Chat History (${groups.length})`;
+  section.appendChild(heading);
+
+  for (const group of groups) {
+    section.appendChild(createHistoryMatchCard(group, filter));
   }
+  return section;
+};
 
-  return `${lines.join('\n')}\n\n---\n\n${sections.join('\n\n---\n\n')}`.trim();
+/** Wraps the given words in <mark> inside rendered markup, leaving diagrams alone. */
+const highlightRenderedText = (root, words) => {
+  if (!words.length) {
+    return;
+  }
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest('svg')) nodes.push(walker.currentNode);
+  }
+  for (const node of nodes) {
+    const fragment = document.createDocumentFragment();
+    appendHighlightedText(fragment, node.nodeValue, words);
+    if (fragment.childNodes.length > 1) node.replaceWith(fragment);
+  }
 };
 
-const normalizeCodeLanguage = (lang) => {
-  const value = String(lang || '').trim().toLowerCase();
-  if (!value) return 'text';
-  if (['js', 'javascript', 'node', 'jsx', 'mjs', 'cjs'].includes(value)) return 'javascript';
-  if (['ts', 'typescript', 'tsx'].includes(value)) return 'typescript';
-  if (['py', 'python'].includes(value)) return 'python';
-  if (['sh', 'shell', 'bash', 'zsh'].includes(value)) return 'bash';
-  if (['json', 'jsonc'].includes(value)) return 'json';
-  if (['html', 'xml', 'svg'].includes(value)) return 'html';
-  if (['css', 'scss', 'less'].includes(value)) return 'css';
-  if (['sql'].includes(value)) return 'sql';
-  if (['md', 'markdown'].includes(value)) return 'markdown';
-  if (['dart', 'flutter', 'dartlang'].includes(value)) return 'dart';
-  if (['kotlin', 'kt', 'kts'].includes(value)) return 'kotlin';
-  if (['swift'].includes(value)) return 'swift';
-  if (['java'].includes(value)) return 'java';
-  if (['csharp', 'cs', '.net', 'dotnet'].includes(value)) return 'csharp';
-  if (['go', 'golang'].includes(value)) return 'go';
-  if (['rust', 'rs'].includes(value)) return 'rust';
-  if (['php'].includes(value)) return 'php';
-  if (['ruby', 'rb'].includes(value)) return 'ruby';
-  if (['yaml', 'yml'].includes(value)) return 'yaml';
-  if (['toml'].includes(value)) return 'toml';
-  if (['powershell', 'ps1', 'pwsh'].includes(value)) return 'powershell';
-  if (['cpp', 'c++', 'cc', 'cxx'].includes(value)) return 'cpp';
-  if (['c'].includes(value)) return 'c';
-  if (['lua'].includes(value)) return 'lua';
-  if (['r'].includes(value)) return 'r';
-  if (['scala'].includes(value)) return 'scala';
-  if (['mermaid', 'mmd'].includes(value)) return 'mermaid';
-  return value.replace(/[^a-z0-9_-]/g, '') || 'text';
+/** Opens the add prompt modal prefilled with one message from a saved chat. */
+const saveMessageAsPrompt = async (message) => {
+  const text = String(message?.text || '').trim();
+  closeChatDetail();
+  await openModal();
+  const title = byId('prompt-title');
+  const textInput = byId('prompt-text');
+  if (textInput) textInput.value = text;
+  if (title) {
+    title.value = buildFallbackPromptTitle(text);
+    title.select();
+  }
 };
 
-const escapeCodeHtml = (value) => String(value || '')
-  .replaceAll('&', '&amp;')
-  .replaceAll('<', '&lt;')
-  .replaceAll('>', '&gt;');
+/** Renders one message of the chat detail view with the export preview's markdown, code, and diagram rendering. */
+const createChatMessageView = async (message, messageIndex, words) => {
+  const item = document.createElement('article');
+  item.className = 'pn-chat-message';
+  item.dataset.role = message.role === 'user' ? 'user' : 'assistant';
+
+  const head = document.createElement('div');
+  head.className = 'pn-chat-message__head';
+
+  const heading = document.createElement('h3');
+  heading.className = 'pn-chat-message__role';
+  heading.textContent = `#${messageIndex + 1} ${message.role === 'user' ? 'You' : 'Assistant'}`;
+  head.appendChild(heading);
+
+  const markdown = await toMessageContentMarkdown(message);
+  const copyButton = document.createElement('button');
+  copyButton.className = 'pn-btn pn-btn--ghost';
+  copyButton.type = 'button';
+  copyButton.textContent = 'Copy';
+  copyButton.addEventListener('click', () => {
+    void (async () => {
+      try {
+        await navigator.clipboard.writeText(markdown);
+        await showToast('Message copied.');
+      } catch (_) {
+        await showToast('Copy failed.');
+      }
+    })();
+  });
+  head.appendChild(copyButton);
 
-const escapeRegex = (value) => String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (message.role === 'user') {
+    const saveButton = document.createElement('button');
+    saveButton.className = 'pn-btn pn-btn--ghost';
+    saveButton.type = 'button';
+    saveButton.textContent = 'Save as Prompt';
+    saveButton.addEventListener('click', () => {
+      void saveMessageAsPrompt(message);
+    });
+    head.appendChild(saveButton);
+  }
 
-const escapeSvgText = (value) => String(value || '')
-  .replaceAll('&', '&amp;')
-  .replaceAll('<', '&lt;')
-  .replaceAll('>', '&gt;')
-  .replaceAll('"', '&quot;')
-  .replaceAll('\'', '&#39;');
+  const body = document.createElement('div');
+  body.className = 'pn-chat-message__text pn-markdown-body';
+  const parser = await getMarkdownParser();
+  // The parser runs with html: false, so message markup cannot reach the DOM unescaped.
+  body.innerHTML = parser ? parser.render(markdown) : escapeHtml(markdown).replaceAll('\n', '<br />');
+  highlightRenderedText(body, words);
 
-const trimMermaidLabel = (value, maxLen = 44) => {
-  const compact = String(value || '').replace(/\s+/g, ' ').trim();
-  if (!compact) return '';
-  if (compact.length <= maxLen) return compact;
-  return `${compact.slice(0, maxLen - 1)}…`;
+  item.appendChild(head);
+  item.appendChild(body);
+  return item;
 };
 
-const splitLabelLines = (value, maxChars = 20, maxLines = 3) => {
-  const words = trimMermaidLabel(value, maxChars * maxLines + 8).split(' ');
-  if (!words.length) return [''];
-  const lines = [];
-  let current = '';
+/** Opens a saved chat in the detail view, scrolled to and marking message index when one is given. */
+const openChatDetail = async (entry, index = null, words = []) => {
+  const title = byId('pn-chat-detail-title');
+  const meta = byId('pn-chat-detail-meta');
+  const list = byId('pn-chat-detail-messages');
+  if (!list) {
+    return;
+  }
 
-  for (const word of words) {
-    if (!current) {
-      current = word;
-      continue;
-    }
-    if ((`${current} ${word}`).length <= maxChars) {
-      current = `${current} ${word}`;
-      continue;
+  chatDetailEntry = entry;
+  if (title) title.textContent = entry.title || 'Untitled chat';
+  if (meta) meta.textContent = `${getPlatformLabel(entry.platform)} • ${new Date(entry.createdAt).toLocaleString()} • ${(entry.messages || []).length} messages`;
+  const openUrl = byId('pn-chat-detail-open-url');
+  if (openUrl) {
+    openUrl.disabled = !/^https?:\/\//i.test(String(entry.url || ''));
+    openUrl.title = openUrl.disabled ? 'This chat has no source URL.' : String(entry.url);
+  }
+  fillContinueTargets(entry.platform);
+  list.innerHTML = '';
+
+  let target = null;
+  const messages = entry.messages || [];
+  for (let messageIndex = 0; messageIndex < messages.length; messageIndex += 1) {
+    const item = await createChatMessageView(messages[messageIndex], messageIndex, words);
+    if (messageIndex === index) {
+      item.classList.add('is-target');
+      target = item;
     }
-    lines.push(current);
-    current = word;
-    if (lines.length >= maxLines - 1) break;
+    list.appendChild(item);
   }
 
-  if (current && lines.length < maxLines) {
-    lines.push(current);
+  byId('pn-chat-detail-modal')?.classList.remove('pn-hidden');
+  if (target) {
+    target.scrollIntoView({ block: 'center' });
+  } else {
+    list.scrollTop = 0;
   }
+};
 
-  return lines.slice(0, maxLines);
+/** Closes the chat detail view. */
+const closeChatDetail = () => {
+  byId('pn-chat-detail-modal')?.classList.add('pn-hidden');
+  chatDetailEntry = null;
 };
 
-const CODE_KEYWORDS = {
-  javascript: ['as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'],
-  typescript: ['abstract', 'any', 'as', 'asserts', 'async', 'await', 'bigint', 'boolean', 'break', 'case', 'catch', 'class', 'const', 'constructor', 'continue', 'debugger', 'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'get', 'if', 'implements', 'import', 'in', 'infer', 'instanceof', 'interface', 'is', 'keyof', 'let', 'module', 'namespace', 'never', 'new', 'null', 'number', 'object', 'of', 'override', 'private', 'protected', 'public', 'readonly', 'return', 'satisfies', 'set', 'static', 'string', 'super', 'switch', 'symbol', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'unknown', 'var', 'void', 'while'],
-  python: ['and', 'as', 'assert', 'async', 'await', 'break', 'case', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'match', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield'],
-  bash: ['case', 'coproc', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in', 'local', 'readonly', 'return', 'select', 'then', 'time', 'until', 'while'],
-  sql: ['all', 'alter', 'and', 'as', 'asc', 'between', 'by', 'case', 'create', 'delete', 'desc', 'distinct', 'drop', 'else', 'end', 'from', 'group', 'having', 'in', 'insert', 'into', 'is', 'join', 'left', 'like', 'limit', 'not', 'null', 'on', 'or', 'order', 'outer', 'right', 'select', 'set', 'table', 'then', 'union', 'update', 'values', 'when', 'where'],
-  dart: ['abstract', 'as', 'assert', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue', 'covariant', 'default', 'deferred', 'do', 'dynamic', 'else', 'enum', 'export', 'extends', 'extension', 'external', 'factory', 'false', 'final', 'finally', 'for', 'Function', 'get', 'hide', 'if', 'implements', 'import', 'in', 'interface', 'is', 'late', 'library', 'mixin', 'new', 'null', 'on', 'operator', 'part', 'required', 'rethrow', 'return', 'sealed', 'set', 'show', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typedef', 'var', 'void', 'when', 'while', 'with', 'yield'],
-  kotlin: ['abstract', 'annotation', 'as', 'break', 'by', 'catch', 'class', 'companion', 'const', 'constructor', 'continue', 'data', 'do', 'else', 'enum', 'false', 'final', 'for', 'fun', 'if', 'import', 'in', 'inline', 'interface', 'internal', 'is', 'lateinit', 'null', 'object', 'open', 'operator', 'out', 'override', 'package', 'private', 'protected', 'public', 'reified', 'return', 'sealed', 'super', 'suspend', 'this', 'throw', 'true', 'try', 'typealias', 'val', 'var', 'when', 'while'],
-  swift: ['actor', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'continue', 'defer', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'let', 'nil', 'private', 'protocol', 'public', 'repeat', 'return', 'self', 'struct', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'var', 'where', 'while'],
-  java: ['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'try', 'var', 'void', 'while'],
-  csharp: ['abstract', 'as', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue', 'decimal', 'default', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'get', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly', 'record', 'ref', 'return', 'sealed', 'set', 'short', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'using', 'value', 'var', 'virtual', 'void', 'while'],
-  go: ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'false', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'nil', 'package', 'range', 'return', 'select', 'struct', 'switch', 'true', 'type', 'var'],
-  rust: ['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while'],
-  php: ['abstract', 'and', 'array', 'as', 'break', 'callable', 'case', 'catch', 'class', 'clone', 'const', 'continue', 'declare', 'default', 'do', 'echo', 'else', 'elseif', 'enum', 'extends', 'false', 'final', 'finally', 'for', 'foreach', 'function', 'global', 'if', 'implements', 'include', 'interface', 'match', 'namespace', 'new', 'null', 'or', 'private', 'protected', 'public', 'readonly', 'require', 'return', 'self', 'static', 'switch', 'throw', 'trait', 'true', 'try', 'use', 'var', 'while', 'yield'],
-  ruby: ['BEGIN', 'END', 'alias', 'and', 'begin', 'break', 'case', 'class', 'def', 'defined?', 'do', 'else', 'elsif', 'end', 'ensure', 'false', 'for', 'if', 'in', 'module', 'next', 'nil', 'not', 'or', 'redo', 'rescue', 'retry', 'return', 'self', 'super', 'then', 'true', 'undef', 'unless', 'until', 'when', 'while', 'yield'],
-  yaml: ['true', 'false', 'null', 'yes', 'no', 'on', 'off'],
-  toml: ['true', 'false'],
-  cpp: ['alignas', 'alignof', 'and', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr', 'continue', 'default', 'delete', 'do', 'double', 'else', 'enum', 'explicit', 'export', 'extern', 'false', 'float', 'for', 'friend', 'if', 'inline', 'int', 'long', 'namespace', 'new', 'noexcept', 'nullptr', 'operator', 'private', 'protected', 'public', 'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'template', 'this', 'throw', 'true', 'try', 'typedef', 'typename', 'union', 'unsigned', 'using', 'virtual', 'void', 'volatile', 'while'],
-  c: ['auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while'],
-  lua: ['and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'],
-  r: ['FALSE', 'TRUE', 'NULL', 'break', 'else', 'for', 'function', 'if', 'in', 'next', 'repeat', 'return', 'while'],
-  scala: ['abstract', 'case', 'catch', 'class', 'def', 'do', 'else', 'extends', 'false', 'final', 'finally', 'for', 'forSome', 'if', 'implicit', 'import', 'lazy', 'match', 'new', 'null', 'object', 'override', 'package', 'private', 'protected', 'return', 'sealed', 'super', 'this', 'throw', 'trait', 'true', 'try', 'type', 'val', 'var', 'while', 'with', 'yield'],
-  powershell: ['begin', 'break', 'catch', 'class', 'continue', 'data', 'do', 'dynamicparam', 'else', 'elseif', 'end', 'enum', 'exit', 'filter', 'finally', 'for', 'foreach', 'function', 'if', 'in', 'param', 'process', 'return', 'switch', 'throw', 'trap', 'try', 'until', 'using', 'var', 'while']
-};
-
-const KEYWORD_REGEX_CACHE = new Map();
+// Longest recap injected when continuing a chat elsewhere; older messages are dropped first.
+const CONTINUE_RECAP_CHARS = 6000;
+const CONTINUE_MESSAGE_CHARS = 600;
 
-const getKeywordRegex = (lang) => {
-  const key = String(lang || '').toLowerCase();
-  if (KEYWORD_REGEX_CACHE.has(key)) {
-    return KEYWORD_REGEX_CACHE.get(key);
+/** Lists the built-in platforms a chat can continue on, preferring one other than where it started. */
+const fillContinueTargets = (sourcePlatform) => {
+  const select = byId('pn-chat-detail-target');
+  if (!select) {
+    return;
   }
-  const words = CODE_KEYWORDS[key] || [];
-  if (!words.length) {
-    KEYWORD_REGEX_CACHE.set(key, null);
-    return null;
+  select.innerHTML = '';
+  for (const platform of Object.keys(window.PLATFORM_NEW_CHAT_URLS)) {
+    const option = document.createElement('option');
+    option.value = platform;
+    option.textContent = getPlatformLabel(platform);
+    select.appendChild(option);
   }
-  const regex = new RegExp(`\\b(${words.map(escapeRegex).join('|')})\\b`, 'g');
-  KEYWORD_REGEX_CACHE.set(key, regex);
-  return regex;
+  select.value = Object.keys(window.PLATFORM_NEW_CHAT_URLS).find((platform) => platform !== sourcePlatform) || '';
 };
 
-const tokenizeCodeSegments = (source, regex, className, tokenStore) =>
-  source.replace(regex, (match) => {
-    const token = `__pn_token_${tokenStore.length}__`;
-    tokenStore.push(`<span class="${className}">${match}</span>`);
-    return token;
-  });
+/**
+ * Builds the message injected into a new chat: a short lead-in and a condensed transcript that keeps
+ * the most recent messages within CONTINUE_RECAP_CHARS.
+ */
+const buildContinueRecap = (entry) => {
+  const lines = [];
+  let used = 0;
+  const messages = entry.messages || [];
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const text = String(messages[index]?.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    const clipped = text.length > CONTINUE_MESSAGE_CHARS ? `${text.slice(0, CONTINUE_MESSAGE_CHARS)}…` : text;
+    const line = `${messages[index].role === 'user' ? 'Me' : 'Assistant'}: ${clipped}`;
+    if (used + line.length > CONTINUE_RECAP_CHARS && lines.length) {
+      lines.push(`(${index + 1} earlier messages omitted)`);
+      break;
+    }
+    lines.push(line);
+    used += line.length;
+  }
+
+  const title = entry.title ? ` titled "${entry.title}"` : '';
+  return [
+    `I'm continuing a conversation I had on ${getPlatformLabel(entry.platform)}${title}. Here is a condensed transcript for context:`,
+    '',
+    lines.reverse().join('\n\n'),
+    '',
+    'Please pick up where it left off.'
+  ].join('\n');
+};
 
-const getCommentPattern = (lang) => {
-  if (['python', 'bash', 'ruby', 'yaml', 'toml', 'lua', 'r', 'powershell'].includes(lang)) {
-    return /#.*$/gm;
+/** Opens a new chat on the chosen platform and fills its chat box with a recap of the open chat. */
+const continueChatElsewhere = async () => {
+  const entry = chatDetailEntry;
+  const url = window.PLATFORM_NEW_CHAT_URLS[String(byId('pn-chat-detail-target')?.value || '')];
+  if (!entry || !url) {
+    return;
   }
-  if (lang === 'sql') {
-    return /--.*$|\/\*[\s\S]*?\*\//gm;
+
+  await showToast('Opening a new chat…');
+  const response = await chrome.runtime.sendMessage({ action: 'openLlmTab', url, text: buildContinueRecap(entry) }).catch(() => null);
+  if (!response?.ok) {
+    await showToast(response?.error || 'Could not open the chat.');
+  } else if (!response.injected) {
+    await showToast('Opened the chat, but its input was not ready. Copy the messages you need instead.');
   }
-  if (lang === 'html') {
-    return /<!--[\s\S]*?-->/gm;
+};
+
+/** Loads the open chat into the export tab and exports it in the chosen format. */
+const reexportChatDetail = async () => {
+  const entry = chatDetailEntry;
+  if (!entry) {
+    return;
   }
-  if (lang === 'css') {
-    return /\/\*[\s\S]*?\*\//gm;
+
+  const payload = await normalizeExportPayload({ ...entry, historyId: entry.id });
+  state.exportPayload = payload;
+  state.exportSnapshotPayload = cloneExportPayload(payload);
+  state.pendingExportPayload = null;
+  state.hasPendingExportUpdate = false;
+  const format = byId('export-format');
+  if (format) {
+    format.value = String(byId('pn-chat-detail-format')?.value || 'markdown');
   }
-  return /\/\/.*$|\/\*[\s\S]*?\*\//gm;
+
+  closeChatDetail();
+  await switchTab('export');
+  await syncExportPrefsFromControls();
+  await renderExportPreview();
+  await runExport();
 };
 
-const highlightCodeForPreview = (source, languageHint = '') => {
-  const lang = normalizeCodeLanguage(languageHint);
-  let output = escapeCodeHtml(source).replace(/\r\n/g, '\n');
+/** Binds the search scope toggle and the chat detail view. */
+const bindHistorySearchEvents = () => {
+  byId('search-scope')?.addEventListener('change', () => {
+    void renderPrompts(String(byId('prompt-search')?.value || ''));
+  });
+  byId('pn-chat-detail-close')?.addEventListener('click', closeChatDetail);
+  document.querySelector('#pn-chat-detail-modal [data-close-chat-detail]')?.addEventListener('click', closeChatDetail);
+  byId('pn-chat-detail-open-url')?.addEventListener('click', () => {
+    const url = String(chatDetailEntry?.url || '');
+    if (/^https?:\/\//i.test(url)) {
+      void chrome.tabs.create({ url });
+    }
+  });
+  byId('pn-chat-detail-export')?.addEventListener('click', () => {
+    void reexportChatDetail();
+  });
+  byId('pn-chat-detail-continue')?.addEventListener('click', () => {
+    void continueChatElsewhere();
+  });
+};
 
-  if (!output.trim() || ['text', 'plain', 'plaintext', 'markdown', 'mermaid'].includes(lang)) {
-    return output;
-  }
+// ─── End History Search ──────────────────────────────────────────────────────
 
-  const tokenStore = [];
-  const commentPattern = getCommentPattern(lang);
+/** Writes a batch of edited prompts for tag rename/delete operations. */
+const savePromptCollection = async (prompts) => {
+  const nextPrompts = Array.isArray(prompts) ? prompts : [];
+  await window.Store.putPrompts(nextPrompts);
+};
 
-  output = tokenizeCodeSegments(output, commentPattern, 'pn-code-token-comment', tokenStore);
-  output = tokenizeCodeSegments(output, /`[^`\n]*`|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/gm, 'pn-code-token-string', tokenStore);
+/** Builds a frequency map of tags currently used by saved prompts. */
+const collectTags = async (prompts) => {
+  const map = new Map();
 
-  if (lang === 'json') {
-    output = output.replace(/("(?:\\.|[^"\\])*?")(\s*:)/g, '<span class="pn-code-token-key">$1</span>$2');
-    output = output.replace(/\b(true|false|null)\b/g, '<span class="pn-code-token-keyword">$1</span>');
-  } else if (lang === 'yaml') {
-    output = output.replace(/^(\s*[-]?\s*[A-Za-z0-9_.-]+)(\s*:)/gm, '<span class="pn-code-token-key">$1</span>$2');
-    const keywordRegex = getKeywordRegex('yaml');
-    if (keywordRegex) {
-      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
-    }
-  } else if (lang === 'toml') {
-    output = output.replace(/^(\s*[A-Za-z0-9_.-]+)(\s*=)/gm, '<span class="pn-code-token-key">$1</span>$2');
-    const keywordRegex = getKeywordRegex('toml');
-    if (keywordRegex) {
-      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
-    }
-  } else {
-    const keywordRegex = getKeywordRegex(lang) || getKeywordRegex('javascript');
-    if (keywordRegex) {
-      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
+  for (const prompt of prompts) {
+    for (const tag of prompt.tags || []) {
+      const normalized = String(tag || '').trim();
+
+      if (!normalized) {
+        continue;
+      }
+
+      map.set(normalized, (map.get(normalized) || 0) + 1);
     }
-    output = output.replace(/\b([A-Z][A-Za-z0-9_]*)\b/g, '<span class="pn-code-token-type">$1</span>');
   }
 
-  output = output.replace(/\b-?(?:0x[a-fA-F0-9]+|\d+(?:\.\d+)?)\b/g, '<span class="pn-code-token-number">$&</span>');
+  return Array.from(map.entries())
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((left, right) => right.count - left.count || left.tag.localeCompare(right.tag));
+};
 
-  tokenStore.forEach((tokenMarkup, index) => {
-    const token = `__pn_token_${index}__`;
-    output = output.split(token).join(tokenMarkup);
+/** Renames one existing tag across all saved prompts. */
+const renameTag = async (oldTag, nextTag) => {
+  const oldValue = String(oldTag || '').trim();
+  const prompts = await window.Store.getPromptsByTag(oldValue);
+  const nextValue = String(nextTag || '').trim();
+
+  if (!oldValue || !nextValue) {
+    return false;
+  }
+
+  const nextPrompts = prompts.map((prompt) => {
+    const updatedTags = (prompt.tags || []).map((tag) => {
+      if (String(tag || '').trim() !== oldValue) {
+        return String(tag || '').trim();
+      }
+
+      return nextValue;
+    });
+
+    return {
+      ...prompt,
+      tags: Array.from(new Set(updatedTags.filter(Boolean)))
+    };
   });
 
-  return output;
+  await savePromptCollection(nextPrompts);
+  return true;
 };
 
-const parseMermaidNodeToken = (token) => {
-  const raw = String(token || '').trim().replace(/[;,]+$/, '');
-  if (!raw) return null;
-
-  const patterns = [
-    /^([A-Za-z0-9_-]+)\s*\(\(\s*"?(.+?)"?\s*\)\)$/,
-    /^([A-Za-z0-9_-]+)\s*\[\s*"?(.+?)"?\s*\]$/,
-    /^([A-Za-z0-9_-]+)\s*\(\s*"?(.+?)"?\s*\)$/,
-    /^([A-Za-z0-9_-]+)\s*\{\s*"?(.+?)"?\s*\}$/,
-    /^([A-Za-z0-9_-]+)\s*$/
-  ];
+/** Removes one tag from all saved prompts. */
+const deleteTag = async (tagToDelete) => {
+  const normalized = String(tagToDelete || '').trim();
+  const prompts = await window.Store.getPromptsByTag(normalized);
 
-  for (const pattern of patterns) {
-    const match = raw.match(pattern);
-    if (!match) continue;
-    const id = String(match[1] || '').trim();
-    if (!id) return null;
-    const label = trimMermaidLabel(String(match[2] || id).replace(/^["'`]+|["'`]+$/g, '').trim(), 52);
-    return { id, label: label || id };
+  if (!normalized) {
+    return false;
   }
 
-  return null;
+  const nextPrompts = prompts.map((prompt) => ({
+    ...prompt,
+    tags: (prompt.tags || []).map((tag) => String(tag || '').trim()).filter((tag) => tag && tag !== normalized)
+  }));
+
+  await savePromptCollection(nextPrompts);
+  return true;
 };
 
-const cleanMermaidEndpointToken = (value) => String(value || '')
-  .replace(/^\|[^|]*\|\s*/g, '')
-  .replace(/\s*\|[^|]*\|$/g, '')
-  .trim();
+/** Renders tag management rows with rename, delete, and filter actions. */
+const renderTags = async () => {
+  const container = document.getElementById('tag-list');
+  const filterBar = document.getElementById('pn-tag-filter-bar');
+  const emptyState = document.getElementById('pn-tags-empty');
 
-const findMermaidEdge = (statement) => {
-  const edgeOps = ['<-->', '-.->', '-->', '==>', '---', '<--', '->', '<-'];
-  let best = null;
-  for (const op of edgeOps) {
-    const idx = statement.indexOf(op);
-    if (idx <= 0) continue;
-    if (!best || idx < best.index) {
-      best = { op, index: idx };
-    }
+  if (!container) {
+    return;
   }
-  if (!best) return null;
 
-  const left = cleanMermaidEndpointToken(statement.slice(0, best.index));
-  const right = cleanMermaidEndpointToken(statement.slice(best.index + best.op.length));
-  if (!left || !right) return null;
-  return { left, right };
-};
+  const prompts = await window.Store.getPrompts();
+  const tags = await collectTags(prompts);
 
-const renderMermaidFlowchart = (source, direction = 'td') => {
-  const chunks = String(source || '')
-    .split('\n')
-    .flatMap((line) => line.split(';'))
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith('%%'));
+  // Clear existing rows (keep empty state node)
+  container.querySelectorAll('.pn-tag-row').forEach((r) => r.remove());
 
-  const nodes = new Map();
-  const edges = [];
-  const registerNode = (token) => {
-    const parsed = parseMermaidNodeToken(token);
-    if (!parsed) return null;
-    if (!nodes.has(parsed.id)) {
-      nodes.set(parsed.id, parsed);
-    } else if (parsed.label && nodes.get(parsed.id).label === parsed.id) {
-      nodes.set(parsed.id, parsed);
-    }
-    return parsed.id;
-  };
+  // Clear filter bar
+  if (filterBar) {
+    filterBar.innerHTML = '';
+  }
+
+  if (!tags.length) {
+    if (emptyState) emptyState.classList.remove('pn-hidden');
+    return;
+  }
+
+  if (emptyState) emptyState.classList.add('pn-hidden');
+
+  // Render filter chips
+  if (filterBar) {
+    for (const item of tags) {
+      const chip = document.createElement('button');
+      chip.className = 'pn-tag-filter-chip';
+      chip.type = 'button';
+      chip.dataset.tag = item.tag;
+      chip.innerHTML = `${item.tag} <span class="pn-tag-count">${item.count}</span>`;
+      chip.addEventListener('click', () => {
+        const isActive = chip.classList.contains('active');
+        filterBar.querySelectorAll('.pn-tag-filter-chip').forEach((c) =>
+          c.classList.remove('active')
+        );
+        if (!isActive) {
+          chip.classList.add('active');
+          void (async () => {
+            const search = document.getElementById('prompt-search');
+            if (search) search.value = item.tag;
+            await switchTab('prompts');
+            await renderPrompts(item.tag);
+          })();
+        } else {
+          void (async () => {
+            const search = document.getElementById('prompt-search');
+            if (search) search.value = '';
+            await switchTab('prompts');
+            await renderPrompts('');
+          })();
+        }
+      });
+      filterBar.appendChild(chip);
+    }
+  }
+
+  // Render tag management rows
+  for (const item of tags) {
+    const row = document.createElement('div');
+    row.className = 'pn-tag-row';
+
+    const left = document.createElement('div');
+    left.className = 'pn-tag-row-left';
+
+    const dot = document.createElement('span');
+    dot.className = 'pn-tag-dot';
+
+    const name = document.createElement('span');
+    name.className = 'pn-tag-name';
+    name.textContent = item.tag;
+
+    const count = document.createElement('span');
+    count.className = 'pn-tag-count-badge';
+    count.textContent = `${item.count} prompt${item.count === 1 ? '' : 's'}`;
+
+    left.appendChild(dot);
+    left.appendChild(name);
+    left.appendChild(count);
+
+    const actions = document.createElement('div');
+    actions.className = 'pn-tag-row-actions';
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'pn-tag-action-btn rename';
+    renameBtn.type = 'button';
+    renameBtn.title = 'Rename';
+    renameBtn.textContent = '\u270e';
+    renameBtn.addEventListener('click', () => {
+      void (async () => {
+        const nextValue = window.prompt(`Rename tag "${item.tag}" to:`, item.tag);
+        if (nextValue === null) return;
+        const normalized = String(nextValue || '').trim();
+        if (!normalized) {
+          await showToast('Tag name cannot be empty.');
+          return;
+        }
+        await renameTag(item.tag, normalized);
+        await renderTags();
+        await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
+        await showToast('Tag renamed.');
+      })();
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'pn-tag-action-btn delete';
+    deleteBtn.type = 'button';
+    deleteBtn.title = 'Remove from all prompts';
+    deleteBtn.textContent = '\u2715';
+    deleteBtn.addEventListener('click', () => {
+      void (async () => {
+        const confirmed = window.confirm(`Delete tag "${item.tag}" from all prompts?`);
+        if (!confirmed) return;
+        await deleteTag(item.tag);
+        await renderTags();
+        await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
+        await showToast('Tag deleted from prompts.');
+      })();
+    });
+
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+
+    row.appendChild(left);
+    row.appendChild(actions);
+    container.appendChild(row);
+  }
+};
+
+/** Opens add prompt modal and clears previous values. */
+const openModal = async () => {
+  const modal = await byId('add-modal');
+  const title = await byId('prompt-title');
+  const text = await byId('prompt-text');
+  const tags = await byId('prompt-tags');
+  const confirmDuplicate = await byId('confirm-duplicate');
+
+  state.pendingDuplicatePayload = null;
+
+  if (title) title.value = '';
+  if (text) text.value = '';
+  if (tags) tags.value = '';
+  const autoSubmit = await byId('prompt-auto-submit');
+  if (autoSubmit) autoSubmit.checked = false;
+  fillCollectionSelect(byId('prompt-collection'), { selected: getScopedCollectionId() });
+
+  // Clear badge tags
+  const badgeWrap = document.getElementById('tag-badges-wrap');
+  if (badgeWrap) {
+    badgeWrap.querySelectorAll('.pn-tag-badge').forEach(b => b.remove());
+  }
+  const tagInput = document.getElementById('prompt-tags-input');
+  if (tagInput) tagInput.value = '';
+
+  // Clear AI suggestion containers
+  const suggestionsEl = document.getElementById('pn-tag-suggestions');
+  if (suggestionsEl) suggestionsEl.innerHTML = '';
+  const dupWarnEl = document.getElementById('pn-duplicate-warning');
+  if (dupWarnEl) { dupWarnEl.innerHTML = ''; dupWarnEl.classList.add('pn-hidden'); }
+
+  confirmDuplicate?.classList.add('hidden');
+  modal?.classList.remove('pn-hidden');
+  title?.focus();
+};
+
+/** Closes add prompt modal and clears duplicate state. */
+const closeModal = async () => {
+  const modal = await byId('add-modal');
+  const confirmDuplicate = await byId('confirm-duplicate');
+
+  state.pendingDuplicatePayload = null;
+  confirmDuplicate?.classList.add('hidden');
+  modal?.classList.add('pn-hidden');
+};
+
+/** Auto-fills tags from AI suggestions when enabled and tag field is empty. */
+const prefillSuggestedTags = async () => {
+  if (!state.settings.enableAI || !state.settings.autoSuggestTags || !state.aiReady) {
+    return;
+  }
+
+  const textInput = await byId('prompt-text');
+  const tagsHidden = await byId('prompt-tags');
+  const suggestionsEl = document.getElementById('pn-tag-suggestions');
+
+  if (!textInput || !tagsHidden) return;
+  if (String(tagsHidden.value || '').trim()) return;
+
+  const promptText = String(textInput.value || '').trim();
+  if (!promptText) return;
+
+  try {
+    const response = await window.AIBridge.suggestTags(promptText);
+    const tags = response?.tags ?? [];
+    if (!tags.length || !suggestionsEl) return;
+
+    suggestionsEl.innerHTML = '<span class="pn-tag-suggestions__label">Suggested</span>';
+    for (const tag of tags) {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'pn-tag-chip--suggestion';
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        addTagBadge(tag);
+        chip.remove();
+        if (!suggestionsEl.querySelector('.pn-tag-chip--suggestion')) {
+          suggestionsEl.innerHTML = '';
+        }
+      });
+      suggestionsEl.appendChild(chip);
+    }
+  } catch (_) {}
+};
+
+/** Persists one prompt and refreshes prompts/tags sections. */
+const persistPrompt = async (payload) => {
+  const saved = await window.Store.savePrompt({
+    ...payload,
+    embedding: null
+  });
+
+  if (!saved) {
+    const storageError = window.Store?.getLastError?.() || '';
+    if (window.Store?.isQuotaError?.(storageError)) {
+      await showToast('Storage quota exceeded. Delete older prompts or chat history, then try again.');
+      await switchTab('history');
+    } else {
+      await showToast('Failed to save prompt.');
+    }
+    return false;
+  }
+
+  // Add to AI embedding cache
+  if (state.aiReady && saved.id) {
+    void window.AIBridge.cacheAdd(saved);
+  }
+
+  await closeModal();
+  await renderPrompts(String((await byId('prompt-search'))?.value || ''));
+  await renderTags();
+  await showToast('Prompt saved.');
+  return true;
+};
+
+/** Handles duplicate confirmation path for prompt save. */
+const saveDuplicateAnyway = async () => {
+  if (!state.pendingDuplicatePayload) {
+    return;
+  }
+
+  await persistPrompt(state.pendingDuplicatePayload);
+};
+
+/** Saves prompt from modal fields with optional AI duplicate check and tag suggestion. */
+const savePromptFromModal = async () => {
+  const titleInput = await byId('prompt-title');
+  const textInput = await byId('prompt-text');
+  const tagsHidden = await byId('prompt-tags');
+
+  if (!titleInput || !textInput || !tagsHidden) return;
+
+  const titleValue = String(titleInput.value || '').trim();
+  const textValue = String(textInput.value || '').trim();
+
+  if (!titleValue || !textValue) {
+    await showToast('Title and prompt text are required.');
+    return;
+  }
+
+  const payload = {
+    title: titleValue,
+    text: textValue,
+    tags: parseTags(tagsHidden.value || ''),
+    category: null,
+    autoSubmit: Boolean((await byId('prompt-auto-submit'))?.checked),
+    collectionId: String((await byId('prompt-collection'))?.value || '') || null
+  };
+
+  // Duplicate check via AIBridge
+  if (state.aiReady && state.settings.enableAI && state.settings.duplicateCheck) {
+    try {
+      const response = await window.AIBridge.checkDuplicate(textValue);
+      if (response?.match) {
+        const dupWarn = document.getElementById('pn-duplicate-warning');
+        if (dupWarn) {
+          dupWarn.classList.remove('pn-hidden');
+          dupWarn.innerHTML = `
+            <strong>Looks similar to: "${escapeHtml(response.match.prompt?.title || 'Untitled')}"</strong>
+            <div class="pn-duplicate-actions">
+              <button class="pn-btn-ignore" id="pn-dup-save-anyway" type="button">Save anyway</button>
+            </div>
+          `;
+          document.getElementById('pn-dup-save-anyway')?.addEventListener('click', () => {
+            dupWarn.classList.add('pn-hidden');
+            void persistPrompt(payload);
+          });
+          return;
+        }
+      }
+    } catch (_) {}
+  }
+
+  await persistPrompt(payload);
+};
+
+/** Normalizes session payload shape for export tab rendering. */
+const normalizeExportPayload = async (rawPayload) => {
+  const value = rawPayload && typeof rawPayload === 'object' ? rawPayload : {};
+  const messages = Array.isArray(value.messages) ? value.messages : [];
+
+  return {
+    title: String(value.title || 'Promptium Chat').trim(),
+    platform: String(value.platform || 'unknown').trim(),
+    url: String(value.url || '').trim(),
+    createdAt: String(value.createdAt || new Date().toISOString()),
+    // Set when the payload was loaded from a saved chat, so exporting it does not save a second copy.
+    historyId: String(value.historyId || ''),
+    tags: Array.isArray(value.tags) ? value.tags.map((tag) => String(tag).trim()).filter(Boolean) : [],
+    messages: messages
+      .map((message) => ({
+        role: String(message?.role || 'assistant').toLowerCase(),
+        text: String(message?.text || '').trim(),
+        html: String(message?.html || '').trim()
+      }))
+      .filter((message) => message.text.length > 0)
+  };
+};
+
+/** Loads latest selected export payload from local storage. */
+const loadExportPayload = async () => {
+  const sessionSnapshot = await chrome.storage.session.get([SIDEPANEL_SESSION_KEY]);
+  const localSnapshot = await chrome.storage.local.get([SIDEPANEL_SESSION_KEY]);
+  const rawPayload = sessionSnapshot?.[SIDEPANEL_SESSION_KEY] || localSnapshot?.[SIDEPANEL_SESSION_KEY];
+  state.exportPayload = await normalizeExportPayload(rawPayload);
+  // Clear transport payloads immediately to avoid stale handoffs.
+  await chrome.storage.session.remove([SIDEPANEL_SESSION_KEY]).catch(() => {});
+  await chrome.storage.local.remove([SIDEPANEL_SESSION_KEY]).catch(() => {});
+  return state.exportPayload;
+};
+
+const hasPayloadMessages = (payload) => Array.isArray(payload?.messages) && payload.messages.length > 0;
+
+const applyLatestExportSnapshot = async () => {
+  if (!state.pendingExportPayload) {
+    await setExportStatus('Preview is already up to date.');
+    return;
+  }
+  state.exportPayload = cloneExportPayload(state.pendingExportPayload);
+  state.exportSnapshotPayload = cloneExportPayload(state.pendingExportPayload);
+  state.pendingExportPayload = null;
+  state.hasPendingExportUpdate = false;
+  await renderExportPreview();
+  await setExportStatus('Loaded latest selected messages.');
+};
+
+const ingestIncomingExportPayload = async (rawPayload) => {
+  const normalized = await normalizeExportPayload(rawPayload);
+  state.exportPayload = normalized;
+
+  // Freeze preview while user is in export view until they explicitly reload.
+  if (state.activeTab === 'export' && hasPayloadMessages(state.exportSnapshotPayload)) {
+    state.pendingExportPayload = cloneExportPayload(normalized);
+    state.hasPendingExportUpdate = hasPayloadMessages(state.pendingExportPayload);
+    await renderExportMeta();
+    if (state.hasPendingExportUpdate) {
+      await setExportStatus('New selection received. Click "Reload latest selection".');
+    }
+    return;
+  }
+
+  state.exportSnapshotPayload = cloneExportPayload(normalized);
+  state.pendingExportPayload = null;
+  state.hasPendingExportUpdate = false;
+  await renderExportPreview();
+};
+
+/** Returns lazily initialized Turndown converter instance. */
+const getTurndownService = async () => {
+  if (state.turndown) {
+    return state.turndown;
+  }
+
+  if (!window.TurndownService) {
+    return null;
+  }
+
+  state.turndown = new window.TurndownService({
+    codeBlockStyle: 'fenced',
+    headingStyle: 'atx',
+    bulletListMarker: '-'
+  });
+
+  return state.turndown;
+};
+
+/** Converts one message row into markdown body text without role chrome. */
+const toMessageContentMarkdown = async (message) => {
+  const service = await getTurndownService();
+  const rawHtml = String(message?.html || '').trim();
+  const safeHtml = stripInlineStylesFromHtml(rawHtml);
+  const template = document.createElement('template');
+  template.innerHTML = safeHtml;
+  template.content.querySelectorAll(
+    'script, style, img, svg, figure, nav, header, footer, aside, button, input, textarea, select, [hidden], [aria-hidden="true"]'
+  ).forEach((node) => node.remove());
+  const exportHtml = template.innerHTML.trim();
+
+  if (service && exportHtml) {
+    const converted = service.turndown(`<div>${exportHtml}</div>`).trim();
+    if (converted) return converted;
+  }
+  return String(message?.text || '').trim();
+};
+
+/** Converts one message row into markdown with role heading. */
+const toStructuredMessageMarkdown = async (message, index) => {
+  const roleLabel = message.role === 'user' ? 'You' : 'Assistant';
+  const messageNumber = state.exportPrefs.includeMessageNumbers ? `${index + 1}. ` : '';
+  const content = await toMessageContentMarkdown(message);
+  return `### ${messageNumber}${roleLabel}\n\n${content}`;
+};
+
+/** Builds markdown output for selected export payload and options. */
+const buildMarkdown = async (payload = getActiveExportPayload()) => {
+  if (!payload || !payload.messages.length) {
+    return '';
+  }
+
+  const lines = [`# ${payload.title || 'Promptium Chat'}`];
+
+  if (state.exportPrefs.includePlatform) {
+    lines.push(`Platform: ${getPlatformLabel(payload.platform)}`);
+  }
+
+  if (state.exportPrefs.includeDate) {
+    lines.push(`Exported: ${new Date().toLocaleString()}`);
+  }
+
+  const sections = [];
+  if (state.exportPrefs.contentMode === 'combined') {
+    for (let index = 0; index < payload.messages.length; index += 1) {
+      sections.push(await toMessageContentMarkdown(payload.messages[index]));
+    }
+    const combinedText = sections.filter(Boolean).join('\n\n').trim();
+    return `${lines.join('\n')}\n\n---\n\n${combinedText}`.trim();
+  }
+
+  for (let index = 0; index < payload.messages.length; index += 1) {
+    sections.push(await toStructuredMessageMarkdown(payload.messages[index], index));
+  }
+
+  return `${lines.join('\n')}\n\n---\n\n${sections.join('\n\n---\n\n')}`.trim();
+};
+
+const normalizeCodeLanguage = (lang) => {
+  const value = String(lang || '').trim().toLowerCase();
+  if (!value) return 'text';
+  if (['js', 'javascript', 'node', 'jsx', 'mjs', 'cjs'].includes(value)) return 'javascript';
+  if (['ts', 'typescript', 'tsx'].includes(value)) return 'typescript';
+  if (['py', 'python'].includes(value)) return 'python';
+  if (['sh', 'shell', 'bash', 'zsh'].includes(value)) return 'bash';
+  if (['json', 'jsonc'].includes(value)) return 'json';
+  if (['html', 'xml', 'svg'].includes(value)) return 'html';
+  if (['css', 'scss', 'less'].includes(value)) return 'css';
+  if (['sql'].includes(value)) return 'sql';
+  if (['md', 'markdown'].includes(value)) return 'markdown';
+  if (['dart', 'flutter', 'dartlang'].includes(value)) return 'dart';
+  if (['kotlin', 'kt', 'kts'].includes(value)) return 'kotlin';
+  if (['swift'].includes(value)) return 'swift';
+  if (['java'].includes(value)) return 'java';
+  if (['csharp', 'cs', '.net', 'dotnet'].includes(value)) return 'csharp';
+  if (['go', 'golang'].includes(value)) return 'go';
+  if (['rust', 'rs'].includes(value)) return 'rust';
+  if (['php'].includes(value)) return 'php';
+  if (['ruby', 'rb'].includes(value)) return 'ruby';
+  if (['yaml', 'yml'].includes(value)) return 'yaml';
+  if (['toml'].includes(value)) return 'toml';
+  if (['powershell', 'ps1', 'pwsh'].includes(value)) return 'powershell';
+  if (['cpp', 'c++', 'cc', 'cxx'].includes(value)) return 'cpp';
+  if (['c'].includes(value)) return 'c';
+  if (['lua'].includes(value)) return 'lua';
+  if (['r'].includes(value)) return 'r';
+  if (['scala'].includes(value)) return 'scala';
+  if (['mermaid', 'mmd'].includes(value)) return 'mermaid';
+  return value.replace(/[^a-z0-9_-]/g, '') || 'text';
+};
+
+const escapeCodeHtml = (value) => String(value || '')
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;');
+
+const escapeRegex = (value) => String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeSvgText = (value) => String(value || '')
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;')
+  .replaceAll('\'', '&#39;');
+
+const trimMermaidLabel = (value, maxLen = 44) => {
+  const compact = String(value || '').replace(/\s+/g, ' ').trim();
+  if (!compact) return '';
+  if (compact.length <= maxLen) return compact;
+  return `${compact.slice(0, maxLen - 1)}…`;
+};
+
+const splitLabelLines = (value, maxChars = 20, maxLines = 3) => {
+  const words = trimMermaidLabel(value, maxChars * maxLines + 8).split(' ');
+  if (!words.length) return [''];
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (!current) {
+      current = word;
+      continue;
+    }
+    if ((`${current} ${word}`).length <= maxChars) {
+      current = `${current} ${word}`;
+      continue;
+    }
+    lines.push(current);
+    current = word;
+    if (lines.length >= maxLines - 1) break;
+  }
+
+  if (current && lines.length < maxLines) {
+    lines.push(current);
+  }
+
+  return lines.slice(0, maxLines);
+};
+
+const CODE_KEYWORDS = {
+  javascript: ['as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'],
+  typescript: ['abstract', 'any', 'as', 'asserts', 'async', 'await', 'bigint', 'boolean', 'break', 'case', 'catch', 'class', 'const', 'constructor', 'continue', 'debugger', 'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'get', 'if', 'implements', 'import', 'in', 'infer', 'instanceof', 'interface', 'is', 'keyof', 'let', 'module', 'namespace', 'never', 'new', 'null', 'number', 'object', 'of', 'override', 'private', 'protected', 'public', 'readonly', 'return', 'satisfies', 'set', 'static', 'string', 'super', 'switch', 'symbol', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'unknown', 'var', 'void', 'while'],
+  python: ['and', 'as', 'assert', 'async', 'await', 'break', 'case', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'match', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield'],
+  bash: ['case', 'coproc', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in', 'local', 'readonly', 'return', 'select', 'then', 'time', 'until', 'while'],
+  sql: ['all', 'alter', 'and', 'as', 'asc', 'between', 'by', 'case', 'create', 'delete', 'desc', 'distinct', 'drop', 'else', 'end', 'from', 'group', 'having', 'in', 'insert', 'into', 'is', 'join', 'left', 'like', 'limit', 'not', 'null', 'on', 'or', 'order', 'outer', 'right', 'select', 'set', 'table', 'then', 'union', 'update', 'values', 'when', 'where'],
+  dart: ['abstract', 'as', 'assert', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue', 'covariant', 'default', 'deferred', 'do', 'dynamic', 'else', 'enum', 'export', 'extends', 'extension', 'external', 'factory', 'false', 'final', 'finally', 'for', 'Function', 'get', 'hide', 'if', 'implements', 'import', 'in', 'interface', 'is', 'late', 'library', 'mixin', 'new', 'null', 'on', 'operator', 'part', 'required', 'rethrow', 'return', 'sealed', 'set', 'show', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typedef', 'var', 'void', 'when', 'while', 'with', 'yield'],
+  kotlin: ['abstract', 'annotation', 'as', 'break', 'by', 'catch', 'class', 'companion', 'const', 'constructor', 'continue', 'data', 'do', 'else', 'enum', 'false', 'final', 'for', 'fun', 'if', 'import', 'in', 'inline', 'interface', 'internal', 'is', 'lateinit', 'null', 'object', 'open', 'operator', 'out', 'override', 'package', 'private', 'protected', 'public', 'reified', 'return', 'sealed', 'super', 'suspend', 'this', 'throw', 'true', 'try', 'typealias', 'val', 'var', 'when', 'while'],
+  swift: ['actor', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'continue', 'defer', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'let', 'nil', 'private', 'protocol', 'public', 'repeat', 'return', 'self', 'struct', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'var', 'where', 'while'],
+  java: ['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'try', 'var', 'void', 'while'],
+  csharp: ['abstract', 'as', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue', 'decimal', 'default', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'get', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly', 'record', 'ref', 'return', 'sealed', 'set', 'short', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'using', 'value', 'var', 'virtual', 'void', 'while'],
+  go: ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'false', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'nil', 'package', 'range', 'return', 'select', 'struct', 'switch', 'true', 'type', 'var'],
+  rust: ['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while'],
+  php: ['abstract', 'and', 'array', 'as', 'break', 'callable', 'case', 'catch', 'class', 'clone', 'const', 'continue', 'declare', 'default', 'do', 'echo', 'else', 'elseif', 'enum', 'extends', 'false', 'final', 'finally', 'for', 'foreach', 'function', 'global', 'if', 'implements', 'include', 'interface', 'match', 'namespace', 'new', 'null', 'or', 'private', 'protected', 'public', 'readonly', 'require', 'return', 'self', 'static', 'switch', 'throw', 'trait', 'true', 'try', 'use', 'var', 'while', 'yield'],
+  ruby: ['BEGIN', 'END', 'alias', 'and', 'begin', 'break', 'case', 'class', 'def', 'defined?', 'do', 'else', 'elsif', 'end', 'ensure', 'false', 'for', 'if', 'in', 'module', 'next', 'nil', 'not', 'or', 'redo', 'rescue', 'retry', 'return', 'self', 'super', 'then', 'true', 'undef', 'unless', 'until', 'when', 'while', 'yield'],
+  yaml: ['true', 'false', 'null', 'yes', 'no', 'on', 'off'],
+  toml: ['true', 'false'],
+  cpp: ['alignas', 'alignof', 'and', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr', 'continue', 'default', 'delete', 'do', 'double', 'else', 'enum', 'explicit', 'export', 'extern', 'false', 'float', 'for', 'friend', 'if', 'inline', 'int', 'long', 'namespace', 'new', 'noexcept', 'nullptr', 'operator', 'private', 'protected', 'public', 'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'template', 'this', 'throw', 'true', 'try', 'typedef', 'typename', 'union', 'unsigned', 'using', 'virtual', 'void', 'volatile', 'while'],
+  c: ['auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while'],
+  lua: ['and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'],
+  r: ['FALSE', 'TRUE', 'NULL', 'break', 'else', 'for', 'function', 'if', 'in', 'next', 'repeat', 'return', 'while'],
+  scala: ['abstract', 'case', 'catch', 'class', 'def', 'do', 'else', 'extends', 'false', 'final', 'finally', 'for', 'forSome', 'if', 'implicit', 'import', 'lazy', 'match', 'new', 'null', 'object', 'override', 'package', 'private', 'protected', 'return', 'sealed', 'super', 'this', 'throw', 'trait', 'true', 'try', 'type', 'val', 'var', 'while', 'with', 'yield'],
+  powershell: ['begin', 'break', 'catch', 'class', 'continue', 'data', 'do', 'dynamicparam', 'else', 'elseif', 'end', 'enum', 'exit', 'filter', 'finally', 'for', 'foreach', 'function', 'if', 'in', 'param', 'process', 'return', 'switch', 'throw', 'trap', 'try', 'until', 'using', 'var', 'while']
+};
+
+const KEYWORD_REGEX_CACHE = new Map();
+
+const getKeywordRegex = (lang) => {
+  const key = String(lang || '').toLowerCase();
+  if (KEYWORD_REGEX_CACHE.has(key)) {
+    return KEYWORD_REGEX_CACHE.get(key);
+  }
+  const words = CODE_KEYWORDS[key] || [];
+  if (!words.length) {
+    KEYWORD_REGEX_CACHE.set(key, null);
+    return null;
+  }
+  const regex = new RegExp(`\\b(${words.map(escapeRegex).join('|')})\\b`, 'g');
+  KEYWORD_REGEX_CACHE.set(key, regex);
+  return regex;
+};
+
+const tokenizeCodeSegments = (source, regex, className, tokenStore) =>
+  source.replace(regex, (match) => {
+    const token = `__pn_token_${tokenStore.length}__`;
+    tokenStore.push(`<span class="${className}">${match}</span>`);
+    return token;
+  });
+
+const getCommentPattern = (lang) => {
+  if (['python', 'bash', 'ruby', 'yaml', 'toml', 'lua', 'r', 'powershell'].includes(lang)) {
+    return /#.*$/gm;
+  }
+  if (lang === 'sql') {
+    return /--.*$|\/\*[\s\S]*?\*\//gm;
+  }
+  if (lang === 'html') {
+    return /<!--[\s\S]*?-->/gm;
+  }
+  if (lang === 'css') {
+    return /\/\*[\s\S]*?\*\//gm;
+  }
+  return /\/\/.*$|\/\*[\s\S]*?\*\//gm;
+};
+
+const highlightCodeForPreview = (source, languageHint = '') => {
+  const lang = normalizeCodeLanguage(languageHint);
+  let output = escapeCodeHtml(source).replace(/\r\n/g, '\n');
+
+  if (!output.trim() || ['text', 'plain', 'plaintext', 'markdown', 'mermaid'].includes(lang)) {
+    return output;
+  }
+
+  const tokenStore = [];
+  const commentPattern = getCommentPattern(lang);
+
+  output = tokenizeCodeSegments(output, commentPattern, 'pn-code-token-comment', tokenStore);
+  output = tokenizeCodeSegments(output, /`[^`\n]*`|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/gm, 'pn-code-token-string', tokenStore);
+
+  if (lang === 'json') {
+    output = output.replace(/("(?:\\.|[^"\\])*?")(\s*:)/g, '<span class="pn-code-token-key">$1</span>$2');
+    output = output.replace(/\b(true|false|null)\b/g, '<span class="pn-code-token-keyword">$1</span>');
+  } else if (lang === 'yaml') {
+    output = output.replace(/^(\s*[-]?\s*[A-Za-z0-9_.-]+)(\s*:)/gm, '<span class="pn-code-token-key">$1</span>$2');
+    const keywordRegex = getKeywordRegex('yaml');
+    if (keywordRegex) {
+      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
+    }
+  } else if (lang === 'toml') {
+    output = output.replace(/^(\s*[A-Za-z0-9_.-]+)(\s*=)/gm, '<span class="pn-code-token-key">$1</span>$2');
+    const keywordRegex = getKeywordRegex('toml');
+    if (keywordRegex) {
+      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
+    }
+  } else {
+    const keywordRegex = getKeywordRegex(lang) || getKeywordRegex('javascript');
+    if (keywordRegex) {
+      output = output.replace(keywordRegex, '<span class="pn-code-token-keyword">$1</span>');
+    }
+    output = output.replace(/\b([A-Z][A-Za-z0-9_]*)\b/g, '<span class="pn-code-token-type">$1</span>');
+  }
+
+  output = output.replace(/\b-?(?:0x[a-fA-F0-9]+|\d+(?:\.\d+)?)\b/g, '<span class="pn-code-token-number">$&</span>');
+
+  tokenStore.forEach((tokenMarkup, index) => {
+    const token = `__pn_token_${index}__`;
+    output = output.split(token).join(tokenMarkup);
+  });
+
+  return output;
+};
+
+const parseMermaidNodeToken = (token) => {
+  const raw = String(token || '').trim().replace(/[;,]+$/, '');
+  if (!raw) return null;
+
+  const patterns = [
+    /^([A-Za-z0-9_-]+)\s*\(\(\s*"?(.+?)"?\s*\)\)$/,
+    /^([A-Za-z0-9_-]+)\s*\[\s*"?(.+?)"?\s*\]$/,
+    /^([A-Za-z0-9_-]+)\s*\(\s*"?(.+?)"?\s*\)$/,
+    /^([A-Za-z0-9_-]+)\s*\{\s*"?(.+?)"?\s*\}$/,
+    /^([A-Za-z0-9_-]+)\s*$/
+  ];
+
+  for (const pattern of patterns) {
+    const match = raw.match(pattern);
+    if (!match) continue;
+    const id = String(match[1] || '').trim();
+    if (!id) return null;
+    const label = trimMermaidLabel(String(match[2] || id).replace(/^["'`]+|["'`]+$/g, '').trim(), 52);
+    return { id, label: label || id };
+  }
+
+  return null;
+};
+
+const cleanMermaidEndpointToken = (value) => String(value || '')
+  .replace(/^\|[^|]*\|\s*/g, '')
+  .replace(/\s*\|[^|]*\|$/g, '')
+  .trim();
+
+const findMermaidEdge = (statement) => {
+  const edgeOps = ['<-->', '-.->', '-->', '==>', '---', '<--', '->', '<-'];
+  let best = null;
+  for (const op of edgeOps) {
+    const idx = statement.indexOf(op);
+    if (idx <= 0) continue;
+    if (!best || idx < best.index) {
+      best = { op, index: idx };
+    }
+  }
+  if (!best) return null;
+
+  const left = cleanMermaidEndpointToken(statement.slice(0, best.index));
+  const right = cleanMermaidEndpointToken(statement.slice(best.index + best.op.length));
+  if (!left || !right) return null;
+  return { left, right };
+};
+
+const renderMermaidFlowchart = (source, direction = 'td') => {
+  const chunks = String(source || '')
+    .split('\n')
+    .flatMap((line) => line.split(';'))
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('%%'));
+
+  const nodes = new Map();
+  const edges = [];
+  const registerNode = (token) => {
+    const parsed = parseMermaidNodeToken(token);
+    if (!parsed) return null;
+    if (!nodes.has(parsed.id)) {
+      nodes.set(parsed.id, parsed);
+    } else if (parsed.label && nodes.get(parsed.id).label === parsed.id) {
+      nodes.set(parsed.id, parsed);
+    }
+    return parsed.id;
+  };
+
+  for (const chunk of chunks) {
+    if (/^(flowchart|graph)\b/i.test(chunk)) continue;
+    if (/^(subgraph|end|style|classDef|class|linkStyle|click)\b/i.test(chunk)) continue;
+
+    const edge = findMermaidEdge(chunk);
+    if (edge) {
+      const from = registerNode(edge.left);
+      const to = registerNode(edge.right);
+      if (from && to) {
+        edges.push({ from, to });
+      }
+      continue;
+    }
+
+    registerNode(chunk);
+  }
+
+  const nodeList = Array.from(nodes.values());
+  if (!nodeList.length) return null;
+
+  const isHorizontal = ['lr', 'rl'].includes(direction);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(nodeList.length)));
+  const rows = Math.max(1, Math.ceil(nodeList.length / columns));
+  const boxWidth = 168;
+  const boxHeight = 56;
+  const gapX = 44;
+  const gapY = 34;
+  const pad = 28;
+  const width = pad * 2 + (columns * boxWidth) + ((columns - 1) * gapX);
+  const height = pad * 2 + (rows * boxHeight) + ((rows - 1) * gapY);
+  const positions = new Map();
+
+  nodeList.forEach((node, index) => {
+    let column = index % columns;
+    let row = Math.floor(index / columns);
+    if (direction === 'rl') {
+      column = (columns - 1) - column;
+    }
+    if (direction === 'bt') {
+      row = (rows - 1) - row;
+    }
+    if (isHorizontal && rows > 1) {
+      // Keep layout compact in LR/RL while preserving order.
+      column = Math.floor(index / rows);
+      row = index % rows;
+      if (direction === 'rl') {
+        column = (Math.max(1, Math.ceil(nodeList.length / rows)) - 1) - column;
+      }
+    }
+    const x = pad + (column * (boxWidth + gapX));
+    const y = pad + (row * (boxHeight + gapY));
+    positions.set(node.id, { x, y });
+  });
+
+  const edgeMarkup = edges.map((edge) => {
+    const from = positions.get(edge.from);
+    const to = positions.get(edge.to);
+    if (!from || !to) return '';
+    let x1 = from.x + (boxWidth / 2);
+    let y1 = from.y + (boxHeight / 2);
+    let x2 = to.x + (boxWidth / 2);
+    let y2 = to.y + (boxHeight / 2);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    if (Math.abs(dx) > Math.abs(dy)) {
+      x1 += Math.sign(dx || 1) * (boxWidth / 2);
+      x2 -= Math.sign(dx || 1) * (boxWidth / 2);
+    } else {
+      y1 += Math.sign(dy || 1) * (boxHeight / 2);
+      y2 -= Math.sign(dy || 1) * (boxHeight / 2);
+    }
+    return `<line class="pn-mermaid-edge" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#pn-mermaid-arrow)"></line>`;
+  }).join('');
+
+  const nodeMarkup = nodeList.map((node) => {
+    const pos = positions.get(node.id);
+    if (!pos) return '';
+    const centerX = pos.x + (boxWidth / 2);
+    const centerY = pos.y + (boxHeight / 2);
+    const lines = splitLabelLines(node.label, 18, 3);
+    const startY = centerY - ((lines.length - 1) * 8);
+    const textMarkup = lines.map((line, index) => (
+      `<tspan x="${centerX}" dy="${index === 0 ? 0 : 16}">${escapeSvgText(line)}</tspan>`
+    )).join('');
+    return `
+      <g class="pn-mermaid-node-group">
+        <rect class="pn-mermaid-node" x="${pos.x}" y="${pos.y}" width="${boxWidth}" height="${boxHeight}" rx="10" ry="10"></rect>
+        <text class="pn-mermaid-label" x="${centerX}" y="${startY}">${textMarkup}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="pn-mermaid-diagram" viewBox="0 0 ${width} ${height}" role="img" aria-label="Mermaid diagram">
+      <defs>
+        <marker id="pn-mermaid-arrow" markerWidth="10" markerHeight="8" refX="8" refY="4" orient="auto" markerUnits="strokeWidth">
+          <path d="M0,0 L10,4 L0,8 z" class="pn-mermaid-arrow"></path>
+        </marker>
+      </defs>
+      ${edgeMarkup}
+      ${nodeMarkup}
+    </svg>
+  `;
+};
+
+const renderMermaidSequence = (source) => {
+  const chunks = String(source || '')
+    .split('\n')
+    .flatMap((line) => line.split(';'))
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('%%'));
+
+  const participantOrder = [];
+  const participantLabels = new Map();
+  const messages = [];
+
+  const ensureParticipant = (id, label = '') => {
+    const safeId = String(id || '').trim();
+    if (!safeId) return;
+    if (!participantLabels.has(safeId)) {
+      participantOrder.push(safeId);
+      participantLabels.set(safeId, trimMermaidLabel(label || safeId, 28));
+    } else if (label) {
+      participantLabels.set(safeId, trimMermaidLabel(label, 28));
+    }
+  };
+
+  for (const chunk of chunks) {
+    if (/^sequenceDiagram\b/i.test(chunk)) continue;
+    if (/^(autonumber|activate|deactivate|note|rect|loop|alt|else|end|opt|par|critical|break)\b/i.test(chunk)) continue;
+
+    const participantMatch = chunk.match(/^(participant|actor)\s+([A-Za-z0-9_-]+)(?:\s+as\s+(.+))?$/i);
+    if (participantMatch) {
+      ensureParticipant(participantMatch[2], participantMatch[3] || participantMatch[2]);
+      continue;
+    }
+
+    const msgMatch = chunk.match(/^([A-Za-z0-9_-]+)\s*(->>|-->>|->|-->|=>|==>|<--|<<--|<-|<->)\s*([A-Za-z0-9_-]+)\s*:\s*(.+)$/);
+    if (!msgMatch) continue;
+    const from = msgMatch[1];
+    const to = msgMatch[3];
+    const text = trimMermaidLabel(msgMatch[4], 44);
+    ensureParticipant(from);
+    ensureParticipant(to);
+    messages.push({ from, to, text });
+  }
+
+  if (!participantOrder.length || !messages.length) return null;
+
+  const colWidth = 170;
+  const headerW = 120;
+  const headerH = 34;
+  const pad = 28;
+  const topHeader = 16;
+  const lifelineStart = topHeader + headerH + 12;
+  const rowH = 36;
+  const width = (participantOrder.length * colWidth) + (pad * 2);
+  const height = lifelineStart + (messages.length * rowH) + 32;
+
+  const xByParticipant = new Map();
+  participantOrder.forEach((id, index) => {
+    xByParticipant.set(id, pad + (index * colWidth) + (colWidth / 2));
+  });
+
+  const participantMarkup = participantOrder.map((id) => {
+    const x = xByParticipant.get(id);
+    const rectX = x - (headerW / 2);
+    const label = escapeSvgText(participantLabels.get(id) || id);
+    return `
+      <g class="pn-mermaid-node-group">
+        <rect class="pn-mermaid-node" x="${rectX}" y="${topHeader}" width="${headerW}" height="${headerH}" rx="8" ry="8"></rect>
+        <text class="pn-mermaid-label" x="${x}" y="${topHeader + 22}">
+          <tspan x="${x}" dy="0">${label}</tspan>
+        </text>
+        <line class="pn-mermaid-lifeline" x1="${x}" y1="${lifelineStart}" x2="${x}" y2="${height - 18}"></line>
+      </g>
+    `;
+  }).join('');
+
+  const messageMarkup = messages.map((message, index) => {
+    const x1 = xByParticipant.get(message.from);
+    const x2 = xByParticipant.get(message.to);
+    if (!x1 || !x2) return '';
+    const y = lifelineStart + (index * rowH) + 10;
+    const textX = (x1 + x2) / 2;
+    const label = escapeSvgText(message.text || '');
+    return `
+      <g class="pn-mermaid-seq-message">
+        <line class="pn-mermaid-edge" x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" marker-end="url(#pn-mermaid-arrow)"></line>
+        <text class="pn-mermaid-label pn-mermaid-label--small" x="${textX}" y="${y - 8}">
+          <tspan x="${textX}" dy="0">${label}</tspan>
+        </text>
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="pn-mermaid-diagram" viewBox="0 0 ${width} ${height}" role="img" aria-label="Mermaid sequence diagram">
+      <defs>
+        <marker id="pn-mermaid-arrow" markerWidth="10" markerHeight="8" refX="8" refY="4" orient="auto" markerUnits="strokeWidth">
+          <path d="M0,0 L10,4 L0,8 z" class="pn-mermaid-arrow"></path>
+        </marker>
+      </defs>
+      ${participantMarkup}
+      ${messageMarkup}
+    </svg>
+  `;
+};
+
+const renderMermaidDiagram = (source) => {
+  const raw = String(source || '').trim();
+  if (!raw) return null;
+  const firstLine = raw.split('\n').map((line) => line.trim()).find(Boolean) || '';
+
+  try {
+    if (/^sequenceDiagram\b/i.test(firstLine)) {
+      return renderMermaidSequence(raw);
+    }
+    const flowMatch = firstLine.match(/^(?:flowchart|graph)\s+([A-Za-z]{2})/i);
+    if (flowMatch) {
+      return renderMermaidFlowchart(raw, String(flowMatch[1] || 'td').toLowerCase());
+    }
+    if (raw.includes('-->') || raw.includes('-.->') || raw.includes('==>')) {
+      return renderMermaidFlowchart(raw, 'td');
+    }
+  } catch (_) {
+    return null;
+  }
+
+  return null;
+};
+
+const buildExportSheetClassNames = () => {
+  const themeClass = getExportThemeClass();
+  const fontClass = getExportFontClass();
+  const fontSizeClass = getExportSizeClass();
+
+  if (themeClass === 'pn-export-sheet--theme-custom') {
+    applyCustomExportThemeRules(state.exportPrefs.customBackground);
+  }
+
+  return `pn-export-sheet ${themeClass} ${fontClass} ${fontSizeClass}`;
+};
+
+const wrapExportPreviewSheet = (bodyMarkup, extraClass = '') => `
+  <section id="pn-export-snapshot" class="${buildExportSheetClassNames()} ${extraClass}">
+    ${bodyMarkup}
+  </section>
+`;
+
+/** Gets or initializes the Markdown parser for visual previews. */
+const getMarkdownParser = async () => {
+  if (state.markdownParser) return state.markdownParser;
+  if (!window.markdownit) return null;
+  state.markdownParser = window.markdownit({
+    html: false, // Disallow raw HTML in the preview to prevent XSS
+    breaks: true,
+    linkify: true,
+    highlight: (str, lang) => {
+      const normalizedLang = normalizeCodeLanguage(lang);
+      if (normalizedLang === 'mermaid') {
+        const diagramMarkup = renderMermaidDiagram(str);
+        if (diagramMarkup) {
+          return `<div class="pn-mermaid-wrap">${diagramMarkup}</div>`;
+        }
+        return `<pre class="pn-code-block"><code class="pn-code language-mermaid">${escapeCodeHtml(str)}</code></pre>`;
+      }
+      const highlighted = highlightCodeForPreview(str, normalizedLang);
+      return `<pre class="pn-code-block"><code class="pn-code language-${normalizedLang}">${highlighted}</code></pre>`;
+    }
+  });
+  return state.markdownParser;
+};
+
+/** Creates styled visual snapshot used for PDF-like preview mode. */
+const buildVisualPreviewMarkup = async () => {
+  const payload = getActiveExportPayload();
+
+  if (!payload || !payload.messages.length) {
+    return '<div class="pn-empty">No selected messages found. Select messages in chat and click Export Selected.</div>';
+  }
+
+  const platformTitle = state.exportPrefs.includePlatform
+    ? `<h2>${escapeHtml(payload.title || getPlatformLabel(payload.platform) || 'Conversation')}</h2>`
+    : '';
+  const platformLine = state.exportPrefs.includePlatform
+    ? `<p class="pn-export-meta-line">Platform: ${escapeHtml(getPlatformLabel(payload.platform))}</p>`
+    : '';
+
+  const dateLine = state.exportPrefs.includeDate
+    ? `<p class="pn-export-meta-line">Exported: ${escapeHtml(new Date().toLocaleString())}</p>`
+    : '';
+
+  const { rows } = await buildExportMessageRows(payload);
+
+  return wrapExportPreviewSheet(`
+      <header class="pn-export-head">
+        ${platformTitle}
+        ${platformLine}
+        ${dateLine}
+      </header>
+      <div class="pn-export-list">${rows.join('')}</div>
+    `);
+};
+
+// ─── HTML Export ─────────────────────────────────────────────────────────────
+
+// Export sheet rules copied from the loaded stylesheets, so the file matches the preview.
+const HTML_EXPORT_RULE_PATTERN = /\.pn-(export-(sheet|head|list|card|message-heading|meta-line|raw)|markdown-body|code|mermaid)/;
+// Messages longer than this start collapsed in the HTML file.
+const HTML_COLLAPSE_CHARS = 2500;
+const HTML_EXCERPT_CHARS = 80;
+
+// Page chrome that only the standalone file needs; the sheet itself is styled by the copied rules.
+const HTML_EXPORT_PAGE_CSS = `
+body { margin: 0; padding: 24px 16px; }
+.pn-export-sheet { max-width: 860px; margin: 0 auto; overflow: visible; }
+.pn-export-toc { margin: 0 0 14px; padding: 10px 12px; border: 1px solid rgba(127, 127, 127, 0.3); border-radius: 10px; }
+.pn-export-toc h3 { margin: 0 0 6px; font-size: 0.92em; }
+.pn-export-toc ol { margin: 0; padding-left: 1.4em; }
+.pn-export-toc a { color: inherit; }
+details.pn-export-card > summary { cursor: pointer; }
+details.pn-export-card > summary.pn-export-message-heading { margin: 0; }
+details.pn-export-card[open] > summary.pn-export-message-heading { margin-bottom: 7px; }
+.pn-export-excerpt { margin-left: 8px; font-weight: 400; opacity: 0.65; }
+details[open] .pn-export-excerpt { display: none; }
+`;
+
+/**
+ * Returns the export sheet rules from the loaded stylesheets as CSS text. Only style rules are copied:
+ * the extension bundles no @font-face files, so each export font stack ends in system fonts and a
+ * generic family, and the HTML file renders with whichever of those the reader's machine has.
+ */
+const collectExportStyles = () => {
+  const rules = [];
+  for (const sheet of Array.from(document.styleSheets || [])) {
+    let sheetRules = [];
+    try {
+      sheetRules = Array.from(sheet.cssRules || []);
+    } catch (_) {
+      continue;
+    }
+    for (const rule of sheetRules) {
+      if (rule.type === STYLE_RULE_TYPE && HTML_EXPORT_RULE_PATTERN.test(rule.selectorText)) {
+        rules.push(rule.cssText);
+      }
+    }
+  }
+  return rules.join('\n');
+};
+
+/** Returns a one-line excerpt of a message for the table of contents and collapsed messages. */
+const getMessageExcerpt = (message) => {
+  const text = String(message?.text || '').replace(/\s+/g, ' ').trim();
+  return text.length > HTML_EXCERPT_CHARS ? `${text.slice(0, HTML_EXCERPT_CHARS)}…` : text;
+};
+
+/** Renders message markdown with the preview parser, or as escaped text with line breaks when it is unavailable. */
+const renderExportMarkdown = (parser, markdown) => (parser ? parser.render(markdown) : escapeHtml(markdown).replaceAll('\n', '<br />'));
+
+/**
+ * Renders the export sheet rows shared by the visual preview and the HTML file: one card for combined
+ * content, otherwise one card per message headed by its optional number and role label. With
+ * collapsible set, cards are <details> elements with an excerpt, and long messages start closed.
+ */
+const buildExportMessageRows = async (payload, { collapsible = false } = {}) => {
+  const parser = await getMarkdownParser();
+  const rows = [];
+  const tocItems = [];
+
+  if (state.exportPrefs.contentMode === 'combined') {
+    const chunks = [];
+    for (const message of payload.messages) {
+      chunks.push(await toMessageContentMarkdown(message));
+    }
+    rows.push(`
+      <article class="pn-export-card">
+        <div class="pn-export-card-content pn-markdown-body pn-export-card-content--body">${renderExportMarkdown(parser, chunks.filter(Boolean).join('\n\n'))}</div>
+      </article>
+    `);
+    return { rows, tocItems };
+  }
+
+  for (let index = 0; index < payload.messages.length; index += 1) {
+    const message = payload.messages[index];
+    const messageNumber = state.exportPrefs.includeMessageNumbers ? `${index + 1}. ` : '';
+    const roleLabel = escapeHtml(message.role === 'user' ? 'You' : 'Assistant');
+    const markdown = await toMessageContentMarkdown(message);
+    const contentHtml = `<div class="pn-export-card-content pn-markdown-body pn-export-card-content--body">${renderExportMarkdown(parser, markdown)}</div>`;
+
+    if (!collapsible) {
+      rows.push(`
+        <article class="pn-export-card">
+          <h3 class="pn-export-message-heading">${messageNumber}${roleLabel}</h3>
+          ${contentHtml}
+        </article>
+      `);
+      continue;
+    }
+
+    const excerpt = escapeHtml(getMessageExcerpt(message));
+    const isLong = markdown.length > HTML_COLLAPSE_CHARS;
+    tocItems.push(`<li><a href="#message-${index + 1}">${roleLabel}: ${excerpt}</a></li>`);
+    rows.push(`
+      <details class="pn-export-card" id="message-${index + 1}"${isLong ? '' : ' open'}>
+        <summary class="pn-export-message-heading">${messageNumber}${roleLabel}<span class="pn-export-excerpt">${excerpt}</span></summary>
+        ${contentHtml}
+      </details>
+    `);
+  }
+
+  return { rows, tocItems };
+};
+
+/**
+ * Builds a single-file HTML document of the export payload with the preview's theme, font, highlighted
+ * code, and inline SVG diagrams. Styles are embedded and there is no script or external resource, so
+ * the file opens offline. Long messages are collapsible and a table of contents links to each message.
+ */
+const buildHtmlExport = async (payload = getActiveExportPayload()) => {
+  if (!payload || !payload.messages.length) {
+    return '';
+  }
+
+  const title = payload.title || getPlatformLabel(payload.platform) || 'Conversation';
+  const sheetClassNames = buildExportSheetClassNames();
+
+  const head = [
+    state.exportPrefs.includePlatform ? `<h2>${escapeHtml(title)}</h2>` : '',
+    state.exportPrefs.includePlatform ? `<p class="pn-export-meta-line">Platform: ${escapeHtml(getPlatformLabel(payload.platform))}</p>` : '',
+    state.exportPrefs.includeDate ? `<p class="pn-export-meta-line">Exported: ${escapeHtml(new Date().toLocaleString())}</p>` : ''
+  ].join('');
+
+  const { rows, tocItems } = await buildExportMessageRows(payload, { collapsible: true });
+  const toc = tocItems.length > 1 ? `<nav class="pn-export-toc"><h3>Contents</h3><ol>${tocItems.join('')}</ol></nav>` : '';
+
+  const rootStyles = getComputedStyle(document.documentElement);
+  const fontVariables = ['--font-body', '--font-mono']
+    .map((name) => `${name}: ${rootStyles.getPropertyValue(name).trim() || 'sans-serif'};`)
+    .join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="generator" content="Promptium" />
+<title>${escapeHtml(title)}</title>
+<style>
+:root { ${fontVariables} }
+body { background: ${resolveExportThemeColors().page}; }
+${collectExportStyles()}
+${HTML_EXPORT_PAGE_CSS}
+</style>
+</head>
+<body>
+<main class="${sheetClassNames}">
+  <header class="pn-export-head">${head}</header>
+  ${toc}
+  <div class="pn-export-list">${rows.join('')}</div>
+</main>
+</body>
+</html>
+`;
+};
+
+// ─── End HTML Export ─────────────────────────────────────────────────────────
+
+const buildMarkdownPreviewMarkup = async () => {
+  const markdown = await buildMarkdown();
+  return wrapExportPreviewSheet(`
+    <article class="pn-export-card pn-export-card--single">
+      <pre class="pn-export-raw pn-export-raw--markdown">${escapeHtml(markdown)}</pre>
+    </article>
+  `);
+};
+
+const buildNotePreviewMarkup = async () => {
+  const note = await buildExporterNote();
+  return wrapExportPreviewSheet(`
+    <article class="pn-export-card pn-export-card--single">
+      <pre class="pn-export-raw pn-export-raw--markdown">${escapeHtml(note)}</pre>
+    </article>
+  `);
+};
+
+const buildTextPreviewMarkup = async (format) => {
+  const chat = buildExporterChatPayload();
+  if (!chat) {
+    return '<div class="pn-empty">No messages selected.</div>';
+  }
+  if (!window.Exporter?.toTXT || !window.Exporter?.toJSON) {
+    return '<div class="pn-empty">Preview renderer unavailable.</div>';
+  }
+
+  const prefs = buildExporterPrefs();
+  if (format === 'json') {
+    const jsonText = await window.Exporter.toJSON(chat, prefs);
+    return wrapExportPreviewSheet(`
+      <article class="pn-export-card pn-export-card--single">
+        <pre class="pn-code-block pn-code-block--json"><code class="pn-code language-json">${highlightCodeForPreview(jsonText, 'json')}</code></pre>
+      </article>
+    `);
+  }
+
+  const plainText = await window.Exporter.toTXT(chat, prefs);
+  return wrapExportPreviewSheet(`
+    <article class="pn-export-card pn-export-card--single">
+      <pre class="pn-export-raw pn-export-raw--txt">${escapeHtml(plainText)}</pre>
+    </article>
+  `);
+};
+
+const buildFormatAwarePreviewMarkup = async () => {
+  const format = String(state.exportPrefs.format || 'markdown').toLowerCase();
+  if (format === 'pdf' || format === 'html' || format === 'docx') {
+    return buildVisualPreviewMarkup();
+  }
+  if (format === 'txt' || format === 'text') {
+    return buildTextPreviewMarkup('txt');
+  }
+  if (format === 'json') {
+    return buildTextPreviewMarkup('json');
+  }
+  if (format === 'notes') {
+    return buildNotePreviewMarkup();
+  }
+  return buildMarkdownPreviewMarkup();
+};
+
+/** Writes export status text below export controls with optional retry action. */
+const setExportStatus = async (message, isError = false, options = {}) => {
+  const node = await byId('export-status');
+
+  if (!node) {
+    return;
+  }
+
+  node.textContent = String(message || '').trim();
+  node.classList.toggle('pn-status-error', Boolean(isError));
+
+  if (isError) {
+    const controls = document.createElement('span');
+    controls.className = 'pn-export-status-controls';
+
+    if (options.showRetry) {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'pn-btn pn-btn--ghost';
+      retryButton.textContent = 'Retry';
+      retryButton.addEventListener('click', () => {
+        void runExport();
+      });
+      controls.appendChild(retryButton);
+    }
+
+    if (options.debugHint) {
+      const hint = document.createElement('span');
+      hint.className = 'pn-export-status-hint';
+      hint.textContent = String(options.debugHint).trim();
+      controls.appendChild(hint);
+    }
+
+    if (controls.childNodes.length > 0) {
+      node.appendChild(document.createTextNode(' '));
+      node.appendChild(controls);
+    }
+  }
+};
+
+/** Synchronizes export preference state from currently rendered controls. */
+const syncExportPrefsFromControls = async () => {
+  const format = byId('export-format');
+  const contentMode = byId('export-content-mode');
+  const includeDate = byId('include-date');
+  const includePlatform = byId('include-platform');
+  const includeMsgNumbers = byId('include-msg-numbers');
+  const includeCoverPage = byId('include-cover-page');
+  const fontStyle = byId('export-font-style');
+  const fontSize = byId('export-font-size');
+  const fontSizeNumber = byId('export-font-size-number');
+  const background = byId('export-bg-style');
+  const customBackground = byId('export-bg-custom');
+  const customWrap = byId('export-bg-custom-wrap');
+
+  const sizeInput = Number(fontSize?.value || fontSizeNumber?.value || state.exportPrefs.fontSize || 14);
+  const normalizedSize = Math.min(20, Math.max(12, Number.isFinite(sizeInput) ? sizeInput : 14));
+  if (fontSize) fontSize.value = String(normalizedSize);
+  if (fontSizeNumber) fontSizeNumber.value = String(normalizedSize);
+
+  state.exportPrefs = {
+    format: String(format?.value || state.exportPrefs.format || 'markdown'),
+    contentMode: String(contentMode?.value || state.exportPrefs.contentMode || 'structured'),
+    includeDate: Boolean(includeDate?.checked),
+    includePlatform: Boolean(includePlatform?.checked),
+    includeMessageNumbers: Boolean(includeMsgNumbers?.checked),
+    includeCoverPage: Boolean(includeCoverPage?.checked),
+    fontStyle: String(fontStyle?.value || state.exportPrefs.fontStyle || 'System'),
+    fontSize: normalizedSize,
+    background: String(background?.value || state.exportPrefs.background || 'dark'),
+    customBackground: String(customBackground?.value || state.exportPrefs.customBackground || '#18181c')
+  };
+
+  customWrap?.classList.toggle('pn-hidden', state.exportPrefs.background !== 'custom');
+  applyCustomExportThemeRules(state.exportPrefs.customBackground);
+  if (includeMsgNumbers instanceof HTMLInputElement) {
+    includeMsgNumbers.disabled = state.exportPrefs.contentMode === 'combined';
+    if (includeMsgNumbers.disabled) {
+      includeMsgNumbers.checked = false;
+      state.exportPrefs.includeMessageNumbers = false;
+    }
+  }
+};
+
+/** Updates export summary metadata and export action label. */
+const renderExportMeta = async () => {
+  const payload = getActiveExportPayload();
+  const selectionMeta = byId('selection-meta');
+  const previewLabel = byId('preview-label');
+  const exportButton = byId('export-btn');
+  const reloadButton = byId('export-reload-selection');
+  const countsEl = byId('export-counts');
+  const msgCountEl = byId('export-msg-count');
+  const wordCountEl = byId('export-word-count');
+  const fmt = state.exportPrefs.format;
+
+  const formatLabels = {
+    markdown: 'Markdown',
+    txt: 'Plain Text',
+    json: 'JSON',
+    html: 'HTML',
+    docx: 'Word',
+    pdf: 'PDF',
+    notes: 'Vault Note'
+  };
+  const formatLabel = formatLabels[fmt] || 'Markdown';
+
+  if (selectionMeta) {
+    const count = payload?.messages?.length || 0;
+    if (!count) {
+      selectionMeta.textContent = 'No messages selected';
+    } else {
+      const base = `${count} message${count === 1 ? '' : 's'} • ${getPlatformLabel(payload.platform)}`;
+      selectionMeta.textContent = state.hasPendingExportUpdate ? `${base} • New selection available` : base;
+    }
+  }
+
+  // Word & message count badges
+  if (countsEl && msgCountEl && wordCountEl) {
+    const msgs = payload?.messages || [];
+    if (msgs.length > 0) {
+      const wordTotal = msgs.reduce((sum, m) => sum + (m.text || '').split(/\s+/).filter(Boolean).length, 0);
+      msgCountEl.textContent = `${msgs.length} msg${msgs.length === 1 ? '' : 's'}`;
+      wordCountEl.textContent = `${wordTotal.toLocaleString()} word${wordTotal === 1 ? '' : 's'}`;
+      countsEl.classList.remove('pn-hidden');
+    } else {
+      countsEl.classList.add('pn-hidden');
+    }
+  }
+
+  if (previewLabel) {
+    const modeLabel = state.exportPrefs.contentMode === 'combined' ? 'combined text' : 'structured';
+    previewLabel.textContent = `${formatLabel} preview • ${modeLabel}`;
+  }
+
+  if (exportButton) {
+    exportButton.textContent = `Export ${formatLabel}`;
+  }
+
+  if (reloadButton) {
+    reloadButton.classList.toggle('pn-hidden', !state.hasPendingExportUpdate);
+  }
+};
+
+/** Asks the active page to stage selected messages, then refreshes export preview. */
+const selectMessagesForExport = async () => {
+  const context = await getActiveTabContext();
+
+  if (!context.tabId) {
+    await setExportStatus('No active tab available for message selection.', true);
+    return;
+  }
+
+  const response = await chrome.tabs.sendMessage(context.tabId, { action: 'openSidePanelAll' }).catch(() => null);
+  if (!response?.ok) {
+    await setExportStatus('Could not request message selection from the active tab.', true);
+    return;
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, 220));
+  const incoming = await loadExportPayload();
+  await ingestIncomingExportPayload(incoming);
+  await renderExportPreview();
+  await setExportStatus('Message selection loaded.');
+};
+
+/** Renders export preview area from current payload and selected format. */
+const renderExportPreview = async () => {
+  const preview = byId('preview');
+
+  if (!preview) {
+    return;
+  }
+
+  const payload = getActiveExportPayload();
+
+  if (!payload || !payload.messages.length) {
+    preview.innerHTML = '';
+    preview.appendChild(createEmptyState({
+      title: 'No messages selected',
+      message: 'Select a message range in your chat to generate an export preview.',
+      actionLabel: 'Select Messages',
+      onAction: () => { void selectMessagesForExport(); }
+    }));
+    await renderExportMeta();
+    return;
+  }
+
+  preview.innerHTML = await buildFormatAwarePreviewMarkup();
+  await renderExportMeta();
+};
+
+/** Generates export filename, preferring user-supplied custom name. */
+const buildExportFilename = async (extension) => {
+  const customName = String(byId('export-filename')?.value || '').trim();
+  if (customName) {
+    // Strip any existing extension and add the correct one
+    const baseName = customName.replace(/\.[^.]+$/, '');
+    return `${baseName}.${extension}`;
+  }
+  const platform = String(getActiveExportPayload()?.platform || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  const date = new Date().toISOString().slice(0, 10);
+  return `promptium_${platform || 'unknown'}_${date}.${extension}`;
+};
+
+/** Downloads plain text content with blob-backed object URL. */
+const downloadSidepanelText = async (content, filename, mimeType) => {
+  const payload = content == null ? '' : content;
+  const blob = payload instanceof Blob ? payload : new Blob([payload], { type: mimeType });
+  const objectUrl = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+
+  anchor.href = objectUrl;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
+/** Builds chat data compatible with Exporter functions from current state. */
+const buildExporterChatPayload = (payload = getActiveExportPayload()) => {
+  if (!payload) return null;
+  return {
+    title: payload.title,
+    platform: payload.platform,
+    createdAt: payload.createdAt,
+    messages: payload.messages
+  };
+};
+
+/** Builds the exporter chat with message HTML converted through Turndown, so DOCX and PDF keep code blocks and tables. */
+const buildExporterMarkdownChat = async (payload = getActiveExportPayload()) => {
+  const chat = buildExporterChatPayload(payload);
+  const messages = [];
+  for (const message of chat.messages) {
+    messages.push({ ...message, text: await toMessageContentMarkdown(message) });
+  }
+  return { ...chat, messages };
+};
+
+/** Builds the vault note for the export payload, linking the library prompts used in the chat. */
+const buildExporterNote = async (payload = getActiveExportPayload()) => {
+  const chat = { ...(await buildExporterMarkdownChat(payload)), url: payload?.url || '', tags: payload?.tags || [] };
+  return window.Exporter.toNote(chat, buildExporterPrefs(), { prompts: await window.Store.getPrompts() });
+};
+
+/** Builds exporter-compatible prefs from current export state. */
+const buildExporterPrefs = () => ({
+  includePlatformLabel: state.exportPrefs.includePlatform,
+  includeTimestamps: false,
+  includeExportDate: state.exportPrefs.includeDate,
+  includeMessageNumbers: state.exportPrefs.includeMessageNumbers,
+  includeCoverPage: state.exportPrefs.includeCoverPage,
+  headerText: '',
+  contentMode: state.exportPrefs.contentMode,
+  fontStyle: state.exportPrefs.fontStyle,
+  fontSize: state.exportPrefs.fontSize,
+  background: state.exportPrefs.background,
+  customBackground: state.exportPrefs.customBackground
+});
+
+/** Saves an exported chat to history unless it was opened from history. */
+const saveExportToHistory = async (payload) => {
+  if (payload.historyId) {
+    return;
+  }
+  await window.Store.saveChatToHistory(payload);
+};
+
+/** Executes export action for markdown, txt, json, HTML, DOCX, or PDF. */
+const runExport = async () => {
+  await syncExportPrefsFromControls();
+
+  const payload = getActiveExportPayload();
+
+  if (!payload || !payload.messages.length) {
+    await setExportStatus('No messages selected.', true, {
+      showRetry: false,
+      debugHint: 'Use "Select Messages" to choose a range before exporting.'
+    });
+    return;
+  }
+
+  const format = state.exportPrefs.format;
+
+  // Markdown
+  if (format === 'markdown') {
+    const markdown = await buildMarkdown();
+    if (!markdown) {
+      await setExportStatus('Unable to build Markdown output.', true, {
+        showRetry: true,
+        debugHint: 'Confirm selected messages are non-empty and try again.'
+      });
+      return;
+    }
+    await downloadSidepanelText(markdown, await buildExportFilename('md'), 'text/markdown;charset=utf-8');
+    await saveExportToHistory(payload);
+    await setExportStatus('Markdown exported!');
+    return;
+  }
+
+  // Plain Text
+  if (format === 'txt') {
+    try {
+      const chat = buildExporterChatPayload();
+      const text = await window.Exporter.toTXT(chat, buildExporterPrefs());
+      await downloadSidepanelText(text, await buildExportFilename('txt'), 'text/plain;charset=utf-8');
+      await saveExportToHistory(payload);
+      await setExportStatus('Plain text exported!');
+    } catch (err) {
+      await setExportStatus(err?.message || 'Text export failed.', true, {
+        showRetry: true,
+        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
+      });
+    }
+    return;
+  }
+
+  // JSON
+  if (format === 'json') {
+    try {
+      const chat = buildExporterChatPayload();
+      const json = await window.Exporter.toJSON(chat, buildExporterPrefs());
+      await downloadSidepanelText(json, await buildExportFilename('json'), 'application/json;charset=utf-8');
+      await saveExportToHistory(payload);
+      await setExportStatus('JSON exported!');
+    } catch (err) {
+      await setExportStatus(err?.message || 'JSON export failed.', true, {
+        showRetry: true,
+        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
+      });
+    }
+    return;
+  }
+
+  // Vault note
+  if (format === 'notes') {
+    try {
+      const note = await buildExporterNote();
+      await downloadSidepanelText(note, await buildExportFilename('md'), 'text/markdown;charset=utf-8');
+      await saveExportToHistory(payload);
+      await setExportStatus('Vault note exported!');
+    } catch (err) {
+      await setExportStatus(err?.message || 'Note export failed.', true, {
+        showRetry: true,
+        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
+      });
+    }
+    return;
+  }
+
+  // HTML
+  if (format === 'html') {
+    try {
+      const html = await buildHtmlExport();
+      await downloadSidepanelText(html, await buildExportFilename('html'), 'text/html;charset=utf-8');
+      await saveExportToHistory(payload);
+      await setExportStatus('HTML exported!');
+    } catch (err) {
+      await setExportStatus(err?.message || 'HTML export failed.', true, {
+        showRetry: true,
+        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
+      });
+    }
+    return;
+  }
+
+  // DOCX
+  if (format === 'docx') {
+    try {
+      const docxData = await window.Exporter.toDOCX(await buildExporterMarkdownChat(), buildExporterPrefs());
+      await downloadSidepanelText(
+        docxData,
+        await buildExportFilename('docx'),
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      );
+      await saveExportToHistory(payload);
+      await setExportStatus('Word document exported!');
+    } catch (err) {
+      await setExportStatus(err?.message || 'DOCX export failed.', true, {
+        showRetry: true,
+        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
+      });
+    }
+    return;
+  }
+
+  // PDF (CSP-safe: jsPDF path via Exporter, no html2canvas/html2pdf)
+  if (!window.Exporter?.toPDF) {
+    await setExportStatus('PDF exporter unavailable.', true, {
+      showRetry: true,
+      debugHint: 'Ensure jsPDF is loaded, then retry.'
+    });
+    return;
+  }
+
+  await setExportStatus('Building PDF...');
+
+  try {
+    const pdfData = await window.Exporter.toPDF(await buildExporterMarkdownChat(), buildExporterPrefs());
+    const filename = await buildExportFilename('pdf');
+    await downloadSidepanelText(pdfData, filename, 'application/pdf');
+    await saveExportToHistory(payload);
+    await setExportStatus('PDF exported!');
+  } catch (error) {
+    await setExportStatus(error?.message || 'PDF export failed.', true, {
+      showRetry: true,
+      debugHint: 'Retry export. If it keeps failing, switch format and test again.'
+    });
+  }
+};
+
+/** Copies export content to clipboard in the appropriate text format. */
+const copyExportToClipboard = async () => {
+  await syncExportPrefsFromControls();
+  const payload = getActiveExportPayload();
+
+  if (!payload || !payload.messages.length) {
+    await setExportStatus('No messages selected.', true, {
+      debugHint: 'Select messages first, then copy again.'
+    });
+    return;
+  }
+
+  try {
+    const format = state.exportPrefs.format;
+    let content = '';
+
+    if (format === 'json') {
+      const chat = buildExporterChatPayload();
+      content = await window.Exporter.toJSON(chat, buildExporterPrefs());
+    } else if (format === 'markdown') {
+      content = await buildMarkdown();
+    } else if (format === 'notes') {
+      content = await buildExporterNote();
+    } else {
+      const chat = buildExporterChatPayload();
+      content = await window.Exporter.toClipboardText(chat, buildExporterPrefs());
+    }
+
+    await navigator.clipboard.writeText(content);
+
+    const copyBtn = byId('copy-export-btn');
+    if (copyBtn) {
+      const origHTML = copyBtn.innerHTML;
+      copyBtn.innerHTML = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"></polyline></svg> Copied!';
+      copyBtn.classList.add('pn-btn--copied');
+      setTimeout(() => {
+        copyBtn.innerHTML = origHTML;
+        copyBtn.classList.remove('pn-btn--copied');
+      }, 2000);
+    }
+
+    await setExportStatus('Copied to clipboard!');
+  } catch (err) {
+    await setExportStatus('Failed to copy to clipboard.', true, {
+      showRetry: true,
+      debugHint: 'Retry copy. If blocked, use file export and copy from the file.'
+    });
+  }
+};
+
+// ─── Improve Prompt Diff Modal ───────────────────────────────────────────────
+
+/** State for the improve prompt diff modal. */
+const improveModalState = {
+  promptId: null,
+  originalText: '',
+  improvedText: '',
+  previousText: null, // for undo
+  tags: [],
+  style: 'general',
+  isRunning: false,
+  context: 'fab', // fab | add_modal | library_edit
+  sourceTabId: null
+};
+
+const normalizeImprovePayload = (value) => {
+  if (value && typeof value === 'object') {
+    return {
+      text: String(value.text || '').trim(),
+      tags: Array.isArray(value.tags) ? value.tags.map((tag) => String(tag || '').trim()).filter(Boolean) : [],
+      sourceTabId: Number(value.sourceTabId || 0) || null
+    };
+  }
+  return {
+    text: String(value || '').trim(),
+    tags: [],
+    sourceTabId: null
+  };
+};
+
+const getImproveModalContext = (promptId, explicitContext = '') => {
+  if (explicitContext) return String(explicitContext);
+  if (promptId) return 'library_edit';
+  const addModal = document.getElementById('add-modal');
+  const isAddModalVisible = Boolean(addModal && !addModal.classList.contains('pn-hidden'));
+  return isAddModalVisible ? 'add_modal' : 'fab';
+};
+
+const setImproveActionLayout = async () => {
+  const primaryBtn = document.getElementById('pn-improve-accept');
+  const secondaryBtn = document.getElementById('pn-improve-accept-secondary');
+  const saveOnlyBtn = document.getElementById('pn-improve-save-only');
+  const context = improveModalState.context;
+
+  if (!primaryBtn || !secondaryBtn || !saveOnlyBtn) return;
+
+  secondaryBtn.classList.add('pn-hidden');
+  saveOnlyBtn.classList.add('pn-hidden');
+
+  if (context === 'library_edit') {
+    primaryBtn.textContent = 'Save Update';
+    return;
+  }
+
+  if (context === 'add_modal') {
+    primaryBtn.textContent = 'Use Improved Text';
+    return;
+  }
+
+  primaryBtn.textContent = 'Inject into Chat';
+  secondaryBtn.textContent = 'Inject + Save';
+  saveOnlyBtn.textContent = 'Save to Library';
+  secondaryBtn.classList.remove('pn-hidden');
+  saveOnlyBtn.classList.remove('pn-hidden');
+};
+
+const setImproveButtonsDisabled = (disabled) => {
+  [
+    'pn-improve-accept',
+    'pn-improve-accept-secondary',
+    'pn-improve-save-only',
+    'pn-improve-retry'
+  ].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = Boolean(disabled);
+  });
+};
+
+const sendImprovedPromptToTab = (tabId, text) => new Promise((resolve) => {
+  chrome.tabs.sendMessage(
+    tabId,
+    { action: 'APPLY_IMPROVED_PROMPT', text },
+    () => resolve(!chrome.runtime.lastError)
+  );
+});
+
+const tryInjectImprovedPrompt = async (text, preferredTabId = null) => {
+  const candidateTabs = [];
+
+  if (preferredTabId) {
+    candidateTabs.push({ id: preferredTabId, url: '' });
+  }
+
+  const [lastFocusedActive, currentActive] = await Promise.all([
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => []),
+    chrome.tabs.query({ active: true, currentWindow: true }).catch(() => [])
+  ]);
+
+  for (const tab of [...lastFocusedActive, ...currentActive]) {
+    if (!tab?.id) continue;
+    candidateTabs.push(tab);
+  }
+
+  const visited = new Set();
+  for (const tab of candidateTabs) {
+    if (!tab?.id || visited.has(tab.id)) continue;
+    visited.add(tab.id);
+    const tabUrl = String(tab.url || '').toLowerCase();
+    if (tabUrl.startsWith('chrome-extension://')) continue;
+    // Ignore sidepanel/popup tabs and keep trying.
+    if (await sendImprovedPromptToTab(tab.id, text)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const buildFallbackPromptTitle = (text) => {
+  const compact = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!compact) return 'Improved Prompt';
+  const firstSentence = compact.split(/[.!?]/)[0]?.trim() || compact;
+  return firstSentence.slice(0, 64) || 'Improved Prompt';
+};
+
+const generatePromptTitle = async (text) => {
+  try {
+    const response = await window.AIBridge.generatePromptTitle(text);
+    const generated = String(response?.title || response?.text || '').replace(/^["']+|["']+$/g, '').trim();
+    if (generated) return generated.slice(0, 80);
+  } catch (_) {
+    // Fall through to local fallback.
+  }
+  return buildFallbackPromptTitle(text);
+};
+
+const saveImprovedTextToLibrary = async (text, tags = []) => {
+  const title = await generatePromptTitle(text);
+  const saved = await window.Store.savePrompt({
+    title,
+    text,
+    tags: Array.isArray(tags) ? tags : [],
+    category: null,
+    embedding: null
+  });
+
+  if (saved && state.aiReady && saved.id) {
+    void window.AIBridge.cacheAdd(saved);
+  }
+
+  return saved;
+};
+
+/** Opens the improve diff modal in loading state and fires the AI request. */
+const openImproveModal = async (promptId, originalText, tags = [], options = {}) => {
+  improveModalState.promptId = promptId;
+  improveModalState.originalText = originalText;
+  improveModalState.improvedText = '';
+  improveModalState.tags = tags;
+  improveModalState.isRunning = true;
+  improveModalState.context = getImproveModalContext(promptId, options?.context || '');
+  improveModalState.sourceTabId = Number(options?.sourceTabId || 0) || null;
+
+  const modal = document.getElementById('pn-improve-modal');
+  const loading = document.getElementById('pn-improve-loading');
+  const diff = document.getElementById('pn-improve-diff');
+  const error = document.getElementById('pn-improve-error');
+  const modalStyle = document.getElementById('pn-improve-modal-style');
+  const addModalStyle = document.getElementById('pn-improve-style');
+
+  if (!modal) return;
+
+  if (improveModalState.context === 'add_modal' && modalStyle && addModalStyle) {
+    modalStyle.value = addModalStyle.value || 'general';
+  }
+
+  await setImproveActionLayout();
+
+  // Reset state
+  modal.classList.remove('pn-hidden');
+  loading?.classList.remove('pn-hidden');
+  diff?.classList.add('pn-hidden');
+  error?.classList.add('pn-hidden');
+  setImproveButtonsDisabled(true);
+
+  // Run the AI improvement
+  const style = document.getElementById('pn-improve-modal-style')?.value || 'general';
+  improveModalState.style = style;
+  try {
+    const response = await window.AIBridge.improvePrompt(originalText, tags, style);
+    improveModalState.isRunning = false;
+
+    if (response?.error) {
+      showImproveError(response.error);
+    } else if (response?.text) {
+      improveModalState.improvedText = response.text;
+      showImproveDiff();
+    } else {
+      showImproveError('AI could not generate an improvement. Try a different style.');
+    }
+  } catch (err) {
+    improveModalState.isRunning = false;
+    showImproveError(err?.message || 'Request failed. Check your API key.');
+  }
+};
+
+/** Displays the before/after diff in the modal. */
+const showImproveDiff = () => {
+  const loading = document.getElementById('pn-improve-loading');
+  const diff = document.getElementById('pn-improve-diff');
+  const error = document.getElementById('pn-improve-error');
+  const origEl = document.getElementById('pn-improve-original');
+  const newEl = document.getElementById('pn-improve-improved');
+  const origCount = document.getElementById('pn-improve-orig-count');
+  const newCount = document.getElementById('pn-improve-new-count');
+
+  loading?.classList.add('pn-hidden');
+  error?.classList.add('pn-hidden');
+  diff?.classList.remove('pn-hidden');
+  setImproveButtonsDisabled(false);
+
+  if (origEl) origEl.textContent = improveModalState.originalText;
+  if (newEl) newEl.textContent = improveModalState.improvedText;
+
+  // Character counts with diff
+  const origLen = improveModalState.originalText.length;
+  const newLen = improveModalState.improvedText.length;
+  const charDiff = newLen - origLen;
+  const diffLabel = charDiff > 0 ? `+${charDiff}` : `${charDiff}`;
+
+  if (origCount) origCount.textContent = `${origLen} chars`;
+  if (newCount) {
+    newCount.textContent = `${newLen} chars (${diffLabel})`;
+    newCount.classList.toggle('pn-improve-count--positive', charDiff > 0);
+    newCount.classList.toggle('pn-improve-count--negative', charDiff < 0);
+  }
+};
+
+/** Shows error state in the improve modal. */
+const showImproveError = (message) => {
+  const loading = document.getElementById('pn-improve-loading');
+  const diff = document.getElementById('pn-improve-diff');
+  const error = document.getElementById('pn-improve-error');
+  const errorMsg = document.getElementById('pn-improve-error-msg');
+  const normalized = String(message || '').trim();
+  const isMissingApiKey = /api\s*key/i.test(normalized) && /settings|missing|not\s*found|not\s*configured/i.test(normalized);
+
+  loading?.classList.add('pn-hidden');
+  diff?.classList.add('pn-hidden');
+  error?.classList.remove('pn-hidden');
+  if (errorMsg) {
+    errorMsg.textContent = isMissingApiKey ? 'AI Provider API Key Not Configured' : normalized;
+  }
+
+  const existingAction = document.getElementById('pn-improve-go-settings');
+  existingAction?.remove();
+
+  if (isMissingApiKey && error) {
+    const action = document.createElement('button');
+    action.id = 'pn-improve-go-settings';
+    action.type = 'button';
+    action.className = 'pn-btn pn-btn--primary';
+    action.textContent = 'Go to Settings';
+    action.addEventListener('click', () => {
+      closeImproveModal();
+      void switchTab('settings');
+    });
+    error.appendChild(action);
+  }
+  setImproveButtonsDisabled(false);
+};
+
+/** Closes the improve diff modal. */
+const closeImproveModal = () => {
+  const modal = document.getElementById('pn-improve-modal');
+  modal?.classList.add('pn-hidden');
+  improveModalState.isRunning = false;
+};
+
+/** Accepts the improved text based on context and selected action. */
+const acceptImproveResult = async (mode = 'primary') => {
+  const { promptId, originalText, improvedText, context, tags, sourceTabId, style } = improveModalState;
+  if (!improvedText) return;
+
+  // Save previous text for undo
+  improveModalState.previousText = originalText;
+
+  if (context === 'add_modal' && !promptId) {
+    closeImproveModal();
+    const textInput = document.getElementById('prompt-text');
+    const addModal = document.getElementById('add-modal');
+    const isAddModalVisible = Boolean(addModal && !addModal.classList.contains('pn-hidden'));
+    if (textInput && isAddModalVisible) {
+      textInput.value = improvedText;
+      void prefillSuggestedTags();
+      await showToast('Prompt improved ✨');
+    }
+    return;
+  }
+
+  if (!promptId && context === 'fab') {
+    closeImproveModal();
+    const shouldInject = mode === 'primary' || mode === 'secondary';
+    const shouldSave = mode === 'secondary' || mode === 'save';
+    let injected = false;
+    let saved = null;
+
+    if (shouldInject) {
+      injected = await tryInjectImprovedPrompt(improvedText, sourceTabId);
+      if (!injected) {
+        await showToast('Could not inject into chat. Keep the target tab open and try again.');
+      }
+    }
+
+    if (shouldSave) {
+      saved = await saveImprovedTextToLibrary(improvedText, tags);
+      if (!saved) {
+        await showToast('Could not save improved prompt.');
+        return;
+      }
+      await renderPrompts(String(byId('prompt-search')?.value || ''));
+      await renderTags();
+    }
+
+    if (mode === 'primary' && injected) {
+      await showToast('Prompt injected ✨');
+      return;
+    }
+
+    if (mode === 'secondary') {
+      if (injected) {
+        await showToast('Injected and saved to library ✨');
+      } else {
+        await showToast('Saved to library. Injection failed.');
+      }
+      return;
+    }
+
+    if (mode === 'save') {
+      await showToast('Improved prompt saved ✨');
+    }
+    return;
+  }
+
+  closeImproveModal();
+  const updated = await window.Store.updatePrompt(promptId, { text: improvedText }, { source: `AI improve: ${style}` });
+
+  if (updated) {
+    await renderPrompts(String(byId('prompt-search')?.value || ''));
+
+    // Show undo toast
+    const toast = document.createElement('div');
+    toast.className = 'pn-toast pn-toast--undo';
+    toast.innerHTML = `Prompt improved ✨ <button class="pn-toast-undo-btn" type="button">Undo</button>`;
+    document.body.appendChild(toast);
+
+    const undoBtn = toast.querySelector('.pn-toast-undo-btn');
+    undoBtn?.addEventListener('click', async () => {
+      await window.Store.updatePrompt(promptId, { text: originalText }, { source: 'undo' });
+      await renderPrompts(String(byId('prompt-search')?.value || ''));
+      toast.remove();
+      showToast('Reverted to original.');
+    });
+
+    setTimeout(() => toast.remove(), 6000);
+  } else {
+    showToast('Could not save improved prompt.');
+  }
+};
+
+/** Retries the improvement with the current modal style. */
+const retryImprove = async () => {
+  const { promptId, originalText, tags, context, sourceTabId } = improveModalState;
+  await openImproveModal(promptId, originalText, tags, { context, sourceTabId });
+};
+
+/** Binds all improve modal event listeners. */
+const bindImproveModalEvents = () => {
+  document.getElementById('pn-improve-accept')?.addEventListener('click', () => {
+    void acceptImproveResult('primary');
+  });
+
+  document.getElementById('pn-improve-accept-secondary')?.addEventListener('click', () => {
+    void acceptImproveResult('secondary');
+  });
+
+  document.getElementById('pn-improve-save-only')?.addEventListener('click', () => {
+    void acceptImproveResult('save');
+  });
+
+  document.getElementById('pn-improve-reject')?.addEventListener('click', closeImproveModal);
+
+  document.getElementById('pn-improve-retry')?.addEventListener('click', () => {
+    void retryImprove();
+  });
+
+  // Backdrop close
+  document.querySelector('[data-close-improve]')?.addEventListener('click', closeImproveModal);
+
+  document.getElementById('pn-improve-modal-style')?.addEventListener('change', (event) => {
+    const addStyle = document.getElementById('pn-improve-style');
+    if (addStyle) addStyle.value = String(event.target?.value || 'general');
+  });
+};
+
+// ─── End Improve Modal ───────────────────────────────────────────────────────
+
+// ─── Prompt Version History ──────────────────────────────────────────────────
 
-  for (const chunk of chunks) {
-    if (/^(flowchart|graph)\b/i.test(chunk)) continue;
-    if (/^(subgraph|end|style|classDef|class|linkStyle|click)\b/i.test(chunk)) continue;
+/** State for the prompt version history modal. */
+const promptHistoryState = {
+  promptId: null,
+  revisions: []
+};
 
-    const edge = findMermaidEdge(chunk);
-    if (edge) {
-      const from = registerNode(edge.left);
-      const to = registerNode(edge.right);
-      if (from && to) {
-        edges.push({ from, to });
-      }
-      continue;
-    }
+/** Formats one revision as a short select/list label. */
+const formatRevisionLabel = (revision, index) => {
+  const date = new Date(revision.createdAt);
+  const when = Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+  return `#${index + 1} · ${revision.source}${when ? ` · ${when}` : ''}`;
+};
 
-    registerNode(chunk);
+/** Renders a word-level diff between two revisions into the history modal. */
+const renderRevisionDiff = () => {
+  const output = byId('pn-history-diff');
+  const summary = byId('pn-history-diff-summary');
+  const fromIndex = Number(byId('pn-history-from')?.value);
+  const toIndex = Number(byId('pn-history-to')?.value);
+  const from = promptHistoryState.revisions[fromIndex];
+  const to = promptHistoryState.revisions[toIndex];
+
+  if (!output) return;
+  output.replaceChildren();
+
+  if (!from || !to) {
+    output.textContent = 'Not enough revisions to compare yet.';
+    if (summary) summary.textContent = '';
+    return;
   }
 
-  const nodeList = Array.from(nodes.values());
-  if (!nodeList.length) return null;
+  const notes = [];
+  if (from.title !== to.title) {
+    notes.push(`Title: "${from.title}" → "${to.title}"`);
+  }
+  const fromTags = (from.tags || []).join(', ');
+  const toTags = (to.tags || []).join(', ');
+  if (fromTags !== toTags) {
+    notes.push(`Tags: ${fromTags || 'none'} → ${toTags || 'none'}`);
+  }
+  for (const note of notes) {
+    const line = document.createElement('p');
+    line.className = 'pn-history-note';
+    line.textContent = note;
+    output.appendChild(line);
+  }
 
-  const isHorizontal = ['lr', 'rl'].includes(direction);
-  const columns = Math.max(1, Math.ceil(Math.sqrt(nodeList.length)));
-  const rows = Math.max(1, Math.ceil(nodeList.length / columns));
-  const boxWidth = 168;
-  const boxHeight = 56;
-  const gapX = 44;
-  const gapY = 34;
-  const pad = 28;
-  const width = pad * 2 + (columns * boxWidth) + ((columns - 1) * gapX);
-  const height = pad * 2 + (rows * boxHeight) + ((rows - 1) * gapY);
-  const positions = new Map();
+  const ops = window.TextDiff.diffWords(from.text, to.text);
+  const body = document.createElement('div');
+  body.className = 'pn-history-diff__text';
+  for (const op of ops) {
+    const node = document.createElement(op.type === 'insert' ? 'ins' : op.type === 'delete' ? 'del' : 'span');
+    if (op.type !== 'equal') node.className = `pn-diff-${op.type}`;
+    node.textContent = op.text;
+    body.appendChild(node);
+  }
+  output.appendChild(body);
 
-  nodeList.forEach((node, index) => {
-    let column = index % columns;
-    let row = Math.floor(index / columns);
-    if (direction === 'rl') {
-      column = (columns - 1) - column;
-    }
-    if (direction === 'bt') {
-      row = (rows - 1) - row;
-    }
-    if (isHorizontal && rows > 1) {
-      // Keep layout compact in LR/RL while preserving order.
-      column = Math.floor(index / rows);
-      row = index % rows;
-      if (direction === 'rl') {
-        column = (Math.max(1, Math.ceil(nodeList.length / rows)) - 1) - column;
-      }
-    }
-    const x = pad + (column * (boxWidth + gapX));
-    const y = pad + (row * (boxHeight + gapY));
-    positions.set(node.id, { x, y });
-  });
+  if (summary) {
+    const { added, removed } = window.TextDiff.summarizeDiff(ops);
+    summary.textContent = added || removed ? `+${added} / −${removed} words` : 'Text unchanged';
+  }
+};
 
-  const edgeMarkup = edges.map((edge) => {
-    const from = positions.get(edge.from);
-    const to = positions.get(edge.to);
-    if (!from || !to) return '';
-    let x1 = from.x + (boxWidth / 2);
-    let y1 = from.y + (boxHeight / 2);
-    let x2 = to.x + (boxWidth / 2);
-    let y2 = to.y + (boxHeight / 2);
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    if (Math.abs(dx) > Math.abs(dy)) {
-      x1 += Math.sign(dx || 1) * (boxWidth / 2);
-      x2 -= Math.sign(dx || 1) * (boxWidth / 2);
+/** Renders revision selectors and the restore list for the open prompt. */
+const renderPromptHistory = () => {
+  const list = byId('pn-history-list');
+  const fromSelect = byId('pn-history-from');
+  const toSelect = byId('pn-history-to');
+  const revisions = promptHistoryState.revisions;
+
+  if (!list || !fromSelect || !toSelect) return;
+
+  for (const select of [fromSelect, toSelect]) {
+    select.replaceChildren();
+    revisions.forEach((revision, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = formatRevisionLabel(revision, index);
+      select.appendChild(option);
+    });
+  }
+  toSelect.value = String(Math.max(0, revisions.length - 1));
+  fromSelect.value = String(Math.max(0, revisions.length - 2));
+
+  list.replaceChildren();
+  if (!revisions.length) {
+    list.appendChild(createEmptyState({
+      title: 'No revisions yet',
+      message: 'Revisions are recorded on every edit and accepted improvement.'
+    }));
+  }
+
+  [...revisions].reverse().forEach((revision, reverseIndex) => {
+    const index = revisions.length - 1 - reverseIndex;
+    const row = document.createElement('div');
+    row.className = 'pn-history-row';
+
+    const label = document.createElement('div');
+    label.className = 'pn-history-row__label';
+    label.textContent = formatRevisionLabel(revision, index);
+    row.appendChild(label);
+
+    if (index === revisions.length - 1) {
+      const current = document.createElement('span');
+      current.className = 'pn-history-row__current';
+      current.textContent = 'Current';
+      row.appendChild(current);
     } else {
-      y1 += Math.sign(dy || 1) * (boxHeight / 2);
-      y2 -= Math.sign(dy || 1) * (boxHeight / 2);
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'pn-btn pn-btn--ghost';
+      restoreButton.type = 'button';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => {
+        void restoreRevisionFromHistory(revision.id);
+      });
+      row.appendChild(restoreButton);
     }
-    return `<line class="pn-mermaid-edge" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#pn-mermaid-arrow)"></line>`;
-  }).join('');
 
-  const nodeMarkup = nodeList.map((node) => {
-    const pos = positions.get(node.id);
-    if (!pos) return '';
-    const centerX = pos.x + (boxWidth / 2);
-    const centerY = pos.y + (boxHeight / 2);
-    const lines = splitLabelLines(node.label, 18, 3);
-    const startY = centerY - ((lines.length - 1) * 8);
-    const textMarkup = lines.map((line, index) => (
-      `<tspan x="${centerX}" dy="${index === 0 ? 0 : 16}">${escapeSvgText(line)}</tspan>`
-    )).join('');
-    return `
-      <g class="pn-mermaid-node-group">
-        <rect class="pn-mermaid-node" x="${pos.x}" y="${pos.y}" width="${boxWidth}" height="${boxHeight}" rx="10" ry="10"></rect>
-        <text class="pn-mermaid-label" x="${centerX}" y="${startY}">${textMarkup}</text>
-      </g>
-    `;
-  }).join('');
+    row.addEventListener('click', (event) => {
+      if (event.target.closest('button')) return;
+      fromSelect.value = String(index);
+      renderRevisionDiff();
+    });
+    list.appendChild(row);
+  });
 
-  return `
-    <svg class="pn-mermaid-diagram" viewBox="0 0 ${width} ${height}" role="img" aria-label="Mermaid diagram">
-      <defs>
-        <marker id="pn-mermaid-arrow" markerWidth="10" markerHeight="8" refX="8" refY="4" orient="auto" markerUnits="strokeWidth">
-          <path d="M0,0 L10,4 L0,8 z" class="pn-mermaid-arrow"></path>
-        </marker>
-      </defs>
-      ${edgeMarkup}
-      ${nodeMarkup}
-    </svg>
-  `;
+  renderRevisionDiff();
 };
 
-const renderMermaidSequence = (source) => {
-  const chunks = String(source || '')
-    .split('\n')
-    .flatMap((line) => line.split(';'))
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith('%%'));
+/** Opens the version history modal for one prompt. */
+const openPromptHistory = async (prompt) => {
+  const modal = byId('pn-history-modal');
+  if (!modal || !prompt?.id) return;
 
-  const participantOrder = [];
-  const participantLabels = new Map();
-  const messages = [];
+  promptHistoryState.promptId = prompt.id;
+  promptHistoryState.revisions = await window.Store.getPromptRevisions(prompt.id);
 
-  const ensureParticipant = (id, label = '') => {
-    const safeId = String(id || '').trim();
-    if (!safeId) return;
-    if (!participantLabels.has(safeId)) {
-      participantOrder.push(safeId);
-      participantLabels.set(safeId, trimMermaidLabel(label || safeId, 28));
-    } else if (label) {
-      participantLabels.set(safeId, trimMermaidLabel(label, 28));
-    }
-  };
+  const title = byId('pn-history-modal-title');
+  if (title) title.textContent = `History · ${prompt.title || 'Untitled prompt'}`;
 
-  for (const chunk of chunks) {
-    if (/^sequenceDiagram\b/i.test(chunk)) continue;
-    if (/^(autonumber|activate|deactivate|note|rect|loop|alt|else|end|opt|par|critical|break)\b/i.test(chunk)) continue;
+  renderPromptHistory();
+  modal.classList.remove('pn-hidden');
+};
 
-    const participantMatch = chunk.match(/^(participant|actor)\s+([A-Za-z0-9_-]+)(?:\s+as\s+(.+))?$/i);
-    if (participantMatch) {
-      ensureParticipant(participantMatch[2], participantMatch[3] || participantMatch[2]);
-      continue;
-    }
+/** Closes the version history modal. */
+const closePromptHistory = () => {
+  byId('pn-history-modal')?.classList.add('pn-hidden');
+  promptHistoryState.promptId = null;
+  promptHistoryState.revisions = [];
+};
 
-    const msgMatch = chunk.match(/^([A-Za-z0-9_-]+)\s*(->>|-->>|->|-->|=>|==>|<--|<<--|<-|<->)\s*([A-Za-z0-9_-]+)\s*:\s*(.+)$/);
-    if (!msgMatch) continue;
-    const from = msgMatch[1];
-    const to = msgMatch[3];
-    const text = trimMermaidLabel(msgMatch[4], 44);
-    ensureParticipant(from);
-    ensureParticipant(to);
-    messages.push({ from, to, text });
+/** Restores the open prompt to a revision and refreshes library and history views. */
+const restoreRevisionFromHistory = async (revisionId) => {
+  const { promptId } = promptHistoryState;
+  const restored = await window.Store.restorePromptRevision(promptId, revisionId);
+
+  if (!restored) {
+    await showToast('Could not restore this revision.');
+    return;
   }
 
-  if (!participantOrder.length || !messages.length) return null;
+  if (state.aiReady) {
+    void window.AIBridge.cacheAdd(restored);
+  }
 
-  const colWidth = 170;
-  const headerW = 120;
-  const headerH = 34;
-  const pad = 28;
-  const topHeader = 16;
-  const lifelineStart = topHeader + headerH + 12;
-  const rowH = 36;
-  const width = (participantOrder.length * colWidth) + (pad * 2);
-  const height = lifelineStart + (messages.length * rowH) + 32;
+  promptHistoryState.revisions = await window.Store.getPromptRevisions(promptId);
+  renderPromptHistory();
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
+  await renderTags();
+  await showToast('Revision restored.');
+};
 
-  const xByParticipant = new Map();
-  participantOrder.forEach((id, index) => {
-    xByParticipant.set(id, pad + (index * colWidth) + (colWidth / 2));
-  });
+/** Binds version history modal event listeners. */
+const bindPromptHistoryEvents = () => {
+  byId('pn-history-from')?.addEventListener('change', renderRevisionDiff);
+  byId('pn-history-to')?.addEventListener('change', renderRevisionDiff);
+  byId('pn-history-close')?.addEventListener('click', closePromptHistory);
+  document.querySelector('#pn-history-modal [data-close-history]')?.addEventListener('click', closePromptHistory);
+};
 
-  const participantMarkup = participantOrder.map((id) => {
-    const x = xByParticipant.get(id);
-    const rectX = x - (headerW / 2);
-    const label = escapeSvgText(participantLabels.get(id) || id);
-    return `
-      <g class="pn-mermaid-node-group">
-        <rect class="pn-mermaid-node" x="${rectX}" y="${topHeader}" width="${headerW}" height="${headerH}" rx="8" ry="8"></rect>
-        <text class="pn-mermaid-label" x="${x}" y="${topHeader + 22}">
-          <tspan x="${x}" dy="0">${label}</tspan>
-        </text>
-        <line class="pn-mermaid-lifeline" x1="${x}" y1="${lifelineStart}" x2="${x}" y2="${height - 18}"></line>
-      </g>
-    `;
-  }).join('');
+// ─── End Prompt Version History ──────────────────────────────────────────────
 
-  const messageMarkup = messages.map((message, index) => {
-    const x1 = xByParticipant.get(message.from);
-    const x2 = xByParticipant.get(message.to);
-    if (!x1 || !x2) return '';
-    const y = lifelineStart + (index * rowH) + 10;
-    const textX = (x1 + x2) / 2;
-    const label = escapeSvgText(message.text || '');
-    return `
-      <g class="pn-mermaid-seq-message">
-        <line class="pn-mermaid-edge" x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" marker-end="url(#pn-mermaid-arrow)"></line>
-        <text class="pn-mermaid-label pn-mermaid-label--small" x="${textX}" y="${y - 8}">
-          <tspan x="${textX}" dy="0">${label}</tspan>
-        </text>
-      </g>
-    `;
-  }).join('');
+// ─── Backup & Restore ────────────────────────────────────────────────────────
 
-  return `
-    <svg class="pn-mermaid-diagram" viewBox="0 0 ${width} ${height}" role="img" aria-label="Mermaid sequence diagram">
-      <defs>
-        <marker id="pn-mermaid-arrow" markerWidth="10" markerHeight="8" refX="8" refY="4" orient="auto" markerUnits="strokeWidth">
-          <path d="M0,0 L10,4 L0,8 z" class="pn-mermaid-arrow"></path>
-        </marker>
-      </defs>
-      ${participantMarkup}
-      ${messageMarkup}
-    </svg>
-  `;
+/** State for the backup import preview modal. */
+const backupState = {
+  plan: null,
+  fileName: ''
 };
 
-const renderMermaidDiagram = (source) => {
-  const raw = String(source || '').trim();
-  if (!raw) return null;
-  const firstLine = raw.split('\n').map((line) => line.trim()).find(Boolean) || '';
-
+/** Downloads a full library backup archive. */
+const exportBackup = async () => {
   try {
-    if (/^sequenceDiagram\b/i.test(firstLine)) {
-      return renderMermaidSequence(raw);
-    }
-    const flowMatch = firstLine.match(/^(?:flowchart|graph)\s+([A-Za-z]{2})/i);
-    if (flowMatch) {
-      return renderMermaidFlowchart(raw, String(flowMatch[1] || 'td').toLowerCase());
-    }
-    if (raw.includes('-->') || raw.includes('-.->') || raw.includes('==>')) {
-      return renderMermaidFlowchart(raw, 'td');
+    const archive = await window.Backup.buildArchive();
+    const { filename, content } = window.Backup.serializeArchive(archive);
+    await downloadSidepanelText(content, filename, 'application/json;charset=utf-8');
+    await showToast(`Backup saved: ${archive.data.prompts.length} prompts, ${archive.data.chatHistory.length} chats.`);
+  } catch (error) {
+    console.error('[Promptium] Backup export failed:', error);
+    await showToast('Could not create backup.');
+  }
+};
+
+/** Renders one summary line of the import preview. */
+const createBackupSummaryLine = (label, classification) => {
+  const item = document.createElement('li');
+  const name = document.createElement('strong');
+  name.textContent = `${label}: `;
+  item.appendChild(name);
+  item.appendChild(document.createTextNode(
+    `${classification.added.length} new · ${classification.conflicts.length} changed · ${classification.unchanged.length} unchanged`
+  ));
+  return item;
+};
+
+/** Shows the import preview (or validation errors) in the backup modal. */
+const renderBackupPreview = (validation) => {
+  const errors = byId('pn-backup-errors');
+  const preview = byId('pn-backup-preview');
+  const summary = byId('pn-backup-summary');
+  const applyButton = byId('pn-backup-apply');
+  const source = byId('pn-backup-source');
+  const plan = backupState.plan;
+
+  if (source) {
+    const exportedAt = plan?.archive?.exportedAt ? new Date(plan.archive.exportedAt).toLocaleString() : '';
+    source.textContent = `${backupState.fileName}${exportedAt ? ` · exported ${exportedAt}` : ''}`;
+  }
+
+  if (!validation.ok) {
+    errors?.replaceChildren();
+    const heading = document.createElement('p');
+    heading.textContent = 'This file is not a valid Promptium backup:';
+    errors?.appendChild(heading);
+    for (const message of validation.errors) {
+      const line = document.createElement('p');
+      line.className = 'pn-card-meta';
+      line.textContent = message;
+      errors?.appendChild(line);
     }
-  } catch (_) {
-    return null;
+    errors?.classList.remove('pn-hidden');
+    preview?.classList.add('pn-hidden');
+    if (applyButton) applyButton.disabled = true;
+    return;
   }
 
-  return null;
+  errors?.classList.add('pn-hidden');
+  preview?.classList.remove('pn-hidden');
+  summary?.replaceChildren(
+    createBackupSummaryLine('Prompts', plan.prompts),
+    createBackupSummaryLine('Chat history', plan.chatHistory),
+    createBackupSummaryLine('Chains', plan.chains),
+    createBackupSummaryLine('Collections', plan.collections)
+  );
+
+  const extras = document.createElement('li');
+  extras.textContent = `${plan.revisionCount} revisions · ${plan.usageCount} new usage events · ${plan.tagCount} tags · ${plan.embeddingCount} cached embeddings · settings ${plan.settingsDiffer ? 'differ' : 'match'}`;
+  summary?.appendChild(extras);
+
+  const restoreSettings = byId('pn-backup-restore-settings');
+  if (restoreSettings) {
+    restoreSettings.checked = false;
+    restoreSettings.disabled = !plan.settingsDiffer;
+  }
+  if (applyButton) applyButton.disabled = false;
 };
 
-const buildExportSheetClassNames = () => {
-  const themeClass = getExportThemeClass();
-  const fontClass = getExportFontClass();
-  const fontSizeClass = getExportSizeClass();
+/** Reads a selected backup file, validates it, and opens the preview modal. */
+const openBackupImport = async (file) => {
+  if (!file) return;
+  backupState.fileName = file.name;
+  backupState.plan = null;
 
-  if (themeClass === 'pn-export-sheet--theme-custom') {
-    applyCustomExportThemeRules(state.exportPrefs.customBackground);
+  const validation = window.Backup.parseArchive(await file.text());
+  if (validation.ok) {
+    backupState.plan = await window.Backup.planImport(validation.archive);
+  }
+
+  renderBackupPreview(validation);
+  byId('pn-backup-modal')?.classList.remove('pn-hidden');
+};
+
+/** Closes the backup import modal and clears the pending plan. */
+const closeBackupImport = () => {
+  byId('pn-backup-modal')?.classList.add('pn-hidden');
+  backupState.plan = null;
+  const fileInput = byId('backup-import-file');
+  if (fileInput) fileInput.value = '';
+};
+
+/** Applies the pending import with the chosen conflict resolution. */
+const applyBackupImport = async () => {
+  if (!backupState.plan) return;
+  const resolution = document.querySelector('input[name="pn-backup-resolution"]:checked')?.value || 'mine';
+  const restoreSettings = Boolean(byId('pn-backup-restore-settings')?.checked);
+
+  const result = await window.Backup.applyImport(backupState.plan, { resolution, restoreSettings });
+  if (!result.ok) {
+    await showToast(result.error || 'Import failed.');
+    return;
+  }
+
+  closeBackupImport();
+  if (restoreSettings) {
+    await loadSettings();
+    renderSettingsControls();
+    await loadProviderSettings();
+    renderProviderControls();
+    await syncSettingsSaveState();
+  }
+  if (state.aiReady) {
+    void window.AIBridge.cacheReload();
   }
+  await renderPrompts(String(byId('prompt-search')?.value || ''));
+  await renderHistory();
+  await renderTags();
 
-  return `pn-export-sheet ${themeClass} ${fontClass} ${fontSizeClass}`;
+  const { promptsAdded, promptsUpdated, historyAdded, historyUpdated, chainsAdded, chainsUpdated, collectionsAdded, collectionsUpdated, skipped } = result.counts;
+  const added = promptsAdded + historyAdded + chainsAdded + collectionsAdded;
+  const updated = promptsUpdated + historyUpdated + chainsUpdated + collectionsUpdated;
+  await showToast(`Imported ${added} new, ${updated} updated, ${skipped} kept.`);
 };
 
-const wrapExportPreviewSheet = (bodyMarkup, extraClass = '') => `
-  <section id="pn-export-snapshot" class="${buildExportSheetClassNames()} ${extraClass}">
-    ${bodyMarkup}
-  </section>
-`;
-
-/** Gets or initializes the Markdown parser for visual previews. */
-const getMarkdownParser = async () => {
-  if (state.markdownParser) return state.markdownParser;
-  if (!window.markdownit) return null;
-  state.markdownParser = window.markdownit({
-    html: false, // Disallow raw HTML in the preview to prevent XSS
-    breaks: true,
-    linkify: true,
-    highlight: (str, lang) => {
-      const normalizedLang = normalizeCodeLanguage(lang);
-      if (normalizedLang === 'mermaid') {
-        const diagramMarkup = renderMermaidDiagram(str);
-        if (diagramMarkup) {
-          return `<div class="pn-mermaid-wrap">${diagramMarkup}</div>`;
-        }
-        return `<pre class="pn-code-block"><code class="pn-code language-mermaid">${escapeCodeHtml(str)}</code></pre>`;
-      }
-      const highlighted = highlightCodeForPreview(str, normalizedLang);
-      return `<pre class="pn-code-block"><code class="pn-code language-${normalizedLang}">${highlighted}</code></pre>`;
-    }
+/** Binds backup export/import controls. */
+const bindBackupEvents = () => {
+  byId('backup-export-btn')?.addEventListener('click', () => {
+    void exportBackup();
+  });
+  byId('backup-import-btn')?.addEventListener('click', () => {
+    byId('backup-import-file')?.click();
+  });
+  byId('backup-import-file')?.addEventListener('change', (event) => {
+    void openBackupImport(event.target.files?.[0]);
+  });
+  byId('pn-backup-cancel')?.addEventListener('click', closeBackupImport);
+  document.querySelector('#pn-backup-modal [data-close-backup]')?.addEventListener('click', closeBackupImport);
+  byId('pn-backup-apply')?.addEventListener('click', () => {
+    void applyBackupImport();
   });
-  return state.markdownParser;
 };
 
-/** Creates styled visual snapshot used for PDF-like preview mode. */
-const buildVisualPreviewMarkup = async () => {
-  const payload = getActiveExportPayload();
+// ─── End Backup & Restore ────────────────────────────────────────────────────
 
-  if (!payload || !payload.messages.length) {
-    return '<div class="pn-empty">No selected messages found. Select messages in chat and click Export Selected.</div>';
-  }
+// ─── Chat Import ─────────────────────────────────────────────────────────────
 
-  const parser = await getMarkdownParser();
+// Large exports hold thousands of conversations; the list renders this many and asks for a filter beyond it.
+const CHAT_IMPORT_RENDER_LIMIT = 300;
 
-  const platformTitle = state.exportPrefs.includePlatform
-    ? `<h2>${escapeHtml(payload.title || getPlatformLabel(payload.platform) || 'Conversation')}</h2>`
-    : '';
-  const platformLine = state.exportPrefs.includePlatform
-    ? `<p class="pn-export-meta-line">Platform: ${escapeHtml(getPlatformLabel(payload.platform))}</p>`
-    : '';
+/** State for the ChatGPT/Claude export import modal. */
+const chatImportState = {
+  fileName: '',
+  rawText: '',
+  result: null,
+  selected: new Set(),
+  existing: new Set()
+};
 
-  const dateLine = state.exportPrefs.includeDate
-    ? `<p class="pn-export-meta-line">Exported: ${escapeHtml(new Date().toLocaleString())}</p>`
-    : '';
+/** Builds the key used to spot conversations that are already in history. */
+const getChatImportMatchKey = (entry) => `${entry.url || ''}|${entry.title || ''}`;
 
-  const rows = [];
+/** Returns parsed conversations that match the modal filter. */
+const getFilteredImportConversations = () => {
+  const query = String(byId('pn-chat-import-filter')?.value || '').trim().toLowerCase();
+  const conversations = chatImportState.result?.conversations || [];
+  return query ? conversations.filter((item) => item.title.toLowerCase().includes(query)) : conversations;
+};
 
-  if (state.exportPrefs.contentMode === 'combined') {
-    const chunks = [];
-    for (let index = 0; index < payload.messages.length; index += 1) {
-      chunks.push(await toMessageContentMarkdown(payload.messages[index]));
-    }
-    const merged = chunks.filter(Boolean).join('\n\n');
-    const contentHtml = parser ? parser.render(merged) : escapeHtml(merged).replaceAll('\n', '<br />');
-    rows.push(`
-      <article class="pn-export-card">
-        <div class="pn-export-card-content pn-markdown-body pn-export-card-content--body">${contentHtml}</div>
-      </article>
-    `);
-  } else {
-    for (let index = 0; index < payload.messages.length; index += 1) {
-      const message = payload.messages[index];
-      const messageNumber = state.exportPrefs.includeMessageNumbers ? `${index + 1}. ` : '';
-      const roleLabel = escapeHtml(message.role === 'user' ? 'You' : 'Assistant');
-      const mdText = await toMessageContentMarkdown(message);
-      const contentHtml = parser ? parser.render(mdText) : escapeHtml(mdText).replaceAll('\n', '<br />');
-      rows.push(`
-        <article class="pn-export-card">
-          <h3 class="pn-export-message-heading">${messageNumber}${roleLabel}</h3>
-          <div class="pn-export-card-content pn-markdown-body pn-export-card-content--body">${contentHtml}</div>
-        </article>
-      `);
+/** Opens one parsed conversation in the Export tab without saving it. */
+const openImportedChatInExport = async (conversation) => {
+  closeChatImport();
+  await ingestIncomingExportPayload({
+    title: conversation.title,
+    platform: conversation.platform,
+    url: conversation.url,
+    createdAt: conversation.createdAt,
+    messages: conversation.messages
+  });
+  await switchTab('export');
+};
+
+/** Creates one selectable row in the import list. */
+const createChatImportRow = (conversation) => {
+  const row = document.createElement('li');
+  row.className = 'pn-chat-import-row';
+
+  const label = document.createElement('label');
+  label.className = 'pn-chat-import-check';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = chatImportState.selected.has(conversation.key);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      chatImportState.selected.add(conversation.key);
+    } else {
+      chatImportState.selected.delete(conversation.key);
     }
-  }
+    renderChatImportSummary();
+  });
 
-  return wrapExportPreviewSheet(`
-      <header class="pn-export-head">
-        ${platformTitle}
-        ${platformLine}
-        ${dateLine}
-      </header>
-      <div class="pn-export-list">${rows.join('')}</div>
-    `);
-};
+  const text = document.createElement('span');
+  text.className = 'pn-chat-import-row__text';
+  const title = document.createElement('span');
+  title.className = 'pn-chat-import-row__title';
+  title.textContent = conversation.title;
+  const meta = document.createElement('span');
+  meta.className = 'pn-card-meta';
+  const date = conversation.createdAt ? new Date(conversation.createdAt).toLocaleDateString() : 'No date';
+  const inHistory = chatImportState.existing.has(getChatImportMatchKey(conversation)) ? ' · already in history' : '';
+  meta.textContent = `${date} · ${conversation.messages.length} messages${inHistory}`;
+  text.append(title, meta);
+  label.append(checkbox, text);
+
+  const exportButton = document.createElement('button');
+  exportButton.className = 'pn-btn pn-btn--ghost';
+  exportButton.type = 'button';
+  exportButton.textContent = 'Export';
+  exportButton.title = 'Open in the Export tab';
+  exportButton.addEventListener('click', () => {
+    void openImportedChatInExport(conversation);
+  });
 
-const buildMarkdownPreviewMarkup = async () => {
-  const markdown = await buildMarkdown();
-  return wrapExportPreviewSheet(`
-    <article class="pn-export-card pn-export-card--single">
-      <pre class="pn-export-raw pn-export-raw--markdown">${escapeHtml(markdown)}</pre>
-    </article>
-  `);
+  row.append(label, exportButton);
+  return row;
 };
 
-const buildTextPreviewMarkup = async (format) => {
-  const chat = buildExporterChatPayload();
-  if (!chat) {
-    return '<div class="pn-empty">No messages selected.</div>';
+/** Updates the selection summary, cap warning, and apply button state. */
+const renderChatImportSummary = () => {
+  const summary = byId('pn-chat-import-summary');
+  const applyButton = byId('pn-chat-import-apply');
+  const total = chatImportState.result?.conversations.length || 0;
+  const count = chatImportState.selected.size;
+
+  const parts = [`${count} of ${total} selected`];
+  if (chatImportState.result?.skipped) {
+    parts.push(`${chatImportState.result.skipped} empty skipped`);
   }
-  if (!window.Exporter?.toTXT || !window.Exporter?.toJSON) {
-    return '<div class="pn-empty">Preview renderer unavailable.</div>';
+  if (summary) summary.textContent = parts.join(' · ');
+  if (applyButton) applyButton.disabled = count === 0;
+
+  const visible = getFilteredImportConversations();
+  const selectAll = byId('pn-chat-import-select-all');
+  if (selectAll) {
+    selectAll.checked = visible.length > 0 && visible.every((item) => chatImportState.selected.has(item.key));
   }
+};
 
-  const prefs = buildExporterPrefs();
-  if (format === 'json') {
-    const jsonText = await window.Exporter.toJSON(chat, prefs);
-    return wrapExportPreviewSheet(`
-      <article class="pn-export-card pn-export-card--single">
-        <pre class="pn-code-block pn-code-block--json"><code class="pn-code language-json">${highlightCodeForPreview(jsonText, 'json')}</code></pre>
-      </article>
-    `);
+/** Renders the filtered conversation list. */
+const renderChatImportList = () => {
+  const list = byId('pn-chat-import-list');
+  if (!list) return;
+  const visible = getFilteredImportConversations();
+  list.replaceChildren(...visible.slice(0, CHAT_IMPORT_RENDER_LIMIT).map(createChatImportRow));
+
+  if (visible.length > CHAT_IMPORT_RENDER_LIMIT) {
+    const more = document.createElement('li');
+    more.className = 'pn-card-meta';
+    more.textContent = `${visible.length - CHAT_IMPORT_RENDER_LIMIT} more not shown. Filter by title to narrow the list.`;
+    list.appendChild(more);
   }
+  renderChatImportSummary();
+};
 
-  const plainText = await window.Exporter.toTXT(chat, prefs);
-  return wrapExportPreviewSheet(`
-    <article class="pn-export-card pn-export-card--single">
-      <pre class="pn-export-raw pn-export-raw--txt">${escapeHtml(plainText)}</pre>
-    </article>
-  `);
+/** Parses the loaded file, keeping selections by conversation when the branch option changes. */
+const parseChatImportFile = () => {
+  const allBranches = Boolean(byId('pn-chat-import-branches')?.checked);
+  const previous = chatImportState.result?.conversations || [];
+  const selectedSources = new Set(previous
+    .filter((item) => chatImportState.selected.has(item.key))
+    .map((item) => item.sourceId));
+
+  chatImportState.result = window.ChatImport.parseExport(chatImportState.rawText, { allBranches });
+  chatImportState.selected = new Set((chatImportState.result.conversations || [])
+    .filter((item) => selectedSources.has(item.sourceId))
+    .map((item) => item.key));
 };
 
-const buildFormatAwarePreviewMarkup = async () => {
-  const format = String(state.exportPrefs.format || 'markdown').toLowerCase();
-  if (format === 'pdf') {
-    return buildVisualPreviewMarkup();
-  }
-  if (format === 'txt' || format === 'text') {
-    return buildTextPreviewMarkup('txt');
+/** Reads a selected export file and opens the import modal. */
+const openChatImport = async (file) => {
+  if (!file) return;
+  chatImportState.fileName = file.name;
+  chatImportState.rawText = await file.text();
+  chatImportState.result = null;
+  chatImportState.selected = new Set();
+  const history = await window.Store.getChatHistory();
+  chatImportState.existing = new Set(history.map(getChatImportMatchKey));
+
+  const filter = byId('pn-chat-import-filter');
+  if (filter) filter.value = '';
+  parseChatImportFile();
+
+  const { ok, error, format } = chatImportState.result;
+  const source = byId('pn-chat-import-source');
+  if (source) {
+    source.textContent = ok ? `${file.name} · ${getPlatformLabel(format)} export` : file.name;
   }
-  if (format === 'json') {
-    return buildTextPreviewMarkup('json');
+
+  const errors = byId('pn-chat-import-errors');
+  const preview = byId('pn-chat-import-preview');
+  if (errors) errors.textContent = ok ? '' : error;
+  errors?.classList.toggle('pn-hidden', ok);
+  preview?.classList.toggle('pn-hidden', !ok);
+
+  if (ok) {
+    renderChatImportList();
+  } else {
+    const applyButton = byId('pn-chat-import-apply');
+    if (applyButton) applyButton.disabled = true;
   }
-  return buildMarkdownPreviewMarkup();
+  byId('pn-chat-import-modal')?.classList.remove('pn-hidden');
 };
 
-/** Writes export status text below export controls with optional retry action. */
-const setExportStatus = async (message, isError = false, options = {}) => {
-  const node = await byId('export-status');
+/** Closes the chat import modal and releases the loaded file. */
+const closeChatImport = () => {
+  byId('pn-chat-import-modal')?.classList.add('pn-hidden');
+  chatImportState.rawText = '';
+  chatImportState.result = null;
+  chatImportState.selected = new Set();
+  const fileInput = byId('history-import-file');
+  if (fileInput) fileInput.value = '';
+};
 
-  if (!node) {
-    return;
+/** Saves the selected conversations to history, oldest first. */
+const applyChatImport = async () => {
+  const chosen = (chatImportState.result?.conversations || [])
+    .filter((item) => chatImportState.selected.has(item.key))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  if (!chosen.length) return;
+
+  let saved = 0;
+  for (const conversation of chosen) {
+    const entry = await window.Store.saveChatToHistory({
+      title: conversation.title,
+      platform: conversation.platform,
+      url: conversation.url,
+      createdAt: conversation.createdAt,
+      messages: conversation.messages
+    });
+    if (!entry) break;
+    saved += 1;
   }
 
-  node.textContent = String(message || '').trim();
-  node.classList.toggle('pn-status-error', Boolean(isError));
+  closeChatImport();
+  await renderHistory();
 
-  if (isError) {
-    const controls = document.createElement('span');
-    controls.className = 'pn-export-status-controls';
+  if (saved < chosen.length) {
+    const storageError = window.Store?.getLastError?.() || '';
+    await showToast(window.Store?.isQuotaError?.(storageError)
+      ? `Storage quota exceeded after ${saved} chats.`
+      : `Saved ${saved} of ${chosen.length} chats.`);
+    return;
+  }
+  await showToast(`Imported ${saved} chat${saved === 1 ? '' : 's'} to history.`);
+};
 
-    if (options.showRetry) {
-      const retryButton = document.createElement('button');
-      retryButton.type = 'button';
-      retryButton.className = 'pn-btn pn-btn--ghost';
-      retryButton.textContent = 'Retry';
-      retryButton.addEventListener('click', () => {
-        void runExport();
-      });
-      controls.appendChild(retryButton);
+/** Binds chat import controls in the History view. */
+const bindChatImportEvents = () => {
+  byId('history-import-btn')?.addEventListener('click', () => {
+    byId('history-import-file')?.click();
+  });
+  byId('history-import-file')?.addEventListener('change', (event) => {
+    void openChatImport(event.target.files?.[0]);
+  });
+  byId('pn-chat-import-filter')?.addEventListener('input', renderChatImportList);
+  byId('pn-chat-import-select-all')?.addEventListener('change', (event) => {
+    for (const item of getFilteredImportConversations()) {
+      if (event.target.checked) {
+        chatImportState.selected.add(item.key);
+      } else {
+        chatImportState.selected.delete(item.key);
+      }
     }
+    renderChatImportList();
+  });
+  byId('pn-chat-import-branches')?.addEventListener('change', () => {
+    if (!chatImportState.rawText) return;
+    parseChatImportFile();
+    renderChatImportList();
+  });
+  byId('pn-chat-import-cancel')?.addEventListener('click', closeChatImport);
+  document.querySelector('#pn-chat-import-modal [data-close-chat-import]')?.addEventListener('click', closeChatImport);
+  byId('pn-chat-import-apply')?.addEventListener('click', () => {
+    void applyChatImport();
+  });
+};
 
-    if (options.debugHint) {
-      const hint = document.createElement('span');
-      hint.className = 'pn-export-status-hint';
-      hint.textContent = String(options.debugHint).trim();
-      controls.appendChild(hint);
-    }
+// ─── End Chat Import ─────────────────────────────────────────────────────────
 
-    if (controls.childNodes.length > 0) {
-      node.appendChild(document.createTextNode(' '));
-      node.appendChild(controls);
-    }
-  }
+// ─── Batch Export ────────────────────────────────────────────────────────────
+
+// File extension, MIME type, and label per export format.
+const EXPORT_FILE_TYPES = {
+  markdown: { extension: 'md', mime: 'text/markdown;charset=utf-8', label: 'Markdown' },
+  txt: { extension: 'txt', mime: 'text/plain;charset=utf-8', label: 'Plain Text' },
+  json: { extension: 'json', mime: 'application/json;charset=utf-8', label: 'JSON' },
+  html: { extension: 'html', mime: 'text/html;charset=utf-8', label: 'HTML' },
+  docx: { extension: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'Word' },
+  pdf: { extension: 'pdf', mime: 'application/pdf', label: 'PDF' },
+  notes: { extension: 'md', mime: 'text/markdown;charset=utf-8', label: 'Vault notes' }
 };
+const VAULT_FLAVOR_LABELS = { obsidian: 'Obsidian', logseq: 'Logseq' };
 
-/** Synchronizes export preference state from currently rendered controls. */
-const syncExportPrefsFromControls = async () => {
-  const format = byId('export-format');
-  const contentMode = byId('export-content-mode');
-  const includeDate = byId('include-date');
-  const includePlatform = byId('include-platform');
-  const includeMsgNumbers = byId('include-msg-numbers');
-  const fontStyle = byId('export-font-style');
-  const fontSize = byId('export-font-size');
-  const fontSizeNumber = byId('export-font-size-number');
-  const background = byId('export-bg-style');
-  const customBackground = byId('export-bg-custom');
-  const customWrap = byId('export-bg-custom-wrap');
+/** Returns the selected saved chats the filters show, oldest first, from the latest history. */
+const getBatchEntries = async () => {
+  const ids = getVisibleSelectionIds();
+  return (await window.Store.getChatHistory()).filter((entry) => ids.has(entry.id));
+};
 
-  const sizeInput = Number(fontSize?.value || fontSizeNumber?.value || state.exportPrefs.fontSize || 14);
-  const normalizedSize = Math.min(20, Math.max(12, Number.isFinite(sizeInput) ? sizeInput : 14));
-  if (fontSize) fontSize.value = String(normalizedSize);
-  if (fontSizeNumber) fontSizeNumber.value = String(normalizedSize);
+/** Builds one export file for a saved chat with the Export tab's options. */
+const buildBatchExportFile = async (entry, format) => {
+  const payload = await normalizeExportPayload({ ...entry, historyId: entry.id });
+  const prefs = buildExporterPrefs();
 
-  state.exportPrefs = {
-    format: String(format?.value || state.exportPrefs.format || 'markdown'),
-    contentMode: String(contentMode?.value || state.exportPrefs.contentMode || 'structured'),
-    includeDate: Boolean(includeDate?.checked),
-    includePlatform: Boolean(includePlatform?.checked),
-    includeMessageNumbers: Boolean(includeMsgNumbers?.checked),
-    fontStyle: String(fontStyle?.value || state.exportPrefs.fontStyle || 'System'),
-    fontSize: normalizedSize,
-    background: String(background?.value || state.exportPrefs.background || 'dark'),
-    customBackground: String(customBackground?.value || state.exportPrefs.customBackground || '#18181c')
-  };
+  if (format === 'txt') return window.Exporter.toTXT(buildExporterChatPayload(payload), prefs);
+  if (format === 'json') return window.Exporter.toJSON(buildExporterChatPayload(payload), prefs);
+  if (format === 'html') return buildHtmlExport(payload);
+  if (format === 'docx') return window.Exporter.toDOCX(await buildExporterMarkdownChat(payload), prefs);
+  if (format === 'pdf') return window.Exporter.toPDF(await buildExporterMarkdownChat(payload), prefs);
+  return buildMarkdown(payload);
+};
 
-  customWrap?.classList.toggle('pn-hidden', state.exportPrefs.background !== 'custom');
-  applyCustomExportThemeRules(state.exportPrefs.customBackground);
-  if (includeMsgNumbers instanceof HTMLInputElement) {
-    includeMsgNumbers.disabled = state.exportPrefs.contentMode === 'combined';
-    if (includeMsgNumbers.disabled) {
-      includeMsgNumbers.checked = false;
-      state.exportPrefs.includeMessageNumbers = false;
+/**
+ * Builds an Obsidian or Logseq vault zip for saved chats. Message HTML is converted to markdown first; linked
+ * prompts become notes only when includePrompts is set, otherwise the chat notes carry no prompt links.
+ */
+const buildBatchVault = async (entries, { flavor, includePrompts, onProgress }) => {
+  const chats = [];
+  for (let index = 0; index < entries.length; index += 1) {
+    onProgress?.(index);
+    const entry = entries[index];
+    const messages = [];
+    for (const message of entry.messages || []) {
+      messages.push({ ...message, text: await toMessageContentMarkdown(message) });
     }
+    chats.push({ ...entry, messages });
   }
+
+  return window.Exporter.buildNotesVault(chats, {
+    prefs: { ...buildExporterPrefs(), contentMode: 'structured', includeExportDate: true, includePlatformLabel: true },
+    prompts: includePrompts ? await window.Store.getPrompts() : [],
+    flavor,
+    includePrompts
+  });
 };
 
-/** Updates export summary metadata and export action label. */
-const renderExportMeta = async () => {
-  const payload = getActiveExportPayload();
-  const selectionMeta = byId('selection-meta');
-  const previewLabel = byId('preview-label');
-  const exportButton = byId('export-btn');
-  const reloadButton = byId('export-reload-selection');
-  const countsEl = byId('export-counts');
-  const msgCountEl = byId('export-msg-count');
-  const wordCountEl = byId('export-word-count');
-  const fmt = state.exportPrefs.format;
+/** Shows the vault options for the vault format and the file name pattern for every other format. */
+const renderBatchFormatOptions = () => {
+  const isVault = byId('pn-batch-format')?.value === 'notes';
+  byId('pn-batch-vault-options')?.classList.toggle('pn-hidden', !isVault);
+  byId('pn-batch-vault-hint')?.classList.toggle('pn-hidden', !isVault);
+  byId('pn-batch-pattern-field')?.classList.toggle('pn-hidden', isVault);
+  byId('pn-batch-pattern-hint')?.classList.toggle('pn-hidden', isVault);
+  byId('pn-batch-example')?.classList.toggle('pn-hidden', isVault);
+};
 
-  const formatLabels = {
-    markdown: 'Markdown',
-    txt: 'Plain Text',
-    json: 'JSON',
-    pdf: 'PDF'
-  };
-  const formatLabel = formatLabels[fmt] || 'Markdown';
+/** Shows the file name the pattern gives the first selected chat. */
+const renderBatchExample = async () => {
+  const example = byId('pn-batch-example');
+  if (!example) return;
+  const [first] = await getBatchEntries();
+  const format = String(byId('pn-batch-format')?.value || 'markdown');
+  const pattern = String(byId('pn-batch-pattern')?.value || '').trim();
+  example.textContent = first
+    ? `Example: ${window.Exporter.formatFilename(pattern, first, {
+      index: 1,
+      total: getVisibleSelectionIds().size,
+      extension: (EXPORT_FILE_TYPES[format] || EXPORT_FILE_TYPES.markdown).extension
+    })}`
+    : '';
+};
 
-  if (selectionMeta) {
-    const count = payload?.messages?.length || 0;
-    if (!count) {
-      selectionMeta.textContent = 'No messages selected';
-    } else {
-      const base = `${count} message${count === 1 ? '' : 's'} • ${getPlatformLabel(payload.platform)}`;
-      selectionMeta.textContent = state.hasPendingExportUpdate ? `${base} • New selection available` : base;
+/** Opens the batch export modal with the last used format, filename pattern, and vault options. */
+const openBatchExport = async () => {
+  const count = getVisibleSelectionIds().size;
+  if (!count) return;
+  const { [BATCH_EXPORT_KEY]: saved } = await chrome.storage.local.get([BATCH_EXPORT_KEY]).catch(() => ({}));
+  const formatNode = byId('pn-batch-format');
+  const patternNode = byId('pn-batch-pattern');
+  const format = [saved?.format, state.exportPrefs.format].find((value) => EXPORT_FILE_TYPES[value]) || 'markdown';
+  if (formatNode) formatNode.value = format;
+  // An empty pattern falls back to the placeholder's default in Exporter.formatFilename.
+  if (patternNode) patternNode.value = String(saved?.pattern || '');
+  const flavorNode = byId('pn-batch-vault-flavor');
+  if (flavorNode) flavorNode.value = VAULT_FLAVOR_LABELS[saved?.flavor] ? saved.flavor : 'obsidian';
+  const promptsNode = byId('pn-batch-vault-prompts');
+  if (promptsNode) promptsNode.checked = saved?.includePrompts !== false;
+  renderBatchFormatOptions();
+
+  const summary = byId('pn-batch-summary');
+  const hidden = historySelection.size - count;
+  if (summary) {
+    summary.textContent = `${count} saved chat${count === 1 ? '' : 's'} selected${hidden ? `; ${hidden} hidden by the History filters ${hidden === 1 ? 'is' : 'are'} left out` : ''}`;
+  }
+  const status = byId('pn-batch-status');
+  if (status) status.textContent = '';
+  await renderBatchExample();
+  byId('pn-batch-modal')?.classList.remove('pn-hidden');
+};
+
+/** Closes the batch export modal. */
+const closeBatchExport = () => {
+  byId('pn-batch-modal')?.classList.add('pn-hidden');
+};
+
+/**
+ * Exports every selected saved chat in the chosen format and downloads them as one zip with an index. The vault
+ * format downloads an Obsidian or Logseq vault zip instead.
+ */
+const runBatchExport = async () => {
+  const format = String(byId('pn-batch-format')?.value || 'markdown');
+  const fileType = EXPORT_FILE_TYPES[format] || EXPORT_FILE_TYPES.markdown;
+  const pattern = String(byId('pn-batch-pattern')?.value || '').trim();
+  const flavor = String(byId('pn-batch-vault-flavor')?.value || 'obsidian');
+  const includePrompts = Boolean(byId('pn-batch-vault-prompts')?.checked);
+  const status = byId('pn-batch-status');
+  const exportButton = byId('pn-batch-export');
+  const entries = await getBatchEntries();
+  if (!entries.length) return;
+
+  await chrome.storage.local.set({ [BATCH_EXPORT_KEY]: { format, pattern, flavor, includePrompts } }).catch(() => {});
+  await syncExportPrefsFromControls();
+  if (exportButton) exportButton.disabled = true;
+
+  try {
+    if (format === 'notes') {
+      const zip = await buildBatchVault(entries, {
+        flavor,
+        includePrompts,
+        onProgress: (index) => {
+          if (status) status.textContent = `Exporting ${index + 1} of ${entries.length}…`;
+        }
+      });
+      await downloadSidepanelText(zip, `promptium_${flavor}_vault_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+      closeBatchExport();
+      await showToast(`Exported ${entries.length} chat${entries.length === 1 ? '' : 's'} to a ${VAULT_FLAVOR_LABELS[flavor] || 'vault'} vault zip.`);
+      return;
     }
-  }
 
-  // Word & message count badges
-  if (countsEl && msgCountEl && wordCountEl) {
-    const msgs = payload?.messages || [];
-    if (msgs.length > 0) {
-      const wordTotal = msgs.reduce((sum, m) => sum + (m.text || '').split(/\s+/).filter(Boolean).length, 0);
-      msgCountEl.textContent = `${msgs.length} msg${msgs.length === 1 ? '' : 's'}`;
-      wordCountEl.textContent = `${wordTotal.toLocaleString()} word${wordTotal === 1 ? '' : 's'}`;
-      countsEl.classList.remove('pn-hidden');
-    } else {
-      countsEl.classList.add('pn-hidden');
+    const files = [];
+    for (let index = 0; index < entries.length; index += 1) {
+      if (status) status.textContent = `Exporting ${index + 1} of ${entries.length}…`;
+      const entry = entries[index];
+      files.push({
+        filename: window.Exporter.formatFilename(pattern, entry, { index: index + 1, total: entries.length, extension: fileType.extension }),
+        data: await buildBatchExportFile(entry, format),
+        chat: entry
+      });
     }
-  }
-
-  if (previewLabel) {
-    const modeLabel = state.exportPrefs.contentMode === 'combined' ? 'combined text' : 'structured';
-    previewLabel.textContent = `${formatLabel} preview • ${modeLabel}`;
-  }
 
-  if (exportButton) {
-    exportButton.textContent = `Export ${formatLabel}`;
+    const zip = window.Exporter.buildBatchZip(files, { formatLabel: fileType.label });
+    await downloadSidepanelText(zip, `promptium_batch_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+    closeBatchExport();
+    await showToast(`Exported ${files.length} chat${files.length === 1 ? '' : 's'} as ${fileType.label}.`);
+  } catch (error) {
+    console.error('[Promptium][Batch] Export failed:', error);
+    if (status) status.textContent = error?.message || 'Batch export failed.';
+  } finally {
+    if (exportButton) exportButton.disabled = false;
   }
+};
 
-  if (reloadButton) {
-    reloadButton.classList.toggle('pn-hidden', !state.hasPendingExportUpdate);
-  }
+/** Binds the History tab filters, selection controls, and batch export modal. */
+const bindBatchExportEvents = () => {
+  ['history-filter-platform', 'history-filter-tag', 'history-filter-from', 'history-filter-to'].forEach((id) => {
+    byId(id)?.addEventListener('change', () => {
+      void renderHistory();
+    });
+  });
+  byId('history-select-all')?.addEventListener('change', (event) => {
+    for (const entry of visibleHistory) {
+      if (event.target.checked) {
+        historySelection.add(entry.id);
+      } else {
+        historySelection.delete(entry.id);
+      }
+    }
+    void renderHistory();
+  });
+  byId('history-batch-btn')?.addEventListener('click', () => {
+    void openBatchExport();
+  });
+  byId('pn-batch-format')?.addEventListener('change', () => {
+    renderBatchFormatOptions();
+    void renderBatchExample();
+  });
+  byId('pn-batch-pattern')?.addEventListener('input', () => {
+    void renderBatchExample();
+  });
+  byId('pn-batch-cancel')?.addEventListener('click', closeBatchExport);
+  document.querySelector('#pn-batch-modal [data-close-batch]')?.addEventListener('click', closeBatchExport);
+  byId('pn-batch-export')?.addEventListener('click', () => {
+    void runBatchExport();
+  });
 };
 
-/** Asks the active page to stage selected messages, then refreshes export preview. */
-const selectMessagesForExport = async () => {
-  const context = await getActiveTabContext();
+// ─── End Batch Export ────────────────────────────────────────────────────────
 
-  if (!context.tabId) {
-    await setExportStatus('No active tab available for message selection.', true);
-    return;
-  }
+// ─── Custom Platforms ────────────────────────────────────────────────────────
 
-  const response = await chrome.tabs.sendMessage(context.tabId, { action: 'openSidePanelAll' }).catch(() => null);
-  if (!response?.ok) {
-    await setExportStatus('Could not request message selection from the active tab.', true);
-    return;
-  }
+/** Id of the platform being edited in the platform modal, or null when adding. */
+let editingPlatformId = null;
 
-  await new Promise((resolve) => setTimeout(resolve, 220));
-  const incoming = await loadExportPayload();
-  await ingestIncomingExportPayload(incoming);
-  await renderExportPreview();
-  await setExportStatus('Message selection loaded.');
+/** Requests optional host access for a custom platform (must run inside a click). */
+const requestPlatformHostAccess = (platform) => {
+  const origins = window.CustomPlatforms.toMatchPatterns(platform?.hostPattern);
+  if (!origins.length || !chrome.permissions?.request) return Promise.resolve(false);
+  return chrome.permissions.request({ origins }).catch((error) => {
+    console.warn('[Promptium] Host permission request failed:', error?.message || error);
+    return false;
+  });
 };
 
-/** Renders export preview area from current payload and selected format. */
-const renderExportPreview = async () => {
-  const preview = byId('preview');
+/** Creates one row in the custom platform list. */
+const createCustomPlatformRow = (platform, granted) => {
+  const row = document.createElement('li');
+  row.className = 'pn-platform-row';
 
-  if (!preview) {
-    return;
+  const text = document.createElement('div');
+  text.className = 'pn-platform-row__text';
+  const label = document.createElement('span');
+  label.textContent = platform.label;
+  const host = document.createElement('span');
+  host.className = 'pn-platform-row__host';
+  host.textContent = `${platform.hostPattern} · ${granted ? 'Access granted' : 'No access yet'}`;
+  text.append(label, host);
+
+  const actions = document.createElement('div');
+  actions.className = 'pn-platform-row__actions';
+
+  if (!granted) {
+    const grantBtn = document.createElement('button');
+    grantBtn.type = 'button';
+    grantBtn.className = 'pn-btn pn-btn--ghost';
+    grantBtn.textContent = 'Grant Access';
+    grantBtn.addEventListener('click', () => {
+      void requestPlatformHostAccess(platform).then(async (ok) => {
+        await renderCustomPlatforms();
+        await showToast(ok ? `Access granted. Reload open ${platform.label} tabs.` : 'Host access was not granted.');
+      });
+    });
+    actions.appendChild(grantBtn);
   }
 
-  const payload = getActiveExportPayload();
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'pn-btn pn-btn--ghost';
+  editBtn.textContent = 'Edit';
+  editBtn.addEventListener('click', () => openPlatformEditor(platform));
 
-  if (!payload || !payload.messages.length) {
-    preview.innerHTML = '';
-    preview.appendChild(createEmptyState({
-      title: 'No messages selected',
-      message: 'Select a message range in your chat to generate an export preview.',
-      actionLabel: 'Select Messages',
-      onAction: () => { void selectMessagesForExport(); }
-    }));
-    await renderExportMeta();
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'pn-btn pn-btn--ghost';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => {
+    void (async () => {
+      if (!window.confirm(`Remove the "${platform.label}" platform?`)) return;
+      const next = state.customPlatforms.filter((item) => item.id !== platform.id);
+      if (!(await window.CustomPlatforms.saveCustomPlatforms(next))) {
+        await showToast('Could not remove platform.');
+        return;
+      }
+      chrome.permissions?.remove?.({ origins: window.CustomPlatforms.toMatchPatterns(platform.hostPattern) })
+        .catch(() => {});
+      await renderCustomPlatforms();
+      await showToast('Platform removed.');
+    })();
+  });
+
+  actions.append(editBtn, deleteBtn);
+  row.append(text, actions);
+  return row;
+};
+
+/** Loads custom platforms and renders the Settings list. */
+const renderCustomPlatforms = async () => {
+  state.customPlatforms = await window.CustomPlatforms.loadCustomPlatforms();
+  const list = byId('custom-platform-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (!state.customPlatforms.length) {
+    const empty = document.createElement('li');
+    empty.className = 'pn-sv-api-hint';
+    empty.textContent = 'No custom platforms yet.';
+    list.appendChild(empty);
     return;
   }
 
-  preview.innerHTML = await buildFormatAwarePreviewMarkup();
-  await renderExportMeta();
+  for (const platform of state.customPlatforms) {
+    const granted = await window.CustomPlatforms.hasHostAccess(platform);
+    list.appendChild(createCustomPlatformRow(platform, granted));
+  }
 };
 
-/** Generates export filename, preferring user-supplied custom name. */
-const buildExportFilename = async (extension) => {
-  const customName = String(byId('export-filename')?.value || '').trim();
-  if (customName) {
-    // Strip any existing extension and add the correct one
-    const baseName = customName.replace(/\.[^.]+$/, '');
-    return `${baseName}.${extension}`;
-  }
-  const platform = String(getActiveExportPayload()?.platform || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '');
-  const date = new Date().toISOString().slice(0, 10);
-  return `promptium_${platform || 'unknown'}_${date}.${extension}`;
+/** Shows validation errors in the platform modal (hides the box when empty). */
+const setPlatformErrors = (errors) => {
+  const box = byId('pn-platform-errors');
+  if (!box) return;
+  box.textContent = errors.join(' ');
+  box.classList.toggle('pn-hidden', !errors.length);
 };
 
-/** Downloads plain text content with blob-backed object URL. */
-const downloadSidepanelText = async (content, filename, mimeType) => {
-  const payload = content == null ? '' : content;
-  const blob = payload instanceof Blob ? payload : new Blob([payload], { type: mimeType });
-  const objectUrl = URL.createObjectURL(blob);
-  const anchor = document.createElement('a');
+/** Opens the platform modal, prefilled when editing. */
+const openPlatformEditor = (platform = null) => {
+  editingPlatformId = platform?.id || null;
+  byId('pn-platform-modal-title').textContent = platform ? `Edit ${platform.label}` : 'Add Platform';
+  byId('pn-platform-label').value = platform?.label || '';
+  byId('pn-platform-host').value = platform?.hostPattern || '';
+  byId('pn-platform-start-url').value = platform?.startUrl || '';
+  for (const key of [...window.CustomPlatforms.SELECTOR_KEYS, ...window.CustomPlatforms.OPTIONAL_SELECTOR_KEYS]) {
+    byId(`pn-platform-sel-${key}`).value = platform?.selectors?.[key] || '';
+  }
+  byId('pn-platform-injection').value = platform?.injection || 'auto';
+  setPlatformErrors([]);
+  byId('pn-platform-modal')?.classList.remove('pn-hidden');
+  byId('pn-platform-label')?.focus();
+};
 
-  anchor.href = objectUrl;
-  anchor.download = filename;
-  document.body.appendChild(anchor);
-  anchor.click();
-  anchor.remove();
-  URL.revokeObjectURL(objectUrl);
+/** Closes the platform modal. */
+const closePlatformEditor = () => {
+  editingPlatformId = null;
+  byId('pn-platform-modal')?.classList.add('pn-hidden');
 };
 
-/** Builds chat data compatible with Exporter functions from current state. */
-const buildExporterChatPayload = () => {
-  const payload = getActiveExportPayload();
-  if (!payload) return null;
+/** Reads the platform modal fields into a draft definition. */
+const readPlatformDraft = () => {
+  const selectors = {};
+  for (const key of [...window.CustomPlatforms.SELECTOR_KEYS, ...window.CustomPlatforms.OPTIONAL_SELECTOR_KEYS]) {
+    selectors[key] = byId(`pn-platform-sel-${key}`)?.value || '';
+  }
   return {
-    title: payload.title,
-    platform: payload.platform,
-    createdAt: payload.createdAt,
-    messages: payload.messages
+    id: editingPlatformId || undefined,
+    label: byId('pn-platform-label')?.value || '',
+    hostPattern: byId('pn-platform-host')?.value || '',
+    startUrl: byId('pn-platform-start-url')?.value || '',
+    selectors,
+    injection: byId('pn-platform-injection')?.value || 'auto'
   };
 };
 
-/** Builds exporter-compatible prefs from current export state. */
-const buildExporterPrefs = () => ({
-  includePlatformLabel: state.exportPrefs.includePlatform,
-  includeTimestamps: false,
-  includeExportDate: state.exportPrefs.includeDate,
-  includeMessageNumbers: state.exportPrefs.includeMessageNumbers,
-  headerText: '',
-  contentMode: state.exportPrefs.contentMode,
-  fontStyle: state.exportPrefs.fontStyle,
-  fontSize: state.exportPrefs.fontSize,
-  background: state.exportPrefs.background,
-  customBackground: state.exportPrefs.customBackground
-});
-
-/** Executes export action for markdown, txt, json, or PDF. */
-const runExport = async () => {
-  await syncExportPrefsFromControls();
-
-  const payload = getActiveExportPayload();
-
-  if (!payload || !payload.messages.length) {
-    await setExportStatus('No messages selected.', true, {
-      showRetry: false,
-      debugHint: 'Use "Select Messages" to choose a range before exporting.'
-    });
+/** Validates and saves the platform modal; the permission prompt is requested before any await. */
+const savePlatformEditor = () => {
+  const draft = readPlatformDraft();
+  const { ok, errors, platform } = window.CustomPlatforms.validatePlatform(draft, state.customPlatforms, editingPlatformId);
+  if (!ok) {
+    setPlatformErrors(errors);
     return;
   }
 
-  const format = state.exportPrefs.format;
-
-  // Markdown
-  if (format === 'markdown') {
-    const markdown = await buildMarkdown();
-    if (!markdown) {
-      await setExportStatus('Unable to build Markdown output.', true, {
-        showRetry: true,
-        debugHint: 'Confirm selected messages are non-empty and try again.'
-      });
+  const hostAccess = requestPlatformHostAccess(platform);
+  void (async () => {
+    const next = editingPlatformId
+      ? state.customPlatforms.map((item) => (item.id === editingPlatformId ? platform : item))
+      : [...state.customPlatforms, platform];
+    if (!(await window.CustomPlatforms.saveCustomPlatforms(next))) {
+      setPlatformErrors(['Could not save platform.']);
       return;
     }
-    await downloadSidepanelText(markdown, await buildExportFilename('md'), 'text/markdown;charset=utf-8');
-    await window.Store.saveChatToHistory(payload);
-    await setExportStatus('Markdown exported!');
-    return;
-  }
+    const granted = await hostAccess;
+    closePlatformEditor();
+    await renderCustomPlatforms();
+    await showToast(granted
+      ? `${platform.label} saved. Reload open tabs on ${platform.hostPattern}.`
+      : `${platform.label} saved without host access. Grant access to enable it.`);
+  })();
+};
 
-  // Plain Text
-  if (format === 'txt') {
-    try {
-      const chat = buildExporterChatPayload();
-      const text = await window.Exporter.toTXT(chat, buildExporterPrefs());
-      await downloadSidepanelText(text, await buildExportFilename('txt'), 'text/plain;charset=utf-8');
-      await window.Store.saveChatToHistory(payload);
-      await setExportStatus('Plain text exported!');
-    } catch (err) {
-      await setExportStatus(err?.message || 'Text export failed.', true, {
-        showRetry: true,
-        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
-      });
+/** Binds the custom platform list and editor modal. */
+const bindCustomPlatformEvents = () => {
+  const injection = byId('pn-platform-injection');
+  if (injection && !injection.options.length) {
+    for (const [value, label] of Object.entries(window.CustomPlatforms.INJECTION_STRATEGIES)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      injection.appendChild(option);
     }
-    return;
   }
 
-  // JSON
-  if (format === 'json') {
-    try {
-      const chat = buildExporterChatPayload();
-      const json = await window.Exporter.toJSON(chat, buildExporterPrefs());
-      await downloadSidepanelText(json, await buildExportFilename('json'), 'application/json;charset=utf-8');
-      await window.Store.saveChatToHistory(payload);
-      await setExportStatus('JSON exported!');
-    } catch (err) {
-      await setExportStatus(err?.message || 'JSON export failed.', true, {
-        showRetry: true,
-        debugHint: 'Retry the export. If it fails again, refresh the workspace.'
-      });
-    }
-    return;
-  }
+  byId('custom-platform-add-btn')?.addEventListener('click', () => openPlatformEditor());
+  byId('pn-platform-cancel')?.addEventListener('click', closePlatformEditor);
+  document.querySelector('#pn-platform-modal [data-close-platform]')?.addEventListener('click', closePlatformEditor);
+  byId('pn-platform-save')?.addEventListener('click', savePlatformEditor);
+  chrome.permissions?.onAdded?.addListener(() => {
+    void renderCustomPlatforms();
+  });
+  chrome.permissions?.onRemoved?.addListener(() => {
+    void renderCustomPlatforms();
+  });
+};
 
-  // PDF (CSP-safe: jsPDF path via Exporter, no html2canvas/html2pdf)
-  if (!window.Exporter?.toPDF) {
-    await setExportStatus('PDF exporter unavailable.', true, {
-      showRetry: true,
-      debugHint: 'Ensure jsPDF is loaded, then retry.'
-    });
-    return;
-  }
+// ─── End Custom Platforms ────────────────────────────────────────────────────
 
-  await setExportStatus('Building PDF...');
+// ─── Diagnostics ─────────────────────────────────────────────────────────────
 
-  try {
-    const chat = buildExporterChatPayload();
-    const pdfData = await window.Exporter.toPDF(chat, buildExporterPrefs());
-    const filename = await buildExportFilename('pdf');
-    await downloadSidepanelText(pdfData, filename, 'application/pdf');
-    await window.Store.saveChatToHistory(payload);
-    await setExportStatus('PDF exported!');
-  } catch (error) {
-    await setExportStatus(error?.message || 'PDF export failed.', true, {
-      showRetry: true,
-      debugHint: 'Retry export. If it keeps failing, switch format and test again.'
-    });
-  }
+const DIAGNOSTIC_KEY_LABELS = {
+  userMsg: 'User messages',
+  botMsg: 'Assistant messages',
+  input: 'Chat input',
+  inputParent: 'Toolbar anchor',
+  sendButton: 'Send button'
 };
 
-/** Copies export content to clipboard in the appropriate text format. */
-const copyExportToClipboard = async () => {
-  await syncExportPrefsFromControls();
-  const payload = getActiveExportPayload();
+const DIAGNOSTIC_STATUS = {
+  ok: { text: 'OK', className: 'pn-status-ok' },
+  warn: { text: 'Check', className: 'pn-status-info' },
+  fail: { text: 'Failed', className: 'pn-status-error' }
+};
 
-  if (!payload || !payload.messages.length) {
-    await setExportStatus('No messages selected.', true, {
-      debugHint: 'Select messages first, then copy again.'
-    });
-    return;
-  }
+/** Last report from the active tab, kept for Copy Report. */
+let lastDiagnosticsReport = null;
 
-  try {
-    const format = state.exportPrefs.format;
-    let content = '';
+/** Returns ok/warn/fail for one selector key; message selectors may match nothing on an empty chat. */
+const getSelectorStatus = (item) => {
+  const activeCount = item.candidates.find((candidate) => candidate.selector === item.active)?.count || 0;
+  if (activeCount > 0) return 'ok';
+  // The send button is often hidden until the composer has text.
+  return ['userMsg', 'botMsg', 'sendButton'].includes(item.key) ? 'warn' : 'fail';
+};
 
-    if (format === 'json') {
-      const chat = buildExporterChatPayload();
-      content = await window.Exporter.toJSON(chat, buildExporterPrefs());
-    } else if (format === 'markdown') {
-      content = await buildMarkdown();
-    } else {
-      const chat = buildExporterChatPayload();
-      content = await window.Exporter.toClipboardText(chat, buildExporterPrefs());
-    }
+/** Returns ok/warn/fail for the injection probe. */
+const getInjectionStatus = (injection) => {
+  if (!injection.attempted) return 'warn';
+  if (injection.roundTrip) return injection.restored ? 'ok' : 'warn';
+  return 'fail';
+};
 
-    await navigator.clipboard.writeText(content);
+/** Summarizes the injection probe in one line. */
+const describeInjectionResult = (injection) => {
+  if (!injection.attempted) return injection.skipped || 'Skipped.';
+  if (injection.error) return `Error: ${injection.error}`;
+  if (!injection.injected) return 'The injector could not write into the input.';
+  if (!injection.roundTrip) return 'Text was injected but could not be read back from the input.';
+  return injection.restored ? 'Round-trip OK, input cleared.' : 'Round-trip OK, but the probe text was not fully cleared.';
+};
 
-    const copyBtn = byId('copy-export-btn');
-    if (copyBtn) {
-      const origHTML = copyBtn.innerHTML;
-      copyBtn.innerHTML = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"></polyline></svg> Copied!';
-      copyBtn.classList.add('pn-btn--copied');
-      setTimeout(() => {
-        copyBtn.innerHTML = origHTML;
-        copyBtn.classList.remove('pn-btn--copied');
-      }, 2000);
+/** Formats one selector candidate count for display. */
+const formatCandidateCount = (count) => (count < 0 ? 'invalid' : `${count} match${count === 1 ? '' : 'es'}`);
+
+/** Formats a diagnostics report as plain text for bug reports. */
+const formatDiagnosticsReport = (report) => {
+  const lines = [
+    'Promptium diagnostics',
+    `Platform: ${report.label} (${report.platform})`,
+    `URL: ${report.url}`,
+    `Extension: ${report.version}`,
+    `Browser: ${report.userAgent}`,
+    `Ran at: ${report.ranAt}`,
+    '',
+    'Selectors (* = active):'
+  ];
+
+  for (const item of report.selectors) {
+    lines.push(`  ${item.key}: ${DIAGNOSTIC_STATUS[getSelectorStatus(item)].text}`);
+    for (const candidate of item.candidates) {
+      const marker = candidate.selector === item.active ? '*' : ' ';
+      lines.push(`    ${marker} ${candidate.source.padEnd(8)} ${formatCandidateCount(candidate.count).padEnd(11)} ${candidate.selector}`);
     }
+  }
 
-    await setExportStatus('Copied to clipboard!');
-  } catch (err) {
-    await setExportStatus('Failed to copy to clipboard.', true, {
-      showRetry: true,
-      debugHint: 'Retry copy. If blocked, use file export and copy from the file.'
-    });
+  const { input, injection, scrape } = report;
+  lines.push(
+    '',
+    `Input: ${input.found ? `<${input.tag}>, ${input.editable ? 'editable' : 'not editable'}` : 'not found'} (${input.detail})`,
+    `Injection strategy: ${input.strategy}`,
+    `Test injection: ${describeInjectionResult(injection)}`,
+    `Scrape: ${scrape.total} messages (${scrape.user} user, ${scrape.assistant} assistant)`
+  );
+  return lines.join('\n');
+};
+
+/** Creates one check card with a title, status badge, and detail line. */
+const createDiagnosticsCheck = (title, status, detail) => {
+  const card = document.createElement('div');
+  card.className = 'pn-diag__check';
+
+  const head = document.createElement('div');
+  head.className = 'pn-diag__check-head';
+  const name = document.createElement('span');
+  name.textContent = title;
+  const badge = document.createElement('span');
+  badge.className = DIAGNOSTIC_STATUS[status].className;
+  badge.textContent = DIAGNOSTIC_STATUS[status].text;
+  head.append(name, badge);
+  card.appendChild(head);
+
+  if (detail) {
+    const text = document.createElement('p');
+    text.className = 'pn-diag__detail';
+    text.textContent = detail;
+    card.appendChild(text);
   }
+  return card;
 };
 
-// ─── Improve Prompt Diff Modal ───────────────────────────────────────────────
+/** Shows a single message in the diagnostics area (errors, unsupported tabs). */
+const renderDiagnosticsMessage = (message) => {
+  const result = byId('diagnostics-result');
+  if (!result) return;
+  result.innerHTML = '';
+  const text = document.createElement('p');
+  text.className = 'pn-diag__summary';
+  text.textContent = message;
+  result.appendChild(text);
+  result.classList.remove('pn-hidden');
+};
 
-/** State for the improve prompt diff modal. */
-const improveModalState = {
-  promptId: null,
-  originalText: '',
-  improvedText: '',
-  previousText: null, // for undo
-  tags: [],
-  isRunning: false,
-  context: 'fab', // fab | add_modal | library_edit
-  sourceTabId: null
+/** Renders a diagnostics report into the Settings view. */
+const renderDiagnosticsReport = (report) => {
+  const result = byId('diagnostics-result');
+  if (!result) return;
+  result.innerHTML = '';
+
+  const summary = document.createElement('p');
+  summary.className = 'pn-diag__summary';
+  summary.textContent = `${report.label} · ${new Date(report.ranAt).toLocaleString()}`;
+  result.appendChild(summary);
+
+  for (const item of report.selectors) {
+    const card = createDiagnosticsCheck(DIAGNOSTIC_KEY_LABELS[item.key] || item.key, getSelectorStatus(item), '');
+    const list = document.createElement('ul');
+    list.className = 'pn-diag__candidates';
+    for (const candidate of item.candidates) {
+      const row = document.createElement('li');
+      row.classList.toggle('is-active', candidate.selector === item.active);
+      const code = document.createElement('code');
+      code.textContent = candidate.selector;
+      code.title = `${candidate.source}: ${candidate.selector}`;
+      const count = document.createElement('span');
+      count.textContent = formatCandidateCount(candidate.count);
+      row.append(code, count);
+      list.appendChild(row);
+    }
+    card.appendChild(list);
+    result.appendChild(card);
+  }
+
+  const { input, injection, scrape } = report;
+  result.appendChild(createDiagnosticsCheck(
+    'Input editable',
+    input.editable ? 'ok' : 'fail',
+    input.found ? `<${input.tag}> · ${input.detail} · strategy: ${input.strategy}` : input.detail
+  ));
+  result.appendChild(createDiagnosticsCheck('Test injection', getInjectionStatus(injection), describeInjectionResult(injection)));
+  result.appendChild(createDiagnosticsCheck(
+    'Scrape',
+    scrape.total ? 'ok' : 'warn',
+    `${scrape.total} messages (${scrape.user} user, ${scrape.assistant} assistant)`
+  ));
+  result.classList.remove('pn-hidden');
 };
 
-const normalizeImprovePayload = (value) => {
-  if (value && typeof value === 'object') {
-    return {
-      text: String(value.text || '').trim(),
-      tags: Array.isArray(value.tags) ? value.tags.map((tag) => String(tag || '').trim()).filter(Boolean) : [],
-      sourceTabId: Number(value.sourceTabId || 0) || null
-    };
+/** Runs diagnostics in the active tab and renders the report. */
+const runDiagnostics = async () => {
+  const runBtn = byId('diagnostics-run-btn');
+  const copyBtn = byId('diagnostics-copy-btn');
+  const context = await getActiveTabContext();
+
+  if (!context.tabId || !context.supported) {
+    renderDiagnosticsMessage('Open a supported chat tab, then run diagnostics.');
+    return;
   }
-  return {
-    text: String(value || '').trim(),
-    tags: [],
-    sourceTabId: null
-  };
+
+  if (runBtn) {
+    runBtn.disabled = true;
+    runBtn.textContent = 'Running…';
+  }
+
+  const response = await chrome.tabs.sendMessage(context.tabId, {
+    action: 'runDiagnostics',
+    injectTest: Boolean(byId('diagnostics-inject-test')?.checked)
+  }).catch(() => null);
+
+  if (runBtn) {
+    runBtn.disabled = false;
+    runBtn.textContent = 'Run Diagnostics';
+  }
+
+  if (!response?.ok || !response.report) {
+    lastDiagnosticsReport = null;
+    if (copyBtn) copyBtn.disabled = true;
+    renderDiagnosticsMessage(response?.error || 'The page did not respond. Reload the tab so Promptium can load, then try again.');
+    return;
+  }
+
+  lastDiagnosticsReport = response.report;
+  if (copyBtn) copyBtn.disabled = false;
+  renderDiagnosticsReport(response.report);
 };
 
-const getImproveModalContext = (promptId, explicitContext = '') => {
-  if (explicitContext) return String(explicitContext);
-  if (promptId) return 'library_edit';
-  const addModal = document.getElementById('add-modal');
-  const isAddModalVisible = Boolean(addModal && !addModal.classList.contains('pn-hidden'));
-  return isAddModalVisible ? 'add_modal' : 'fab';
+/** Binds the diagnostics controls in Settings. */
+const bindDiagnosticsEvents = () => {
+  byId('diagnostics-run-btn')?.addEventListener('click', () => {
+    void runDiagnostics();
+  });
+  byId('diagnostics-copy-btn')?.addEventListener('click', () => {
+    if (!lastDiagnosticsReport) return;
+    void navigator.clipboard.writeText(formatDiagnosticsReport(lastDiagnosticsReport))
+      .then(() => showToast('Diagnostics report copied.'))
+      .catch(() => showToast('Could not copy the report.'));
+  });
 };
 
-const setImproveActionLayout = async () => {
-  const primaryBtn = document.getElementById('pn-improve-accept');
-  const secondaryBtn = document.getElementById('pn-improve-accept-secondary');
-  const saveOnlyBtn = document.getElementById('pn-improve-save-only');
-  const context = improveModalState.context;
+// ─── End Diagnostics ─────────────────────────────────────────────────────────
 
-  if (!primaryBtn || !secondaryBtn || !saveOnlyBtn) return;
+// ─── Auto-submit Replies ─────────────────────────────────────────────────────
 
-  secondaryBtn.classList.add('pn-hidden');
-  saveOnlyBtn.classList.add('pn-hidden');
+/** Resolvers for replies a caller is awaiting by runId (chain steps); these skip reply capture. */
+const replyWaiters = new Map();
 
-  if (context === 'library_edit') {
-    primaryBtn.textContent = 'Save Update';
+/** Resolves with the PN_RESPONSE_COMPLETE payload for a runId, or null after timeoutMs. */
+const waitForReply = (runId, timeoutMs) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    replyWaiters.delete(runId);
+    resolve(null);
+  }, timeoutMs);
+  replyWaiters.set(runId, (detail) => {
+    clearTimeout(timer);
+    replyWaiters.delete(runId);
+    resolve(detail);
+  });
+});
+
+/** Saves the chat behind a finished auto-submitted reply to History when the setting is on. */
+const handleResponseComplete = async (detail) => {
+  if (!state.settings.captureReplies) return;
+
+  if (detail.timedOut && !detail.responseText) {
+    await showToast('Auto-submit: no reply arrived before the timeout.');
     return;
   }
 
-  if (context === 'add_modal') {
-    primaryBtn.textContent = 'Use Improved Text';
+  const messages = Array.isArray(detail.messages) && detail.messages.length
+    ? detail.messages
+    : [
+      { role: 'user', text: String(detail.promptText || ''), html: '' },
+      { role: 'assistant', text: String(detail.responseText || ''), html: String(detail.responseHtml || '') }
+    ].filter((message) => message.text);
+
+  const saved = await window.Store.saveChatToHistory({
+    title: detail.title,
+    platform: detail.platform,
+    url: detail.url,
+    messages
+  });
+
+  if (!saved) {
+    await showToast('Failed to save the reply to History.');
     return;
   }
-
-  primaryBtn.textContent = 'Inject into Chat';
-  secondaryBtn.textContent = 'Inject + Save';
-  saveOnlyBtn.textContent = 'Save to Library';
-  secondaryBtn.classList.remove('pn-hidden');
-  saveOnlyBtn.classList.remove('pn-hidden');
+  if (state.activeTab === 'history') {
+    await renderHistory();
+  }
+  await showToast(detail.timedOut ? 'Reply saved to History (still streaming at timeout).' : 'Reply saved to History.');
 };
 
-const setImproveButtonsDisabled = (disabled) => {
-  [
-    'pn-improve-accept',
-    'pn-improve-accept-secondary',
-    'pn-improve-save-only',
-    'pn-improve-retry'
-  ].forEach((id) => {
-    const button = document.getElementById(id);
-    if (button) button.disabled = Boolean(disabled);
+/** Routes PN_RESPONSE_COMPLETE broadcasts from content scripts. */
+const onResponseCompleteMessage = (msg) => {
+  if (msg?.type !== 'PN_RESPONSE_COMPLETE') return;
+  if (replyWaiters.has(msg.runId)) {
+    replyWaiters.get(msg.runId)(msg);
+    return;
+  }
+  void handleResponseComplete(msg).catch((error) => {
+    console.warn('[Promptium] Reply capture failed:', error);
   });
 };
 
-const sendImprovedPromptToTab = (tabId, text) => new Promise((resolve) => {
-  chrome.tabs.sendMessage(
-    tabId,
-    { action: 'APPLY_IMPROVED_PROMPT', text },
-    () => resolve(!chrome.runtime.lastError)
-  );
-});
+chrome.runtime.onMessage.addListener(onResponseCompleteMessage);
 
-const tryInjectImprovedPrompt = async (text, preferredTabId = null) => {
-  const candidateTabs = [];
+// ─── End Auto-submit Replies ─────────────────────────────────────────────────
 
-  if (preferredTabId) {
-    candidateTabs.push({ id: preferredTabId, url: '' });
+// ─── Prompt Chains ───────────────────────────────────────────────────────────
+
+const CHAIN_STEP_LABELS = {
+  pending: 'Pending',
+  running: 'Sending…',
+  waiting: 'Waiting for reply…',
+  done: 'Done',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+// The submitter gives up after 3 minutes; leave room for its timeout broadcast to arrive first.
+const CHAIN_REPLY_TIMEOUT_MS = 200000;
+
+/** Chain being edited in the chain modal (null when adding) and its working copy of steps. */
+let editingChain = null;
+let chainDraftSteps = [];
+let chainEditorPrompts = [];
+
+/** The chain run in progress or just finished, or null. */
+let chainRun = null;
+
+/** Returns true while a chain run has not finished. */
+const isChainRunning = () => Boolean(chainRun && !chainRun.finished);
+
+/** Creates one chain card with its step outline and Run/Edit/Delete actions. */
+const createChainCard = (chain, promptMap, canRun) => {
+  const card = document.createElement('article');
+  card.className = 'pn-history-card';
+
+  const title = document.createElement('h3');
+  title.className = 'pn-card-title';
+  title.textContent = chain.title;
+
+  const meta = document.createElement('p');
+  meta.className = 'pn-card-meta';
+  meta.textContent = `${chain.steps.length} step${chain.steps.length === 1 ? '' : 's'} • ${new Date(chain.updatedAt || chain.createdAt).toLocaleString()}`;
+
+  const outline = document.createElement('ol');
+  outline.className = 'pn-chain-outline';
+  for (const step of chain.steps) {
+    const item = document.createElement('li');
+    item.textContent = promptMap.get(step.promptId)?.title || 'Missing prompt';
+    if (step.capture) {
+      const capture = document.createElement('code');
+      capture.textContent = `→ {{${step.capture}}}`;
+      item.append(' ', capture);
+    }
+    outline.appendChild(item);
   }
 
-  const [lastFocusedActive, currentActive] = await Promise.all([
-    chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => []),
-    chrome.tabs.query({ active: true, currentWindow: true }).catch(() => [])
+  const actions = document.createElement('div');
+  actions.className = 'pn-card-actions';
+
+  const runButton = document.createElement('button');
+  runButton.className = 'pn-btn pn-btn--primary';
+  runButton.type = 'button';
+  runButton.textContent = 'Run';
+  runButton.disabled = !canRun || isChainRunning();
+  runButton.title = canRun ? 'Run in the active chat tab' : 'Open a supported LLM tab to run.';
+  runButton.addEventListener('click', () => {
+    void startChainRun(chain);
+  });
+
+  const editButton = document.createElement('button');
+  editButton.className = 'pn-btn pn-btn--ghost';
+  editButton.type = 'button';
+  editButton.textContent = 'Edit';
+  editButton.addEventListener('click', () => {
+    void openChainEditor(chain);
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'pn-btn pn-btn-danger';
+  deleteButton.type = 'button';
+  deleteButton.textContent = 'Remove';
+  deleteButton.addEventListener('click', () => {
+    void (async () => {
+      if (!window.confirm(`Remove the "${chain.title}" chain?`)) return;
+      if (!(await window.Store.deleteChain(chain.id))) {
+        await showToast('Failed to delete chain.');
+        return;
+      }
+      await renderChains();
+    })();
+  });
+
+  actions.append(runButton, editButton, deleteButton);
+  card.append(title, meta, outline, actions);
+  return card;
+};
+
+/** Renders the chain list in the Chains tab. */
+const renderChains = async () => {
+  const container = byId('chain-list');
+  if (!container) return;
+
+  const [chains, prompts, tabContext] = await Promise.all([
+    window.Store.getChains(),
+    window.Store.getPrompts(),
+    getActiveTabContext()
   ]);
+  const promptMap = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+  container.replaceChildren();
 
-  for (const tab of [...lastFocusedActive, ...currentActive]) {
-    if (!tab?.id) continue;
-    candidateTabs.push(tab);
+  if (!chains.length) {
+    container.appendChild(createEmptyState({
+      title: 'No chains yet',
+      message: 'Chain saved prompts (outline → draft → critique) and run them in one go.',
+      actionLabel: 'New Chain',
+      onAction: () => openChainEditor()
+    }));
+    return;
   }
 
-  const visited = new Set();
-  for (const tab of candidateTabs) {
-    if (!tab?.id || visited.has(tab.id)) continue;
-    visited.add(tab.id);
-    const tabUrl = String(tab.url || '').toLowerCase();
-    if (tabUrl.startsWith('chrome-extension://')) continue;
-    // Ignore sidepanel/popup tabs and keep trying.
-    if (await sendImprovedPromptToTab(tab.id, text)) {
-      return true;
-    }
+  for (const chain of chains) {
+    container.appendChild(createChainCard(chain, promptMap, tabContext.supported));
   }
+};
 
-  return false;
+/** Shows or hides validation errors in the chain modal. */
+const setChainErrors = (errors) => {
+  const box = byId('pn-chain-errors');
+  if (!box) return;
+  box.textContent = errors.join(' ');
+  box.classList.toggle('pn-hidden', !errors.length);
 };
 
-const buildFallbackPromptTitle = (text) => {
-  const compact = String(text || '').replace(/\s+/g, ' ').trim();
-  if (!compact) return 'Improved Prompt';
-  const firstSentence = compact.split(/[.!?]/)[0]?.trim() || compact;
-  return firstSentence.slice(0, 64) || 'Improved Prompt';
+/** Creates a small icon-style button for a chain step row. */
+const createChainStepButton = (label, title, onClick, disabled = false) => {
+  const button = document.createElement('button');
+  button.className = 'pn-btn pn-btn--ghost';
+  button.type = 'button';
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
 };
 
-const generatePromptTitle = async (text) => {
-  try {
-    const response = await window.AIBridge.generatePromptTitle(text);
-    const generated = String(response?.title || response?.text || '').replace(/^["']+|["']+$/g, '').trim();
-    if (generated) return generated.slice(0, 80);
-  } catch (_) {
-    // Fall through to local fallback.
+/** Creates one editable step row in the chain modal. */
+const createChainStepRow = (step, index) => {
+  const row = document.createElement('li');
+  row.className = 'pn-chain-step';
+
+  const head = document.createElement('div');
+  head.className = 'pn-chain-step__head';
+  const label = document.createElement('span');
+  label.textContent = `Step ${index + 1}`;
+  const controls = document.createElement('div');
+  controls.className = 'pn-platform-row__actions';
+  const move = (offset) => {
+    const [moved] = chainDraftSteps.splice(index, 1);
+    chainDraftSteps.splice(index + offset, 0, moved);
+    renderChainSteps();
+  };
+  controls.append(
+    createChainStepButton('↑', 'Move up', () => move(-1), index === 0),
+    createChainStepButton('↓', 'Move down', () => move(1), index === chainDraftSteps.length - 1),
+    createChainStepButton('✕', 'Remove step', () => {
+      chainDraftSteps.splice(index, 1);
+      renderChainSteps();
+    })
+  );
+  head.append(label, controls);
+
+  const promptSelect = document.createElement('select');
+  promptSelect.className = 'pn-sv-select';
+  promptSelect.add(new Option('Choose a prompt…', ''));
+  for (const prompt of chainEditorPrompts) {
+    promptSelect.add(new Option(prompt.title || 'Untitled', prompt.id));
   }
-  return buildFallbackPromptTitle(text);
-};
+  promptSelect.value = step.promptId;
+  promptSelect.addEventListener('change', () => {
+    step.promptId = promptSelect.value;
+  });
 
-const saveImprovedTextToLibrary = async (text, tags = []) => {
-  const title = await generatePromptTitle(text);
-  const saved = await window.Store.savePrompt({
-    title,
-    text,
-    tags: Array.isArray(tags) ? tags : [],
-    category: null,
-    embedding: null
+  const captureRow = document.createElement('div');
+  captureRow.className = 'pn-chain-step__capture';
+
+  const captureInput = document.createElement('input');
+  captureInput.className = 'pn-sv-input';
+  captureInput.type = 'text';
+  captureInput.placeholder = 'Save reply as variable (optional)';
+  captureInput.value = step.capture;
+  captureInput.addEventListener('input', () => {
+    step.capture = captureInput.value.trim();
   });
 
-  if (saved && state.aiReady && saved.id) {
-    void window.AIBridge.cacheAdd(saved);
-  }
+  const extractSelect = document.createElement('select');
+  extractSelect.className = 'pn-sv-select';
+  for (const [value, text] of Object.entries(window.PromptChains.EXTRACTORS)) {
+    extractSelect.add(new Option(text, value));
+  }
+  extractSelect.value = step.extract;
+
+  const patternInput = document.createElement('input');
+  patternInput.className = 'pn-sv-input';
+  patternInput.type = 'text';
+  patternInput.placeholder = 'Regex; first group is kept, e.g. Title: (.+)';
+  patternInput.value = step.pattern;
+  patternInput.classList.toggle('pn-hidden', step.extract !== 'regex');
+  patternInput.addEventListener('input', () => {
+    step.pattern = patternInput.value;
+  });
 
-  return saved;
+  extractSelect.addEventListener('change', () => {
+    step.extract = extractSelect.value;
+    patternInput.classList.toggle('pn-hidden', step.extract !== 'regex');
+  });
+
+  captureRow.append(captureInput, extractSelect);
+  row.append(head, promptSelect, captureRow, patternInput);
+  return row;
 };
 
-/** Opens the improve diff modal in loading state and fires the AI request. */
-const openImproveModal = async (promptId, originalText, tags = [], options = {}) => {
-  improveModalState.promptId = promptId;
-  improveModalState.originalText = originalText;
-  improveModalState.improvedText = '';
-  improveModalState.tags = tags;
-  improveModalState.isRunning = true;
-  improveModalState.context = getImproveModalContext(promptId, options?.context || '');
-  improveModalState.sourceTabId = Number(options?.sourceTabId || 0) || null;
+/** Re-renders the step rows in the chain modal from the working copy. */
+const renderChainSteps = () => {
+  byId('pn-chain-steps')?.replaceChildren(...chainDraftSteps.map(createChainStepRow));
+};
 
-  const modal = document.getElementById('pn-improve-modal');
-  const loading = document.getElementById('pn-improve-loading');
-  const diff = document.getElementById('pn-improve-diff');
-  const error = document.getElementById('pn-improve-error');
-  const modalStyle = document.getElementById('pn-improve-modal-style');
-  const addModalStyle = document.getElementById('pn-improve-style');
+/** Opens the chain modal, prefilled when editing. */
+const openChainEditor = async (chain = null) => {
+  editingChain = chain;
+  chainEditorPrompts = await window.Store.getPrompts();
+  chainDraftSteps = window.PromptChains.normalizeChain(chain || { steps: [{}] }).steps;
+  byId('pn-chain-modal-title').textContent = chain ? `Edit ${chain.title}` : 'New Chain';
+  byId('pn-chain-title').value = chain?.title || '';
+  renderChainSteps();
+  setChainErrors([]);
+  byId('pn-chain-modal')?.classList.remove('pn-hidden');
+  byId('pn-chain-title')?.focus();
+};
 
-  if (!modal) return;
+/** Closes the chain modal. */
+const closeChainEditor = () => {
+  editingChain = null;
+  chainDraftSteps = [];
+  byId('pn-chain-modal')?.classList.add('pn-hidden');
+};
 
-  if (improveModalState.context === 'add_modal' && modalStyle && addModalStyle) {
-    modalStyle.value = addModalStyle.value || 'general';
-  }
+/** Validates and saves the chain modal. */
+const saveChainEditor = async () => {
+  const { ok, errors, chain } = window.PromptChains.validateChain({
+    ...(editingChain || {}),
+    title: byId('pn-chain-title')?.value || '',
+    steps: chainDraftSteps
+  }, chainEditorPrompts);
 
-  await setImproveActionLayout();
+  if (!ok) {
+    setChainErrors(errors);
+    return;
+  }
 
-  // Reset state
-  modal.classList.remove('pn-hidden');
-  loading?.classList.remove('pn-hidden');
-  diff?.classList.add('pn-hidden');
-  error?.classList.add('pn-hidden');
-  setImproveButtonsDisabled(true);
+  if (!(await window.Store.saveChain(chain))) {
+    setChainErrors(['Could not save chain.']);
+    return;
+  }
+  closeChainEditor();
+  await renderChains();
+  await showToast('Chain saved.');
+};
 
-  // Run the AI improvement
-  const style = document.getElementById('pn-improve-modal-style')?.value || 'general';
+/** Sends one message to the tab a chain run started in. */
+const sendToChainTab = async (run, payload) => {
   try {
-    const response = await window.AIBridge.improvePrompt(originalText, tags, style);
-    improveModalState.isRunning = false;
-
-    if (response?.error) {
-      showImproveError(response.error);
-    } else if (response?.text) {
-      improveModalState.improvedText = response.text;
-      showImproveDiff();
-    } else {
-      showImproveError('AI could not generate an improvement. Try a different style.');
-    }
-  } catch (err) {
-    improveModalState.isRunning = false;
-    showImproveError(err?.message || 'Request failed. Check your API key.');
+    return await chrome.tabs.sendMessage(run.tabId, payload);
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Unable to reach the chat tab.' };
   }
 };
 
-/** Displays the before/after diff in the modal. */
-const showImproveDiff = () => {
-  const loading = document.getElementById('pn-improve-loading');
-  const diff = document.getElementById('pn-improve-diff');
-  const error = document.getElementById('pn-improve-error');
-  const origEl = document.getElementById('pn-improve-original');
-  const newEl = document.getElementById('pn-improve-improved');
-  const origCount = document.getElementById('pn-improve-orig-count');
-  const newCount = document.getElementById('pn-improve-new-count');
-
-  loading?.classList.add('pn-hidden');
-  error?.classList.add('pn-hidden');
-  diff?.classList.remove('pn-hidden');
-  setImproveButtonsDisabled(false);
+/** Renders the run panel: step statuses, status line, and control labels. */
+const renderChainRunner = () => {
+  const runner = byId('chain-runner');
+  if (!runner) return;
+  runner.classList.toggle('pn-hidden', !chainRun);
+  if (!chainRun) return;
 
-  if (origEl) origEl.textContent = improveModalState.originalText;
-  if (newEl) newEl.textContent = improveModalState.improvedText;
+  byId('chain-runner-title').textContent = chainRun.chain.title;
+  byId('chain-runner-status').textContent = chainRun.message;
 
-  // Character counts with diff
-  const origLen = improveModalState.originalText.length;
-  const newLen = improveModalState.improvedText.length;
-  const charDiff = newLen - origLen;
-  const diffLabel = charDiff > 0 ? `+${charDiff}` : `${charDiff}`;
+  const steps = chainRun.results.map((result, index) => {
+    const item = document.createElement('li');
+    item.className = `pn-chain-runner__step is-${result.status}`;
+    item.classList.toggle('is-current', index === chainRun.index && !chainRun.finished);
+    const name = document.createElement('span');
+    name.textContent = result.title;
+    const status = document.createElement('span');
+    status.className = 'pn-card-meta';
+    status.textContent = result.error ? `${CHAIN_STEP_LABELS[result.status]} — ${result.error}` : CHAIN_STEP_LABELS[result.status];
+    item.append(name, status);
+    return item;
+  });
+  byId('chain-runner-steps')?.replaceChildren(...steps);
 
-  if (origCount) origCount.textContent = `${origLen} chars`;
-  if (newCount) {
-    newCount.textContent = `${newLen} chars (${diffLabel})`;
-    newCount.classList.toggle('pn-improve-count--positive', charDiff > 0);
-    newCount.classList.toggle('pn-improve-count--negative', charDiff < 0);
+  const pauseButton = byId('chain-pause-btn');
+  const skipButton = byId('chain-skip-btn');
+  const abortButton = byId('chain-abort-btn');
+  if (pauseButton) {
+    pauseButton.textContent = chainRun.paused ? 'Resume' : 'Pause';
+    pauseButton.disabled = chainRun.finished;
   }
+  if (skipButton) skipButton.disabled = chainRun.finished;
+  if (abortButton) abortButton.textContent = chainRun.finished ? 'Close' : 'Abort';
 };
 
-/** Shows error state in the improve modal. */
-const showImproveError = (message) => {
-  const loading = document.getElementById('pn-improve-loading');
-  const diff = document.getElementById('pn-improve-diff');
-  const error = document.getElementById('pn-improve-error');
-  const errorMsg = document.getElementById('pn-improve-error-msg');
-  const normalized = String(message || '').trim();
-  const isMissingApiKey = /api\s*key/i.test(normalized) && /settings|missing|not\s*found|not\s*configured/i.test(normalized);
+/** Updates the run status line. */
+const setChainRunMessage = (message) => {
+  chainRun.message = message;
+  renderChainRunner();
+};
 
-  loading?.classList.add('pn-hidden');
-  diff?.classList.add('pn-hidden');
-  error?.classList.remove('pn-hidden');
-  if (errorMsg) {
-    errorMsg.textContent = isMissingApiKey ? 'Gemini API Key Not Configured' : normalized;
+/** Waits until the paused run is resumed, skipped past its last step, or aborted. */
+const waitForChainResume = (run) => new Promise((resolve) => {
+  run.resume = resolve;
+});
+
+/**
+ * Fills one step's variables (captured values first), injects and sends it, and waits for the reply.
+ * Returns { ok, error, detail }; detail is null when the wait was interrupted by Skip or Abort.
+ */
+const runChainStep = async (run, step, result) => {
+  const prompt = run.prompts.get(step.promptId);
+  if (!prompt) {
+    return { ok: false, error: 'The prompt was deleted.', detail: null };
   }
 
-  const existingAction = document.getElementById('pn-improve-go-settings');
-  existingAction?.remove();
+  const text = await window.PromptVariables.resolvePromptText(prompt, { submitLabel: 'Run Step', preset: run.values });
+  if (text === null) {
+    return { ok: false, error: 'Variables were cancelled.', detail: null };
+  }
+  if (run.aborted || run.skipRequested) {
+    return { ok: true, error: '', detail: null };
+  }
+  result.promptText = text;
 
-  if (isMissingApiKey && error) {
-    const action = document.createElement('button');
-    action.id = 'pn-improve-go-settings';
-    action.type = 'button';
-    action.className = 'pn-btn pn-btn--primary';
-    action.textContent = 'Go to Settings';
-    action.addEventListener('click', () => {
-      closeImproveModal();
-      void switchTab('settings');
-    });
-    error.appendChild(action);
+  const runId = crypto.randomUUID();
+  const reply = waitForReply(runId, CHAIN_REPLY_TIMEOUT_MS);
+  const response = await sendToChainTab(run, {
+    action: 'injectPrompt',
+    text,
+    mode: 'replace',
+    autoSubmit: true,
+    runId,
+    promptId: prompt.id
+  });
+
+  if (!response?.ok || !response.submitted) {
+    replyWaiters.get(runId)?.(null);
+    return { ok: false, error: response?.error || 'Could not send the prompt.', detail: null };
   }
-  setImproveButtonsDisabled(false);
-};
 
-/** Closes the improve diff modal. */
-const closeImproveModal = () => {
-  const modal = document.getElementById('pn-improve-modal');
-  modal?.classList.add('pn-hidden');
-  improveModalState.isRunning = false;
-};
+  result.status = 'waiting';
+  renderChainRunner();
+  const detail = await new Promise((resolve) => {
+    run.interrupt = () => resolve(null);
+    void reply.then(resolve);
+  });
+  run.interrupt = null;
 
-/** Accepts the improved text based on context and selected action. */
-const acceptImproveResult = async (mode = 'primary') => {
-  const { promptId, originalText, improvedText, context, tags, sourceTabId } = improveModalState;
-  if (!improvedText) return;
+  if (!detail) {
+    return run.aborted || run.skipRequested
+      ? { ok: true, error: '', detail: null }
+      : { ok: false, error: 'No reply arrived in time.', detail: null };
+  }
+  if (detail.timedOut && !detail.responseText) {
+    return { ok: false, error: 'The reply never started.', detail: null };
+  }
+  return { ok: true, error: '', detail };
+};
 
-  // Save previous text for undo
-  improveModalState.previousText = originalText;
+/** Saves the transcript of completed steps to History and marks the run finished. */
+const finishChainRun = async (run) => {
+  run.finished = true;
+  run.paused = false;
+  const completed = run.results.filter((result) => result.status === 'done').length;
+  let message = run.aborted ? `Aborted after ${completed} of ${run.results.length} steps.` : `Finished ${completed} of ${run.results.length} steps.`;
 
-  if (context === 'add_modal' && !promptId) {
-    closeImproveModal();
-    const textInput = document.getElementById('prompt-text');
-    const addModal = document.getElementById('add-modal');
-    const isAddModalVisible = Boolean(addModal && !addModal.classList.contains('pn-hidden'));
-    if (textInput && isAddModalVisible) {
-      textInput.value = improvedText;
-      void prefillSuggestedTags();
-      await showToast('Prompt improved ✨');
-    }
-    return;
+  if (completed) {
+    const saved = await window.Store.saveChatToHistory(
+      window.PromptChains.buildTranscript(run.chain, run.results, { platform: run.platform, url: run.url })
+    );
+    message += saved ? ' Transcript saved to History.' : ' Could not save the transcript.';
+    if (saved && state.activeTab === 'history') await renderHistory();
   }
 
-  if (!promptId && context === 'fab') {
-    closeImproveModal();
-    const shouldInject = mode === 'primary' || mode === 'secondary';
-    const shouldSave = mode === 'secondary' || mode === 'save';
-    let injected = false;
-    let saved = null;
+  if (chainRun === run) setChainRunMessage(message);
+  await renderChains();
+};
 
-    if (shouldInject) {
-      injected = await tryInjectImprovedPrompt(improvedText, sourceTabId);
-      if (!injected) {
-        await showToast('Could not inject into chat. Keep the target tab open and try again.');
-      }
+/** Runs steps in order until the chain ends or is aborted; failures pause the run for retry or skip. */
+const runChainLoop = async (run) => {
+  while (run.index < run.results.length && !run.aborted) {
+    if (run.paused) {
+      setChainRunMessage(run.message || 'Paused. Resume to continue.');
+      await waitForChainResume(run);
+      continue;
     }
 
-    if (shouldSave) {
-      saved = await saveImprovedTextToLibrary(improvedText, tags);
-      if (!saved) {
-        await showToast('Could not save improved prompt.');
-        return;
-      }
-      await renderPrompts(String(byId('prompt-search')?.value || ''));
-      await renderTags();
+    const step = run.chain.steps[run.index];
+    const result = run.results[run.index];
+    run.skipRequested = false;
+    result.status = 'running';
+    result.error = '';
+    setChainRunMessage(`Step ${run.index + 1} of ${run.results.length}`);
+
+    const outcome = await runChainStep(run, step, result);
+    if (run.aborted) {
+      result.status = 'pending';
+      break;
     }
-
-    if (mode === 'primary' && injected) {
-      await showToast('Prompt injected ✨');
-      return;
+    if (run.skipRequested) {
+      result.status = 'skipped';
+      run.index += 1;
+      continue;
+    }
+    if (!outcome.ok) {
+      result.status = 'failed';
+      result.error = outcome.error;
+      run.paused = true;
+      run.message = `Step ${run.index + 1} failed. Resume to retry or skip it.`;
+      continue;
     }
 
-    if (mode === 'secondary') {
-      if (injected) {
-        await showToast('Injected and saved to library ✨');
+    const { detail } = outcome;
+    result.status = 'done';
+    result.responseText = String(detail.responseText || '');
+    result.responseHtml = String(detail.responseHtml || '');
+    if (detail.timedOut) result.error = 'still streaming at timeout';
+    run.platform = detail.platform || run.platform;
+    run.url = detail.url || run.url;
+
+    if (step.capture) {
+      const value = window.PromptChains.extractFromReply(step, { text: result.responseText, html: result.responseHtml });
+      // An empty capture is left unset so the variable form asks for it instead.
+      if (value) {
+        run.values[step.capture] = value;
       } else {
-        await showToast('Saved to library. Injection failed.');
+        result.error = `nothing captured for {{${step.capture}}}`;
       }
-      return;
     }
+    run.message = '';
+    run.index += 1;
+  }
 
-    if (mode === 'save') {
-      await showToast('Improved prompt saved ✨');
-    }
+  await finishChainRun(run);
+};
+
+/** Starts running a chain against the active tab. */
+const startChainRun = async (chain) => {
+  if (isChainRunning()) {
+    await showToast('A chain is already running.');
     return;
   }
 
-  closeImproveModal();
-  const updated = await window.Store.updatePrompt(promptId, { text: improvedText });
+  const context = await getActiveTabContext();
+  if (!context.supported || !context.tabId) {
+    await showToast('Open a supported LLM tab to run a chain.');
+    return;
+  }
 
-  if (updated) {
-    await renderPrompts(String(byId('prompt-search')?.value || ''));
+  const prompts = await window.Store.getPrompts();
+  const { ok, errors, chain: normalized } = window.PromptChains.validateChain(chain, prompts);
+  if (!ok) {
+    await showToast(errors[0]);
+    return;
+  }
 
-    // Show undo toast
-    const toast = document.createElement('div');
-    toast.className = 'pn-toast pn-toast--undo';
-    toast.innerHTML = `Prompt improved ✨ <button class="pn-toast-undo-btn" type="button">Undo</button>`;
-    document.body.appendChild(toast);
+  const promptMap = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+  chainRun = {
+    chain: normalized,
+    prompts: promptMap,
+    tabId: context.tabId,
+    platform: 'unknown',
+    url: context.url,
+    index: 0,
+    results: normalized.steps.map((step) => ({
+      title: promptMap.get(step.promptId)?.title || 'Untitled',
+      status: 'pending',
+      error: '',
+      promptText: '',
+      responseText: '',
+      responseHtml: ''
+    })),
+    values: {},
+    message: '',
+    paused: false,
+    aborted: false,
+    skipRequested: false,
+    finished: false,
+    interrupt: null,
+    resume: null
+  };
+  renderChainRunner();
+  await renderChains();
+  void runChainLoop(chainRun);
+};
 
-    const undoBtn = toast.querySelector('.pn-toast-undo-btn');
-    undoBtn?.addEventListener('click', async () => {
-      await window.Store.updatePrompt(promptId, { text: originalText });
-      await renderPrompts(String(byId('prompt-search')?.value || ''));
-      toast.remove();
-      showToast('Reverted to original.');
-    });
+/** Toggles pause; a step already sent finishes before the run stops. */
+const toggleChainPause = () => {
+  if (!isChainRunning()) return;
+  chainRun.paused = !chainRun.paused;
+  if (chainRun.paused) {
+    const busy = ['running', 'waiting'].includes(chainRun.results[chainRun.index]?.status);
+    setChainRunMessage(busy ? 'Pausing after this step…' : 'Paused. Resume to continue.');
+    return;
+  }
+  chainRun.message = '';
+  chainRun.resume?.();
+};
 
-    setTimeout(() => toast.remove(), 6000);
-  } else {
-    showToast('Could not save improved prompt.');
+/** Skips the current step; when waiting for a reply, moves on without it. */
+const skipChainStep = () => {
+  if (!isChainRunning()) return;
+  const result = chainRun.results[chainRun.index];
+
+  if (['running', 'waiting'].includes(result?.status)) {
+    chainRun.skipRequested = true;
+    chainRun.interrupt?.();
+    return;
+  }
+
+  result.status = 'skipped';
+  result.error = '';
+  chainRun.index += 1;
+  chainRun.message = '';
+  if (chainRun.index >= chainRun.results.length) {
+    chainRun.resume?.();
+    return;
   }
+  setChainRunMessage('Paused. Resume to continue.');
 };
 
-/** Retries the improvement with the current modal style. */
-const retryImprove = async () => {
-  const { promptId, originalText, tags, context, sourceTabId } = improveModalState;
-  await openImproveModal(promptId, originalText, tags, { context, sourceTabId });
+/** Aborts a running chain, or closes the panel of a finished one. */
+const abortChainRun = () => {
+  if (!chainRun) return;
+  if (chainRun.finished) {
+    chainRun = null;
+    renderChainRunner();
+    return;
+  }
+  chainRun.aborted = true;
+  chainRun.interrupt?.();
+  chainRun.resume?.();
 };
 
-/** Binds all improve modal event listeners. */
-const bindImproveModalEvents = () => {
-  document.getElementById('pn-improve-accept')?.addEventListener('click', () => {
-    void acceptImproveResult('primary');
+/** Binds chain list, editor, and runner controls. */
+const bindChainEvents = () => {
+  byId('chain-add-btn')?.addEventListener('click', () => {
+    void openChainEditor();
   });
-
-  document.getElementById('pn-improve-accept-secondary')?.addEventListener('click', () => {
-    void acceptImproveResult('secondary');
+  byId('pn-chain-add-step')?.addEventListener('click', () => {
+    chainDraftSteps.push(window.PromptChains.normalizeChain({ steps: [{}] }).steps[0]);
+    renderChainSteps();
   });
-
-  document.getElementById('pn-improve-save-only')?.addEventListener('click', () => {
-    void acceptImproveResult('save');
+  byId('pn-chain-cancel')?.addEventListener('click', closeChainEditor);
+  document.querySelector('#pn-chain-modal [data-close-chain]')?.addEventListener('click', closeChainEditor);
+  byId('pn-chain-save')?.addEventListener('click', () => {
+    void saveChainEditor();
   });
+  byId('chain-pause-btn')?.addEventListener('click', toggleChainPause);
+  byId('chain-skip-btn')?.addEventListener('click', skipChainStep);
+  byId('chain-abort-btn')?.addEventListener('click', abortChainRun);
+};
 
-  document.getElementById('pn-improve-reject')?.addEventListener('click', closeImproveModal);
+// ─── End Prompt Chains ───────────────────────────────────────────────────────
 
-  document.getElementById('pn-improve-retry')?.addEventListener('click', () => {
-    void retryImprove();
-  });
+// ─── Usage Stats ─────────────────────────────────────────────────────────────
 
-  // Backdrop close
-  document.querySelector('[data-close-improve]')?.addEventListener('click', closeImproveModal);
+/** Builds one stats block with a bar per row, scaled to the block's largest count. */
+const createStatsGroup = (heading, rows) => {
+  const group = document.createElement('div');
+  group.className = 'pn-stats-group';
 
-  document.getElementById('pn-improve-modal-style')?.addEventListener('change', (event) => {
-    const addStyle = document.getElementById('pn-improve-style');
-    if (addStyle) addStyle.value = String(event.target?.value || 'general');
+  const title = document.createElement('h3');
+  title.className = 'pn-stats-group__title';
+  title.textContent = heading;
+  group.appendChild(title);
+
+  if (!rows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'pn-card-meta';
+    empty.textContent = 'Nothing recorded in this range.';
+    group.appendChild(empty);
+    return group;
+  }
+
+  const max = Math.max(1, ...rows.map((row) => row.count));
+  for (const row of rows) {
+    const item = document.createElement('div');
+    item.className = 'pn-stats-row';
+
+    const label = document.createElement('span');
+    label.className = 'pn-stats-row__label';
+    label.textContent = row.label;
+    label.title = row.label;
+
+    // <progress> draws the bar without inline widths, which the extension CSP blocks.
+    const bar = document.createElement('progress');
+    bar.className = 'pn-stats-row__bar';
+    bar.max = max;
+    bar.value = row.count;
+
+    const count = document.createElement('span');
+    count.className = 'pn-stats-row__count';
+    count.textContent = String(row.count);
+
+    item.append(label, bar, count);
+    group.appendChild(item);
+  }
+
+  return group;
+};
+
+/** Renders the stats tab for the selected range from the local usage log. */
+const renderStats = async () => {
+  const container = byId('stats-body');
+  const summary = byId('stats-summary');
+  if (!container) return;
+
+  const days = Number(byId('stats-range')?.value || 0);
+  const [events, prompts] = await Promise.all([
+    window.Store.getUsageEvents({ since: window.PromptUsage.getRangeStart(days) }),
+    window.Store.getPrompts()
+  ]);
+  const stats = window.PromptUsage.buildStats(events, prompts);
+
+  if (summary) {
+    summary.textContent = `${stats.total} use${stats.total === 1 ? '' : 's'} • ${stats.usedPromptCount} prompt${stats.usedPromptCount === 1 ? '' : 's'} used, ${stats.unusedPromptCount} not`;
+  }
+
+  container.innerHTML = '';
+
+  if (!stats.total) {
+    container.appendChild(createEmptyState({
+      title: 'No usage yet',
+      message: 'Inject, copy, or improve a prompt and it is counted here. Usage is kept on this device only.'
+    }));
+    return;
+  }
+
+  const { USAGE_ACTION_LABELS } = window.PromptUsage;
+  container.append(
+    createStatsGroup('By action', stats.byAction.map((row) => ({ label: USAGE_ACTION_LABELS[row.key], count: row.count }))),
+    createStatsGroup('By platform', stats.byPlatform.map((row) => ({
+      label: row.key ? getPlatformLabel(row.key) : 'Outside chat',
+      count: row.count
+    }))),
+    createStatsGroup('By tag', stats.byTag.slice(0, 8).map((row) => ({ label: `#${row.key}`, count: row.count }))),
+    createStatsGroup('By week', stats.byWeek.map((row) => ({
+      label: `Week of ${new Date(row.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`,
+      count: row.count
+    }))),
+    createStatsGroup('Top prompts', stats.topPrompts.map((row) => ({ label: row.prompt.title, count: row.count })))
+  );
+};
+
+/** Binds the stats range control and the prompt sort control. */
+const bindUsageEvents = () => {
+  byId('stats-range')?.addEventListener('change', () => {
+    void renderStats();
+  });
+  byId('prompt-sort')?.addEventListener('change', () => {
+    void renderPrompts(String(byId('prompt-search')?.value || ''));
+  });
+  byId('prompt-favorites-only')?.addEventListener('change', () => {
+    void renderPrompts(String(byId('prompt-search')?.value || ''));
   });
 };
 
-// ─── End Improve Modal ───────────────────────────────────────────────────────
+// ─── End Usage Stats ─────────────────────────────────────────────────────────
 
 /** Applies settings/save flow and refreshes dependent UI state. */
 const saveSettingsFromPanel = async () => {
@@ -3186,13 +6754,13 @@ const saveSettingsFromPanel = async () => {
     await setAiDisabledBadge();
   }
 
-  // Save Gemini API key separately
-  const geminiKeyInput = document.getElementById('setting-gemini-key');
-  if (geminiKeyInput) {
-    const keyVal = String(geminiKeyInput.value || '').trim();
-    if (keyVal) {
-      await chrome.storage.local.set({ [GEMINI_KEY]: keyVal });
-    }
+  // Provider settings (base URL, model, key, temperature) are stored separately from panel settings
+  readProviderControls();
+  if (await window.LLMProviders.saveProviderSettings(state.providerDraft)) {
+    await loadProviderSettings();
+  } else {
+    await setSettingsStatus('Failed to save AI provider settings.', 'error');
+    return;
   }
 
   await setSettingsStatus('Settings saved.', 'ok');
@@ -3215,16 +6783,43 @@ const bindSessionPayloadUpdates = async () => {
     })();
   });
 
-  // Hot-reload the workspace when prompts are modified from content scripts
-  chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== 'local' || !changes.prompts) {
-      return;
-    }
-
-    void (async () => {
-      await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
-      await renderTags();
-    })();
+  // Hot-reload the workspace when prompts or history are modified from content scripts.
+  // Batch writes (imports, restores) notify once per record, so re-renders are coalesced.
+  const pendingStores = new Set();
+  let storeChangeTimer = null;
+  window.Store.onStoreChange((storeName) => {
+    pendingStores.add(storeName);
+    clearTimeout(storeChangeTimer);
+    storeChangeTimer = setTimeout(() => {
+      const changed = new Set(pendingStores);
+      pendingStores.clear();
+      void (async () => {
+        if (changed.has('prompts') || changed.has('collections')) {
+          await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
+        }
+        if (changed.has('prompts')) {
+          await renderTags();
+        }
+        if (changed.has('prompts') || changed.has('chains')) {
+          await renderChains();
+        }
+        if (changed.has('chatHistory')) {
+          await renderHistory();
+          const activeQuery = String(document.getElementById('prompt-search')?.value || '');
+          if (activeQuery.trim() && getSearchScope() !== 'prompts' && !changed.has('prompts') && !changed.has('collections')) {
+            await renderPrompts(activeQuery);
+          }
+        }
+        if (changed.has('usageEvents')) {
+          if (!changed.has('prompts') && !changed.has('collections')) {
+            await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
+          }
+          if (state.activeTab === 'stats') {
+            await renderStats();
+          }
+        }
+      })();
+    }, 150);
   });
 };
 
@@ -3233,6 +6828,7 @@ const performWorkspaceRefresh = async () => {
   await renderPrompts(String(document.getElementById('prompt-search')?.value || ''));
   await renderHistory();
   await renderTags();
+  await renderChains();
   await showToast('Workspace refreshed.');
 };
 
@@ -3347,7 +6943,7 @@ const bindEvents = async () => {
 
   // API key visibility toggle
   document.getElementById('toggle-key-vis')?.addEventListener('click', () => {
-    const keyInput = document.getElementById('setting-gemini-key');
+    const keyInput = document.getElementById('setting-provider-key');
     if (keyInput) {
       keyInput.type = keyInput.type === 'password' ? 'text' : 'password';
     }
@@ -3356,30 +6952,30 @@ const bindEvents = async () => {
   // Check API connection button
   document.getElementById('check-api-key')?.addEventListener('click', async () => {
     const btn = document.getElementById('check-api-key');
-    const keyInput = document.getElementById('setting-gemini-key');
-    const key = keyInput?.value?.trim();
-    if (!key) {
+    readProviderControls();
+    const providerId = state.providerDraft?.activeProvider;
+    const config = state.providerDraft?.providers?.[providerId];
+    const definition = window.LLMProviders.PROVIDERS[providerId];
+    if (!config || (definition?.keyRequired && !config.apiKey)) {
       btn.textContent = 'No key';
       btn.classList.add('pn-status-error');
       setTimeout(() => { btn.textContent = 'Check'; btn.classList.remove('pn-status-error', 'pn-status-ok'); }, 2000);
       return;
     }
+    const hostAccess = requestProviderHostAccess();
     btn.textContent = '...';
     btn.classList.remove('pn-status-error', 'pn-status-ok');
-    try {
-      const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${key}`);
-      if (res.ok) {
-        btn.textContent = '✓ Valid';
-        btn.classList.add('pn-status-ok');
-      } else {
-        btn.textContent = '✗ Invalid';
-        btn.classList.add('pn-status-error');
-      }
-    } catch {
-      btn.textContent = '✗ Error';
+    const granted = await hostAccess;
+    const res = await window.AIBridge.testProvider(providerId, config);
+    if (res?.ok) {
+      btn.textContent = '✓ Valid';
+      btn.classList.add('pn-status-ok');
+    } else {
+      btn.textContent = '✗ Failed';
+      btn.title = res?.error || (granted ? 'Connection failed.' : 'Host access not granted.');
       btn.classList.add('pn-status-error');
     }
-    setTimeout(() => { btn.textContent = 'Check'; btn.classList.remove('pn-status-error', 'pn-status-ok'); }, 3000);
+    setTimeout(() => { btn.textContent = 'Check'; btn.title = 'Test connection'; btn.classList.remove('pn-status-error', 'pn-status-ok'); }, 3000);
   });
 
   const searchInput = document.getElementById('prompt-search');
@@ -3415,6 +7011,7 @@ const bindEvents = async () => {
     'include-date',
     'include-platform',
     'include-msg-numbers',
+    'include-cover-page',
     'export-font-style',
     'export-bg-style',
     'export-bg-custom'
@@ -3454,7 +7051,14 @@ const bindEvents = async () => {
   });
 
   (await byId('save-settings-btn'))?.addEventListener('click', () => {
-    void saveSettingsFromPanel();
+    readProviderControls();
+    const hostAccess = requestProviderHostAccess();
+    void (async () => {
+      if (!(await hostAccess)) {
+        await showToast('Host access was not granted; requests to this provider may be blocked.');
+      }
+      await saveSettingsFromPanel();
+    })();
   });
 
   (await byId('reset-settings-btn'))?.addEventListener('click', () => {
@@ -3464,13 +7068,18 @@ const bindEvents = async () => {
   const settingsControlIds = [
     'setting-enable-ai',
     'setting-semantic-search',
+    'setting-search-balance',
+    'setting-semantic-floor',
     'setting-auto-suggest',
     'setting-duplicate-check',
     'setting-export-format',
     'setting-export-date',
     'setting-export-platform',
-    'setting-user-context',
-    'setting-gemini-key'
+    'setting-slash-commands',
+    'setting-slash-trigger',
+    'setting-inject-mode',
+    'setting-capture-replies',
+    'setting-user-context'
   ];
 
   for (const controlId of settingsControlIds) {
@@ -3479,19 +7088,69 @@ const bindEvents = async () => {
     control.addEventListener('change', () => {
       void syncSettingsSaveState();
     });
-    if (controlId === 'setting-user-context') {
+    if (controlId === 'setting-user-context' || controlId === 'setting-slash-trigger') {
       control.addEventListener('input', () => {
         void syncSettingsSaveState();
       });
     }
   }
 
+  const providerControls = getProviderControls();
+  providerControls.provider?.addEventListener('change', () => {
+    readProviderControls();
+    state.providerDraft.activeProvider = providerControls.provider.value;
+    renderProviderControls();
+    void syncSettingsSaveState();
+  });
+  for (const control of [providerControls.baseUrl, providerControls.model, providerControls.temperature, providerControls.apiKey]) {
+    control?.addEventListener('input', () => {
+      readProviderControls();
+      void syncSettingsSaveState();
+    });
+  }
+
   window.addEventListener('keydown', (event) => {
     if (event.key !== 'Escape') return;
     if (!document.getElementById('pn-improve-modal')?.classList.contains('pn-hidden')) {
       closeImproveModal();
       return;
     }
+    if (!document.getElementById('pn-history-modal')?.classList.contains('pn-hidden')) {
+      closePromptHistory();
+      return;
+    }
+    if (!document.getElementById('pn-backup-modal')?.classList.contains('pn-hidden')) {
+      closeBackupImport();
+      return;
+    }
+    if (!document.getElementById('pn-chat-import-modal')?.classList.contains('pn-hidden')) {
+      closeChatImport();
+      return;
+    }
+    if (!document.getElementById('pn-platform-modal')?.classList.contains('pn-hidden')) {
+      closePlatformEditor();
+      return;
+    }
+    if (!document.getElementById('pn-chain-modal')?.classList.contains('pn-hidden')) {
+      closeChainEditor();
+      return;
+    }
+    if (!document.getElementById('pn-collection-modal')?.classList.contains('pn-hidden')) {
+      closeCollectionEditor();
+      return;
+    }
+    if (!document.getElementById('pn-collection-move-modal')?.classList.contains('pn-hidden')) {
+      closeCollectionMove();
+      return;
+    }
+    if (!document.getElementById('pn-chat-detail-modal')?.classList.contains('pn-hidden')) {
+      closeChatDetail();
+      return;
+    }
+    if (!document.getElementById('pn-batch-modal')?.classList.contains('pn-hidden')) {
+      closeBatchExport();
+      return;
+    }
     if (!document.getElementById('add-modal')?.classList.contains('pn-hidden')) {
       void closeModal();
     }
@@ -3561,8 +7220,20 @@ const loadSmartSuggestions = async () => {
 const init = async () => {
   await bindEvents();
   bindImproveModalEvents();
+  bindPromptHistoryEvents();
+  bindBackupEvents();
+  bindChatImportEvents();
+  bindCustomPlatformEvents();
+  bindDiagnosticsEvents();
+  bindChainEvents();
+  bindUsageEvents();
+  bindCollectionEvents();
+  bindSearchQueryEvents();
+  bindHistorySearchEvents();
+  bindBatchExportEvents();
   await loadSettings();
   await renderSettingsControls();
+  await renderCustomPlatforms();
   await syncSettingsSaveState();
   await applyExportDefaultsFromSettings();
   const initialExportPayload = await loadExportPayload();
@@ -3571,9 +7242,9 @@ const init = async () => {
   state.hasPendingExportUpdate = false;
   await bindSessionPayloadUpdates();
 
-  // Load Gemini key & check for pending Improve prompt triggers
+  // Load provider settings & check for pending Improve prompt triggers
   try {
-    const { [GEMINI_KEY]: promptiumGeminiKey, [IMPROVE_PAYLOAD_KEY]: promptiumImprovePayload } = await chrome.storage.local.get([GEMINI_KEY, IMPROVE_PAYLOAD_KEY]);
+    const { [IMPROVE_PAYLOAD_KEY]: promptiumImprovePayload } = await chrome.storage.local.get([IMPROVE_PAYLOAD_KEY]);
     
     if (promptiumImprovePayload) {
       await chrome.storage.local.remove([IMPROVE_PAYLOAD_KEY]).catch(() => {});
@@ -3586,18 +7257,28 @@ const init = async () => {
       }
     }
 
-    const keyInput = document.getElementById('setting-gemini-key');
-    if (keyInput && promptiumGeminiKey) keyInput.value = promptiumGeminiKey;
+    await loadProviderSettings();
+    renderProviderControls();
   } catch (_) {}
 
+  const { [LIBRARY_VIEW_KEY]: libraryView } = await chrome.storage.local.get([LIBRARY_VIEW_KEY]).catch(() => ({}));
+  if (libraryView?.favoritesOnly) {
+    await chrome.storage.local.remove([LIBRARY_VIEW_KEY]).catch(() => {});
+    const favoritesToggle = byId('prompt-favorites-only');
+    if (favoritesToggle) {
+      favoritesToggle.checked = true;
+    }
+  }
+
   const hasSelectionPayload = Boolean(state.exportPayload?.messages?.length);
   const route = String(window.location.hash || '').replace(/^#/, '').trim().toLowerCase();
-  const routableTabs = new Set(['prompts', 'history', 'export', 'tags', 'settings']);
+  const routableTabs = new Set(['prompts', 'history', 'export', 'tags', 'chains', 'stats', 'settings']);
   const initialTab = routableTabs.has(route) ? route : (hasSelectionPayload ? 'export' : 'prompts');
   await switchTab(initialTab);
   await renderPrompts('');
   await renderHistory();
   await renderTags();
+  await renderChains();
   await renderExportPreview();
 
   const onboardingInitializedAi = await maybeRunOnboarding();
@@ -3640,8 +7321,13 @@ chrome.runtime.onMessage.addListener((msg) => {
   return true;
 });
 
-// Listen for Improve Prompt payloads dropping into storage
+// Listen for Improve Prompt payloads and Favorites view requests dropping into storage
 chrome.storage.onChanged.addListener((changes) => {
+  if (changes[LIBRARY_VIEW_KEY]?.newValue?.favoritesOnly) {
+    chrome.storage.local.remove([LIBRARY_VIEW_KEY]).catch(() => {});
+    void openFavoritesView();
+  }
+
   const improveChange = changes[IMPROVE_PAYLOAD_KEY];
   if (improveChange && improveChange.newValue) {
     const normalizedImprove = normalizeImprovePayload(improveChange.newValue);
@@ -11,8 +11,12 @@ const AIBridge = {
     return this._send({ type: 'AI_INIT' });
   },
 
-  async search(query) {
-    return this._send({ type: 'AI_SEARCH', query });
+  async search(query, { minScore } = {}) {
+    return this._send({ type: 'AI_SEARCH', query, minScore });
+  },
+
+  async searchHistory(query, { minScore } = {}) {
+    return this._send({ type: 'AI_HISTORY_SEARCH', query, minScore });
   },
 
   async suggestTags(text) {
@@ -35,6 +39,10 @@ const AIBridge = {
     return this._send({ type: 'AI_CACHE_REMOVE', promptId });
   },
 
+  async cacheReload() {
+    return this._send({ type: 'AI_CACHE_RELOAD' });
+  },
+
   async improvePrompt(text, tags = [], style = 'general') {
     return this._send({ type: 'AI_IMPROVE_PROMPT', text, tags, style });
   },
@@ -43,6 +51,10 @@ const AIBridge = {
     return this._send({ type: 'AI_GENERATE_PROMPT_TITLE', text });
   },
 
+  async testProvider(providerId, config) {
+    return this._send({ type: 'AI_PROVIDER_TEST', providerId, config });
+  },
+
   async getStatus() {
     return this._send({ type: 'AI_STATUS_CHECK' });
   },
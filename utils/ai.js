@@ -1,7 +1,7 @@
 /**
  * File: utils/ai.js
  * Purpose: Provides model-free prompt ranking, tag suggestions, and duplicate detection.
- * Communicates with: popup/popup.js, sidepanel/sidepanel.js, and chrome.storage.local.
+ * Communicates with: utils/lexical-index.js, popup/popup.js, sidepanel/sidepanel.js, and chrome.storage.local.
  */
 
 const TAG_RULES = [
@@ -176,17 +176,6 @@ const wordBoundaryMatch = (text, term) => {
   }
 };
 
-/** Checks if any word in text starts with the given prefix. */
-const prefixMatch = (text, prefix) => {
-  if (prefix.length < 3) return false;
-  try {
-    const re = new RegExp(`\\b${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\w*`, 'i');
-    return re.test(text);
-  } catch {
-    return false;
-  }
-};
-
 /** Filters prompts by keyword match (fallback path). */
 const keywordFilter = (query, prompts) => {
   const normalizedQuery = normalizeText(query);
@@ -209,68 +198,6 @@ const keywordFilter = (query, prompts) => {
   });
 };
 
-/**
- * Computes a nuanced relevance score incorporating:
- * - Exact phrase matching (highest weight)
- * - Word-boundary token matching (prevents "code" matching "unicode")
- * - Prefix/stem matching ("debug" matches "debugging")
- * - Synonym expansion ("fix" finds prompts about "debug")
- * - Field weighting (title > tags > category > text)
- * - Query-length-aware normalization
- */
-const scorePrompt = (query, prompt) => {
-  const normalizedQuery = normalizeText(query);
-  if (!normalizedQuery) return 0;
-
-  const title    = normalizeText(prompt?.title);
-  const text     = normalizeText(prompt?.text);
-  const tagsText = normalizeText((prompt?.tags || []).join(' '));
-  const category = normalizeText(prompt?.category);
-  const queryTokens = Array.from(toTokenSet(normalizedQuery));
-  const expandedTokens = expandWithSynonyms(queryTokens);
-
-  let score = 0;
-
-  // ── Phase 1: Exact phrase matching (very high signal) ──
-  if (title.includes(normalizedQuery))    score += 10;
-  if (tagsText.includes(normalizedQuery)) score += 8;
-  if (category.includes(normalizedQuery)) score += 6;
-  if (text.includes(normalizedQuery))     score += 4;
-
-  // ── Phase 2: Word-boundary token matching per field ──
-  for (const token of queryTokens) {
-    if (token.length < 2) continue;
-    if (wordBoundaryMatch(title, token))    score += 5;
-    if (wordBoundaryMatch(tagsText, token)) score += 4;
-    if (wordBoundaryMatch(category, token)) score += 3;
-    if (wordBoundaryMatch(text, token))     score += 1;
-  }
-
-  // ── Phase 3: Prefix/stem matching (partial words) ──
-  for (const token of queryTokens) {
-    if (token.length < 3) continue;
-    if (prefixMatch(title, token))    score += 3;
-    if (prefixMatch(tagsText, token)) score += 2;
-    if (prefixMatch(text, token))     score += 0.5;
-  }
-
-  // ── Phase 4: Synonym expansion bonus ──
-  const synonymOnly = new Set([...expandedTokens].filter(t => !queryTokens.includes(t)));
-  for (const syn of synonymOnly) {
-    if (wordBoundaryMatch(title, syn))    score += 2;
-    if (wordBoundaryMatch(tagsText, syn)) score += 2;
-    if (wordBoundaryMatch(text, syn))     score += 0.5;
-  }
-
-  // ── Normalize: scale by query complexity to keep score 0–1 ──
-  const maxPossible = (10 + 8 + 6 + 4)
-    + queryTokens.length * (5 + 4 + 3 + 1)
-    + queryTokens.length * (3 + 2 + 0.5)
-    + synonymOnly.size * (2 + 2 + 0.5);
-
-  return maxPossible > 0 ? Math.max(0, Math.min(1, score / maxPossible)) : 0;
-};
-
 /** Initializes model-free smart features and updates status UI. */
 const initModel = async () => {
   aiAvailable = true;
@@ -288,36 +215,40 @@ const embedText = async (_text) => null;
 /** Model-free cosine similarity is not used; kept for API compatibility. */
 const cosineSimilarity = async (_vecA, _vecB) => 0;
 
-/** Ranks prompts by deterministic relevance and falls back to keyword filtering. */
-const semanticSearch = async (query, prompts) => {
-  const normalizedQuery = normalizeText(query);
+/** Lexical indexes by name, so prompts and templates each keep their own incremental index. */
+const _lexicalIndexes = new Map();
 
-  if (!normalizedQuery) {
-    return Array.isArray(prompts) ? prompts : [];
-  }
+/** Returns the synonyms of a query word from SYNONYM_CLUSTERS. */
+const synonymsOf = (word) => Array.from(_synonymMap.get(word) || []).filter((synonym) => synonym !== word);
 
+/**
+ * Ranks prompts with BM25 (field boosts, stemming, typo and prefix matching, synonyms at low weight)
+ * and falls back to keyword filtering. Ranked prompts are copies carrying _semanticScore (0–1).
+ */
+const rankPrompts = (query, prompts, indexName = 'prompts') => {
   const pool = Array.isArray(prompts) ? prompts : [];
-  const scored = [];
-
-  for (const prompt of pool) {
-    const score = scorePrompt(normalizedQuery, prompt);
+  const normalizedQuery = normalizeText(query);
 
-    if (score > 0) {
-      scored.push({
-        ...prompt,
-        _semanticScore: score
-      });
-    }
+  if (!normalizedQuery) {
+    return pool;
   }
 
-  if (!scored.length) {
-    return keywordFilter(normalizedQuery, pool);
+  if (window.LexicalIndex) {
+    if (!_lexicalIndexes.has(indexName)) {
+      _lexicalIndexes.set(indexName, window.LexicalIndex.createLexicalIndex());
+    }
+    const ranked = window.LexicalIndex.rankDocuments(_lexicalIndexes.get(indexName), query, pool, { synonyms: synonymsOf });
+    if (ranked.length) {
+      return ranked.map(({ _lexicalScore, ...prompt }) => ({ ...prompt, _semanticScore: _lexicalScore }));
+    }
   }
 
-  scored.sort((left, right) => right._semanticScore - left._semanticScore);
-  return scored;
+  return keywordFilter(normalizedQuery, pool);
 };
 
+/** Ranks prompts by deterministic relevance; async to match the embedding-backed search API. */
+const semanticSearch = async (query, prompts) => rankPrompts(query, prompts);
+
 /** Suggests top tags by matching keyword rules and user context text. */
 const suggestTags = async (text) => {
   const baseText = String(text || '').trim();
@@ -424,6 +355,7 @@ const AI = {
   embedText,
   cosineSimilarity,
   semanticSearch,
+  rankPrompts,
   suggestTags,
   isDuplicate,
   rehydratePromptEmbeddings,
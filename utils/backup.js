@@ -0,0 +1,463 @@
+(() => {
+/**
+ * File: utils/backup.js
+ * Purpose: Builds, validates, previews, and merges full library backup archives (prompts, history,
+ * revisions, chains, collections, usage log, tags, settings, embedding cache) as a single versioned JSON file.
+ * Communicates with: utils/storage.js, sidepanel/sidepanel.js.
+ */
+
+const ARCHIVE_FORMAT = 'promptium-backup';
+const ARCHIVE_VERSION = 1;
+const SETTINGS_KEY = 'promptiumSettings';
+const VARIABLE_VALUES_KEY = 'promptiumVariableValues';
+const PROVIDER_SETTINGS_KEY = 'promptiumProviderSettings';
+const MAX_REPORTED_ERRORS = 12;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/** Returns provider settings with API keys removed so archives never carry secrets. */
+const stripProviderKeys = (settings) => {
+  if (!isPlainObject(settings)) return null;
+  const providers = {};
+  for (const [providerId, config] of Object.entries(settings.providers || {})) {
+    providers[providerId] = { ...config, apiKey: '' };
+  }
+  return { ...settings, providers };
+};
+
+/** Returns the sorted unique tag set across prompts. */
+const collectTagSet = (prompts) => Array.from(new Set(
+  prompts.flatMap((prompt) => (Array.isArray(prompt.tags) ? prompt.tags : []).map((tag) => String(tag).trim()).filter(Boolean))
+)).sort((left, right) => left.localeCompare(right));
+
+/** Collects the current library into a versioned archive object. */
+const buildArchive = async () => {
+  const [prompts, chatHistory, revisions, chains, collections, usageEvents, embeddingCache, snapshot] = await Promise.all([
+    window.Store.getPrompts(),
+    window.Store.getChatHistory(),
+    window.Store.getAllPromptRevisions(),
+    window.Store.getChains(),
+    window.Store.getCollections(),
+    window.Store.getUsageEvents(),
+    window.Store.getEmbeddings(),
+    chrome.storage.local.get([SETTINGS_KEY, VARIABLE_VALUES_KEY, PROVIDER_SETTINGS_KEY])
+  ]);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: chrome.runtime?.getManifest?.().version || '',
+    data: {
+      prompts,
+      chatHistory,
+      promptRevisions: revisions,
+      chains,
+      collections,
+      usageEvents,
+      tags: collectTagSet(prompts),
+      settings: {
+        panel: isPlainObject(snapshot[SETTINGS_KEY]) ? snapshot[SETTINGS_KEY] : {},
+        variableValues: isPlainObject(snapshot[VARIABLE_VALUES_KEY]) ? snapshot[VARIABLE_VALUES_KEY] : {},
+        providers: stripProviderKeys(snapshot[PROVIDER_SETTINGS_KEY])
+      },
+      embeddingCache
+    }
+  };
+};
+
+/** Serializes an archive and returns its suggested filename. */
+const serializeArchive = (archive) => ({
+  filename: `promptium-backup_${String(archive.exportedAt || new Date().toISOString()).slice(0, 10)}.json`,
+  content: JSON.stringify(archive, null, 2)
+});
+
+/** Validates archive shape and returns { ok, errors, archive }. */
+const validateArchive = (input) => {
+  const errors = [];
+  const fail = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  if (!isPlainObject(input)) {
+    return { ok: false, errors: ['File is not a JSON object.'], archive: null };
+  }
+  if (input.format !== ARCHIVE_FORMAT) {
+    fail(`format must be "${ARCHIVE_FORMAT}".`);
+  }
+  if (!Number.isInteger(input.version) || input.version < 1) {
+    fail('version must be a positive integer.');
+  } else if (input.version > ARCHIVE_VERSION) {
+    fail(`Archive version ${input.version} is newer than supported version ${ARCHIVE_VERSION}. Update Promptium first.`);
+  }
+  if (!isPlainObject(input.data)) {
+    fail('data must be an object.');
+    return { ok: false, errors, archive: null };
+  }
+
+  const { data } = input;
+  const checkRecords = (key, checkRecord) => {
+    if (data[key] === undefined) return;
+    if (!Array.isArray(data[key])) {
+      fail(`data.${key} must be an array.`);
+      return;
+    }
+    const seen = new Set();
+    data[key].forEach((record, index) => {
+      const path = `data.${key}[${index}]`;
+      if (!isPlainObject(record)) {
+        fail(`${path} must be an object.`);
+        return;
+      }
+      if (typeof record.id !== 'string' || !record.id.trim()) {
+        fail(`${path}.id must be a non-empty string.`);
+      } else if (seen.has(record.id)) {
+        fail(`${path}.id "${record.id}" is duplicated.`);
+      } else {
+        seen.add(record.id);
+      }
+      checkRecord(record, path);
+    });
+  };
+
+  checkRecords('prompts', (record, path) => {
+    if (typeof record.text !== 'string') fail(`${path}.text must be a string.`);
+    if (record.title !== undefined && typeof record.title !== 'string') fail(`${path}.title must be a string.`);
+    if (record.tags !== undefined && !Array.isArray(record.tags)) fail(`${path}.tags must be an array.`);
+  });
+
+  checkRecords('chatHistory', (record, path) => {
+    if (!Array.isArray(record.messages)) {
+      fail(`${path}.messages must be an array.`);
+      return;
+    }
+    record.messages.forEach((message, messageIndex) => {
+      if (!isPlainObject(message) || typeof message.text !== 'string') {
+        fail(`${path}.messages[${messageIndex}].text must be a string.`);
+      }
+    });
+  });
+
+  checkRecords('chains', (record, path) => {
+    if (!Array.isArray(record.steps)) fail(`${path}.steps must be an array.`);
+  });
+
+  checkRecords('collections', (record, path) => {
+    if (typeof record.name !== 'string' || !record.name.trim()) fail(`${path}.name must be a non-empty string.`);
+  });
+
+  checkRecords('usageEvents', (record, path) => {
+    if (typeof record.promptId !== 'string' || !record.promptId) fail(`${path}.promptId must be a non-empty string.`);
+    if (typeof record.action !== 'string') fail(`${path}.action must be a string.`);
+    if (typeof record.at !== 'string') fail(`${path}.at must be an ISO date string.`);
+  });
+
+  if (data.promptRevisions !== undefined) {
+    if (!isPlainObject(data.promptRevisions)) {
+      fail('data.promptRevisions must be an object keyed by prompt id.');
+    } else {
+      for (const [promptId, revisions] of Object.entries(data.promptRevisions)) {
+        if (!Array.isArray(revisions)) fail(`data.promptRevisions["${promptId}"] must be an array.`);
+      }
+    }
+  }
+
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    fail('data.settings must be an object.');
+  }
+
+  if (data.embeddingCache !== undefined) {
+    if (!isPlainObject(data.embeddingCache)) {
+      fail('data.embeddingCache must be an object keyed by prompt id.');
+    } else {
+      for (const [promptId, vector] of Object.entries(data.embeddingCache)) {
+        if (!Array.isArray(vector) || vector.some((value) => typeof value !== 'number')) {
+          fail(`data.embeddingCache["${promptId}"] must be an array of numbers.`);
+        }
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, errors, archive: errors.length ? null : input };
+};
+
+/** Parses archive file text and validates it. */
+const parseArchive = (text) => {
+  try {
+    return validateArchive(JSON.parse(String(text || '')));
+  } catch (error) {
+    return { ok: false, errors: [`Invalid JSON: ${error?.message || error}`], archive: null };
+  }
+};
+
+/** Returns a comparable fingerprint of a prompt's user-visible content. */
+const promptFingerprint = (prompt) => JSON.stringify([
+  prompt.title || '',
+  prompt.text || '',
+  prompt.tags || [],
+  prompt.category || null,
+  prompt.collectionId || null
+]);
+
+/** Returns a comparable fingerprint of a chat history entry. */
+const historyFingerprint = (entry) => JSON.stringify([
+  entry.title || '',
+  entry.platform || '',
+  entry.tags || [],
+  (entry.messages || []).map((message) => [message.role || '', message.text || ''])
+]);
+
+/** Returns a comparable fingerprint of a chain's name and steps. */
+const chainFingerprint = (chain) => JSON.stringify([
+  chain.title || '',
+  (chain.steps || []).map((step) => [step.promptId || '', step.capture || '', step.extract || '', step.pattern || ''])
+]);
+
+/** Returns a comparable fingerprint of a collection's name and position. */
+const collectionFingerprint = (collection) => JSON.stringify([collection.name || '', collection.parentId || null]);
+
+/** Splits incoming records into added, conflicting, and unchanged against local records. */
+const classifyRecords = (localRecords, incomingRecords, fingerprint) => {
+  const localById = new Map(localRecords.map((record) => [record.id, record]));
+  const result = { added: [], conflicts: [], unchanged: [] };
+
+  for (const theirs of incomingRecords) {
+    const mine = localById.get(theirs.id);
+    if (!mine) {
+      result.added.push(theirs);
+    } else if (fingerprint(mine) === fingerprint(theirs)) {
+      result.unchanged.push(theirs);
+    } else {
+      result.conflicts.push({ mine, theirs });
+    }
+  }
+  return result;
+};
+
+/** Compares a validated archive with the local library and returns an import plan for preview. */
+const planImport = async (archive) => {
+  const data = archive?.data || {};
+  const [localPrompts, localHistory, localChains, localCollections, localUsage, snapshot] = await Promise.all([
+    window.Store.getPrompts(),
+    window.Store.getChatHistory(),
+    window.Store.getChains(),
+    window.Store.getCollections(),
+    window.Store.getUsageEvents(),
+    chrome.storage.local.get([SETTINGS_KEY])
+  ]);
+  const localUsageIds = new Set(localUsage.map((event) => event.id));
+  const knownPromptIds = new Set([...localPrompts, ...(Array.isArray(data.prompts) ? data.prompts : [])].map((prompt) => prompt.id));
+
+  const incomingSettings = isPlainObject(data.settings?.panel) ? data.settings.panel : null;
+  return {
+    archive,
+    prompts: classifyRecords(localPrompts, Array.isArray(data.prompts) ? data.prompts : [], promptFingerprint),
+    chatHistory: classifyRecords(localHistory, Array.isArray(data.chatHistory) ? data.chatHistory : [], historyFingerprint),
+    chains: classifyRecords(localChains, Array.isArray(data.chains) ? data.chains : [], chainFingerprint),
+    collections: classifyRecords(localCollections, Array.isArray(data.collections) ? data.collections : [], collectionFingerprint),
+    settingsDiffer: Boolean(incomingSettings) && JSON.stringify(incomingSettings) !== JSON.stringify(snapshot[SETTINGS_KEY] || {}),
+    revisionCount: Object.values(isPlainObject(data.promptRevisions) ? data.promptRevisions : {}).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0),
+    embeddingCount: Object.keys(isPlainObject(data.embeddingCache) ? data.embeddingCache : {}).length,
+    usageCount: (Array.isArray(data.usageEvents) ? data.usageEvents : [])
+      .filter((event) => !localUsageIds.has(event.id) && knownPromptIds.has(event.promptId)).length,
+    tagCount: Array.isArray(data.tags) ? data.tags.length : 0
+  };
+};
+
+/** Returns a copy of an imported record with a fresh id for "keep both". */
+const duplicateWithNewId = (record, titleSuffix) => ({
+  ...record,
+  id: crypto.randomUUID(),
+  title: `${String(record.title || 'Untitled').trim()} ${titleSuffix}`.trim()
+});
+
+/**
+ * Applies an import plan. resolution: 'mine' keeps local records on conflict, 'theirs' replaces them,
+ * 'both' keeps local records and adds incoming ones under new ids.
+ */
+const applyImport = async (plan, { resolution = 'mine', restoreSettings = false } = {}) => {
+  try {
+    const data = plan?.archive?.data || {};
+    const [localPrompts, localHistory, localRevisions, localChains, localCollections, localUsage, localEmbeddings, snapshot] = await Promise.all([
+      window.Store.getPrompts(),
+      window.Store.getChatHistory(),
+      window.Store.getAllPromptRevisions(),
+      window.Store.getChains(),
+      window.Store.getCollections(),
+      window.Store.getUsageEvents(),
+      window.Store.getEmbeddings(),
+      chrome.storage.local.get([VARIABLE_VALUES_KEY, PROVIDER_SETTINGS_KEY])
+    ]);
+    const incomingRevisions = isPlainObject(data.promptRevisions) ? data.promptRevisions : {};
+    const incomingEmbeddings = isPlainObject(data.embeddingCache) ? data.embeddingCache : {};
+    const embeddingCache = { ...localEmbeddings };
+    const revisions = { ...localRevisions };
+    const counts = { promptsAdded: 0, promptsUpdated: 0, historyAdded: 0, historyUpdated: 0, chainsAdded: 0, chainsUpdated: 0, collectionsAdded: 0, collectionsUpdated: 0, usageAdded: 0, skipped: 0 };
+
+    const mergeRevisions = (targetId, sourceId) => {
+      const incoming = Array.isArray(incomingRevisions[sourceId]) ? incomingRevisions[sourceId] : [];
+      if (!incoming.length) return;
+      const existing = Array.isArray(revisions[targetId]) ? revisions[targetId] : [];
+      const knownIds = new Set(existing.map((revision) => revision.id));
+      revisions[targetId] = [...existing, ...incoming.filter((revision) => !knownIds.has(revision.id))]
+        .sort((left, right) => String(left.createdAt || '').localeCompare(String(right.createdAt || '')));
+    };
+
+    const adoptEmbedding = (targetId, sourceId) => {
+      if (Array.isArray(incomingEmbeddings[sourceId])) {
+        embeddingCache[targetId] = incomingEmbeddings[sourceId];
+      } else {
+        // Stale vector would mis-rank the replaced text; the service worker re-embeds missing ids.
+        delete embeddingCache[targetId];
+      }
+    };
+
+    // Prompts
+    const promptsById = new Map(localPrompts.map((prompt) => [prompt.id, prompt]));
+    const appendedPrompts = [];
+    for (const prompt of plan.prompts.added) {
+      appendedPrompts.push(prompt);
+      mergeRevisions(prompt.id, prompt.id);
+      adoptEmbedding(prompt.id, prompt.id);
+      counts.promptsAdded += 1;
+    }
+    for (const { theirs } of plan.prompts.conflicts) {
+      if (resolution === 'theirs') {
+        promptsById.set(theirs.id, { ...theirs });
+        mergeRevisions(theirs.id, theirs.id);
+        adoptEmbedding(theirs.id, theirs.id);
+        counts.promptsUpdated += 1;
+      } else if (resolution === 'both') {
+        const copy = duplicateWithNewId(theirs, '(imported)');
+        appendedPrompts.push(copy);
+        mergeRevisions(copy.id, theirs.id);
+        adoptEmbedding(copy.id, theirs.id);
+        counts.promptsAdded += 1;
+      } else {
+        counts.skipped += 1;
+      }
+    }
+    for (const prompt of plan.prompts.unchanged) {
+      mergeRevisions(prompt.id, prompt.id);
+    }
+    const nextPrompts = [...appendedPrompts, ...localPrompts.map((prompt) => promptsById.get(prompt.id))];
+
+    // Chat history
+    const historyById = new Map(localHistory.map((entry) => [entry.id, entry]));
+    const appendedHistory = [...plan.chatHistory.added];
+    counts.historyAdded += plan.chatHistory.added.length;
+    for (const { theirs } of plan.chatHistory.conflicts) {
+      if (resolution === 'theirs') {
+        historyById.set(theirs.id, { ...theirs });
+        counts.historyUpdated += 1;
+      } else if (resolution === 'both') {
+        appendedHistory.push(duplicateWithNewId(theirs, '(imported)'));
+        counts.historyAdded += 1;
+      } else {
+        counts.skipped += 1;
+      }
+    }
+    const nextHistory = [...localHistory.map((entry) => historyById.get(entry.id)), ...appendedHistory]
+      .sort((left, right) => String(left.createdAt || '').localeCompare(String(right.createdAt || '')));
+
+    // Chains ("keep both" copies still point at the same prompt ids)
+    const chainsById = new Map(localChains.map((chain) => [chain.id, chain]));
+    const appendedChains = [...plan.chains.added];
+    counts.chainsAdded += plan.chains.added.length;
+    for (const { theirs } of plan.chains.conflicts) {
+      if (resolution === 'theirs') {
+        chainsById.set(theirs.id, { ...theirs });
+        counts.chainsUpdated += 1;
+      } else if (resolution === 'both') {
+        appendedChains.push(duplicateWithNewId(theirs, '(imported)'));
+        counts.chainsAdded += 1;
+      } else {
+        counts.skipped += 1;
+      }
+    }
+    const nextChains = [...appendedChains, ...localChains.map((chain) => chainsById.get(chain.id))];
+
+    // Collections: prompts point at collection ids, so "keep both" keeps the local collection.
+    const collectionsById = new Map(localCollections.map((collection) => [collection.id, collection]));
+    for (const collection of plan.collections.added) {
+      collectionsById.set(collection.id, collection);
+      counts.collectionsAdded += 1;
+    }
+    for (const { theirs } of plan.collections.conflicts) {
+      if (resolution === 'theirs') {
+        collectionsById.set(theirs.id, { ...theirs });
+        counts.collectionsUpdated += 1;
+      } else {
+        counts.skipped += 1;
+      }
+    }
+
+    // Usage log: events are append-only, so merge by id and drop events for prompts that are not in the library.
+    const promptIds = new Set(nextPrompts.map((prompt) => prompt.id));
+    const usageById = new Map(localUsage.map((event) => [event.id, event]));
+    for (const event of Array.isArray(data.usageEvents) ? data.usageEvents : []) {
+      if (usageById.has(event.id) || !promptIds.has(event.promptId)) continue;
+      usageById.set(event.id, event);
+      counts.usageAdded += 1;
+    }
+    const nextUsage = Array.from(usageById.values())
+      .sort((left, right) => String(left.at || '').localeCompare(String(right.at || '')));
+
+    const written = await window.Store.replaceLibrary({
+      prompts: nextPrompts,
+      promptRevisions: revisions,
+      chatHistory: nextHistory,
+      chains: nextChains,
+      collections: Array.from(collectionsById.values()),
+      usageEvents: nextUsage,
+      embeddings: embeddingCache
+    });
+    if (!written) {
+      return { ok: false, error: window.Store.getLastError() || 'Failed to write imported data.' };
+    }
+
+    const settingsUpdate = {};
+    const incomingValues = isPlainObject(data.settings?.variableValues) ? data.settings.variableValues : {};
+    const localValues = isPlainObject(snapshot[VARIABLE_VALUES_KEY]) ? snapshot[VARIABLE_VALUES_KEY] : {};
+    settingsUpdate[VARIABLE_VALUES_KEY] = resolution === 'theirs'
+      ? { ...localValues, ...incomingValues }
+      : { ...incomingValues, ...localValues };
+
+    if (restoreSettings && isPlainObject(data.settings?.panel)) {
+      settingsUpdate[SETTINGS_KEY] = data.settings.panel;
+      const incomingProviders = data.settings?.providers;
+      if (isPlainObject(incomingProviders)) {
+        // Keep local API keys; archives never include them.
+        const localProviders = isPlainObject(snapshot[PROVIDER_SETTINGS_KEY]) ? snapshot[PROVIDER_SETTINGS_KEY] : {};
+        const providers = {};
+        for (const [providerId, config] of Object.entries(incomingProviders.providers || {})) {
+          providers[providerId] = { ...config, apiKey: localProviders.providers?.[providerId]?.apiKey || '' };
+        }
+        settingsUpdate[PROVIDER_SETTINGS_KEY] = { ...incomingProviders, providers };
+      }
+    }
+
+    await chrome.storage.local.set(settingsUpdate);
+    return { ok: true, counts };
+  } catch (error) {
+    console.error('[Promptium][Backup] Import failed.', error);
+    return { ok: false, error: error?.message || 'Import failed.' };
+  }
+};
+
+const Backup = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  buildArchive,
+  serializeArchive,
+  validateArchive,
+  parseArchive,
+  planImport,
+  applyImport
+};
+
+if (typeof window !== 'undefined') {
+  window.Backup = Backup;
+}
+
+})();
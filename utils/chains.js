@@ -0,0 +1,133 @@
+(() => {
+/**
+ * File: utils/chains.js
+ * Purpose: Prompt chain model: ordered saved-prompt steps, each optionally capturing part of the
+ * assistant reply into a variable that later steps fill in. Also builds the run transcript for history.
+ * Communicates with: utils/storage.js, utils/variables.js, sidepanel/sidepanel.js.
+ */
+
+const EXTRACTORS = {
+  full: 'Whole reply',
+  code: 'First code block',
+  lastParagraph: 'Last paragraph',
+  regex: 'Regex match'
+};
+
+const CAPTURE_NAME_PATTERN = /^[A-Za-z][\w-]{0,39}$/;
+
+/** Normalizes one chain step. */
+const normalizeStep = (input = {}) => ({
+  promptId: String(input.promptId || '').trim(),
+  capture: String(input.capture || '').trim(),
+  extract: EXTRACTORS[input.extract] ? input.extract : 'full',
+  pattern: String(input.pattern || '')
+});
+
+/** Normalizes a stored or edited chain. */
+const normalizeChain = (input = {}) => ({
+  ...(input.id ? { id: String(input.id) } : {}),
+  ...(input.createdAt ? { createdAt: input.createdAt } : {}),
+  title: String(input.title || '').trim(),
+  steps: (Array.isArray(input.steps) ? input.steps : []).map(normalizeStep)
+});
+
+/** Compiles a step's regex, returning null when it does not parse. */
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'm');
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Validates a chain against the current prompt library.
+ * Returns { ok, errors, chain } where chain is normalized.
+ */
+const validateChain = (input, prompts = []) => {
+  const chain = normalizeChain(input);
+  const promptIds = new Set(prompts.map((prompt) => prompt.id));
+  const errors = [];
+
+  if (!chain.title) errors.push('Name is required.');
+  if (!chain.steps.length) errors.push('Add at least one step.');
+
+  chain.steps.forEach((step, index) => {
+    const label = `Step ${index + 1}`;
+    if (!step.promptId) {
+      errors.push(`${label}: choose a prompt.`);
+    } else if (!promptIds.has(step.promptId)) {
+      errors.push(`${label}: the prompt no longer exists.`);
+    }
+    if (step.capture && !CAPTURE_NAME_PATTERN.test(step.capture)) {
+      errors.push(`${label}: variable names start with a letter and use letters, digits, _ or -.`);
+    }
+    if (step.capture && step.extract === 'regex' && (!step.pattern || !compilePattern(step.pattern))) {
+      errors.push(`${label}: regex is missing or invalid.`);
+    }
+  });
+
+  return { ok: errors.length === 0, errors, chain };
+};
+
+/** Returns the text of the first code block in reply HTML, falling back to a fenced block in the text. */
+const extractCodeBlock = (text, html) => {
+  if (html && typeof DOMParser !== 'undefined') {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const block = doc.querySelector('pre code, pre');
+    if (block) return block.textContent.trim();
+  }
+  const fenced = String(text || '').match(/```[^\n]*\n([\s\S]*?)```/);
+  return fenced ? fenced[1].trim() : '';
+};
+
+/** Returns the part of a finished reply a step captures; an empty string when nothing matched. */
+const extractFromReply = (step, { text = '', html = '' } = {}) => {
+  const reply = String(text || '').trim();
+
+  if (step.extract === 'code') {
+    return extractCodeBlock(reply, html);
+  }
+
+  if (step.extract === 'lastParagraph') {
+    const paragraphs = reply.split(/\n\s*\n/).map((part) => part.trim()).filter(Boolean);
+    return paragraphs[paragraphs.length - 1] || '';
+  }
+
+  if (step.extract === 'regex') {
+    const match = compilePattern(step.pattern)?.exec(reply);
+    if (!match) return '';
+    return String(match[1] ?? match[0]).trim();
+  }
+
+  return reply;
+};
+
+/** Builds a chat history entry from a finished (or aborted) run's step results. */
+const buildTranscript = (chain, results, { platform = 'unknown', url = '' } = {}) => ({
+  title: `Chain: ${chain.title}`,
+  platform,
+  url,
+  tags: ['chain'],
+  messages: results
+    .filter((result) => result.status === 'done')
+    .flatMap((result) => [
+      { role: 'user', text: result.promptText, html: '' },
+      { role: 'assistant', text: result.responseText, html: result.responseHtml || '' }
+    ])
+    .filter((message) => message.text)
+});
+
+const PromptChains = {
+  EXTRACTORS,
+  normalizeChain,
+  validateChain,
+  extractFromReply,
+  buildTranscript
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptChains = PromptChains;
+}
+
+})();
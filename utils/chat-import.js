@@ -0,0 +1,260 @@
+(() => {
+/**
+ * File: utils/chat-import.js
+ * Purpose: Parses ChatGPT (conversations.json) and Claude account data exports into Promptium
+ * history entries, following the selected branch of each message tree or every branch on request.
+ * Communicates with: sidepanel/sidepanel.js.
+ */
+
+const CLAUDE_ROOT_PARENT = '00000000-0000-4000-8000-000000000000';
+
+/** Converts epoch seconds or a date string into an ISO timestamp (empty when unparseable). */
+const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+};
+
+/** Pulls the conversation list out of a parsed export file. */
+const getConversationList = (json) => {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.conversations)) return json.conversations;
+  if (json && typeof json === 'object' && (json.mapping || json.chat_messages)) return [json];
+  return [];
+};
+
+/** Detects which service produced an export: 'chatgpt', 'claude', or '' when unknown. */
+const detectFormat = (json) => {
+  const sample = getConversationList(json).find((item) => item && typeof item === 'object');
+  if (!sample) return '';
+  if (sample.mapping && typeof sample.mapping === 'object') return 'chatgpt';
+  if (Array.isArray(sample.chat_messages)) return 'claude';
+  return '';
+};
+
+/** Appends a message, merging consecutive assistant turns (tool round-trips) into one. */
+const pushMessage = (messages, role, text) => {
+  const body = String(text || '').trim();
+  if (!body) return;
+  const last = messages[messages.length - 1];
+  if (last && last.role === 'assistant' && role === 'assistant') {
+    last.text = `${last.text}\n\n${body}`;
+    return;
+  }
+  messages.push({ role, text: body, html: '' });
+};
+
+/** Collapses paths that render to the same visible messages (hidden-node forks, retries of tool calls). */
+const dedupeBranches = (branches) => {
+  const seen = new Set();
+  return branches.filter((branch) => {
+    const key = branch.messages.map((message) => `${message.role}:${message.text}`).join('\u0000');
+    if (!branch.messages.length || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/** Walks parent links from a node back to the root and returns node ids root-first. */
+const walkToRoot = (startId, getParent) => {
+  const path = [];
+  const visited = new Set();
+  let cursor = startId;
+  while (cursor && !visited.has(cursor)) {
+    visited.add(cursor);
+    path.push(cursor);
+    cursor = getParent(cursor);
+  }
+  return path.reverse();
+};
+
+// ─── ChatGPT ─────────────────────────────────────────────────────────────────
+
+/** Extracts visible text from one ChatGPT mapping message, or '' when it is hidden or non-conversational. */
+const readChatGptText = (message) => {
+  const role = message?.author?.role;
+  if (role !== 'user' && role !== 'assistant') return '';
+  if (message?.metadata?.is_visually_hidden_from_conversation) return '';
+  // Assistant messages addressed to a tool (browser, python) are calls, not replies.
+  if (role === 'assistant' && message.recipient && message.recipient !== 'all') return '';
+
+  const content = message.content || {};
+  if (content.content_type === 'text' || content.content_type === 'multimodal_text') {
+    return (Array.isArray(content.parts) ? content.parts : [])
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        if (part?.content_type === 'image_asset_pointer') return '[Image]';
+        return typeof part?.text === 'string' ? part.text : '';
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+  if (content.content_type === 'code' && content.text) {
+    return `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n${content.text}\n\`\`\``;
+  }
+  return '';
+};
+
+/** Maps one ChatGPT node path into Promptium messages. */
+const mapChatGptPath = (mapping, nodeIds) => {
+  const messages = [];
+  for (const nodeId of nodeIds) {
+    const message = mapping[nodeId]?.message;
+    pushMessage(messages, message?.author?.role, readChatGptText(message));
+  }
+  return messages;
+};
+
+/** Parses one ChatGPT conversation into one entry per requested branch. */
+const parseChatGptConversation = (conversation, { allBranches }) => {
+  const mapping = conversation?.mapping && typeof conversation.mapping === 'object' ? conversation.mapping : {};
+  const getParent = (nodeId) => mapping[nodeId]?.parent || null;
+  const leaves = Object.keys(mapping).filter((nodeId) => !(mapping[nodeId]?.children || []).length);
+  const latestLeaf = [...leaves].sort((a, b) =>
+    (mapping[b]?.message?.create_time || 0) - (mapping[a]?.message?.create_time || 0))[0];
+  const selectedLeaf = mapping[conversation?.current_node] ? conversation.current_node : latestLeaf;
+  if (!selectedLeaf) return [];
+
+  const leafIds = allBranches ? [selectedLeaf, ...leaves.filter((leaf) => leaf !== selectedLeaf)] : [selectedLeaf];
+  const sourceId = String(conversation.conversation_id || conversation.id || '');
+
+  return dedupeBranches(leafIds.map((leafId) => ({
+    messages: mapChatGptPath(mapping, walkToRoot(leafId, getParent))
+  }))).map((branch) => ({
+    sourceId,
+    title: String(conversation.title || 'Untitled chat').trim() || 'Untitled chat',
+    platform: 'chatgpt',
+    createdAt: toIsoDate(conversation.create_time),
+    url: sourceId ? `https://chatgpt.com/c/${sourceId}` : '',
+    messages: branch.messages
+  }));
+};
+
+// ─── Claude ──────────────────────────────────────────────────────────────────
+
+/** Extracts visible text from one Claude export message, skipping tool and thinking blocks. */
+const readClaudeText = (message) => {
+  const blocks = Array.isArray(message?.content) ? message.content : [];
+  const fromBlocks = blocks
+    .filter((block) => block?.type === 'text' && typeof block.text === 'string')
+    .map((block) => block.text)
+    .join('\n\n');
+  const body = fromBlocks.trim() || String(message?.text || '').trim();
+
+  const attachmentNames = [...(message?.attachments || []), ...(message?.files || [])]
+    .map((file) => String(file?.file_name || '').trim())
+    .filter(Boolean);
+  const attachments = attachmentNames.map((name) => `[Attachment: ${name}]`).join('\n');
+
+  return [body, attachments].filter(Boolean).join('\n\n');
+};
+
+/** Maps a Claude sender value onto Promptium roles. */
+const toClaudeRole = (sender) => (sender === 'human' || sender === 'user' ? 'user' : 'assistant');
+
+/** Parses one Claude conversation into one entry per requested branch. */
+const parseClaudeConversation = (conversation, { allBranches }) => {
+  const chatMessages = (Array.isArray(conversation?.chat_messages) ? conversation.chat_messages : [])
+    .filter((message) => message && typeof message === 'object');
+  const byId = new Map(chatMessages.filter((message) => message.uuid).map((message) => [message.uuid, message]));
+  const hasTree = chatMessages.some((message) => message.parent_message_uuid && message.parent_message_uuid !== CLAUDE_ROOT_PARENT);
+
+  let paths;
+  if (!hasTree) {
+    // Older exports store only the visible thread, already in order.
+    paths = [chatMessages];
+  } else {
+    const parentIds = new Set(chatMessages.map((message) => message.parent_message_uuid).filter(Boolean));
+    const leaves = chatMessages
+      .filter((message) => message.uuid && !parentIds.has(message.uuid))
+      .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+    const selectedLeaf = byId.has(conversation.current_leaf_message_uuid)
+      ? conversation.current_leaf_message_uuid
+      : leaves[0]?.uuid;
+    const leafIds = allBranches
+      ? [selectedLeaf, ...leaves.map((leaf) => leaf.uuid).filter((uuid) => uuid !== selectedLeaf)]
+      : [selectedLeaf];
+    const getParent = (uuid) => {
+      const parent = byId.get(uuid)?.parent_message_uuid;
+      return parent && byId.has(parent) ? parent : null;
+    };
+    paths = leafIds.filter(Boolean).map((leafId) => walkToRoot(leafId, getParent).map((uuid) => byId.get(uuid)));
+  }
+
+  const sourceId = String(conversation.uuid || '');
+  return dedupeBranches(paths.map((path) => {
+    const messages = [];
+    for (const message of path) {
+      pushMessage(messages, toClaudeRole(message.sender), readClaudeText(message));
+    }
+    return { messages };
+  })).map((branch) => ({
+    sourceId,
+    title: String(conversation.name || 'Untitled chat').trim() || 'Untitled chat',
+    platform: 'claude',
+    createdAt: toIsoDate(conversation.created_at),
+    url: sourceId ? `https://claude.ai/chat/${sourceId}` : '',
+    messages: branch.messages
+  }));
+};
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Parses export file text. Returns { ok, format, conversations, skipped } or { ok: false, error }.
+ * Each conversation is history-entry shaped; with several branches the selected one comes first and
+ * every branch title carries a "(branch n/m)" suffix.
+ */
+const parseExport = (rawText, { allBranches = false } = {}) => {
+  let json;
+  try {
+    json = JSON.parse(String(rawText || ''));
+  } catch (_error) {
+    return { ok: false, error: 'The file is not valid JSON.' };
+  }
+
+  const format = detectFormat(json);
+  if (!format) {
+    return { ok: false, error: 'Unrecognized export. Choose conversations.json from a ChatGPT or Claude data export.' };
+  }
+
+  const parseOne = format === 'chatgpt' ? parseChatGptConversation : parseClaudeConversation;
+  const conversations = [];
+  let skipped = 0;
+
+  for (const conversation of getConversationList(json)) {
+    let branches = [];
+    try {
+      branches = parseOne(conversation, { allBranches });
+    } catch (error) {
+      console.error('[Promptium][ChatImport] Failed to parse conversation.', error);
+    }
+    if (!branches.length) {
+      skipped += 1;
+      continue;
+    }
+    branches.forEach((branch, index) => {
+      conversations.push({
+        ...branch,
+        key: `${branch.sourceId || conversations.length}:${index}`,
+        branchIndex: index,
+        branchCount: branches.length,
+        title: branches.length > 1 ? `${branch.title} (branch ${index + 1}/${branches.length})` : branch.title
+      });
+    });
+  }
+
+  conversations.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return { ok: true, format, conversations, skipped };
+};
+
+const ChatImport = {
+  detectFormat,
+  parseExport
+};
+
+if (typeof window !== 'undefined') {
+  window.ChatImport = ChatImport;
+}
+
+})();
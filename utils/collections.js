@@ -0,0 +1,294 @@
+(() => {
+/**
+ * File: utils/collections.js
+ * Purpose: Nested prompt collections: tree building, paths, scope filtering, and the single-collection
+ * share file (export, validation, and merge planning) a team can pass around.
+ * Communicates with: utils/storage.js, sidepanel/sidepanel.js.
+ */
+
+const COLLECTION_FILE_FORMAT = 'promptium-collection';
+const COLLECTION_FILE_VERSION = 1;
+const PATH_SEPARATOR = ' › ';
+const MAX_NAME_LENGTH = 60;
+const MAX_REPORTED_ERRORS = 12;
+
+// Scope values for the library view besides a collection id.
+const SCOPE_ALL = '';
+const SCOPE_UNFILED = 'unfiled';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/** Trims a collection name and collapses inner whitespace. */
+const normalizeName = (name) => String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+
+/** Returns the direct children of a parent id (null for top level), sorted by name. */
+const getChildren = (collections, parentId = null) => collections
+  .filter((collection) => (collection.parentId || null) === (parentId || null))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+/** Returns the ids of a collection and everything nested under it. */
+const getDescendantIds = (collections, id) => {
+  const ids = new Set();
+  const pending = [id];
+  while (pending.length) {
+    const current = pending.pop();
+    if (!current || ids.has(current)) continue;
+    ids.add(current);
+    pending.push(...collections.filter((collection) => collection.parentId === current).map((collection) => collection.id));
+  }
+  return ids;
+};
+
+/** Returns the collections from the top level down to the given id; stops early on a missing parent. */
+const getPath = (collections, id) => {
+  const byId = new Map(collections.map((collection) => [collection.id, collection]));
+  const path = [];
+  let current = byId.get(id);
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+};
+
+/** Formats a collection's location, e.g. "Work › Backend › Reviews". */
+const formatPath = (collections, id) => getPath(collections, id).map((collection) => collection.name).join(PATH_SEPARATOR);
+
+/**
+ * Returns an error message for a proposed name/parent, or '' when valid.
+ * Sibling names must be unique (case-insensitive) and a collection cannot move under itself.
+ */
+const validateCollection = (collections, { id = '', name, parentId = null }) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return 'Name is required.';
+  if (id && parentId && getDescendantIds(collections, id).has(parentId)) {
+    return 'A collection cannot be moved inside itself.';
+  }
+  const clash = getChildren(collections, parentId)
+    .some((sibling) => sibling.id !== id && sibling.name.toLowerCase() === normalized.toLowerCase());
+  return clash ? `"${normalized}" already exists here.` : '';
+};
+
+/** Returns prompts inside a scope: everything, unfiled prompts, or a collection including its sub-collections. */
+const filterByScope = (prompts, collections, scope = SCOPE_ALL) => {
+  if (scope === SCOPE_ALL) return prompts;
+  if (scope === SCOPE_UNFILED) {
+    const known = new Set(collections.map((collection) => collection.id));
+    return prompts.filter((prompt) => !prompt.collectionId || !known.has(prompt.collectionId));
+  }
+  const ids = getDescendantIds(collections, scope);
+  return prompts.filter((prompt) => ids.has(prompt.collectionId));
+};
+
+/**
+ * Builds the nested tree for rendering. Each node is { collection, depth, count, children },
+ * where count includes prompts in sub-collections.
+ */
+const buildTree = (collections, prompts) => {
+  const direct = new Map();
+  for (const prompt of prompts) {
+    if (prompt.collectionId) direct.set(prompt.collectionId, (direct.get(prompt.collectionId) || 0) + 1);
+  }
+
+  const build = (parentId, depth, seen) => getChildren(collections, parentId)
+    .filter((collection) => !seen.has(collection.id))
+    .map((collection) => {
+      const children = build(collection.id, depth + 1, new Set([...seen, collection.id]));
+      const count = (direct.get(collection.id) || 0) + children.reduce((sum, child) => sum + child.count, 0);
+      return { collection, depth, count, children };
+    });
+
+  return build(null, 0, new Set());
+};
+
+/** Returns [{ id, label }] for every collection in tree order, labelled with its full path. */
+const listOptions = (collections) => {
+  const options = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      options.push({ id: node.collection.id, label: formatPath(collections, node.collection.id) });
+      walk(node.children);
+    }
+  };
+  walk(buildTree(collections, []));
+  return options;
+};
+
+/** Builds a share file for one collection, its sub-collections, and their prompts. */
+const buildCollectionFile = (rootId, collections, prompts) => {
+  const ids = getDescendantIds(collections, rootId);
+  return {
+    format: COLLECTION_FILE_FORMAT,
+    version: COLLECTION_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    rootId,
+    collections: collections
+      .filter((collection) => ids.has(collection.id))
+      .map(({ id, name, parentId }) => ({ id, name, parentId: id === rootId ? null : parentId })),
+    prompts: prompts
+      .filter((prompt) => ids.has(prompt.collectionId))
+      .map(({ title, text, tags, category, collectionId }) => ({ title, text, tags: tags || [], category: category || null, collectionId }))
+  };
+};
+
+/** Serializes a share file and returns its suggested filename. */
+const serializeCollectionFile = (file) => {
+  const root = file.collections.find((collection) => collection.id === file.rootId);
+  const slug = String(root?.name || 'collection').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+  return {
+    filename: `promptium-collection_${slug}.json`,
+    content: JSON.stringify(file, null, 2)
+  };
+};
+
+/** Parses and validates share file text. Returns { ok, errors, file }. */
+const parseCollectionFile = (text) => {
+  let input;
+  try {
+    input = JSON.parse(String(text || ''));
+  } catch (error) {
+    return { ok: false, errors: [`Invalid JSON: ${error?.message || error}`], file: null };
+  }
+
+  const errors = [];
+  const fail = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  if (!isPlainObject(input)) {
+    return { ok: false, errors: ['File is not a JSON object.'], file: null };
+  }
+  if (input.format !== COLLECTION_FILE_FORMAT) {
+    fail(`format must be "${COLLECTION_FILE_FORMAT}".`);
+  }
+  if (!Number.isInteger(input.version) || input.version < 1) {
+    fail('version must be a positive integer.');
+  } else if (input.version > COLLECTION_FILE_VERSION) {
+    fail(`Collection file version ${input.version} is newer than supported version ${COLLECTION_FILE_VERSION}. Update Promptium first.`);
+  }
+  if (!Array.isArray(input.collections) || !Array.isArray(input.prompts)) {
+    fail('collections and prompts must be arrays.');
+    return { ok: false, errors, file: null };
+  }
+
+  const ids = new Set();
+  input.collections.forEach((collection, index) => {
+    const path = `collections[${index}]`;
+    if (!isPlainObject(collection) || typeof collection.id !== 'string' || !collection.id) {
+      fail(`${path}.id must be a non-empty string.`);
+      return;
+    }
+    if (ids.has(collection.id)) fail(`${path}.id "${collection.id}" is duplicated.`);
+    if (!normalizeName(collection.name)) fail(`${path}.name must be a non-empty string.`);
+    ids.add(collection.id);
+  });
+  if (!ids.has(input.rootId)) {
+    fail('rootId must match one of the collections.');
+  }
+  input.collections.forEach((collection, index) => {
+    if (isPlainObject(collection) && collection.id !== input.rootId && !ids.has(collection.parentId)) {
+      fail(`collections[${index}].parentId must point to another collection in the file.`);
+    }
+  });
+  if (!errors.length) {
+    // Parent links that loop among themselves never reach the root, so their prompts would have nowhere to go.
+    const reachable = new Set();
+    const queue = [input.rootId];
+    while (queue.length) {
+      const id = queue.shift();
+      reachable.add(id);
+      queue.push(...input.collections
+        .filter((collection) => collection.parentId === id && collection.id !== input.rootId && !reachable.has(collection.id))
+        .map((collection) => collection.id));
+    }
+    input.collections.forEach((collection, index) => {
+      if (!reachable.has(collection.id)) fail(`collections[${index}] is not reachable from the root collection.`);
+    });
+  }
+  input.prompts.forEach((prompt, index) => {
+    const path = `prompts[${index}]`;
+    if (!isPlainObject(prompt) || typeof prompt.text !== 'string') {
+      fail(`${path}.text must be a string.`);
+      return;
+    }
+    if (!ids.has(prompt.collectionId)) fail(`${path}.collectionId must point to a collection in the file.`);
+  });
+
+  return { ok: errors.length === 0, errors, file: errors.length ? null : input };
+};
+
+/**
+ * Plans importing a share file under a parent (null for top level).
+ * Collections merge into same-named siblings so re-importing an updated file does not duplicate them;
+ * prompts already present in the target collection (same title and text) are skipped.
+ * Returns { collections, prompts, skipped } where collections are new records to save, parents first.
+ */
+const planCollectionImport = (file, { parentId = null, collections = [], prompts = [] } = {}) => {
+  const working = [...collections];
+  const created = [];
+  const idMap = new Map();
+
+  const place = (fileCollection, targetParentId) => {
+    const name = normalizeName(fileCollection.name);
+    const existing = getChildren(working, targetParentId).find((sibling) => sibling.name.toLowerCase() === name.toLowerCase());
+    const local = existing || { id: crypto.randomUUID(), name, parentId: targetParentId };
+    if (!existing) {
+      working.push(local);
+      created.push(local);
+    }
+    idMap.set(fileCollection.id, local.id);
+    for (const child of file.collections.filter((item) => item.parentId === fileCollection.id && item.id !== file.rootId)) {
+      place(child, local.id);
+    }
+  };
+  place(file.collections.find((collection) => collection.id === file.rootId), parentId || null);
+
+  const signature = (prompt) => `${String(prompt.title || '').trim()}|${String(prompt.text || '').trim()}`;
+  const present = new Set(prompts.filter((prompt) => prompt.collectionId).map((prompt) => `${prompt.collectionId}|${signature(prompt)}`));
+  const incoming = [];
+  let skipped = 0;
+
+  for (const prompt of file.prompts) {
+    const collectionId = idMap.get(prompt.collectionId);
+    const key = `${collectionId}|${signature(prompt)}`;
+    if (present.has(key)) {
+      skipped += 1;
+      continue;
+    }
+    present.add(key);
+    incoming.push({
+      title: String(prompt.title || '').trim() || 'Untitled prompt',
+      text: prompt.text,
+      tags: Array.isArray(prompt.tags) ? prompt.tags.map((tag) => String(tag)) : [],
+      category: prompt.category ? String(prompt.category) : null,
+      collectionId
+    });
+  }
+
+  return { collections: created, prompts: incoming, skipped };
+};
+
+const PromptCollections = {
+  COLLECTION_FILE_FORMAT,
+  PATH_SEPARATOR,
+  SCOPE_ALL,
+  SCOPE_UNFILED,
+  normalizeName,
+  getChildren,
+  getDescendantIds,
+  formatPath,
+  validateCollection,
+  filterByScope,
+  buildTree,
+  listOptions,
+  buildCollectionFile,
+  serializeCollectionFile,
+  parseCollectionFile,
+  planCollectionImport
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptCollections = PromptCollections;
+}
+
+})();
@@ -20,9 +20,29 @@ const SUPPORTED_URLS = [
   'https://copilot.microsoft.com/'
 ];
 
+// Where a fresh chat starts on each built-in platform.
+const PLATFORM_NEW_CHAT_URLS = {
+  chatgpt: 'https://chatgpt.com/',
+  claude: 'https://claude.ai/new',
+  gemini: 'https://gemini.google.com/app',
+  perplexity: 'https://www.perplexity.ai/',
+  copilot: 'https://copilot.microsoft.com/'
+};
+
+// How injected prompt text combines with what is already in the chat box.
+const INJECTION_MODES = {
+  replace: 'Replace',
+  append: 'Append',
+  prepend: 'Prepend',
+  cursor: 'Insert at cursor',
+  wrap: 'Wrap selection'
+};
+
 if (typeof window !== 'undefined') {
   window.PLATFORM_LABELS = PLATFORM_LABELS;
   window.SUPPORTED_URLS = SUPPORTED_URLS;
+  window.PLATFORM_NEW_CHAT_URLS = PLATFORM_NEW_CHAT_URLS;
+  window.INJECTION_MODES = INJECTION_MODES;
 }
 
 })();
@@ -0,0 +1,273 @@
+(() => {
+/**
+ * File: utils/custom-platforms.js
+ * Purpose: User-defined platform adapters (host pattern, DOM selectors, injection strategy) for chat
+ * sites beyond the built-in five, plus dynamic content script registration for them.
+ * Communicates with: utils/platform.js, utils/dom-helpers.js, sidepanel/sidepanel.js, background/service_worker.js.
+ */
+
+const CUSTOM_PLATFORMS_KEY = 'promptiumCustomPlatforms';
+const SCRIPT_ID_PREFIX = 'promptium-custom-';
+const BUILT_IN_IDS = ['chatgpt', 'claude', 'gemini', 'perplexity', 'copilot'];
+const BUILT_IN_HOSTS = ['chatgpt.com', 'claude.ai', 'gemini.google.com', 'perplexity.ai', 'copilot.microsoft.com'];
+const SELECTOR_KEYS = ['userMsg', 'botMsg', 'input', 'inputParent'];
+const OPTIONAL_SELECTOR_KEYS = ['sendButton', 'stopButton'];
+
+const INJECTION_STRATEGIES = {
+  auto: 'Auto-detect from the input element',
+  react: 'React-controlled input (native setter + input event)',
+  execCommand: 'Rich text editor (select all + insertText)',
+  value: 'Plain textarea (set value + input event)'
+};
+
+let cachedPlatforms = null;
+// Tail of the content-script sync queue; runs are chained so unregister/register calls never interleave.
+let syncQueue = Promise.resolve();
+
+/** Turns a display name into a stable platform id. */
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40);
+
+/**
+ * Normalizes a host pattern ("chat.example.com", "*.corp.example", or a pasted URL) to a bare host
+ * with an optional leading "*." wildcard. Returns '' when the input is not a usable host.
+ */
+const normalizeHostPattern = (input) => {
+  let value = String(input || '').trim().toLowerCase();
+  if (!value) return '';
+  value = value.replace(/^[a-z*]+:\/\//, '').split(/[/?#]/)[0].replace(/:\d+$/, '');
+  const wildcard = value.startsWith('*.');
+  const host = wildcard ? value.slice(2) : value;
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host) || host.startsWith('-')) return '';
+  return wildcard ? `*.${host}` : host;
+};
+
+/** Returns the Chrome match patterns (any scheme) covering a host pattern. */
+const toMatchPatterns = (hostPattern) => {
+  const host = normalizeHostPattern(hostPattern);
+  return host ? [`*://${host}/*`] : [];
+};
+
+/** Returns true when a hostname is covered by a host pattern. */
+const hostMatches = (hostname, hostPattern) => {
+  const host = String(hostname || '').toLowerCase();
+  const pattern = normalizeHostPattern(hostPattern);
+  if (!host || !pattern) return false;
+  if (pattern.startsWith('*.')) {
+    const base = pattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === pattern;
+};
+
+/** Normalizes one stored platform definition. */
+const normalizePlatform = (input = {}) => {
+  const selectors = {};
+  for (const key of [...SELECTOR_KEYS, ...OPTIONAL_SELECTOR_KEYS]) {
+    selectors[key] = String(input?.selectors?.[key] || '').trim();
+  }
+  const hostPattern = normalizeHostPattern(input.hostPattern);
+  return {
+    id: slugify(input.id || input.label),
+    label: String(input.label || '').trim(),
+    hostPattern,
+    startUrl: String(input.startUrl || '').trim() || (hostPattern && !hostPattern.startsWith('*.') ? `https://${hostPattern}/` : ''),
+    selectors,
+    injection: INJECTION_STRATEGIES[input.injection] ? input.injection : 'auto'
+  };
+};
+
+/** Returns true when a CSS selector parses in the current document. */
+const isValidSelector = (selector) => {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (_error) {
+    return false;
+  }
+};
+
+/**
+ * Validates a platform definition against the existing list.
+ * Returns { ok, errors, platform } where platform is normalized.
+ */
+const validatePlatform = (input, existing = [], editingId = null) => {
+  const platform = normalizePlatform(input);
+  const errors = [];
+
+  if (!platform.label) errors.push('Name is required.');
+  if (!platform.id) errors.push('Name must contain letters or numbers.');
+  if (BUILT_IN_IDS.includes(platform.id)) errors.push(`"${platform.label}" is already a built-in platform.`);
+  if (existing.some((item) => item.id === platform.id && item.id !== editingId)) {
+    errors.push(`A platform named "${platform.label}" already exists.`);
+  }
+  if (!platform.hostPattern) errors.push('Host pattern must be a hostname such as chat.example.com or *.example.com.');
+  const bareHost = platform.hostPattern.replace(/^\*\./, '');
+  if (platform.hostPattern && BUILT_IN_HOSTS.some((host) =>
+    hostMatches(host, platform.hostPattern) || bareHost === host || bareHost.endsWith(`.${host}`))) {
+    errors.push('That host is already covered by a built-in platform.');
+  }
+  if (platform.startUrl) {
+    try {
+      const url = new URL(platform.startUrl);
+      if (!/^https?:$/.test(url.protocol) || !hostMatches(url.hostname, platform.hostPattern)) {
+        errors.push('Start URL must be an http(s) address on the host pattern.');
+      }
+    } catch (_error) {
+      errors.push('Start URL is not a valid URL.');
+    }
+  }
+  for (const key of SELECTOR_KEYS) {
+    if (!platform.selectors[key]) {
+      errors.push(`Selector "${key}" is required.`);
+    } else if (!isValidSelector(platform.selectors[key])) {
+      errors.push(`Selector "${key}" is not valid CSS.`);
+    }
+  }
+  for (const key of OPTIONAL_SELECTOR_KEYS) {
+    if (platform.selectors[key] && !isValidSelector(platform.selectors[key])) {
+      errors.push(`Selector "${key}" is not valid CSS.`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors, platform };
+};
+
+/** Loads custom platforms from storage. */
+const loadCustomPlatforms = async () => {
+  try {
+    const state = await chrome.storage.local.get([CUSTOM_PLATFORMS_KEY]);
+    const list = Array.isArray(state[CUSTOM_PLATFORMS_KEY]) ? state[CUSTOM_PLATFORMS_KEY] : [];
+    cachedPlatforms = list.map(normalizePlatform).filter((platform) => platform.id && platform.hostPattern);
+    return cachedPlatforms;
+  } catch (error) {
+    console.error('[Promptium][CustomPlatforms] Failed to load custom platforms.', error);
+    return [];
+  }
+};
+
+/** Returns custom platforms, reading storage only once per context. */
+const getCustomPlatforms = async () => cachedPlatforms || loadCustomPlatforms();
+
+/** Persists the custom platform list. */
+const saveCustomPlatforms = async (platforms) => {
+  try {
+    const list = (Array.isArray(platforms) ? platforms : []).map(normalizePlatform);
+    await chrome.storage.local.set({ [CUSTOM_PLATFORMS_KEY]: list });
+    cachedPlatforms = list;
+    return true;
+  } catch (error) {
+    console.error('[Promptium][CustomPlatforms] Failed to save custom platforms.', error);
+    return false;
+  }
+};
+
+/** Returns the custom platform covering a hostname, or null. */
+const findForHost = async (hostname) => {
+  const platforms = await getCustomPlatforms();
+  return platforms.find((platform) => hostMatches(hostname, platform.hostPattern)) || null;
+};
+
+/** Returns the custom platform covering a URL, or null. */
+const findForUrl = async (url) => {
+  try {
+    const parsed = new URL(String(url || ''));
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    return await findForHost(parsed.hostname);
+  } catch (_error) {
+    return null;
+  }
+};
+
+/** Returns true when the optional host permission for a platform has been granted. */
+const hasHostAccess = async (platform) => {
+  const origins = toMatchPatterns(platform?.hostPattern);
+  if (!origins.length || !chrome.permissions?.contains) return false;
+  return chrome.permissions.contains({ origins }).catch(() => false);
+};
+
+/** Replaces the custom platform content script registrations with the current platform list. */
+const runContentScriptSync = async () => {
+  if (!chrome.scripting?.registerContentScripts) return { ok: false, error: 'Scripting API unavailable.' };
+
+  try {
+    const manifestEntry = chrome.runtime.getManifest().content_scripts?.[0] || {};
+    const platforms = await loadCustomPlatforms();
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const staleIds = registered.map((script) => script.id).filter((id) => id.startsWith(SCRIPT_ID_PREFIX));
+    if (staleIds.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+    }
+
+    const scripts = [];
+    for (const platform of platforms) {
+      if (!(await hasHostAccess(platform))) continue;
+      scripts.push({
+        id: `${SCRIPT_ID_PREFIX}${platform.id}`,
+        matches: toMatchPatterns(platform.hostPattern),
+        js: manifestEntry.js || [],
+        css: manifestEntry.css || [],
+        runAt: manifestEntry.run_at || 'document_idle',
+        persistAcrossSessions: true
+      });
+    }
+    if (scripts.length) {
+      await chrome.scripting.registerContentScripts(scripts);
+    }
+    return { ok: true, registered: scripts.length };
+  } catch (error) {
+    console.error('[Promptium][CustomPlatforms] Failed to register content scripts.', error);
+    return { ok: false, error: error?.message || String(error) };
+  }
+};
+
+/**
+ * Registers content scripts for every custom platform with granted host access and removes stale
+ * registrations. Runs in the service worker; the script list mirrors the manifest content script entry.
+ * Calls are queued behind any sync still in flight.
+ */
+const syncContentScripts = () => {
+  const run = syncQueue.then(runContentScriptSync);
+  syncQueue = run.catch(() => {});
+  return run;
+};
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CUSTOM_PLATFORMS_KEY]) {
+      cachedPlatforms = null;
+    }
+  });
+}
+
+const CustomPlatforms = {
+  CUSTOM_PLATFORMS_KEY,
+  INJECTION_STRATEGIES,
+  SELECTOR_KEYS,
+  OPTIONAL_SELECTOR_KEYS,
+  normalizeHostPattern,
+  toMatchPatterns,
+  hostMatches,
+  validatePlatform,
+  loadCustomPlatforms,
+  getCustomPlatforms,
+  saveCustomPlatforms,
+  findForHost,
+  findForUrl,
+  hasHostAccess,
+  syncContentScripts
+};
+
+if (typeof window !== 'undefined') {
+  window.CustomPlatforms = CustomPlatforms;
+}
+
+if (typeof self !== 'undefined') {
+  self.CustomPlatforms = CustomPlatforms;
+}
+
+})();
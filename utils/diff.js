@@ -0,0 +1,104 @@
+(() => {
+/**
+ * File: utils/diff.js
+ * Purpose: Word-level diff (LCS over word and whitespace tokens) used to compare prompt revisions.
+ * Communicates with: sidepanel/sidepanel.js.
+ */
+
+// Above this many token pairs the middle section is reported as one replace instead of running LCS.
+const MAX_LCS_CELLS = 4000000;
+
+/** Splits text into word and whitespace tokens so joins reproduce the original string. */
+const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+/** Appends a token to the op list, merging with the previous op of the same type. */
+const pushOp = (ops, type, text) => {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+    return;
+  }
+  ops.push({ type, text });
+};
+
+/** Returns diff ops ({ type: 'equal' | 'insert' | 'delete', text }) turning before into after. */
+const diffWords = (before, after) => {
+  const left = tokenize(before);
+  const right = tokenize(after);
+  const ops = [];
+
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    start += 1;
+  }
+
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd -= 1;
+    rightEnd -= 1;
+  }
+
+  pushOp(ops, 'equal', left.slice(0, start).join(''));
+
+  const middleLeft = left.slice(start, leftEnd);
+  const middleRight = right.slice(start, rightEnd);
+  const rows = middleLeft.length;
+  const cols = middleRight.length;
+
+  if (rows * cols > MAX_LCS_CELLS) {
+    pushOp(ops, 'delete', middleLeft.join(''));
+    pushOp(ops, 'insert', middleRight.join(''));
+  } else if (rows || cols) {
+    // lengths[i * (cols + 1) + j] = LCS length of middleLeft[i..] and middleRight[j..]
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        lengths[i * width + j] = middleLeft[i] === middleRight[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (middleLeft[i] === middleRight[j]) {
+        pushOp(ops, 'equal', middleLeft[i]);
+        i += 1;
+        j += 1;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushOp(ops, 'delete', middleLeft[i]);
+        i += 1;
+      } else {
+        pushOp(ops, 'insert', middleRight[j]);
+        j += 1;
+      }
+    }
+    pushOp(ops, 'delete', middleLeft.slice(i).join(''));
+    pushOp(ops, 'insert', middleRight.slice(j).join(''));
+  }
+
+  pushOp(ops, 'equal', left.slice(leftEnd).join(''));
+  return ops;
+};
+
+/** Summarizes a diff as counts of inserted and deleted words. */
+const summarizeDiff = (ops) => {
+  const countWords = (text) => (String(text || '').match(/[^\s]+/g) || []).length;
+  return (ops || []).reduce((summary, op) => {
+    if (op.type === 'insert') summary.added += countWords(op.text);
+    if (op.type === 'delete') summary.removed += countWords(op.text);
+    return summary;
+  }, { added: 0, removed: 0 });
+};
+
+const TextDiff = { diffWords, summarizeDiff };
+
+if (typeof window !== 'undefined') {
+  window.TextDiff = TextDiff;
+}
+
+})();
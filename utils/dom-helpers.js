@@ -61,6 +61,74 @@ const createTagPill = (tag) => {
   return pill;
 };
 
+/** Builds a compact select for choosing how a prompt is injected (see INJECTION_MODES). */
+const createInjectModeSelect = (selectedMode = 'replace') => {
+  const select = document.createElement('select');
+  select.className = 'pn-inject-mode';
+  select.title = 'How the prompt is added to the chat box';
+  for (const [value, label] of Object.entries(window.INJECTION_MODES || {})) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = window.INJECTION_MODES?.[selectedMode] ? selectedMode : 'replace';
+  return select;
+};
+
+const PROMPT_FLAGS = [
+  {
+    key: 'favorite',
+    on: 'Remove from favorites',
+    off: 'Add to favorites',
+    icon: '<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>'
+  },
+  {
+    key: 'pinned',
+    on: 'Unpin',
+    off: 'Pin to top',
+    icon: '<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="17" x2="12" y2="22"></line><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path></svg>'
+  }
+];
+
+/** Builds the favorite and pin toggles for a saved prompt card; onChange runs after a toggle is stored. */
+const createPromptFlagToggles = (prompt, onChange = () => {}) => {
+  const wrap = document.createElement('div');
+  wrap.className = 'pn-card-flags';
+
+  for (const flag of PROMPT_FLAGS) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `pn-card-flag pn-card-flag--${flag.key}`;
+    button.innerHTML = flag.icon;
+
+    const sync = () => {
+      const active = Boolean(prompt[flag.key]);
+      button.classList.toggle('is-active', active);
+      button.setAttribute('aria-pressed', String(active));
+      button.title = active ? flag.on : flag.off;
+      button.setAttribute('aria-label', button.title);
+    };
+    sync();
+
+    button.addEventListener('click', () => {
+      void (async () => {
+        const updated = await window.Store.updatePrompt(prompt.id, { [flag.key]: !prompt[flag.key] });
+        if (!updated) {
+          showToast('Failed to update prompt.');
+          return;
+        }
+        prompt[flag.key] = Boolean(updated[flag.key]);
+        sync();
+        await onChange(updated);
+      })();
+    });
+    wrap.appendChild(button);
+  }
+
+  return wrap;
+};
+
 /** Escapes unsafe markup content. */
 const escapeHtml = (value) => String(value || '')
   .replaceAll('&', '&amp;')
@@ -81,14 +149,23 @@ const isSupportedTabUrl = (url) => {
   return SUPPORTED_URLS.some((prefix) => value.startsWith(prefix));
 };
 
-/** Returns active tab metadata used for inject actions. */
+/** Returns the built-in platform id whose site a URL belongs to, or null. */
+const getPlatformForUrl = (url) => {
+  const value = String(url || '').toLowerCase();
+  return Object.keys(PLATFORM_NEW_CHAT_URLS)
+    .find((platform) => value.startsWith(`${new URL(PLATFORM_NEW_CHAT_URLS[platform]).origin}/`)) || null;
+};
+
+/** Returns active tab metadata used for inject actions and usage events (platform is null off chat sites). */
 const getActiveTabContext = async () => {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   const tab = tabs[0] || null;
+  const customPlatform = isSupportedTabUrl(tab?.url || '') ? null : await window.CustomPlatforms?.findForUrl(tab?.url || '');
   return {
     tabId: tab?.id || null,
     url: tab?.url || '',
-    supported: isSupportedTabUrl(tab?.url || '')
+    supported: isSupportedTabUrl(tab?.url || '') || Boolean(customPlatform),
+    platform: getPlatformForUrl(tab?.url) || customPlatform?.id || null
   };
 };
 
@@ -110,9 +187,12 @@ const DomHelpers = {
   showToast,
   createEmptyState,
   createTagPill,
+  createInjectModeSelect,
+  createPromptFlagToggles,
   escapeHtml,
   sortNodesByDomOrder,
   isSupportedTabUrl,
+  getPlatformForUrl,
   getActiveTabContext,
   sendToActiveTab
 };
@@ -1,8 +1,9 @@
 (() => {
 /**
  * File: utils/exporter.js
- * Purpose: Converts chat data into markdown, text, and PDF export files with optional presentation preferences.
- * Communicates with: popup/popup.js, content/toolbar.js, content/content.js.
+ * Purpose: Converts chat data into markdown, text, DOCX, and PDF export files with optional presentation preferences,
+ * into Obsidian/Logseq vault notes (single notes or a zipped vault), and packages batch exports as an indexed zip.
+ * Communicates with: popup/popup.js, content/toolbar.js, content/content.js, utils/zip.js.
  */
 
 const DEFAULT_PREFS = {
@@ -15,6 +16,7 @@ const DEFAULT_PREFS = {
   includeExportDate: true,
   includePlatformLabel: true,
   includeMessageNumbers: false,
+  includeCoverPage: false,
   headerText: ''
 };
 
@@ -32,6 +34,7 @@ const normalizePrefs = (prefs = {}) => {
     includeExportDate: Boolean(merged.includeExportDate),
     includePlatformLabel: Boolean(merged.includePlatformLabel),
     includeMessageNumbers: Boolean(merged.includeMessageNumbers),
+    includeCoverPage: Boolean(merged.includeCoverPage),
     headerText: String(merged.headerText || '').trim()
   };
 };
@@ -234,34 +237,465 @@ const toTXT = async (chat, prefs = {}) => {
   return `${header.join('\n')}\n${divider}\n${rows.join(`\n${divider}\n`)}`.trim();
 };
 
-/** Ensures there is enough vertical space on the current PDF page before writing text. */
-const ensurePdfSpace = async (doc, y, lineHeight, margin, pageHeight, backgroundRgb) => {
-  if (y <= pageHeight - margin) {
-    return y;
+// ─── Markdown Blocks ─────────────────────────────────────────────────────────
+
+/** Splits inline markdown into [{ text, bold, italic, code }] spans (`code`, **bold**, __bold__, *italic*). */
+const parseInlineMarkdown = (text) => {
+  const source = String(text || '');
+  const spans = [];
+  const pattern = /`([^`]+)`|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*/g;
+  const plain = (value) => ({ text: value, bold: false, italic: false, code: false });
+  let last = 0;
+  let match = pattern.exec(source);
+
+  while (match) {
+    if (match.index > last) spans.push(plain(source.slice(last, match.index)));
+    if (match[1] !== undefined) spans.push({ ...plain(match[1]), code: true });
+    else if (match[4] !== undefined) spans.push({ ...plain(match[4]), italic: true });
+    else spans.push({ ...plain(match[2] ?? match[3]), bold: true });
+    last = pattern.lastIndex;
+    match = pattern.exec(source);
   }
 
-  doc.addPage();
-  const pageWidth = doc.internal.pageSize.getWidth();
-  doc.setFillColor(backgroundRgb[0], backgroundRgb[1], backgroundRgb[2]);
-  doc.rect(0, 0, pageWidth, pageHeight, 'F');
-  return margin + lineHeight;
+  if (last < source.length) spans.push(plain(source.slice(last)));
+  return spans;
+};
+
+/** Splits a markdown table row into trimmed cell strings. */
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+
+/** Returns true when a line is a markdown table separator such as |---|:--:|. */
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+
+/**
+ * Splits message markdown into the blocks the DOCX and PDF writers lay out:
+ * { type: 'code', lang, lines }, { type: 'table', rows }, { type: 'heading', level, text },
+ * { type: 'list', marker, depth, text }, and { type: 'paragraph', text }. Soft-wrapped lines join into one paragraph.
+ */
+const parseMarkdownBlocks = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), lines: code });
+      continue;
+    }
+
+    if (line.includes('|') && isTableSeparator(lines[index + 1] || '')) {
+      flushParagraph();
+      const rows = [splitTableRow(line)];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push(splitTableRow(lines[index]));
+        index += 1;
+      }
+      index -= 1;
+      blocks.push({ type: 'table', rows });
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    const numbered = line.match(/^(\s*)(\d+[.)])\s+(.*)$/);
+
+    if (!line.trim()) {
+      flushParagraph();
+    } else if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (bullet || numbered) {
+      flushParagraph();
+      blocks.push({
+        type: 'list',
+        marker: bullet ? '•' : numbered[2],
+        depth: Math.min(4, Math.floor((bullet || numbered)[1].length / 2)),
+        text: bullet ? bullet[2] : numbered[3]
+      });
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+// ─── End Markdown Blocks ─────────────────────────────────────────────────────
+
+// ─── PDF ─────────────────────────────────────────────────────────────────────
+
+const PDF_MARGIN = 40;
+const PDF_LINE_SCALE = 1.35;
+const PDF_HEADING_SCALES = [1.6, 1.4, 1.25, 1.1, 1, 1];
+const PDF_CODE_SCALE = 0.9;
+const PDF_LIST_INDENT = 16;
+const PDF_CELL_PADDING = 5;
+const PDF_ROLE_COLORS = { user: '#7c5cff', assistant: '#10b981', system: '#f59e0b' };
+
+/** Returns a hex color between two hex colors; amount 0 keeps the first, 1 the second. */
+const mixHexColors = (from, to, amount) => {
+  const start = hexToRgb(from);
+  const end = hexToRgb(to);
+  return `#${start.map((value, index) => Math.round(value + (end[index] - value) * amount).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/** Derives code, border, and muted text colors from the page and text colors so every theme stays readable. */
+const resolvePdfPalette = (colors) => ({
+  ...colors,
+  codeFill: mixHexColors(colors.page, colors.text, 0.07),
+  headerFill: mixHexColors(colors.page, colors.text, 0.12),
+  border: mixHexColors(colors.page, colors.text, 0.3),
+  muted: mixHexColors(colors.page, colors.text, 0.6)
+});
+
+/** Returns the line height for a font size in points. */
+const getPdfLineHeight = (size) => Math.round(size * PDF_LINE_SCALE);
+
+/** Fills the current page with the export background. */
+const paintPdfPage = (ctx) => {
+  ctx.doc.setFillColor(...hexToRgb(ctx.colors.page));
+  ctx.doc.rect(0, 0, ctx.pageWidth, ctx.pageHeight, 'F');
+};
+
+/** Starts a new painted page and moves the cursor to its top margin. */
+const addPdfPage = (ctx) => {
+  ctx.doc.addPage();
+  paintPdfPage(ctx);
+  ctx.y = PDF_MARGIN;
+};
+
+/** Starts a new page when height does not fit below the cursor; returns true when it did. */
+const ensurePdfRoom = (ctx, height) => {
+  if (ctx.y + height <= ctx.pageHeight - PDF_MARGIN || ctx.y <= PDF_MARGIN) {
+    return false;
+  }
+  addPdfPage(ctx);
+  return true;
+};
+
+/** Applies the font for inline marks: courier for code, the chosen family otherwise. */
+const setPdfFont = (ctx, marks, size) => {
+  const style = marks.bold && marks.italic ? 'bolditalic' : marks.bold ? 'bold' : marks.italic ? 'italic' : 'normal';
+  ctx.doc.setFont(marks.code ? 'courier' : ctx.fontFamily, style);
+  ctx.doc.setFontSize(size);
+};
+
+/** Word-wraps inline spans into lines of [{ text, marks, width }] that fit the given width. */
+const layoutPdfSpans = (ctx, spans, width, size) => {
+  const lines = [[]];
+  let lineWidth = 0;
+
+  const startLine = () => {
+    const line = lines[lines.length - 1];
+    while (line.length && !line[line.length - 1].text.trim()) line.pop();
+    lines.push([]);
+    lineWidth = 0;
+  };
+
+  for (const span of spans) {
+    setPdfFont(ctx, span, size);
+    for (const token of String(span.text || '').split(/(\s+)/)) {
+      if (!token) continue;
+      if (!token.trim()) {
+        if (lines[lines.length - 1].length) {
+          const spaceWidth = ctx.doc.getTextWidth(' ');
+          lines[lines.length - 1].push({ text: ' ', marks: span, width: spaceWidth });
+          lineWidth += spaceWidth;
+        }
+        continue;
+      }
+      const tokenWidth = ctx.doc.getTextWidth(token);
+      if (lineWidth + tokenWidth > width && lines[lines.length - 1].length) startLine();
+      // Words wider than a whole line (URLs, hashes) are broken across lines.
+      const pieces = tokenWidth > width ? ctx.doc.splitTextToSize(token, width) : [token];
+      pieces.forEach((piece, index) => {
+        if (index) startLine();
+        const pieceWidth = ctx.doc.getTextWidth(piece);
+        lines[lines.length - 1].push({ text: piece, marks: span, width: pieceWidth });
+        lineWidth += pieceWidth;
+      });
+    }
+  }
+
+  return lines.filter((line) => line.length);
+};
+
+/** Draws one laid-out line at x, y (top); inline code gets a shaded box. */
+const drawPdfLine = (ctx, line, x, y, size, color) => {
+  const lineHeight = getPdfLineHeight(size);
+  const offset = (lineHeight - size) / 2;
+  let cursor = x;
+
+  for (const piece of line) {
+    setPdfFont(ctx, piece.marks, size);
+    if (piece.marks.code && piece.text.trim()) {
+      ctx.doc.setFillColor(...hexToRgb(ctx.colors.codeFill));
+      ctx.doc.rect(cursor - 1, y + offset - 1.5, piece.width + 2, size + 3, 'F');
+    }
+    ctx.doc.setTextColor(...hexToRgb(color));
+    ctx.doc.text(piece.text, cursor, y + offset, { baseline: 'top' });
+    cursor += piece.width;
+  }
+};
+
+/** Writes wrapped inline spans at the cursor, breaking pages as needed; marker is drawn before the first line. */
+const writePdfSpans = (ctx, spans, { indent = 0, size = ctx.fontSize, color = ctx.colors.text, marker = '' } = {}) => {
+  const lineHeight = getPdfLineHeight(size);
+  const lines = layoutPdfSpans(ctx, spans, ctx.maxWidth - indent, size);
+
+  lines.forEach((line, index) => {
+    ensurePdfRoom(ctx, lineHeight);
+    if (marker && index === 0) {
+      drawPdfLine(ctx, [{ text: marker, marks: {}, width: 0 }], PDF_MARGIN + indent - PDF_LIST_INDENT, ctx.y, size, color);
+    }
+    drawPdfLine(ctx, line, PDF_MARGIN + indent, ctx.y, size, color);
+    ctx.y += lineHeight;
+  });
+};
+
+/** Draws a fenced code block as shaded monospace lines with an optional language label. */
+const writePdfCodeBlock = (ctx, block) => {
+  const size = Math.round(ctx.fontSize * PDF_CODE_SCALE);
+  const lineHeight = getPdfLineHeight(size);
+  const padding = PDF_CELL_PADDING + 3;
+  const fill = hexToRgb(ctx.colors.codeFill);
+  const stripe = (height) => {
+    ctx.doc.setFillColor(...fill);
+    ctx.doc.rect(PDF_MARGIN, ctx.y, ctx.maxWidth, height, 'F');
+  };
+
+  setPdfFont(ctx, { code: true }, size);
+  const lines = (block.lines.length ? block.lines : ['']).flatMap((line) => {
+    const wrapped = ctx.doc.splitTextToSize(line.replace(/\t/g, '  '), ctx.maxWidth - padding * 2);
+    return wrapped.length ? wrapped : [''];
+  });
+
+  const labelHeight = block.lang ? lineHeight : padding;
+  ensurePdfRoom(ctx, labelHeight + lineHeight);
+  stripe(labelHeight);
+  if (block.lang) {
+    setPdfFont(ctx, { code: true, bold: true }, size - 1);
+    ctx.doc.setTextColor(...hexToRgb(ctx.colors.muted));
+    ctx.doc.text(block.lang, PDF_MARGIN + padding, ctx.y + (lineHeight - size) / 2, { baseline: 'top' });
+  }
+  ctx.y += labelHeight;
+
+  for (const line of lines) {
+    ensurePdfRoom(ctx, lineHeight);
+    stripe(lineHeight);
+    setPdfFont(ctx, { code: true }, size);
+    ctx.doc.setTextColor(...hexToRgb(ctx.colors.text));
+    ctx.doc.text(line, PDF_MARGIN + padding, ctx.y + (lineHeight - size) / 2, { baseline: 'top' });
+    ctx.y += lineHeight;
+  }
+
+  stripe(padding);
+  ctx.y += padding;
+};
+
+/** Draws a bordered table with equal columns; the bold, shaded header row repeats after page breaks. */
+const writePdfTable = (ctx, rows) => {
+  const size = Math.round(ctx.fontSize * PDF_CODE_SCALE);
+  const lineHeight = getPdfLineHeight(size);
+  const columns = Math.max(...rows.map((row) => row.length));
+  const columnWidth = ctx.maxWidth / columns;
+  const layouts = rows.map((row, rowIndex) => Array.from({ length: columns }, (_, column) => {
+    const spans = parseInlineMarkdown(row[column] || '').map((span) => ({ ...span, bold: span.bold || rowIndex === 0 }));
+    return layoutPdfSpans(ctx, spans, columnWidth - PDF_CELL_PADDING * 2, size);
+  }));
+
+  const getRowHeight = (cells) => Math.max(1, ...cells.map((lines) => lines.length)) * lineHeight + PDF_CELL_PADDING * 2;
+
+  const drawRow = (rowIndex) => {
+    const cells = layouts[rowIndex];
+    const height = getRowHeight(cells);
+    cells.forEach((lines, column) => {
+      const x = PDF_MARGIN + column * columnWidth;
+      if (rowIndex === 0) {
+        ctx.doc.setFillColor(...hexToRgb(ctx.colors.headerFill));
+        ctx.doc.rect(x, ctx.y, columnWidth, height, 'F');
+      }
+      ctx.doc.setDrawColor(...hexToRgb(ctx.colors.border));
+      ctx.doc.setLineWidth(0.6);
+      ctx.doc.rect(x, ctx.y, columnWidth, height, 'S');
+      lines.forEach((line, lineIndex) => {
+        drawPdfLine(ctx, line, x + PDF_CELL_PADDING, ctx.y + PDF_CELL_PADDING + lineIndex * lineHeight, size, ctx.colors.text);
+      });
+    });
+    ctx.y += height;
+  };
+
+  layouts.forEach((cells, rowIndex) => {
+    if (ensurePdfRoom(ctx, getRowHeight(cells)) && rowIndex > 0) drawRow(0);
+    drawRow(rowIndex);
+  });
 };
 
-/** Writes wrapped text into a PDF and returns the next y position with overflow handling. */
-const writePdfLine = async (doc, text, y, pageHeight, margin, maxWidth, lineHeight, backgroundRgb) => {
-  const wrappedLines = doc.splitTextToSize(String(text || ''), maxWidth);
-  let nextY = y;
+/** Lays out message markdown as headings, paragraphs, lists, code blocks, and tables; returns level 1-2 headings. */
+const writePdfMarkdown = (ctx, markdown) => {
+  const headings = [];
+  const gap = Math.round(ctx.lineHeight * 0.4);
+
+  for (const block of parseMarkdownBlocks(markdown)) {
+    if (block.type === 'code') {
+      writePdfCodeBlock(ctx, block);
+      ctx.y += gap;
+    } else if (block.type === 'table') {
+      writePdfTable(ctx, block.rows);
+      ctx.y += gap;
+    } else if (block.type === 'heading') {
+      const size = Math.round(ctx.fontSize * PDF_HEADING_SCALES[block.level - 1]);
+      ctx.y += gap;
+      ensurePdfRoom(ctx, getPdfLineHeight(size) + ctx.lineHeight);
+      if (block.level <= 2) {
+        headings.push({ label: block.text.replace(/[*_`]/g, ''), page: ctx.doc.getNumberOfPages(), y: ctx.y, depth: block.level - 1 });
+      }
+      writePdfSpans(ctx, parseInlineMarkdown(block.text).map((span) => ({ ...span, bold: true })), { size });
+      ctx.y += Math.round(gap / 2);
+    } else if (block.type === 'list') {
+      const indent = PDF_LIST_INDENT * (block.depth + 1);
+      writePdfSpans(ctx, parseInlineMarkdown(block.text), { indent, marker: block.marker });
+      ctx.y += Math.round(gap / 3);
+    } else {
+      writePdfSpans(ctx, parseInlineMarkdown(block.text));
+      ctx.y += gap;
+    }
+  }
+
+  return headings;
+};
 
-  for (const line of wrappedLines) {
-    nextY = await ensurePdfSpace(doc, nextY, lineHeight, margin, pageHeight, backgroundRgb);
-    doc.text(line, margin, nextY);
-    nextY += lineHeight;
+/** Draws a message header: a role-colored bar and label with the optional number and timestamp. */
+const writePdfMessageHeader = (ctx, label, role, suffix) => {
+  const size = Math.round(ctx.fontSize * 1.05);
+  const lineHeight = getPdfLineHeight(size);
+  const color = PDF_ROLE_COLORS[String(role || '').toLowerCase()] || ctx.colors.muted;
+
+  ensurePdfRoom(ctx, lineHeight + ctx.lineHeight * 2);
+  ctx.doc.setFillColor(...hexToRgb(color));
+  ctx.doc.rect(PDF_MARGIN, ctx.y + 2, 3, lineHeight - 4, 'F');
+  drawPdfLine(ctx, [{ text: label, marks: { bold: true }, width: 0 }], PDF_MARGIN + 10, ctx.y, size, color);
+  if (suffix) {
+    setPdfFont(ctx, { bold: true }, size);
+    const offset = ctx.doc.getTextWidth(`${label} `);
+    drawPdfLine(ctx, [{ text: suffix, marks: {}, width: 0 }], PDF_MARGIN + 10 + offset, ctx.y, size, ctx.colors.muted);
   }
+  ctx.y += lineHeight + 4;
+};
 
-  return nextY;
+/** Returns the title, platform, export date, and header text lines shown above the content or on the cover. */
+const getPdfMetaLines = (chat, options) => [
+  options.includePlatformLabel ? `Platform: ${chat.platform.toUpperCase()}` : '',
+  options.includeExportDate ? `Exported: ${new Date().toLocaleString()}` : '',
+  options.headerText
+].filter(Boolean);
+
+/** Writes the title block at the cursor. */
+const writePdfTitle = (ctx, chat, options) => {
+  writePdfSpans(ctx, [{ text: chat.title, bold: true }], { size: Math.round(ctx.fontSize * PDF_HEADING_SCALES[0]) });
+  for (const line of getPdfMetaLines(chat, options)) {
+    writePdfSpans(ctx, [{ text: line }], { size: ctx.fontSize - 1, color: ctx.colors.muted });
+  }
+  ctx.y += Math.round(ctx.lineHeight * 0.4);
+  ctx.doc.setDrawColor(...hexToRgb(ctx.colors.border));
+  ctx.doc.setLineWidth(0.8);
+  ctx.doc.line(PDF_MARGIN, ctx.y, PDF_MARGIN + ctx.maxWidth, ctx.y);
+  ctx.y += ctx.lineHeight;
 };
 
-/** Converts chat data into a paginated PDF ArrayBuffer using jsPDF with style prefs. */
+/**
+ * Inserts cover pages at the front with the title block and a linked contents list, then returns how many
+ * pages were inserted. Entries carry content page numbers, which shift by that count.
+ */
+const insertPdfCover = (ctx, chat, options, entries) => {
+  const entryHeight = ctx.lineHeight + 4;
+  const titleHeight = getPdfLineHeight(Math.round(ctx.fontSize * PDF_HEADING_SCALES[0]))
+    + getPdfMetaLines(chat, options).length * getPdfLineHeight(ctx.fontSize - 1)
+    + ctx.lineHeight * 4;
+  const usable = ctx.pageHeight - PDF_MARGIN * 2;
+  const firstCapacity = Math.max(1, Math.floor((usable - titleHeight) / entryHeight));
+  const coverPages = 1 + Math.ceil(Math.max(0, entries.length - firstCapacity) / Math.floor(usable / entryHeight));
+
+  for (let index = 0; index < coverPages; index += 1) {
+    ctx.doc.insertPage(1);
+    paintPdfPage(ctx);
+  }
+
+  ctx.doc.setPage(1);
+  ctx.y = PDF_MARGIN;
+  writePdfTitle(ctx, chat, options);
+  if (entries.length) {
+    writePdfSpans(ctx, [{ text: 'Contents', bold: true }], { size: Math.round(ctx.fontSize * PDF_HEADING_SCALES[2]) });
+    ctx.y += 4;
+  }
+
+  let page = 1;
+  for (const entry of entries) {
+    if (ctx.y + entryHeight > ctx.pageHeight - PDF_MARGIN) {
+      page += 1;
+      ctx.doc.setPage(page);
+      ctx.y = PDF_MARGIN;
+    }
+    const target = entry.page + coverPages;
+    const number = String(target);
+    setPdfFont(ctx, {}, ctx.fontSize);
+    const numberWidth = ctx.doc.getTextWidth(number);
+    const indent = entry.depth ? PDF_LIST_INDENT : 0;
+    const label = ctx.doc.splitTextToSize(entry.label, ctx.maxWidth - numberWidth - indent - 24)[0] || '';
+    const lineY = ctx.y + (ctx.lineHeight - ctx.fontSize) / 2;
+    ctx.doc.setTextColor(...hexToRgb(entry.depth ? ctx.colors.muted : ctx.colors.text));
+    ctx.doc.text(label, PDF_MARGIN + indent, lineY, { baseline: 'top' });
+    ctx.doc.text(number, PDF_MARGIN + ctx.maxWidth - numberWidth, lineY, { baseline: 'top' });
+    ctx.doc.link(PDF_MARGIN, ctx.y, ctx.maxWidth, ctx.lineHeight, { pageNumber: target, top: entry.y });
+    ctx.y += entryHeight;
+  }
+
+  return coverPages;
+};
+
+/** Writes "page / total" footers, skipping the first skip pages (the cover). */
+const writePdfPageNumbers = (ctx, skip) => {
+  const total = ctx.doc.getNumberOfPages();
+  const size = Math.max(8, ctx.fontSize - 4);
+  for (let page = skip + 1; page <= total; page += 1) {
+    ctx.doc.setPage(page);
+    setPdfFont(ctx, {}, size);
+    ctx.doc.setTextColor(...hexToRgb(ctx.colors.muted));
+    ctx.doc.text(`${page} / ${total}`, ctx.pageWidth / 2, ctx.pageHeight - PDF_MARGIN / 2, { align: 'center', baseline: 'middle' });
+  }
+};
+
+/** Returns the first line of a message without markdown syntax, for contents entries. */
+const getPdfExcerpt = (text) => String(text || '')
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/[#>*_`|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 80);
+
+/**
+ * Converts chat data into a paginated PDF ArrayBuffer using jsPDF with style prefs.
+ * Message text is read as markdown: headings, lists, code blocks with language labels, tables, and bold/italic/code
+ * spans keep their structure. Messages get role-colored headers, pages get numbers, and includeCoverPage adds a
+ * title page with a linked contents list (messages, or level 1-2 headings in combined mode).
+ */
 const toPDF = async (chat, prefs = {}) => {
   const normalizedChat = normalizeChat(chat);
   const options = normalizePrefs(prefs);
@@ -271,74 +705,509 @@ const toPDF = async (chat, prefs = {}) => {
   }
 
   const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'a4' });
-  const margin = 40;
-  const pageHeight = doc.internal.pageSize.getHeight();
   const pageWidth = doc.internal.pageSize.getWidth();
-  const maxWidth = pageWidth - margin * 2;
-  const lineHeight = Math.max(16, Math.round(options.fontSize * 1.35));
-  const fontFamily = resolvePdfFont(options.fontStyle);
-  const colors = resolveBackgroundColors(options);
-  const backgroundRgb = hexToRgb(colors.page);
-  const textRgb = hexToRgb(colors.text);
-
-  doc.setFillColor(backgroundRgb[0], backgroundRgb[1], backgroundRgb[2]);
-  doc.rect(0, 0, pageWidth, pageHeight, 'F');
-  doc.setTextColor(textRgb[0], textRgb[1], textRgb[2]);
-  doc.setFont(fontFamily, 'normal');
-  doc.setFontSize(options.fontSize);
-
-  let y = margin;
-  y = await writePdfLine(doc, normalizedChat.title, y, pageHeight, margin, maxWidth, lineHeight, backgroundRgb);
+  const ctx = {
+    doc,
+    pageWidth,
+    pageHeight: doc.internal.pageSize.getHeight(),
+    maxWidth: pageWidth - PDF_MARGIN * 2,
+    fontFamily: resolvePdfFont(options.fontStyle),
+    fontSize: options.fontSize,
+    lineHeight: getPdfLineHeight(options.fontSize),
+    colors: resolvePdfPalette(resolveBackgroundColors(options)),
+    y: PDF_MARGIN
+  };
+  const entries = [];
+
+  paintPdfPage(ctx);
+  if (!options.includeCoverPage) {
+    writePdfTitle(ctx, normalizedChat, options);
+  }
+
+  if (options.contentMode === 'combined') {
+    entries.push(...writePdfMarkdown(ctx, getCombinedText(normalizedChat)));
+  } else {
+    for (let index = 0; index < normalizedChat.messages.length; index += 1) {
+      const message = normalizedChat.messages[index];
+      const messageNumber = options.includeMessageNumbers ? `${index + 1}. ` : '';
+      const label = `${messageNumber}${formatRole(message.role)}`;
+      const text = String(message.text || '').trim();
+      writePdfMessageHeader(ctx, label, message.role, buildTimestampPrefix(message, options).trim());
+      entries.push({ label: `${label}: ${getPdfExcerpt(text)}`, page: doc.getNumberOfPages(), y: ctx.y, depth: 0 });
+      writePdfMarkdown(ctx, text);
+      ctx.y += Math.round(ctx.lineHeight * 0.6);
+    }
+  }
+
+  const coverPages = options.includeCoverPage ? insertPdfCover(ctx, normalizedChat, options, entries) : 0;
+  writePdfPageNumbers(ctx, coverPages);
+
+  return doc.output('arraybuffer');
+};
+
+// ─── End PDF ─────────────────────────────────────────────────────────────────
+
+// ─── DOCX ────────────────────────────────────────────────────────────────────
+
+const DOCX_CODE_FONT = 'Consolas';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/** Escapes text for use inside WordprocessingML. */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and newlines are invalid in XML 1.0.
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/** Maps the export font preference to a font Word and Google Docs know. */
+const resolveDocxFont = (fontStyle) => {
+  const normalized = String(fontStyle || '').toLowerCase();
+  if (!normalized || normalized === 'system') return 'Calibri';
+  if (normalized.includes('jetbrains')) return DOCX_CODE_FONT;
+  if (normalized.includes('helivica')) return 'Helvetica';
+  if (normalized.includes('montstret')) return 'Montserrat';
+  return String(fontStyle).trim();
+};
+
+/** Returns one text run; marks is a set of 'bold', 'italic', and 'code'. */
+const buildDocxRun = (text, marks = {}) => {
+  // Run properties must follow the schema order: fonts, bold, italic, shading.
+  const props = [
+    marks.code ? `<w:rFonts w:ascii="${DOCX_CODE_FONT}" w:hAnsi="${DOCX_CODE_FONT}" w:cs="${DOCX_CODE_FONT}"/>` : '',
+    marks.bold ? '<w:b/>' : '',
+    marks.italic ? '<w:i/>' : '',
+    marks.code ? '<w:shd w:val="clear" w:color="auto" w:fill="EFEFEF"/>' : ''
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+};
+
+/** Converts inline markdown into text runs; baseMarks apply to every run (table header cells are bold). */
+const buildDocxInlineRuns = (text, baseMarks = {}) => parseInlineMarkdown(text)
+  .map((span) => buildDocxRun(span.text, {
+    bold: baseMarks.bold || span.bold,
+    italic: baseMarks.italic || span.italic,
+    code: baseMarks.code || span.code
+  }))
+  .join('');
+
+/** Returns one paragraph with an optional style id and paragraph properties. */
+const buildDocxParagraph = (runs, { style = '', props = '' } = {}) => {
+  const pPr = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${props}`;
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs}</w:p>`;
+};
+
+/** Builds a bordered table from markdown rows; the first row is bold. */
+const buildDocxTable = (rows) => {
+  const columns = Math.max(...rows.map((row) => row.length));
+  const grid = Array.from({ length: columns }, () => '<w:gridCol/>').join('');
+  const body = rows.map((row, rowIndex) => {
+    const cells = Array.from({ length: columns }, (_, column) => {
+      const runs = buildDocxInlineRuns(row[column] || '', { bold: rowIndex === 0 });
+      return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${buildDocxParagraph(runs)}</w:tc>`;
+    }).join('');
+    return `<w:tr>${rowIndex === 0 ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+  }).join('');
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="PromptiumTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${body}</w:tbl>`;
+};
+
+/** Converts message markdown into WordprocessingML paragraphs, code blocks, and tables. */
+const buildDocxBlocks = (markdown) => parseMarkdownBlocks(markdown).map((block) => {
+  if (block.type === 'code') {
+    const runs = block.lines.map((line, index) => `${index ? '<w:r><w:br/></w:r>' : ''}${buildDocxRun(line)}`).join('');
+    return buildDocxParagraph(runs, { style: 'PromptiumCode' });
+  }
+  if (block.type === 'table') {
+    return buildDocxTable(block.rows);
+  }
+  if (block.type === 'heading') {
+    return buildDocxParagraph(buildDocxInlineRuns(block.text), { style: 'Heading3' });
+  }
+  if (block.type === 'list') {
+    const indent = `<w:ind w:left="${360 * (block.depth + 1)}" w:hanging="360"/>`;
+    return buildDocxParagraph(`${buildDocxRun(block.marker)}<w:r><w:tab/></w:r>${buildDocxInlineRuns(block.text)}`, { props: indent });
+  }
+  return buildDocxParagraph(buildDocxInlineRuns(block.text));
+});
+
+/** Returns the styles part: body font and size from prefs, message headings, code blocks, and tables. */
+const buildDocxStyles = (options) => {
+  const font = escapeXml(resolveDocxFont(options.fontStyle));
+  // Export sizes are CSS pixels; Word sizes are half-points (1px = 0.75pt).
+  const size = Math.round(options.fontSize * 1.5);
+  const heading = (id, name, scale, { border = '', level = null } = {}) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/>${border}<w:spacing w:before="240" w:after="80"/>${level === null ? '' : `<w:outlineLvl w:val="${level}"/>`}</w:pPr><w:rPr><w:b/><w:sz w:val="${Math.round(size * scale)}"/></w:rPr></w:style>`;
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}" w:eastAsia="${font}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${heading('Title', 'Title', 1.8)}
+${heading('Heading2', 'heading 2', 1.2, { border: '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="2" w:color="BFBFBF"/></w:pBdr>', level: 1 })}
+${heading('Heading3', 'heading 3', 1.05, { level: 2 })}
+<w:style w:type="paragraph" w:styleId="PromptiumMeta"><w:name w:val="Export Details"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:color w:val="666666"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="PromptiumCode"><w:name w:val="Code Block"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/><w:spacing w:before="60" w:after="120" w:line="240" w:lineRule="auto"/><w:ind w:left="120" w:right="120"/></w:pPr><w:rPr><w:rFonts w:ascii="${DOCX_CODE_FONT}" w:hAnsi="${DOCX_CODE_FONT}" w:cs="${DOCX_CODE_FONT}"/><w:sz w:val="${Math.max(16, size - 4)}"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="PromptiumTable"><w:name w:val="Chat Table"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+};
+
+/**
+ * Converts chat data into a .docx file (a zipped WordprocessingML package) built entirely in the browser.
+ * Each message gets a role heading; message markdown becomes code blocks, tables, lists, and formatted text.
+ * Honors the date, platform, message number, timestamp, header, and content mode prefs; colors are not exported.
+ * Returns the file as a Uint8Array.
+ */
+const toDOCX = async (chat, prefs = {}) => {
+  const normalizedChat = normalizeChat(chat);
+  const options = normalizePrefs(prefs);
+
+  if (!window.ZipArchive?.createZip) {
+    throw new Error('ZIP writer is not loaded in the current context.');
+  }
+
+  const body = [buildDocxParagraph(buildDocxRun(normalizedChat.title), { style: 'Title' })];
 
   if (options.includePlatformLabel) {
-    y = await writePdfLine(
-      doc,
-      `Platform: ${normalizedChat.platform.toUpperCase()}`,
-      y,
-      pageHeight,
-      margin,
-      maxWidth,
-      lineHeight,
-      backgroundRgb
-    );
+    body.push(buildDocxParagraph(buildDocxRun(`Platform: ${normalizedChat.platform.toUpperCase()}`), { style: 'PromptiumMeta' }));
   }
 
   if (options.includeExportDate) {
-    y = await writePdfLine(doc, `Exported: ${new Date().toLocaleString()}`, y, pageHeight, margin, maxWidth, lineHeight, backgroundRgb);
+    body.push(buildDocxParagraph(buildDocxRun(`Exported: ${new Date().toLocaleString()}`), { style: 'PromptiumMeta' }));
   }
 
   if (options.headerText) {
-    y = await writePdfLine(doc, options.headerText, y, pageHeight, margin, maxWidth, lineHeight, backgroundRgb);
+    body.push(buildDocxParagraph(buildDocxRun(options.headerText), { style: 'Heading2' }));
   }
 
-  y += lineHeight;
-
   if (options.contentMode === 'combined') {
-    const combinedText = getCombinedText(normalizedChat);
-    y = await writePdfLine(doc, combinedText, y, pageHeight, margin, maxWidth, lineHeight, backgroundRgb);
+    body.push(...buildDocxBlocks(getCombinedText(normalizedChat)));
   } else {
     for (let index = 0; index < normalizedChat.messages.length; index += 1) {
       const message = normalizedChat.messages[index];
-      const role = formatRole(message.role);
-      const prefix = buildTimestampPrefix(message, options);
       const messageNumber = options.includeMessageNumbers ? `${index + 1}. ` : '';
-      y = await writePdfLine(
-        doc,
-        `${messageNumber}${role}: ${prefix}${String(message.text || '').trim()}`,
-        y,
-        pageHeight,
-        margin,
-        maxWidth,
-        lineHeight,
-        backgroundRgb
-      );
-      y += Math.round(lineHeight * 0.55);
+      const prefix = buildTimestampPrefix(message, options).trim();
+      const heading = `${messageNumber}${formatRole(message.role)}${prefix ? ` ${prefix}` : ''}`;
+      body.push(buildDocxParagraph(buildDocxRun(heading), { style: 'Heading2' }));
+      body.push(...buildDocxBlocks(String(message.text || '').trim()));
     }
   }
 
-  return doc.output('arraybuffer');
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(normalizedChat.title)}</dc:title><dc:creator>Promptium</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created></cp:coreProperties>`;
+
+  return window.ZipArchive.createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`
+    },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: buildDocxStyles(options) },
+    { name: 'docProps/core.xml', data: core }
+  ]);
+};
+
+// ─── End DOCX ────────────────────────────────────────────────────────────────
+
+// ─── Notes Vault ─────────────────────────────────────────────────────────────
+
+const NOTE_FLAVORS = ['obsidian', 'logseq'];
+// Folders inside a vault zip; Logseq reads every page from pages/.
+const NOTE_FOLDERS = {
+  obsidian: { chats: 'Promptium/Chats', prompts: 'Promptium/Prompts' },
+  logseq: { chats: 'pages', prompts: 'pages' }
+};
+// A prompt links to a chat only when this much of its text (placeholders aside) appears in a user message.
+const NOTE_PROMPT_MIN_CHARS = 20;
+const NOTE_PLACEHOLDER_PATTERN = /\{\{[^{}\n]*\}\}|\[[^[\]\n]{2,80}\](?!\()/g;
+
+/** Returns a note name without the characters vaults reject in file names and [[links]]. */
+const toNoteName = (value) => String(value || '')
+  .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .replace(/^[.\s]+/, '')
+  .slice(0, 100)
+  .trim() || 'Untitled';
+
+/**
+ * Returns a tag as a vault tag: no spaces or punctuation, never digits only, and no leading "-" or "/"
+ * (a leading "-" would also read as a nested YAML list item in frontmatter).
+ */
+const toNoteTag = (tag) => {
+  const slug = String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_/-]/gu, '').replace(/^[-/]+/, '');
+  return /^\d+$/.test(slug) ? `tag-${slug}` : slug;
+};
+
+/** Returns unique vault tags for a list of tags. */
+const toNoteTags = (tags) => Array.from(new Set((Array.isArray(tags) ? tags : []).map(toNoteTag).filter(Boolean)));
+
+/** Returns a local date-time (YYYY-MM-DDTHH:mm), which both Obsidian and Logseq read as a date, or '' when invalid. */
+const toNoteDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Builds YAML frontmatter from [key, value] pairs. Strings are JSON-quoted (valid YAML), arrays become
+ * block lists of already-formatted items, and empty values are left out.
+ */
+const buildFrontmatter = (fields) => {
+  const lines = ['---'];
+  for (const [key, value] of fields) {
+    if (Array.isArray(value)) {
+      if (value.length) lines.push(`${key}:`, ...value.map((item) => `  - ${item}`));
+    } else if (value) {
+      lines.push(`${key}: ${value}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+};
+
+/** Lowercases text and collapses whitespace runs, so prompt text matches regardless of line wrapping. */
+const toMatchText = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Returns a matcher for a prompt's text with its placeholders as wildcards, or null when too little fixed text
+ * is left. The fixed parts are found in order with indexOf, so matching stays linear in the message length.
+ */
+const buildPromptMatcher = (text) => {
+  const literals = String(text || '').split(NOTE_PLACEHOLDER_PATTERN).map(toMatchText).filter(Boolean);
+  if (literals.join('').replace(/\s+/g, '').length < NOTE_PROMPT_MIN_CHARS) {
+    return null;
+  }
+  return (candidate) => {
+    let position = 0;
+    for (const literal of literals) {
+      const index = candidate.indexOf(literal, position);
+      if (index === -1) return false;
+      position = index + literal.length;
+    }
+    return true;
+  };
+};
+
+/**
+ * Returns the library prompts whose text appears in one of the chat's user messages, in library order.
+ * Markdown escapes are dropped first, so messages converted from HTML still match the prompt text.
+ */
+const findUsedPrompts = (chat, prompts = []) => {
+  const userTexts = normalizeChat(chat).messages
+    .filter((message) => String(message?.role || '').toLowerCase() === 'user')
+    .map((message) => toMatchText(String(message?.text || '').replace(/\\([\\`*_{}[\]()#+\-.!>|~])/g, '$1')));
+  if (!userTexts.length) return [];
+
+  return (Array.isArray(prompts) ? prompts : []).filter((prompt) => {
+    const matches = buildPromptMatcher(prompt?.text);
+    return Boolean(matches) && userTexts.some(matches);
+  });
+};
+
+/**
+ * Converts chat data into a vault note: YAML frontmatter (title, platform, url, tags, created, exported, prompts),
+ * a #tag line, one section per message, and [[wikilinks]] to the library prompts used in the chat.
+ * linkNames maps prompt id -> note name so links match the prompt notes of a vault export; title overrides
+ * the frontmatter title (Logseq names pages after it).
+ */
+const toNote = async (chat, prefs = {}, { prompts = [], linkNames = null, title = '' } = {}) => {
+  const normalizedChat = normalizeChat(chat);
+  const options = normalizePrefs(prefs);
+  const tags = toNoteTags(chat?.tags);
+  const links = findUsedPrompts(normalizedChat, prompts)
+    .map((prompt) => `[[${linkNames?.get(prompt.id) || toNoteName(prompt.title)}]]`);
+
+  const frontmatter = buildFrontmatter([
+    ['title', JSON.stringify(title || normalizedChat.title)],
+    ['platform', options.includePlatformLabel ? normalizedChat.platform : ''],
+    ['url', chat?.url ? JSON.stringify(String(chat.url)) : ''],
+    ['tags', tags],
+    ['created', toNoteDate(normalizedChat.createdAt)],
+    ['exported', options.includeExportDate ? toNoteDate(new Date()) : ''],
+    ['prompts', links.map((link) => JSON.stringify(link))]
+  ]);
+
+  const sections = [`# ${normalizedChat.title}`];
+  if (tags.length) sections.push(tags.map((tag) => `#${tag}`).join(' '));
+  if (options.headerText) sections.push(options.headerText);
+
+  if (options.contentMode === 'combined') {
+    sections.push(getCombinedText(normalizedChat));
+  } else {
+    normalizedChat.messages.forEach((message, index) => {
+      const messageNumber = options.includeMessageNumbers ? `${index + 1}. ` : '';
+      const prefix = buildTimestampPrefix(message, options).trim();
+      sections.push(`## ${messageNumber}${formatRole(message.role)}${prefix ? ` ${prefix}` : ''}`, String(message.text || '').trim());
+    });
+  }
+
+  if (links.length) {
+    sections.push('## Prompts used', links.map((link) => `- ${link}`).join('\n'));
+  }
+
+  return `${frontmatter}\n\n${sections.filter(Boolean).join('\n\n')}\n`;
+};
+
+/** Converts a library prompt into a note named name, so chat notes' [[links]] resolve to it. */
+const toPromptNote = (prompt, name) => {
+  const frontmatter = buildFrontmatter([
+    ['title', JSON.stringify(name)],
+    ['tags', ['promptium-prompt', ...toNoteTags(prompt?.tags)]],
+    ['category', prompt?.category ? JSON.stringify(String(prompt.category)) : ''],
+    ['created', toNoteDate(prompt?.createdAt)],
+    ['updated', toNoteDate(prompt?.updatedAt)]
+  ]);
+  return `${frontmatter}\n\n# ${String(prompt?.title || name).trim()}\n\n${String(prompt?.text || '').trim()}\n`;
+};
+
+/**
+ * Builds a notes vault zip from saved chats. Each chat becomes "<date> <title>.md"; with includePrompts, every
+ * library prompt a chat links to gets its own note so the [[wikilinks]] resolve, and without it chat notes carry
+ * no prompt links. flavor picks the folders (Obsidian: Promptium/Chats and Promptium/Prompts; Logseq: pages).
+ * Returns the zip as a Uint8Array.
+ */
+const buildNotesVault = async (chats, { prefs = {}, prompts = [], flavor = 'obsidian', includePrompts = true } = {}) => {
+  if (!window.ZipArchive?.createZip) {
+    throw new Error('ZIP writer is not loaded in the current context.');
+  }
+
+  const safeFlavor = NOTE_FLAVORS.includes(flavor) ? flavor : 'obsidian';
+  const folders = NOTE_FOLDERS[safeFlavor];
+  const list = Array.isArray(chats) ? chats : [];
+  const taken = new Set();
+  const claimName = (folder, base) => {
+    let name = base;
+    for (let copy = 2; taken.has(`${folder}/${name}`.toLowerCase()); copy += 1) {
+      name = `${base} (${copy})`;
+    }
+    taken.add(`${folder}/${name}`.toLowerCase());
+    return name;
+  };
+
+  const usedByChat = list.map((chat) => (includePrompts ? findUsedPrompts(chat, prompts) : []));
+  const linkNames = new Map();
+  const entries = [];
+
+  for (const prompt of usedByChat.flat()) {
+    if (linkNames.has(prompt.id)) continue;
+    const name = claimName(folders.prompts, toNoteName(prompt.title));
+    linkNames.set(prompt.id, name);
+    entries.push({ name: `${folders.prompts}/${name}.md`, data: toPromptNote(prompt, name) });
+  }
+
+  for (let index = 0; index < list.length; index += 1) {
+    const chat = list[index];
+    const date = toNoteDate(chat?.createdAt).slice(0, 10);
+    const name = claimName(folders.chats, toNoteName(`${date} ${String(chat?.title || 'Untitled chat')}`));
+    const note = await toNote(chat, prefs, {
+      prompts: usedByChat[index],
+      linkNames,
+      title: safeFlavor === 'logseq' ? name : ''
+    });
+    entries.push({ name: `${folders.chats}/${name}.md`, data: note });
+  }
+
+  return window.ZipArchive.createZip(entries);
+};
+
+// ─── End Notes Vault ─────────────────────────────────────────────────────────
+
+// ─── Batch ───────────────────────────────────────────────────────────────────
+
+const DEFAULT_FILENAME_PATTERN = '{date}_{platform}_{title}';
+
+/**
+ * Fills a filename pattern for one chat and appends the extension. Tokens: {title}, {platform}, {date} (YYYY-MM-DD),
+ * {time} (HH-mm), {index} (position in the batch, zero-padded to the batch size), and {id}; unknown tokens stay as
+ * typed. Characters file systems reject become "-".
+ */
+const formatFilename = (pattern, chat, { index = 1, total = 1, extension = 'md' } = {}) => {
+  const created = toNoteDate(chat?.createdAt || new Date());
+  const values = {
+    title: String(chat?.title || 'Untitled chat').trim(),
+    platform: String(chat?.platform || 'unknown').trim().toLowerCase(),
+    date: created.slice(0, 10),
+    time: created.slice(11, 16).replace(':', '-'),
+    index: String(index).padStart(String(total).length, '0'),
+    id: String(chat?.id || '').slice(0, 8)
+  };
+  const base = String(pattern || DEFAULT_FILENAME_PATTERN)
+    .replace(/\{(\w+)\}/g, (match, token) => (Object.hasOwn(values, token) ? values[token] : match))
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 120)
+    .trim();
+  return `${base || 'chat'}.${extension}`;
 };
 
+/** Builds index.md for a batch zip: one row per file with its title, platform, date, message count, and tags. */
+const buildBatchIndex = (files, { formatLabel = '' } = {}) => {
+  const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+  const rows = files.map((file, index) => {
+    const chat = file.chat || {};
+    const created = toNoteDate(chat.createdAt).replace('T', ' ');
+    const tags = (Array.isArray(chat.tags) ? chat.tags : []).map((tag) => `#${toNoteTag(tag)}`).join(' ');
+    const messages = Array.isArray(chat.messages) ? chat.messages.length : 0;
+    return `| ${index + 1} | [${cell(file.filename)}](${encodeURIComponent(file.filename)}) | ${cell(chat.title)} | ${cell(chat.platform)} | ${created} | ${messages} | ${cell(tags)} |`;
+  });
+
+  return [
+    '# Promptium Export',
+    '',
+    `Exported ${new Date().toLocaleString()} · ${files.length} chat${files.length === 1 ? '' : 's'}${formatLabel ? ` · ${formatLabel}` : ''}`,
+    '',
+    '| # | File | Title | Platform | Created | Messages | Tags |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...rows,
+    ''
+  ].join('\n');
+};
+
+/**
+ * Packages batch export files [{ filename, data, chat }] into a zip with index.md first. Repeated filenames get
+ * " (2)", " (3)" before the extension. Returns the zip as a Uint8Array.
+ */
+const buildBatchZip = (files, options = {}) => {
+  if (!window.ZipArchive?.createZip) {
+    throw new Error('ZIP writer is not loaded in the current context.');
+  }
+
+  const taken = new Set(['index.md']);
+  const named = files.map((file) => {
+    const dot = file.filename.lastIndexOf('.');
+    const stem = dot > 0 ? file.filename.slice(0, dot) : file.filename;
+    const extension = dot > 0 ? file.filename.slice(dot) : '';
+    let filename = file.filename;
+    for (let copy = 2; taken.has(filename.toLowerCase()); copy += 1) {
+      filename = `${stem} (${copy})${extension}`;
+    }
+    taken.add(filename.toLowerCase());
+    return { ...file, filename };
+  });
+
+  return window.ZipArchive.createZip([
+    { name: 'index.md', data: buildBatchIndex(named, options) },
+    ...named.map((file) => ({ name: file.filename, data: file.data }))
+  ]);
+};
+
+// ─── End Batch ───────────────────────────────────────────────────────────────
+
 /** Downloads content as a file via a Blob-backed temporary anchor. */
 const downloadBlob = (content, filename, mimeType) => {
   const blob = new Blob([content], { type: mimeType });
@@ -352,7 +1221,7 @@ const downloadBlob = (content, filename, mimeType) => {
   URL.revokeObjectURL(url);
 };
 
-/** Routes chat export to markdown, text, or PDF and returns operation status. */
+/** Routes chat export to markdown, text, vault note, DOCX, or PDF and returns operation status. */
 const exportChat = async (chat, format = 'md', prefs = {}) => {
   try {
     const normalized = String(format || 'md').toLowerCase();
@@ -369,6 +1238,18 @@ const exportChat = async (chat, format = 'md', prefs = {}) => {
       return { ok: true };
     }
 
+    if (normalized === 'docx') {
+      const docxData = await toDOCX(chat, prefs);
+      downloadBlob(docxData, buildFilename(chat, 'docx'), DOCX_MIME_TYPE);
+      return { ok: true };
+    }
+
+    if (normalized === 'notes' || normalized === 'note') {
+      const note = await toNote(chat, prefs);
+      downloadBlob(note, buildFilename(chat, 'md'), 'text/markdown;charset=utf-8');
+      return { ok: true };
+    }
+
     if (normalized === 'pdf') {
       const pdfData = await toPDF(chat, prefs);
       downloadBlob(pdfData, buildFilename(chat, 'pdf'), 'application/pdf');
@@ -444,6 +1325,12 @@ const Exporter = {
   toTXT,
   toJSON,
   toPDF,
+  toDOCX,
+  toNote,
+  buildNotesVault,
+  findUsedPrompts,
+  formatFilename,
+  buildBatchZip,
   toClipboardText,
   downloadBlob,
   exportChat
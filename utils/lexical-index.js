@@ -0,0 +1,306 @@
+(() => {
+/**
+ * File: utils/lexical-index.js
+ * Purpose: Model-free lexical ranking: an inverted index over prompt title, tags, category, and text with
+ * BM25F scoring, field boosts, light stemming, and typo-tolerant (edit distance) and prefix matching.
+ * Indexes sync incrementally, so only prompts whose content changed are re-tokenized.
+ * Communicates with: utils/prompt-search.js, utils/ai.js, utils/templates.js.
+ */
+
+// Field boosts: a hit in the title counts for more than the same hit in the body.
+const FIELD_BOOSTS = { title: 3, tags: 2.5, category: 1.5, text: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Query-term weights for approximate matches, relative to an exact (stemmed) hit.
+const PREFIX_WEIGHT = 0.6;
+const FUZZY_WEIGHT = 0.7;
+const SYNONYM_WEIGHT = 0.35;
+const PHRASE_BOOST = 1.25;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with', 'you', 'your'
+]);
+
+// Ordered longest-first; the replacement is appended to what remains.
+const STEM_SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+  ['ations', 'ate'], ['ation', 'ate'], ['ments', ''], ['ment', ''], ['ness', ''],
+  ['ings', ''], ['ing', ''], ['edly', ''], ['ed', ''], ['ers', ''], ['er', ''], ['ly', '']
+];
+// Suffixes after which a doubled final consonant is undone ("debugging" -> "debug").
+const UNDOUBLE_SUFFIXES = new Set(['ings', 'ing', 'edly', 'ed', 'ers', 'er']);
+
+/** Reduces a lowercase word to a stem shared by its common inflections ("reviews", "reviewing" -> "review"). */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let base = word;
+
+  if (base.endsWith('sses')) {
+    base = base.slice(0, -2);
+  } else if (base.endsWith('ies') && base.length > 4) {
+    base = `${base.slice(0, -3)}y`;
+  } else {
+    const rule = STEM_SUFFIXES.find(([suffix]) => base.endsWith(suffix) && base.length - suffix.length >= 3);
+    if (rule) {
+      base = base.slice(0, -rule[0].length) + rule[1];
+      if (UNDOUBLE_SUFFIXES.has(rule[0]) && /([^aeiouslz])\1$/.test(base)) base = base.slice(0, -1);
+    } else if (base.endsWith('s') && !/(ss|us|is)$/.test(base)) {
+      base = base.slice(0, -1);
+    }
+  }
+
+  // A trailing silent e is dropped so "code" and "coding" meet at "cod".
+  return base.length > 3 && base.endsWith('e') ? base.slice(0, -1) : base;
+};
+
+/** Splits text into lowercase words, dropping stop words and single characters. */
+const tokenize = (value) => String(value || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+/**
+ * Returns the Damerau-Levenshtein distance between two strings, or max + 1 once it must exceed max.
+ * Adjacent transpositions count as one edit ("refcator" -> "refactor").
+ */
+const editDistance = (left, right, max = 2) => {
+  if (Math.abs(left.length - right.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: right.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= left.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+
+  return row[right.length];
+};
+
+/** Returns how many typos a query term of this length may contain. */
+const allowedEdits = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+/** Returns a 32-bit FNV-1a hash, used to spot changed prompts without keeping their text. */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/** Returns the indexed field values of a prompt-like record. */
+const readFields = (doc) => ({
+  title: String(doc?.title || ''),
+  tags: Array.isArray(doc?.tags) ? doc.tags.join(' ') : String(doc?.tags || ''),
+  category: String(doc?.category || ''),
+  text: String(doc?.text || '')
+});
+
+/**
+ * Creates an empty index. Documents are prompt-like records with an id; call sync() with the current
+ * list before searching. search() returns [{ id, score }] best first, scores unnormalized.
+ */
+const createLexicalIndex = ({ boosts = FIELD_BOOSTS } = {}) => {
+  const fieldNames = Object.keys(boosts);
+  const postings = new Map(); // stem -> Map(docId -> { field: termFrequency })
+  const docs = new Map(); // docId -> { hash, lengths, terms }
+  const fieldTotals = Object.fromEntries(fieldNames.map((field) => [field, 0]));
+
+  const remove = (id) => {
+    const entry = docs.get(id);
+    if (!entry) return;
+    for (const term of entry.terms) {
+      const list = postings.get(term);
+      list?.delete(id);
+      if (list && !list.size) postings.delete(term);
+    }
+    for (const field of fieldNames) fieldTotals[field] -= entry.lengths[field];
+    docs.delete(id);
+  };
+
+  const add = (doc, hash) => {
+    const fields = readFields(doc);
+    const lengths = {};
+    const terms = new Set();
+
+    for (const field of fieldNames) {
+      const words = tokenize(fields[field]).map(stem);
+      lengths[field] = words.length;
+      fieldTotals[field] += words.length;
+      for (const word of words) {
+        terms.add(word);
+        if (!postings.has(word)) postings.set(word, new Map());
+        const frequencies = postings.get(word);
+        const counts = frequencies.get(doc.id) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        frequencies.set(doc.id, counts);
+      }
+    }
+
+    docs.set(doc.id, { hash, lengths, terms });
+  };
+
+  /** Makes the index match a document list: new and edited documents are re-indexed, missing ones dropped. */
+  const sync = (list) => {
+    const seen = new Set();
+    for (const doc of Array.isArray(list) ? list : []) {
+      if (!doc?.id) continue;
+      seen.add(doc.id);
+      const fields = readFields(doc);
+      const hash = hashString(fieldNames.map((field) => fields[field]).join('\u0000'));
+      if (docs.get(doc.id)?.hash === hash) continue;
+      remove(doc.id);
+      add(doc, hash);
+    }
+    for (const id of Array.from(docs.keys())) {
+      if (!seen.has(id)) remove(id);
+    }
+  };
+
+  /** Returns stem -> { weight, kind } for the vocabulary a query word may match; kind is exact, typo, prefix, or synonym. */
+  const expandTerm = (word, { isLast, synonyms, synonymWeight }) => {
+    const variants = new Map();
+    const consider = (term, weight, kind) => {
+      if (postings.has(term) && weight > (variants.get(term)?.weight || 0)) variants.set(term, { weight, kind });
+    };
+    const base = stem(word);
+    consider(base, 1, 'exact');
+
+    const maxEdits = allowedEdits(word);
+    const prefixable = isLast && word.length >= 3;
+    if (maxEdits || prefixable) {
+      for (const term of postings.keys()) {
+        if (prefixable && term.startsWith(base)) consider(term, PREFIX_WEIGHT, 'prefix');
+        if (maxEdits) {
+          const distance = Math.min(editDistance(base, term, maxEdits), editDistance(word, term, maxEdits));
+          if (distance > 0 && distance <= maxEdits) consider(term, FUZZY_WEIGHT / distance, 'typo');
+        }
+      }
+    }
+
+    for (const synonym of synonyms ? synonyms(word) : []) {
+      for (const term of tokenize(synonym).map(stem)) consider(term, synonymWeight, 'synonym');
+    }
+    return variants;
+  };
+
+  /** Returns the BM25F score contribution of one stem for every document containing it. */
+  const scoreTerm = (term) => {
+    const frequencies = postings.get(term);
+    const total = docs.size;
+    const idf = Math.log(1 + (total - frequencies.size + 0.5) / (frequencies.size + 0.5));
+    const scores = new Map();
+
+    for (const [id, counts] of frequencies) {
+      const { lengths } = docs.get(id);
+      let weighted = 0;
+      for (const [field, count] of Object.entries(counts)) {
+        const average = fieldTotals[field] / total || 1;
+        weighted += (boosts[field] * count) / (1 - BM25_B + BM25_B * (lengths[field] / average));
+      }
+      scores.set(id, idf * ((weighted * (BM25_K1 + 1)) / (weighted + BM25_K1)));
+    }
+    return scores;
+  };
+
+  /**
+   * Ranks indexed documents for a query. Each query word takes its best-matching variant per document
+   * (exact stem, typo, prefix for the last word, or synonym), so variants never double count.
+   * synonyms is an optional (word) => string[] whose results count at synonymWeight.
+   * Each result lists its matches as [{ word, term, kind, fields }] for "why this matched" labels.
+   */
+  const search = (query, { synonyms = null, synonymWeight = SYNONYM_WEIGHT } = {}) => {
+    const words = Array.from(new Set(tokenize(query)));
+    if (!words.length || !docs.size) return [];
+
+    const totals = new Map();
+    const matches = new Map();
+    const termScores = new Map();
+    words.forEach((word, index) => {
+      const best = new Map();
+      for (const [term, { weight, kind }] of expandTerm(word, { isLast: index === words.length - 1, synonyms, synonymWeight })) {
+        if (!termScores.has(term)) termScores.set(term, scoreTerm(term));
+        for (const [id, score] of termScores.get(term)) {
+          if (score * weight > (best.get(id)?.score || 0)) best.set(id, { score: score * weight, term, kind });
+        }
+      }
+      for (const [id, { score, term, kind }] of best) {
+        totals.set(id, (totals.get(id) || 0) + score);
+        if (!matches.has(id)) matches.set(id, []);
+        matches.get(id).push({ word, term, kind, fields: Object.keys(postings.get(term).get(id)) });
+      }
+    });
+
+    return Array.from(totals, ([id, score]) => ({ id, score, matches: matches.get(id) }))
+      .sort((left, right) => right.score - left.score);
+  };
+
+  return { sync, search, has: (id) => docs.has(id), get size() { return docs.size; } };
+};
+
+/**
+ * Searches an already-synced index and returns the hits found in records (id -> record) best first, each copied
+ * with a _lexicalScore between 0 and 1 relative to the top hit and its _lexicalMatches. Documents outside records
+ * are skipped but still count toward term statistics, so a filtered pool ranks the same as the whole index.
+ * Multi-word queries that appear verbatim in a record rank a little higher.
+ */
+const rankIndexed = (index, query, byId, options = {}) => {
+  const phrase = String(query || '').trim().toLowerCase();
+  const isPhrase = tokenize(phrase).length > 1;
+  const results = index.search(query, options)
+    .filter((result) => byId.has(result.id))
+    .map((result) => {
+      const fields = readFields(byId.get(result.id));
+      const verbatim = isPhrase && Object.values(fields).some((value) => value.toLowerCase().includes(phrase));
+      return { ...result, score: verbatim ? result.score * PHRASE_BOOST : result.score };
+    })
+    .sort((left, right) => right.score - left.score);
+
+  if (!results.length) return [];
+  const top = results[0].score || 1;
+  return results.map((result) => ({
+    ...byId.get(result.id),
+    _lexicalScore: result.score / top,
+    _lexicalMatches: result.matches
+  }));
+};
+
+/** Syncs an index to a list and ranks that list (see rankIndexed). */
+const rankDocuments = (index, query, list, options = {}) => {
+  index.sync(list);
+  return rankIndexed(index, query, new Map(list.map((doc) => [doc.id, doc])), options);
+};
+
+const LexicalIndex = {
+  FIELD_BOOSTS,
+  stem,
+  tokenize,
+  editDistance,
+  createLexicalIndex,
+  rankIndexed,
+  rankDocuments
+};
+
+if (typeof window !== 'undefined') {
+  window.LexicalIndex = LexicalIndex;
+}
+
+})();
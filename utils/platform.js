@@ -1,8 +1,9 @@
 (() => {
 /**
  * File: utils/platform.js
- * Purpose: Defines platform-specific selectors and detection logic for supported LLM websites.
- * Communicates with: content/content.js, content/scraper.js, content/injector.js, content/toolbar.js, popup/popup.js.
+ * Purpose: Defines platform-specific selectors and detection logic for supported LLM websites,
+ * falling back to user-defined adapters from utils/custom-platforms.js.
+ * Communicates with: utils/custom-platforms.js, content/content.js, content/scraper.js, content/injector.js, content/toolbar.js, popup/popup.js.
  */
 
 const SELECTORS = {
@@ -10,42 +11,106 @@ const SELECTORS = {
     userMsg: '[data-message-author-role="user"]',
     botMsg: '[data-message-author-role="assistant"]',
     input: '#prompt-textarea',
-    inputParent: 'div.relative.flex, form'
+    inputParent: 'div.relative.flex, form',
+    sendButton: '#composer-submit-button, button[data-testid="send-button"]',
+    stopButton: 'button[data-testid="stop-button"]',
+    injection: 'react'
   },
   claude: {
     userMsg: '[data-testid="user-message"], .human-turn, [data-is-human="true"]',
     botMsg: '[data-testid="assistant-message"], .assistant-turn, [data-is-assistant="true"]',
     input: 'div[contenteditable="true"]',
-    inputParent: 'form, div:has(> div[contenteditable="true"])'
+    inputParent: 'form, div:has(> div[contenteditable="true"])',
+    sendButton: 'button[aria-label="Send message"], button[aria-label="Send Message"]',
+    stopButton: 'button[aria-label="Stop response"], [data-is-streaming="true"]'
   },
   gemini: {
     userMsg: '.user-query-bubble-with-background, [data-turn-role="user"]',
     botMsg: '.model-response-text, [data-turn-role="model"]',
     input: 'div[contenteditable="true"].ql-editor, rich-textarea div[contenteditable="true"]',
-    inputParent: 'div.input-area-container, form'
+    inputParent: 'div.input-area-container, form',
+    sendButton: 'button.send-button:not(.stop), button[aria-label="Send message"]',
+    stopButton: 'button.send-button.stop, button[aria-label="Stop response"]'
   },
   perplexity: {
     userMsg: '[data-message-author-role="user"], .break-words:not([class*="assistant"])',
     botMsg: '[data-message-author-role="assistant"]',
     input: 'textarea[placeholder]',
-    inputParent: 'form, div.grow'
+    inputParent: 'form, div.grow',
+    sendButton: 'button[aria-label="Submit"], button[data-testid="submit-button"]',
+    stopButton: 'button[aria-label="Stop generating response"], button[data-testid="stop-generating-response-button"]'
   },
   copilot: {
     userMsg: '[data-content="user-message"]',
     botMsg: '[data-content="ai-message"]',
     input: 'textarea#userInput, div[contenteditable="true"]',
-    inputParent: 'form, div.input-container'
+    inputParent: 'form, div.input-container',
+    sendButton: 'button[data-testid="submit-button"], button[aria-label="Submit message"]',
+    stopButton: 'button[data-testid="stop-button"], button[aria-label="Stop responding"]'
   }
 };
 
+// Tried in order when the primary selector matches nothing, so a markup change degrades to an older or
+// more generic selector instead of an empty export. Keep the most specific candidates first.
+const FALLBACK_SELECTORS = {
+  chatgpt: {
+    userMsg: ['article[data-turn="user"]', 'div[data-testid^="conversation-turn-"] .whitespace-pre-wrap'],
+    botMsg: ['article[data-turn="assistant"]', 'div[data-testid^="conversation-turn-"] .markdown'],
+    input: ['div.ProseMirror[contenteditable="true"]', 'form textarea'],
+    inputParent: ['form[data-type="unified-composer"]', 'main form'],
+    sendButton: ['button[aria-label="Send prompt"]', 'form button[type="submit"]']
+  },
+  claude: {
+    userMsg: ['.font-user-message'],
+    botMsg: ['.font-claude-response', '.font-claude-message'],
+    input: ['div.ProseMirror[contenteditable="true"]', 'fieldset div[contenteditable="true"]'],
+    inputParent: ['fieldset'],
+    sendButton: ['fieldset button[type="submit"]', 'button[aria-label^="Send"]']
+  },
+  gemini: {
+    userMsg: ['user-query .query-text', 'user-query'],
+    botMsg: ['message-content .markdown', 'model-response'],
+    input: ['div[role="textbox"][contenteditable="true"]'],
+    inputParent: ['input-area-v2', 'rich-textarea'],
+    sendButton: ['button[aria-label^="Send"]']
+  },
+  perplexity: {
+    userMsg: ['div[class*="group/query"]', 'h1[class*="query"]'],
+    botMsg: ['div[id^="markdown-content-"]', 'div.prose'],
+    input: ['#ask-input', 'div[contenteditable="true"][role="textbox"]', 'textarea'],
+    inputParent: ['div:has(> #ask-input)', 'form'],
+    sendButton: ['button[type="submit"]']
+  },
+  copilot: {
+    userMsg: ['[data-testid="user-message"]', 'div[class*="user-message"]'],
+    botMsg: ['[data-testid="ai-message"]', 'div[class*="ai-message"]'],
+    input: ['textarea[data-testid="composer-input"]', 'textarea'],
+    inputParent: ['[data-testid="composer"]', 'form'],
+    sendButton: ['button[aria-label^="Submit"]', 'form button[type="submit"]']
+  }
+};
+
+const SELECTOR_KEYS = ['userMsg', 'botMsg', 'input', 'inputParent'];
+
+// Used only by auto-submit: the send button to click and, while a response streams, the stop control.
+const OPTIONAL_SELECTOR_KEYS = ['sendButton', 'stopButton'];
+
 /** Returns true when a selector config contains all required shape keys. */
 const hasRequiredSelectors = async (config) => {
   if (!config) {
     return false;
   }
 
-  const requiredKeys = ['userMsg', 'botMsg', 'input', 'inputParent'];
-  return requiredKeys.every((key) => typeof config[key] === 'string' && config[key].trim().length > 0);
+  return SELECTOR_KEYS.every((key) => typeof config[key] === 'string' && config[key].trim().length > 0);
+};
+
+/** Returns how many nodes a selector matches on the page, or -1 when the selector is invalid. */
+const countSelectorMatches = (selector) => {
+  try {
+    return document.querySelectorAll(selector).length;
+  } catch (_error) {
+    return -1;
+  }
 };
 
 /** Detects the current platform from the page hostname. */
@@ -72,25 +137,101 @@ const detect = async () => {
     return 'copilot';
   }
 
-  return null;
+  const custom = await window.CustomPlatforms?.findForHost(host);
+  return custom ? custom.id : null;
 };
 
-/** Returns selector config for a supplied or detected platform. */
+/** Returns the user-defined adapter for a platform id, or null for built-ins and unknown ids. */
+const getCustomPlatform = async (platform) => {
+  if (!platform || SELECTORS[platform] || !window.CustomPlatforms) {
+    return null;
+  }
+
+  const platforms = await window.CustomPlatforms.getCustomPlatforms();
+  return platforms.find((item) => item.id === platform) || null;
+};
+
+/** Returns the primary selector config for a built-in or user-defined platform. */
+const getPrimarySelectors = async (platform) => SELECTORS[platform] || (await getCustomPlatform(platform))?.selectors || null;
+
+/**
+ * Returns every selector candidate per key, primary first, as { key: [{ selector, source }] }.
+ * Optional keys are included only when the platform defines them. User-defined platforms have no fallbacks.
+ */
+const getSelectorCandidates = async (platform) => {
+  const config = await getPrimarySelectors(platform);
+
+  if (!(await hasRequiredSelectors(config))) {
+    return null;
+  }
+
+  const candidates = {};
+  for (const key of [...SELECTOR_KEYS, ...OPTIONAL_SELECTOR_KEYS]) {
+    if (typeof config[key] !== 'string' || !config[key].trim()) {
+      continue;
+    }
+    const fallbacks = FALLBACK_SELECTORS[platform]?.[key] || [];
+    candidates[key] = [
+      { selector: config[key], source: 'primary' },
+      ...fallbacks.map((selector) => ({ selector, source: 'fallback' }))
+    ];
+  }
+  return candidates;
+};
+
+/** Returns selector config for a supplied or detected platform, with each key resolved through its fallbacks. */
 const getSelectors = async (platform = null) => {
   const resolvedPlatform = platform || (await detect());
 
-  if (!resolvedPlatform || !SELECTORS[resolvedPlatform]) {
+  if (!resolvedPlatform) {
+    return null;
+  }
+
+  const config = await getPrimarySelectors(resolvedPlatform);
+  const candidates = await getSelectorCandidates(resolvedPlatform);
+
+  if (!candidates) {
     return null;
   }
 
-  const config = SELECTORS[resolvedPlatform];
-  return (await hasRequiredSelectors(config)) ? config : null;
+  const resolved = { ...config };
+  for (const key of Object.keys(candidates)) {
+    // The primary stays active when nothing matches yet (empty chat, page still loading).
+    const match = candidates[key].find((candidate) => countSelectorMatches(candidate.selector) > 0);
+    resolved[key] = match ? match.selector : config[key];
+  }
+  return resolved;
+};
+
+/** Returns the injection strategy (auto, react, execCommand, value) for a platform. */
+const getInjectionStrategy = async (platform) => {
+  if (SELECTORS[platform]) {
+    return SELECTORS[platform].injection || 'auto';
+  }
+
+  return (await getCustomPlatform(platform))?.injection || 'auto';
+};
+
+/** Returns the display label for a built-in or user-defined platform. */
+const getLabel = async (platform) => {
+  if (PLATFORM_LABELS[platform]) {
+    return PLATFORM_LABELS[platform];
+  }
+
+  return (await getCustomPlatform(platform))?.label || String(platform || 'Unknown');
 };
 
 const Platform = {
   SELECTORS,
+  FALLBACK_SELECTORS,
+  SELECTOR_KEYS,
+  OPTIONAL_SELECTOR_KEYS,
   detect,
-  getSelectors
+  getSelectors,
+  getSelectorCandidates,
+  countSelectorMatches,
+  getInjectionStrategy,
+  getLabel
 };
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,575 @@
+(() => {
+/**
+ * File: utils/prompt-search.js
+ * Purpose: Shared prompt search: the query language (field filters, negation, OR groups), keyword
+ * filtering with BM25 ranking, and optional fusion with the service worker's semantic ranking, used by the
+ * side panel library and chat history search, the popup, and the in-page slash picker.
+ * Communicates with: utils/lexical-index.js, utils/ai-bridge.js, sidepanel/sidepanel.js, popup/popup.js, content/prompt-picker.js.
+ */
+
+// Field filters recognised before a colon, e.g. tag:coding or used:>5.
+const QUERY_FIELDS = ['tag', 'title', 'text', 'platform', 'collection', 'is', 'used', 'created', 'updated'];
+const COMPARED_FIELDS = ['used', 'created', 'updated'];
+const IS_VALUES = ['favorite', 'pinned'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Formats a date as local YYYY-MM-DD so date filters compare whole days. */
+const toLocalDay = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/** Resolves a date filter value (YYYY-MM-DD, YYYY-MM, YYYY, or a relative "30d") to a local day, or ''. */
+const parseDayValue = (value) => {
+  const relative = /^(\d+)d$/i.exec(value);
+  if (relative) return toLocalDay(new Date(Date.now() - Number(relative[1]) * DAY_MS));
+  const absolute = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(value);
+  if (!absolute) return '';
+  const [, year, month = '01', day = '01'] = absolute;
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  return Number.isNaN(date.getTime()) || date.getMonth() !== Number(month) - 1 ? '' : toLocalDay(date);
+};
+
+/** Reads a quoted string starting at a double quote. Returns { value, end, closed }. */
+const readQuoted = (input, start) => {
+  const close = input.indexOf('"', start + 1);
+  return close === -1
+    ? { value: input.slice(start + 1), end: input.length, closed: false }
+    : { value: input.slice(start + 1, close), end: close + 1, closed: true };
+};
+
+/** Returns the end index of a bare word: up to whitespace or a parenthesis. */
+const readWord = (input, start) => {
+  let end = start;
+  while (end < input.length && !/[\s()]/.test(input[end])) end += 1;
+  return end;
+};
+
+/**
+ * Returns the error for a field term's value, or ''. Comparators are only valid on used/created/updated.
+ */
+const validateTerm = (term) => {
+  if (!term.field) return term.closed === false ? 'Missing closing quote.' : '';
+  if (!term.value) return `${term.field}: needs a value.`;
+  if (term.closed === false) return 'Missing closing quote.';
+  if (term.op !== '=' && !COMPARED_FIELDS.includes(term.field)) return `${term.field}: does not support ${term.op}.`;
+  if (term.field === 'used' && !/^\d+$/.test(term.value)) return 'used: expects a number, e.g. used:>5.';
+  if ((term.field === 'created' || term.field === 'updated') && !parseDayValue(term.value)) {
+    return `${term.field}: expects a date like 2026-01-01 or 30d.`;
+  }
+  if (term.field === 'is' && !IS_VALUES.includes(term.value.toLowerCase())) {
+    return `is: expects ${IS_VALUES.join(' or ')}.`;
+  }
+  return '';
+};
+
+/**
+ * Splits a query into positioned tokens for parsing and highlighting. Kinds: 'space', 'open', 'close',
+ * 'not' (a minus before a parenthesis), 'or', and 'term'. Terms carry { negated, field, op, value,
+ * valueStart, closed, error }; field is '' for free text and closed is false for an unterminated quote.
+ */
+const tokenizeQuery = (input) => {
+  const source = String(input || '');
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const start = index;
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      while (index < source.length && /\s/.test(source[index])) index += 1;
+      tokens.push({ kind: 'space', start, end: index });
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ kind: char === '(' ? 'open' : 'close', start, end: index + 1 });
+      index += 1;
+      continue;
+    }
+    if (char === '-' && source[index + 1] === '(') {
+      tokens.push({ kind: 'not', start, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    const negated = char === '-' && index + 1 < source.length && !/\s/.test(source[index + 1]);
+    let cursor = negated ? index + 1 : index;
+    const term = { kind: 'term', start, negated, field: '', op: '=', value: '', valueStart: cursor, closed: true };
+    const fieldMatch = /^([a-z]+):/i.exec(source.slice(cursor));
+
+    if (fieldMatch && QUERY_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      term.field = fieldMatch[1].toLowerCase();
+      cursor += fieldMatch[0].length;
+      const op = /^(>=|<=|>|<|=)/.exec(source.slice(cursor));
+      if (op) {
+        term.op = op[1];
+        cursor += op[1].length;
+      }
+      term.valueStart = cursor;
+    }
+
+    if (source[cursor] === '"') {
+      const quoted = readQuoted(source, cursor);
+      Object.assign(term, { value: quoted.value, closed: quoted.closed, quoted: true });
+      cursor = quoted.end;
+    } else {
+      const end = readWord(source, cursor);
+      term.value = source.slice(cursor, end);
+      cursor = end;
+    }
+    term.end = cursor;
+    index = cursor;
+
+    if (!term.field && !term.negated && !term.quoted && term.value === 'OR') {
+      tokens.push({ kind: 'or', start, end: term.end });
+      continue;
+    }
+    if (!term.field && !term.negated && !term.quoted && term.value === 'AND') {
+      tokens.push({ kind: 'and', start, end: term.end });
+      continue;
+    }
+    term.error = validateTerm(term);
+    tokens.push(term);
+  }
+
+  return tokens;
+};
+
+/**
+ * Parses a query into { filter, text, errors, tokens }.
+ * filter is a tree of { type: 'and' | 'or' | 'not' | 'term' } nodes, or null when nothing filters.
+ * Free words outside OR groups and negation become text, which is ranked by keyword and semantic search
+ * rather than filtered; words inside OR groups are matched as keywords. Invalid terms are dropped.
+ */
+const parseQuery = (input) => {
+  const tokens = tokenizeQuery(input);
+  const stream = tokens.filter((token) => token.kind !== 'space' && token.kind !== 'and');
+  const errors = tokens.filter((token) => token.error).map((token) => token.error);
+  let position = 0;
+
+  const parseOr = () => {
+    const branches = [parseAnd()];
+    while (stream[position]?.kind === 'or') {
+      position += 1;
+      branches.push(parseAnd());
+    }
+    const valid = branches.filter(Boolean);
+    if (branches.length > 1 && valid.length < branches.length) errors.push('OR needs a condition on both sides.');
+    if (valid.length <= 1) return valid[0] || null;
+    return { type: 'or', children: valid };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < stream.length && stream[position].kind !== 'or' && stream[position].kind !== 'close') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (children.length <= 1) return children[0] || null;
+    return { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = stream[position];
+    position += 1;
+
+    if (token.kind === 'not' || token.kind === 'open') {
+      if (token.kind === 'not') position += 1;
+      const inner = parseOr();
+      if (stream[position]?.kind === 'close') {
+        position += 1;
+      } else {
+        errors.push('Missing closing parenthesis.');
+      }
+      if (!inner) return null;
+      return token.kind === 'not' ? { type: 'not', child: inner } : inner;
+    }
+    if (token.error || !token.value) return null;
+
+    const node = { type: 'term', field: token.field, op: token.op, value: token.value };
+    return token.negated ? { type: 'not', child: node } : node;
+  };
+
+  let root = null;
+  while (position < stream.length) {
+    const node = parseOr();
+    if (stream[position]?.kind === 'close') {
+      errors.push('Unexpected closing parenthesis.');
+      position += 1;
+    }
+    if (node) root = root ? { type: 'and', children: [...(root.type === 'and' ? root.children : [root]), node] } : node;
+  }
+
+  // Top-level free text ranks results instead of filtering them.
+  const topLevel = root?.type === 'and' ? root.children : root ? [root] : [];
+  const isFreeText = (node) => node.type === 'term' && !node.field;
+  const text = topLevel.filter(isFreeText).map((node) => node.value).join(' ');
+  const rest = topLevel.filter((node) => !isFreeText(node));
+  const filter = rest.length > 1 ? { type: 'and', children: rest } : rest[0] || null;
+
+  return { filter, text, errors: Array.from(new Set(errors)), tokens };
+};
+
+/** Compares two values with a query comparator. */
+const compareWith = (op, left, right) => {
+  if (op === '>') return left > right;
+  if (op === '>=') return left >= right;
+  if (op === '<') return left < right;
+  if (op === '<=') return left <= right;
+  return left === right;
+};
+
+/**
+ * Tests one prompt against a parsed filter. context may carry usage (promptId -> usage summary entry,
+ * for used: and platform:) and collectionPaths (collectionId -> "Work › Backend" label, for collection:).
+ */
+const matchesQuery = (filter, prompt, context = {}) => {
+  if (!filter) return true;
+  if (filter.type === 'and') return filter.children.every((child) => matchesQuery(child, prompt, context));
+  if (filter.type === 'or') return filter.children.some((child) => matchesQuery(child, prompt, context));
+  if (filter.type === 'not') return !matchesQuery(filter.child, prompt, context);
+
+  const value = filter.value.toLowerCase();
+  const includes = (source) => String(source || '').toLowerCase().includes(value);
+  const usage = context.usage?.get(prompt.id);
+
+  switch (filter.field) {
+    case 'tag':
+      return (prompt.tags || []).some((tag) => String(tag).toLowerCase() === value);
+    case 'title':
+      return includes(prompt.title);
+    case 'text':
+      return includes(prompt.text);
+    case 'platform':
+      // Chat history records carry their platform; prompts match where they were used.
+      return String(prompt.platform || '').toLowerCase() === value
+        || Object.keys(usage?.platforms || {}).some((platform) => platform.toLowerCase() === value);
+    case 'collection':
+      return includes(context.collectionPaths?.get(prompt.collectionId));
+    case 'is':
+      return value === 'favorite' ? Boolean(prompt.favorite) : Boolean(prompt.pinned);
+    case 'used':
+      return compareWith(filter.op, usage?.count || 0, Number(value));
+    case 'created':
+    case 'updated': {
+      const stamp = filter.field === 'updated' ? prompt.updatedAt || prompt.createdAt : prompt.createdAt;
+      const time = new Date(stamp).getTime();
+      return !Number.isNaN(time) && compareWith(filter.op, toLocalDay(new Date(time)), parseDayValue(value));
+    }
+    default:
+      return keywordFilter(filter.value, [prompt]).length > 0;
+  }
+};
+
+/** Returns prompts whose title, text, or tags contain the query (case-insensitive). */
+const keywordFilter = (query, prompts) => {
+  const normalized = String(query || '').trim().toLowerCase();
+
+  if (!normalized) {
+    return prompts;
+  }
+
+  return prompts.filter((prompt) => {
+    const titleMatch = String(prompt.title || '').toLowerCase().includes(normalized);
+    const textMatch = String(prompt.text || '').toLowerCase().includes(normalized);
+    const tagsMatch = (prompt.tags || []).join(' ').toLowerCase().includes(normalized);
+    return titleMatch || textMatch || tagsMatch;
+  });
+};
+
+// The lexical indexes hold the whole library and the whole chat history rather than the pool being searched,
+// so term statistics do not shift with scope or filters. Both start stale; a store change marks one stale again.
+const PROMPTS_STORE = 'prompts';
+const HISTORY_STORE = 'chatHistory';
+const staleStores = new Set([PROMPTS_STORE, HISTORY_STORE]);
+let watchingStores = false;
+let lexicalIndex = null;
+
+/** Subscribes once to store change notifications, which arrive in every extension context. */
+const watchStores = () => {
+  if (watchingStores || !window.Store?.onStoreChange) return;
+  watchingStores = true;
+  window.Store.onStoreChange((storeName) => staleStores.add(storeName));
+};
+
+/**
+ * Re-syncs an index from its store's full list when the store changed since the last sync, or when the pool
+ * holds a record the index has not seen (a save whose notification has not arrived yet). The stale flag is
+ * cleared before loading so a change that lands mid-load triggers another sync.
+ */
+const refreshIndex = async (index, storeName, missing, loadDocs) => {
+  watchStores();
+  const stale = staleStores.delete(storeName);
+  if (stale || missing) index.sync(await loadDocs());
+};
+
+/**
+ * Ranks prompts by BM25 with stemming and typo tolerance when utils/lexical-index.js is loaded,
+ * then appends plain substring hits the index missed (e.g. text inside a longer word).
+ */
+const lexicalRank = async (query, prompts) => {
+  const substringHits = keywordFilter(query, prompts);
+  if (!window.LexicalIndex || !window.Store) return substringHits;
+
+  lexicalIndex = lexicalIndex || window.LexicalIndex.createLexicalIndex();
+  await refreshIndex(lexicalIndex, PROMPTS_STORE, prompts.some((prompt) => !lexicalIndex.has(prompt.id)),
+    () => window.Store.getPrompts());
+  const pool = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+  const ranked = window.LexicalIndex.rankIndexed(lexicalIndex, query, pool);
+  const seen = new Set(ranked.map((prompt) => prompt.id));
+  return [...ranked, ...substringHits.filter((prompt) => !seen.has(prompt.id))];
+};
+
+// Reciprocal rank fusion adds weight / (RRF_K + rank) per ranking; 60 is the customary constant and
+// keeps one list's top hit from outweighing items that rank well in both.
+const RRF_K = 60;
+const DEFAULT_FUSION = { lexicalWeight: 1, semanticWeight: 1, minSimilarity: 0.25 };
+const FIELD_LABELS = { title: 'title', tags: 'tags', category: 'category', text: 'text' };
+
+/** Converts the 0–100 keyword/meaning balance setting (50 = even) and a similarity floor into fusion options. */
+const fusionFromBalance = (balance = 50, minSimilarity = DEFAULT_FUSION.minSimilarity) => {
+  const share = Number.isFinite(Number(balance)) ? Math.min(100, Math.max(0, Number(balance))) / 100 : 0.5;
+  return {
+    lexicalWeight: 2 * (1 - share),
+    semanticWeight: 2 * share,
+    minSimilarity: Number.isFinite(Number(minSimilarity)) ? Number(minSimilarity) : DEFAULT_FUSION.minSimilarity
+  };
+};
+
+/**
+ * Fuses ranked id lists with weighted reciprocal rank fusion. rankings is [{ name, weight, ids }].
+ * Returns [{ id, score, ranks }] best first, where ranks maps list name -> 1-based rank.
+ * Items only in a zero-weight list are kept, after everything that scored.
+ */
+const fuseRankings = (rankings, k = RRF_K) => {
+  const fused = new Map();
+  for (const { name, weight, ids } of rankings) {
+    ids.forEach((id, index) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: {} };
+      entry.score += Math.max(0, weight) / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      fused.set(id, entry);
+    });
+  }
+  return Array.from(fused.values()).sort((left, right) => right.score - left.score);
+};
+
+/**
+ * Copies a ranked prompt with _match: { terms, substring, lexicalRank, semanticRank, similarity },
+ * the raw material for the "why this matched" line on cards.
+ */
+const withMatch = (prompt, { lexicalRank = null, semanticRank = null, similarity = null }) => {
+  const { _lexicalScore, _lexicalMatches, ...rest } = prompt;
+  return {
+    ...rest,
+    _match: {
+      terms: _lexicalMatches || [],
+      substring: lexicalRank !== null && !_lexicalMatches,
+      lexicalRank,
+      semanticRank,
+      similarity
+    }
+  };
+};
+
+/** Returns the "why this matched" parts for a result: matched terms, then semantic similarity. */
+const describeMatch = (match, query = '') => {
+  if (!match) return [];
+  const parts = match.terms.map(({ word, term, kind, fields }) => {
+    const where = fields.map((field) => FIELD_LABELS[field] || field).join(', ');
+    if (kind === 'typo') return `"${word}" ≈ ${term} (typo) in ${where}`;
+    if (kind === 'prefix') return `"${word}…" → ${term} in ${where}`;
+    if (kind === 'synonym') return `"${word}" → ${term} (synonym) in ${where}`;
+    return `"${word}" in ${where}`;
+  });
+  if (match.substring) parts.push(`contains "${String(query).trim()}"`);
+  if (match.similarity !== null) {
+    const similarity = `${Math.round(match.similarity * 100)}% semantic similarity`;
+    parts.push(match.lexicalRank === null ? `${similarity} (meaning only)` : similarity);
+  }
+  return parts;
+};
+
+/**
+ * Searches prompts with the query language: structured clauses filter first, then the remaining free
+ * text is ranked by keyword and, when semantic is true, fused with the embedding ranking.
+ * context is passed to matchesQuery; fusion is { lexicalWeight, semanticWeight, minSimilarity }.
+ * Returns { results, semanticResults, errors } where semanticResults is a Map of id -> score row, or null.
+ * Ranked results carry _match (see describeMatch).
+ */
+const searchPrompts = async (query, prompts, { semantic = false, context = {}, fusion = DEFAULT_FUSION } = {}) => {
+  const parsed = parseQuery(query);
+  const pool = parsed.filter ? prompts.filter((prompt) => matchesQuery(parsed.filter, prompt, context)) : prompts;
+  const { results, semanticResults } = await rankPrompts(parsed.text, pool, { semantic, fusion });
+  return { results, semanticResults, errors: parsed.errors };
+};
+
+/** Ranks prompts by free text: the lexical ranking alone, or fused with the semantic ranking by RRF. */
+const rankPrompts = async (query, prompts, { semantic = false, fusion = DEFAULT_FUSION } = {}) => {
+  const normalized = String(query || '').trim();
+
+  if (!normalized) {
+    return { results: prompts, semanticResults: null };
+  }
+
+  // Always start with keyword results for instant feedback
+  const keywordResults = await lexicalRank(normalized, prompts);
+
+  if (semantic && window.AIBridge) {
+    try {
+      const response = await window.AIBridge.search(normalized, { minScore: fusion.minSimilarity });
+      if (response?.results) {
+        const promptMap = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+        const keywordMap = new Map(keywordResults.map((prompt) => [prompt.id, prompt]));
+        const semanticRows = response.results.filter((result) => promptMap.has(result.id));
+        const semanticMap = new Map(semanticRows.map((result) => [result.id, result]));
+        const fused = fuseRankings([
+          { name: 'lexical', weight: fusion.lexicalWeight, ids: keywordResults.map((prompt) => prompt.id) },
+          { name: 'semantic', weight: fusion.semanticWeight, ids: semanticRows.map((result) => result.id) }
+        ]);
+        return {
+          results: fused.map(({ id, ranks }) => withMatch(keywordMap.get(id) || promptMap.get(id), {
+            lexicalRank: ranks.lexical ?? null,
+            semanticRank: ranks.semantic ?? null,
+            similarity: semanticMap.get(id)?.score ?? null
+          })),
+          semanticResults: semanticMap
+        };
+      }
+    } catch (_) {
+      // Fall through to keyword results
+    }
+  }
+
+  return {
+    results: keywordResults.map((prompt, index) => withMatch(prompt, { lexicalRank: index + 1 })),
+    semanticResults: null
+  };
+};
+
+// Chat history is indexed per message (id "historyId:index") plus one "historyId:title" record per chat.
+const HISTORY_HITS_PER_CHAT = 3;
+const SNIPPET_RADIUS = 90;
+let historyIndex = null;
+let historyDocs = new Map();
+
+/** Returns the lexical records for chat history: every message, plus each chat's title and tags. */
+const buildHistoryDocs = (history) => history.flatMap((entry) => [
+  { id: `${entry.id}:title`, historyId: entry.id, title: entry.title || '', tags: entry.tags || [] },
+  ...(entry.messages || []).map((message, index) => ({
+    id: `${entry.id}:${index}`,
+    historyId: entry.id,
+    text: String(message?.text || '')
+  }))
+]);
+
+/** Loads the full chat history as lexical records and keeps them by id for ranking. */
+const loadHistoryDocs = async () => {
+  const docs = buildHistoryDocs(await window.Store.getChatHistory());
+  historyDocs = new Map(docs.map((doc) => [doc.id, doc]));
+  return docs;
+};
+
+/** Returns an excerpt of text around the first occurrence of any query word, with ellipses where cut. */
+const buildSnippet = (text, words) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const lower = source.toLowerCase();
+  const hits = words.map((word) => lower.indexOf(word)).filter((position) => position >= 0);
+  const center = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(source.length, center + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+};
+
+/**
+ * Searches chat history. Query filters (tag:, title:, text:, platform:, created:, ...) narrow the chats;
+ * the free text ranks individual messages by keyword and, when semantic is true, fuses that with
+ * per-message embedding similarity from the service worker.
+ * Returns [{ entry, hits: [{ index, snippet, match }] }] best chat first; index is null for a title/tag hit,
+ * and hits is empty when the query only filters.
+ */
+const searchHistory = async (query, history, { semantic = false, fusion = DEFAULT_FUSION } = {}) => {
+  const parsed = parseQuery(query);
+  if (!parsed.text && !parsed.filter) return [];
+
+  const chats = parsed.filter
+    ? history.filter((entry) => matchesQuery(parsed.filter, {
+      ...entry,
+      text: (entry.messages || []).map((message) => String(message?.text || '')).join('\n')
+    }))
+    : history;
+  if (!parsed.text) return chats.map((entry) => ({ entry, hits: [] }));
+
+  const chatMap = new Map(chats.map((entry) => [entry.id, entry]));
+  let lexical;
+  if (window.LexicalIndex && window.Store) {
+    historyIndex = historyIndex || window.LexicalIndex.createLexicalIndex();
+    await refreshIndex(historyIndex, HISTORY_STORE, chats.some((entry) => !historyDocs.has(`${entry.id}:title`)),
+      loadHistoryDocs);
+    const pool = parsed.filter
+      ? new Map(Array.from(historyDocs).filter(([, doc]) => chatMap.has(doc.historyId)))
+      : historyDocs;
+    lexical = window.LexicalIndex.rankIndexed(historyIndex, parsed.text, pool);
+  } else {
+    lexical = keywordFilter(parsed.text, buildHistoryDocs(chats));
+  }
+
+  let semanticRows = [];
+  if (semantic && window.AIBridge) {
+    try {
+      const response = await window.AIBridge.searchHistory(parsed.text, { minScore: fusion.minSimilarity });
+      semanticRows = (response?.results || [])
+        .filter((result) => chatMap.has(result.historyId))
+        .map((result) => ({ id: `${result.historyId}:${result.index}`, score: result.score }));
+    } catch (_) {
+      // Keyword results only
+    }
+  }
+
+  const lexicalMap = new Map(lexical.map((doc) => [doc.id, doc]));
+  const semanticMap = new Map(semanticRows.map((row) => [row.id, row]));
+  const words = parsed.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const grouped = new Map();
+
+  for (const { id, ranks } of fuseRankings([
+    { name: 'lexical', weight: fusion.lexicalWeight, ids: lexical.map((doc) => doc.id) },
+    { name: 'semantic', weight: fusion.semanticWeight, ids: semanticRows.map((row) => row.id) }
+  ])) {
+    const split = id.lastIndexOf(':');
+    const entry = chatMap.get(id.slice(0, split));
+    if (!entry) continue;
+    if (!grouped.has(entry.id)) grouped.set(entry.id, { entry, hits: [] });
+    const group = grouped.get(entry.id);
+    if (group.hits.length >= HISTORY_HITS_PER_CHAT) continue;
+
+    const index = id.slice(split + 1) === 'title' ? null : Number(id.slice(split + 1));
+    const { _match: match } = withMatch(lexicalMap.get(id) || {}, {
+      lexicalRank: ranks.lexical ?? null,
+      semanticRank: ranks.semantic ?? null,
+      similarity: semanticMap.get(id)?.score ?? null
+    });
+    group.hits.push({ index, snippet: index === null ? '' : buildSnippet(entry.messages?.[index]?.text, words), match });
+  }
+
+  return Array.from(grouped.values());
+};
+
+const PromptSearch = {
+  QUERY_FIELDS,
+  tokenizeQuery,
+  parseQuery,
+  matchesQuery,
+  keywordFilter,
+  fusionFromBalance,
+  fuseRankings,
+  describeMatch,
+  searchPrompts,
+  searchHistory
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptSearch = PromptSearch;
+}
+
+})();
@@ -0,0 +1,291 @@
+(() => {
+/**
+ * File: utils/providers.js
+ * Purpose: Pluggable LLM provider layer (Gemini, OpenAI-compatible, Anthropic) with per-provider
+ * settings and a single text-completion call used by improve, title, and suggestion features.
+ * Communicates with: background/service_worker.js, sidepanel/sidepanel.js.
+ */
+
+const PROVIDER_SETTINGS_KEY = 'promptiumProviderSettings';
+const LEGACY_GEMINI_KEY = 'promptiumGeminiKey';
+const REQUEST_TIMEOUT_MS = 45000;
+
+const PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    keyRequired: true,
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+    hint: 'Uses the Gemini generateContent API.',
+    maxTemperature: 2,
+    defaults: {
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      model: 'gemini-2.0-flash-lite',
+      apiKey: '',
+      temperature: null
+    }
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    keyRequired: false,
+    keyUrl: 'https://platform.openai.com/api-keys',
+    hint: 'Works with OpenAI and compatible servers such as Ollama (http://localhost:11434/v1) or llama.cpp.',
+    maxTemperature: 2,
+    defaults: {
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini',
+      apiKey: '',
+      temperature: null
+    }
+  },
+  anthropic: {
+    id: 'anthropic',
+    label: 'Anthropic',
+    keyRequired: true,
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    hint: 'Uses the Anthropic Messages API.',
+    maxTemperature: 1,
+    defaults: {
+      baseUrl: 'https://api.anthropic.com/v1',
+      model: 'claude-3-5-haiku-latest',
+      apiKey: '',
+      temperature: null
+    }
+  }
+};
+
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+/**
+ * Parses a temperature value clamped to 0..max (the provider's accepted range), returning null when it
+ * should fall back to feature defaults.
+ */
+const normalizeTemperature = (value, max = 2) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return null;
+  return Math.min(max, Math.max(0, parsed));
+};
+
+/** Normalizes one provider config, filling missing fields from provider defaults. */
+const normalizeProviderConfig = (providerId, input = {}) => {
+  const provider = PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+  const { defaults } = provider;
+  return {
+    baseUrl: String(input.baseUrl || defaults.baseUrl).trim().replace(/\/+$/, ''),
+    model: String(input.model || defaults.model).trim(),
+    apiKey: String(input.apiKey || '').trim(),
+    temperature: normalizeTemperature(input.temperature, provider.maxTemperature)
+  };
+};
+
+/** Normalizes the full provider settings object. */
+const normalizeProviderSettings = (input = {}) => {
+  const activeProvider = PROVIDERS[input?.activeProvider] ? input.activeProvider : DEFAULT_PROVIDER_ID;
+  const providers = {};
+  for (const providerId of Object.keys(PROVIDERS)) {
+    providers[providerId] = normalizeProviderConfig(providerId, input?.providers?.[providerId] || {});
+  }
+  return { activeProvider, providers };
+};
+
+/** Loads provider settings, migrating the legacy Gemini key when needed. */
+const loadProviderSettings = async () => {
+  try {
+    const state = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY, LEGACY_GEMINI_KEY]);
+    const settings = normalizeProviderSettings(state[PROVIDER_SETTINGS_KEY] || {});
+    const legacyKey = String(state[LEGACY_GEMINI_KEY] || '').trim();
+    if (!settings.providers.gemini.apiKey && legacyKey) {
+      settings.providers.gemini.apiKey = legacyKey;
+    }
+    return settings;
+  } catch (error) {
+    console.error('[Promptium][Providers] Failed to load provider settings.', error);
+    return normalizeProviderSettings({});
+  }
+};
+
+/** Persists provider settings. */
+const saveProviderSettings = async (settings) => {
+  try {
+    const normalized = normalizeProviderSettings(settings);
+    await chrome.storage.local.set({ [PROVIDER_SETTINGS_KEY]: normalized });
+    if (normalized.providers.gemini.apiKey) {
+      await chrome.storage.local.set({ [LEGACY_GEMINI_KEY]: normalized.providers.gemini.apiKey });
+    } else {
+      await chrome.storage.local.remove([LEGACY_GEMINI_KEY]);
+    }
+    return true;
+  } catch (error) {
+    console.error('[Promptium][Providers] Failed to save provider settings.', error);
+    return false;
+  }
+};
+
+/** Returns the origin match pattern for a provider base URL, used for optional host permissions. */
+const getOriginPattern = (baseUrl) => {
+  try {
+    const url = new URL(String(baseUrl || ''));
+    if (!/^https?:$/.test(url.protocol)) return '';
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (_error) {
+    return '';
+  }
+};
+
+/** Builds the provider-specific fetch request for a completion. */
+const buildRequest = (providerId, config, { system, prompt, temperature, maxTokens }) => {
+  if (providerId === 'gemini') {
+    return {
+      url: `${config.baseUrl}/models/${encodeURIComponent(config.model)}:generateContent?key=${encodeURIComponent(config.apiKey)}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { temperature, maxOutputTokens: maxTokens }
+        })
+      }
+    };
+  }
+
+  if (providerId === 'anthropic') {
+    return {
+      url: `${config.baseUrl}/messages`,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: JSON.stringify({
+          model: config.model,
+          ...(system ? { system } : {}),
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxTokens,
+          temperature
+        })
+      }
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        stream: false
+      })
+    }
+  };
+};
+
+/** Extracts completion text from a provider response body. */
+const parseResponseText = (providerId, data) => {
+  if (providerId === 'gemini') {
+    return String(data?.candidates?.[0]?.content?.parts?.map((part) => part?.text || '').join('') || '');
+  }
+  if (providerId === 'anthropic') {
+    return (Array.isArray(data?.content) ? data.content : [])
+      .filter((block) => block?.type === 'text')
+      .map((block) => block.text || '')
+      .join('');
+  }
+  return String(data?.choices?.[0]?.message?.content || '');
+};
+
+/** Runs one text completion against the given (or active) provider. Returns { text } or { error }. */
+const complete = async ({ system = '', prompt = '', temperature = 0.4, maxTokens = 800, providerId = null, config = null } = {}) => {
+  const settings = providerId && config ? null : await loadProviderSettings();
+  const resolvedId = PROVIDERS[providerId] ? providerId : settings.activeProvider;
+  const provider = PROVIDERS[resolvedId];
+  const resolvedConfig = normalizeProviderConfig(resolvedId, config || settings.providers[resolvedId]);
+
+  if (provider.keyRequired && !resolvedConfig.apiKey) {
+    return { error: `No ${provider.label} API Key found in Extension Settings.`, code: 'missing_key' };
+  }
+  if (!resolvedConfig.model) {
+    return { error: `No model configured for ${provider.label}.`, code: 'missing_model' };
+  }
+
+  const effectiveTemperature = resolvedConfig.temperature ?? temperature;
+  const { url, init } = buildRequest(resolvedId, resolvedConfig, {
+    system,
+    prompt,
+    temperature: effectiveTemperature,
+    maxTokens
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error(`[Promptium][Providers] ${provider.label} API error:`, response.status, errorText);
+      return { error: `${provider.label} API Error (${response.status}): ${errorText.substring(0, 100)}`, status: response.status };
+    }
+
+    const data = await response.json();
+    return { text: parseResponseText(resolvedId, data).trim(), provider: resolvedId, model: resolvedConfig.model };
+  } catch (error) {
+    const message = error?.name === 'AbortError'
+      ? `${provider.label} request timed out.`
+      : `Could not reach ${provider.label} at ${resolvedConfig.baseUrl}: ${error?.message || error}`;
+    console.error('[Promptium][Providers] Completion failed.', error);
+    return { error: message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/** Sends a tiny completion to verify a provider config is reachable and authorized. */
+const testConnection = async (providerId, config) => {
+  const result = await complete({
+    providerId,
+    config,
+    prompt: 'Reply with the single word OK.',
+    temperature: 0,
+    maxTokens: 5
+  });
+  return result.error ? { ok: false, error: result.error } : { ok: true };
+};
+
+const LLMProviders = {
+  PROVIDERS,
+  DEFAULT_PROVIDER_ID,
+  normalizeProviderSettings,
+  normalizeProviderConfig,
+  loadProviderSettings,
+  saveProviderSettings,
+  getOriginPattern,
+  complete,
+  testConnection
+};
+
+if (typeof window !== 'undefined') {
+  window.LLMProviders = LLMProviders;
+}
+
+if (typeof self !== 'undefined') {
+  self.LLMProviders = LLMProviders;
+}
+
+})();
@@ -1,14 +1,44 @@
 (() => {
 /**
  * File: utils/storage.js
- * Purpose: Provides prompt and history CRUD operations backed by chrome.storage.local.
- * Communicates with: popup/popup.js, content/toolbar.js, content/content.js, background/service_worker.js.
+ * Purpose: Provides prompt, revision, history, chain, collection, usage, and embedding CRUD backed by IndexedDB with per-record
+ * writes. Extension pages and the service worker open the database directly; content scripts run on the
+ * page origin, so their calls are proxied to the service worker over runtime messaging.
+ * Communicates with: popup/popup.js, sidepanel/sidepanel.js, content/toolbar.js, content/content.js,
+ * background/service_worker.js, utils/backup.js.
  */
 
-const PROMPTS_KEY = 'prompts';
-const HISTORY_KEY = 'chatHistory';
-const HISTORY_CAP = 50;
+const DB_NAME = 'promptium';
+const DB_VERSION = 5;
+const PROMPTS_STORE = 'prompts';
+const HISTORY_STORE = 'chatHistory';
+const REVISIONS_STORE = 'promptRevisions';
+const EMBEDDINGS_STORE = 'embeddings';
+const MESSAGE_EMBEDDINGS_STORE = 'messageEmbeddings';
+const META_STORE = 'meta';
+const CHAINS_STORE = 'chains';
+const USAGE_STORE = 'usageEvents';
+const COLLECTIONS_STORE = 'collections';
+const ALL_STORES = [PROMPTS_STORE, HISTORY_STORE, REVISIONS_STORE, EMBEDDINGS_STORE, META_STORE, CHAINS_STORE, USAGE_STORE, COLLECTIONS_STORE, MESSAGE_EMBEDDINGS_STORE];
+const USAGE_ACTIONS = ['inject', 'copy', 'improve'];
+
+// chrome.storage.local keys used before the IndexedDB move; read once by the migration, then removed.
+const LEGACY_KEYS = {
+  prompts: 'prompts',
+  history: 'chatHistory',
+  revisions: 'promptRevisions',
+  embeddings: 'embeddingCache'
+};
+const MIGRATION_FLAG = 'migratedFromStorageLocal';
+
+// IndexedDB has no cross-context change events, so writers bump this chrome.storage key instead.
+const CHANGE_KEY = 'promptiumStoreChange';
+const STORE_CALL_TYPE = 'STORE_CALL';
+const REVISIONS_PER_PROMPT_CAP = 50;
+
+const isExtensionContext = typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
 let lastStorageError = '';
+let databasePromise = null;
 
 const setLastStorageError = (error) => {
   lastStorageError = String(error?.message || error || '').trim();
@@ -20,12 +50,223 @@ const clearLastStorageError = () => {
 
 const isStorageQuotaError = (value) => /quota|QUOTA_BYTES|MAX_WRITE_OPERATIONS|MAX_ITEMS/i.test(String(value || ''));
 
-/** Returns prompts array from storage or an empty list when unavailable. */
+// ─── IndexedDB plumbing ──────────────────────────────────────────────────────
+
+/** Wraps an IDBRequest in a promise. */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/** Resolves when a transaction commits and rejects when it fails or aborts. */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+});
+
+/** Creates object stores and indexes for a fresh or older database. */
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(PROMPTS_STORE)) {
+    const prompts = db.createObjectStore(PROMPTS_STORE, { keyPath: 'id' });
+    prompts.createIndex('tags', 'tags', { multiEntry: true });
+    prompts.createIndex('createdAt', 'createdAt');
+  }
+  if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+    const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+    history.createIndex('tags', 'tags', { multiEntry: true });
+    history.createIndex('createdAt', 'createdAt');
+    history.createIndex('platform', 'platform');
+  }
+  if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+    const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+    revisions.createIndex('promptId', 'promptId');
+  }
+  if (!db.objectStoreNames.contains(EMBEDDINGS_STORE)) {
+    db.createObjectStore(EMBEDDINGS_STORE, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+  // Added in version 2.
+  if (!db.objectStoreNames.contains(CHAINS_STORE)) {
+    const chains = db.createObjectStore(CHAINS_STORE, { keyPath: 'id' });
+    chains.createIndex('createdAt', 'createdAt');
+  }
+  // Added in version 3.
+  if (!db.objectStoreNames.contains(USAGE_STORE)) {
+    const usage = db.createObjectStore(USAGE_STORE, { keyPath: 'id' });
+    usage.createIndex('promptId', 'promptId');
+    usage.createIndex('at', 'at');
+  }
+  // Added in version 4.
+  if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) {
+    const collections = db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'id' });
+    collections.createIndex('parentId', 'parentId');
+  }
+  // Added in version 5.
+  if (!db.objectStoreNames.contains(MESSAGE_EMBEDDINGS_STORE)) {
+    const messageEmbeddings = db.createObjectStore(MESSAGE_EMBEDDINGS_STORE, { keyPath: 'id' });
+    messageEmbeddings.createIndex('historyId', 'historyId');
+  }
+};
+
+/** Converts a stored vector (array or index-keyed object) into a plain number array. */
+const toVector = (value) => (Array.isArray(value) ? value : Object.values(value || {})).map((item) => Number(item) || 0);
+
+/** Copies chrome.storage.local data into IndexedDB once, then removes the legacy keys. */
+const migrateLegacyStorage = async (db) => {
+  const legacy = await chrome.storage.local.get(Object.values(LEGACY_KEYS));
+  if (Object.values(LEGACY_KEYS).every((key) => legacy[key] === undefined)) {
+    return;
+  }
+
+  const transaction = db.transaction(ALL_STORES, 'readwrite');
+  const done = transactionDone(transaction);
+  const meta = transaction.objectStore(META_STORE);
+  // Several contexts can race here; the readwrite transaction serializes them and the flag keeps it one-shot.
+  const flag = await requestToPromise(meta.get(MIGRATION_FLAG));
+
+  if (!flag) {
+    const prompts = Array.isArray(legacy[LEGACY_KEYS.prompts]) ? legacy[LEGACY_KEYS.prompts] : [];
+    const history = Array.isArray(legacy[LEGACY_KEYS.history]) ? legacy[LEGACY_KEYS.history] : [];
+    const revisions = legacy[LEGACY_KEYS.revisions] && typeof legacy[LEGACY_KEYS.revisions] === 'object' ? legacy[LEGACY_KEYS.revisions] : {};
+    const embeddings = legacy[LEGACY_KEYS.embeddings] && typeof legacy[LEGACY_KEYS.embeddings] === 'object' ? legacy[LEGACY_KEYS.embeddings] : {};
+
+    for (const prompt of prompts) {
+      if (prompt && typeof prompt === 'object') {
+        transaction.objectStore(PROMPTS_STORE).put({ ...prompt, id: prompt.id || crypto.randomUUID() });
+      }
+    }
+    for (const entry of history) {
+      if (entry && typeof entry === 'object') {
+        transaction.objectStore(HISTORY_STORE).put({ ...entry, id: entry.id || crypto.randomUUID() });
+      }
+    }
+    for (const [promptId, list] of Object.entries(revisions)) {
+      for (const revision of Array.isArray(list) ? list : []) {
+        transaction.objectStore(REVISIONS_STORE).put({ ...revision, id: revision?.id || crypto.randomUUID(), promptId });
+      }
+    }
+    for (const [promptId, vector] of Object.entries(embeddings)) {
+      transaction.objectStore(EMBEDDINGS_STORE).put({ id: promptId, vector: toVector(vector) });
+    }
+    meta.put({ key: MIGRATION_FLAG, at: new Date().toISOString(), prompts: prompts.length, history: history.length });
+  }
+
+  await done;
+  await chrome.storage.local.remove(Object.values(LEGACY_KEYS));
+  if (!flag) {
+    console.info('[Promptium][Store] Migrated library from chrome.storage.local to IndexedDB.');
+  }
+};
+
+/** Opens (and on first use migrates) the database, reusing one connection per context. */
+const getDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = (async () => {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgradeDatabase(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[Promptium][Store] Database upgrade is waiting for other tabs to close.');
+    });
+
+    db.onversionchange = () => {
+      db.close();
+      databasePromise = null;
+    };
+
+    await migrateLegacyStorage(db);
+    return db;
+  })();
+
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+  return databasePromise;
+};
+
+/** Runs work inside one transaction and resolves with its result after commit. */
+const withTransaction = async (storeNames, mode, work) => {
+  const db = await getDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const done = transactionDone(transaction);
+  let result;
+  try {
+    result = await work(transaction);
+  } catch (error) {
+    done.catch(() => {});
+    try {
+      transaction.abort();
+    } catch (_abortError) {
+      // Already finished.
+    }
+    throw error;
+  }
+  await done;
+  return result;
+};
+
+/** Tells other contexts which store changed. */
+const notifyChange = (storeName) => {
+  chrome.storage.local.set({
+    [CHANGE_KEY]: { store: storeName, at: Date.now(), nonce: Math.random().toString(36).slice(2) }
+  }).catch(() => {});
+};
+
+/** Subscribes to store changes from any context; the callback receives the store name. Returns an unsubscribe function. */
+const onStoreChange = (callback) => {
+  const listener = (changes, areaName) => {
+    const storeName = changes[CHANGE_KEY]?.newValue?.store;
+    if (areaName === 'local' && storeName) {
+      callback(storeName);
+    }
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+};
+
+/** Ensures the database is open and migrated. */
+const initDatabase = async () => {
+  try {
+    await getDatabase();
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to open database.', error);
+    return false;
+  }
+};
+
+// ─── Prompts ─────────────────────────────────────────────────────────────────
+
+/** Sorts records newest first by createdAt. */
+const sortNewestFirst = (records) => records.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+/**
+ * Sorts prompts into library order: pinned first, then prompts never placed by hand (newest first),
+ * then the drag-and-drop order saved by reorderPrompts.
+ */
+const sortLibraryOrder = (prompts) => prompts.sort((a, b) => {
+  const aPlaced = Number.isFinite(a.sortOrder);
+  const bPlaced = Number.isFinite(b.sortOrder);
+  return Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+    Number(aPlaced) - Number(bPlaced) ||
+    (aPlaced && bPlaced ? a.sortOrder - b.sortOrder : 0) ||
+    String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+});
+
+/** Returns prompts in library order or an empty list when unavailable. */
 const getPrompts = async () => {
   try {
-    const state = await chrome.storage.local.get([PROMPTS_KEY]);
+    const prompts = await withTransaction([PROMPTS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(PROMPTS_STORE).getAll()));
     clearLastStorageError();
-    return Array.isArray(state[PROMPTS_KEY]) ? state[PROMPTS_KEY] : [];
+    return sortLibraryOrder(prompts);
   } catch (error) {
     setLastStorageError(error);
     console.error('[Promptium][Store] Failed to read prompts.', error);
@@ -33,10 +274,75 @@ const getPrompts = async () => {
   }
 };
 
-/** Saves a new prompt entry with UUID and optional embedding payload. */
-const savePrompt = async ({ title, text, tags = [], category = null, embedding = null }) => {
+/** Returns one prompt by id, or null. */
+const getPrompt = async (id) => {
+  try {
+    const prompt = await withTransaction([PROMPTS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(PROMPTS_STORE).get(String(id || ''))));
+    clearLastStorageError();
+    return prompt || null;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read prompt.', error);
+    return null;
+  }
+};
+
+/** Returns prompts carrying an exact tag, using the tags index. */
+const getPromptsByTag = async (tag) => {
+  try {
+    const prompts = await withTransaction([PROMPTS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(PROMPTS_STORE).index('tags').getAll(String(tag || '').trim())));
+    clearLastStorageError();
+    return sortLibraryOrder(prompts);
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read prompts by tag.', error);
+    return [];
+  }
+};
+
+/** Builds a revision snapshot of a prompt's editable fields. */
+const createRevision = (prompt, source, createdAt = new Date().toISOString()) => ({
+  id: crypto.randomUUID(),
+  title: String(prompt?.title || ''),
+  text: String(prompt?.text || ''),
+  tags: Array.isArray(prompt?.tags) ? [...prompt.tags] : [],
+  createdAt,
+  source: String(source || 'manual')
+});
+
+/** Returns stored revision records for one prompt, oldest first. */
+const readRevisionRecords = async (transaction, promptId) => {
+  const records = await requestToPromise(transaction.objectStore(REVISIONS_STORE).index('promptId').getAll(promptId));
+  return records.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+};
+
+/** Adds revisions for one prompt and drops the oldest beyond the per-prompt cap. */
+const appendRevisions = async (transaction, promptId, revisions) => {
+  const store = transaction.objectStore(REVISIONS_STORE);
+  for (const revision of revisions) {
+    store.put({ ...revision, promptId });
+  }
+  const records = await readRevisionRecords(transaction, promptId);
+  for (const stale of records.slice(0, Math.max(0, records.length - REVISIONS_PER_PROMPT_CAP))) {
+    store.delete(stale.id);
+  }
+};
+
+/** Strips the storage-only promptId field from a revision record. */
+const toRevision = ({ promptId, ...revision }) => revision;
+
+/** Returns true when title, text, or tags differ between two prompt snapshots. */
+const hasContentChanges = (left, right) => (
+  String(left?.title || '') !== String(right?.title || '') ||
+  String(left?.text || '') !== String(right?.text || '') ||
+  JSON.stringify(left?.tags || []) !== JSON.stringify(right?.tags || [])
+);
+
+/** Saves a new prompt entry with UUID, optional embedding payload, collection, and the auto-submit opt-in. */
+const savePrompt = async ({ title, text, tags = [], category = null, embedding = null, autoSubmit = false, collectionId = null, source = 'created' }) => {
   try {
-    const prompts = await getPrompts();
     const normalizedTags = Array.isArray(tags) ? tags.map((item) => String(item).trim()).filter(Boolean) : [];
     const normalizedEmbedding = Array.isArray(embedding) && embedding.length > 0 ? embedding.map((value) => Number(value) || 0) : null;
     const nextPrompt = {
@@ -46,11 +352,16 @@ const savePrompt = async ({ title, text, tags = [], category = null, embedding =
       tags: normalizedTags,
       category: category ? String(category).trim() : null,
       embedding: normalizedEmbedding,
+      autoSubmit: Boolean(autoSubmit),
+      collectionId: collectionId ? String(collectionId) : null,
       createdAt: new Date().toISOString()
     };
 
-    const nextPrompts = [nextPrompt, ...prompts];
-    await chrome.storage.local.set({ [PROMPTS_KEY]: nextPrompts });
+    await withTransaction([PROMPTS_STORE, REVISIONS_STORE], 'readwrite', async (transaction) => {
+      transaction.objectStore(PROMPTS_STORE).put(nextPrompt);
+      await appendRevisions(transaction, nextPrompt.id, [createRevision(nextPrompt, source, nextPrompt.createdAt)]);
+    });
+    notifyChange(PROMPTS_STORE);
     clearLastStorageError();
     return nextPrompt;
   } catch (error) {
@@ -60,32 +371,51 @@ const savePrompt = async ({ title, text, tags = [], category = null, embedding =
   }
 };
 
-/** Updates an existing prompt entry by id and returns the updated prompt or false. */
-const updatePrompt = async (id, updates) => {
+/** Updates an existing prompt entry by id, records a revision, and returns the updated prompt or false. */
+const updatePrompt = async (id, updates, { source = 'manual' } = {}) => {
   try {
-    const prompts = await getPrompts();
-    const index = prompts.findIndex((item) => item.id === id);
+    const patched = await withTransaction([PROMPTS_STORE, REVISIONS_STORE], 'readwrite', async (transaction) => {
+      const existing = await requestToPromise(transaction.objectStore(PROMPTS_STORE).get(String(id || '')));
 
-    if (index === -1) {
-      return false;
-    }
+      if (!existing) {
+        return false;
+      }
 
-    const existing = prompts[index];
-    const patched = {
-      ...existing,
-      ...updates,
-      id: existing.id,
-      createdAt: existing.createdAt
-    };
+      const next = {
+        ...existing,
+        ...updates,
+        id: existing.id,
+        createdAt: existing.createdAt
+      };
 
-    if (updates.tags) {
-      patched.tags = Array.isArray(updates.tags)
-        ? updates.tags.map((t) => String(t).trim()).filter(Boolean)
-        : existing.tags;
-    }
+      if (updates.tags) {
+        next.tags = Array.isArray(updates.tags)
+          ? updates.tags.map((t) => String(t).trim()).filter(Boolean)
+          : existing.tags;
+      }
+
+      const contentChanged = hasContentChanges(existing, next);
+      if (contentChanged) {
+        next.updatedAt = new Date().toISOString();
+      }
+
+      transaction.objectStore(PROMPTS_STORE).put(next);
+
+      if (contentChanged) {
+        const known = await readRevisionRecords(transaction, existing.id);
+        // Prompts saved before revisions existed get their pre-edit state as the first revision.
+        const seed = known.length
+          ? []
+          : [createRevision(existing, 'original', existing.createdAt || new Date().toISOString())];
+        await appendRevisions(transaction, existing.id, [...seed, createRevision(next, source, next.updatedAt)]);
+      }
+
+      return next;
+    });
 
-    prompts[index] = patched;
-    await chrome.storage.local.set({ [PROMPTS_KEY]: prompts });
+    if (patched) {
+      notifyChange(PROMPTS_STORE);
+    }
     clearLastStorageError();
     return patched;
   } catch (error) {
@@ -95,12 +425,45 @@ const updatePrompt = async (id, updates) => {
   }
 };
 
-/** Deletes one prompt entry by id and returns true when complete. */
+/** Saves a manual library order: each listed prompt id gets its index as sortOrder. Returns true when complete. */
+const reorderPrompts = async (ids) => {
+  try {
+    await withTransaction([PROMPTS_STORE], 'readwrite', async (transaction) => {
+      const store = transaction.objectStore(PROMPTS_STORE);
+      for (const [index, id] of (Array.isArray(ids) ? ids : []).entries()) {
+        const existing = await requestToPromise(store.get(String(id || '')));
+        if (existing && existing.sortOrder !== index) {
+          store.put({ ...existing, sortOrder: index });
+        }
+      }
+    });
+    notifyChange(PROMPTS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to reorder prompts.', error);
+    return false;
+  }
+};
+
+/** Deletes one prompt with its revisions, usage events, and cached embedding, and returns true when complete. */
 const deletePrompt = async (id) => {
   try {
-    const prompts = await getPrompts();
-    const nextPrompts = prompts.filter((item) => item.id !== id);
-    await chrome.storage.local.set({ [PROMPTS_KEY]: nextPrompts });
+    const promptId = String(id || '');
+    await withTransaction([PROMPTS_STORE, REVISIONS_STORE, EMBEDDINGS_STORE, USAGE_STORE], 'readwrite', async (transaction) => {
+      transaction.objectStore(PROMPTS_STORE).delete(promptId);
+      transaction.objectStore(EMBEDDINGS_STORE).delete(promptId);
+      const revisionKeys = await requestToPromise(transaction.objectStore(REVISIONS_STORE).index('promptId').getAllKeys(promptId));
+      for (const key of revisionKeys) {
+        transaction.objectStore(REVISIONS_STORE).delete(key);
+      }
+      const usageKeys = await requestToPromise(transaction.objectStore(USAGE_STORE).index('promptId').getAllKeys(promptId));
+      for (const key of usageKeys) {
+        transaction.objectStore(USAGE_STORE).delete(key);
+      }
+    });
+    notifyChange(PROMPTS_STORE);
     clearLastStorageError();
     return true;
   } catch (error) {
@@ -110,12 +473,135 @@ const deletePrompt = async (id) => {
   }
 };
 
-/** Returns chat history array from storage or an empty list when unavailable. */
+/** Writes many existing prompts in one transaction (batch tag edits) without recording revisions. */
+const putPrompts = async (prompts) => {
+  try {
+    await withTransaction([PROMPTS_STORE], 'readwrite', (transaction) => {
+      for (const prompt of Array.isArray(prompts) ? prompts : []) {
+        if (prompt?.id) transaction.objectStore(PROMPTS_STORE).put(prompt);
+      }
+    });
+    notifyChange(PROMPTS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to write prompts.', error);
+    return false;
+  }
+};
+
+/** Clears the prompts store and writes the given prompts inside an open transaction. */
+const overwritePrompts = (transaction, prompts) => {
+  const store = transaction.objectStore(PROMPTS_STORE);
+  store.clear();
+  for (const prompt of Array.isArray(prompts) ? prompts : []) {
+    if (prompt?.id) store.put(prompt);
+  }
+};
+
+/** Replaces the whole prompt library and returns true when complete. */
+const replacePrompts = async (prompts) => {
+  try {
+    await withTransaction([PROMPTS_STORE], 'readwrite', (transaction) => overwritePrompts(transaction, prompts));
+    notifyChange(PROMPTS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace prompts.', error);
+    return false;
+  }
+};
+
+// ─── Revisions ───────────────────────────────────────────────────────────────
+
+/** Returns revisions for one prompt, oldest first. */
+const getPromptRevisions = async (id) => {
+  try {
+    const records = await withTransaction([REVISIONS_STORE], 'readonly', (transaction) =>
+      readRevisionRecords(transaction, String(id || '')));
+    clearLastStorageError();
+    return records.map(toRevision);
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read prompt revisions.', error);
+    return [];
+  }
+};
+
+/** Restores a prompt to one of its revisions (recorded as a new revision) and returns the prompt or false. */
+const restorePromptRevision = async (id, revisionId) => {
+  const revisions = await getPromptRevisions(id);
+  const revision = revisions.find((item) => item.id === revisionId);
+
+  if (!revision) {
+    return false;
+  }
+
+  const restoredFrom = new Date(revision.createdAt);
+  const label = Number.isNaN(restoredFrom.getTime()) ? revision.source : restoredFrom.toLocaleString();
+  return updatePrompt(id, {
+    title: revision.title,
+    text: revision.text,
+    tags: revision.tags
+  }, { source: `restore: ${label}` });
+};
+
+/** Returns the full prompt id → revisions map. */
+const getAllPromptRevisions = async () => {
+  try {
+    const records = await withTransaction([REVISIONS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(REVISIONS_STORE).getAll()));
+    const map = {};
+    for (const record of records.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))) {
+      (map[record.promptId] = map[record.promptId] || []).push(toRevision(record));
+    }
+    clearLastStorageError();
+    return map;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read prompt revisions.', error);
+    return {};
+  }
+};
+
+/** Clears the revisions store and writes a prompt id → revisions map inside an open transaction. */
+const overwritePromptRevisions = (transaction, map) => {
+  const store = transaction.objectStore(REVISIONS_STORE);
+  store.clear();
+  for (const [promptId, list] of Object.entries(map && typeof map === 'object' ? map : {})) {
+    for (const revision of (Array.isArray(list) ? list : []).slice(-REVISIONS_PER_PROMPT_CAP)) {
+      store.put({ ...revision, id: revision?.id || crypto.randomUUID(), promptId });
+    }
+  }
+};
+
+/** Replaces the full prompt id → revisions map and returns true when complete. */
+const replaceAllPromptRevisions = async (map) => {
+  try {
+    await withTransaction([REVISIONS_STORE], 'readwrite', (transaction) => overwritePromptRevisions(transaction, map));
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace prompt revisions.', error);
+    return false;
+  }
+};
+
+// ─── Chat history ────────────────────────────────────────────────────────────
+
+/** Sorts records oldest first by createdAt. */
+const sortOldestFirst = (records) => records.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+/** Returns chat history (oldest first) or an empty list when unavailable. */
 const getChatHistory = async () => {
   try {
-    const state = await chrome.storage.local.get([HISTORY_KEY]);
+    const history = await withTransaction([HISTORY_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(HISTORY_STORE).getAll()));
     clearLastStorageError();
-    return Array.isArray(state[HISTORY_KEY]) ? state[HISTORY_KEY] : [];
+    return sortOldestFirst(history);
   } catch (error) {
     setLastStorageError(error);
     console.error('[Promptium][Store] Failed to read chat history.', error);
@@ -123,27 +609,40 @@ const getChatHistory = async () => {
   }
 };
 
-/** Saves a chat history entry with UUID while enforcing the 50-item cap. */
+/** Returns chat history for one platform (oldest first), using the platform index. */
+const getChatHistoryByPlatform = async (platform) => {
+  try {
+    const history = await withTransaction([HISTORY_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(HISTORY_STORE).index('platform').getAll(String(platform || ''))));
+    clearLastStorageError();
+    return sortOldestFirst(history);
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read chat history by platform.', error);
+    return [];
+  }
+};
+
+/** Saves a chat history entry with UUID and returns it, or false on failure. */
 const saveChatToHistory = async (chat) => {
   try {
-    const history = await getChatHistory();
     const nextEntry = {
       id: crypto.randomUUID(),
       title: String(chat?.title || 'Untitled chat').trim(),
       platform: String(chat?.platform || 'unknown').trim(),
       tags: Array.isArray(chat?.tags) ? chat.tags.map((tag) => String(tag).trim()).filter(Boolean) : [],
       messages: Array.isArray(chat?.messages) ? chat.messages : [],
-      createdAt: new Date().toISOString(),
+      // Imported chats keep their original date; live scrapes are stamped now.
+      createdAt: chat?.createdAt && !Number.isNaN(Date.parse(chat.createdAt))
+        ? new Date(chat.createdAt).toISOString()
+        : new Date().toISOString(),
       url: String(chat?.url || '')
     };
 
-    const nextHistory = [...history, nextEntry];
-
-    while (nextHistory.length > HISTORY_CAP) {
-      nextHistory.shift();
-    }
-
-    await chrome.storage.local.set({ [HISTORY_KEY]: nextHistory });
+    await withTransaction([HISTORY_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(HISTORY_STORE).put(nextEntry);
+    });
+    notifyChange(HISTORY_STORE);
     clearLastStorageError();
     return nextEntry;
   } catch (error) {
@@ -153,12 +652,16 @@ const saveChatToHistory = async (chat) => {
   }
 };
 
-/** Deletes one chat history entry by id and returns true when complete. */
+/** Deletes one chat history entry and its message embeddings by id and returns true when complete. */
 const deleteChatFromHistory = async (id) => {
   try {
-    const history = await getChatHistory();
-    const nextHistory = history.filter((item) => item.id !== id);
-    await chrome.storage.local.set({ [HISTORY_KEY]: nextHistory });
+    await withTransaction([HISTORY_STORE, MESSAGE_EMBEDDINGS_STORE], 'readwrite', async (transaction) => {
+      transaction.objectStore(HISTORY_STORE).delete(String(id || ''));
+      const embeddings = transaction.objectStore(MESSAGE_EMBEDDINGS_STORE);
+      const keys = await requestToPromise(embeddings.index('historyId').getAllKeys(String(id || '')));
+      for (const key of keys) embeddings.delete(key);
+    });
+    notifyChange(HISTORY_STORE);
     clearLastStorageError();
     return true;
   } catch (error) {
@@ -168,14 +671,565 @@ const deleteChatFromHistory = async (id) => {
   }
 };
 
-const Store = {
+/** Returns a key that changes whenever any message text in a chat changes. */
+const messagesKey = (entry) => JSON.stringify((entry?.messages || []).map((message) => String(message?.text || '')));
+
+/**
+ * Clears the chat history store and writes the given entries inside an open transaction (which must include the
+ * message embeddings store). Embeddings are dropped only for chats that are removed or whose messages changed;
+ * the service worker re-embeds those.
+ */
+const overwriteChatHistory = async (transaction, entries) => {
+  const store = transaction.objectStore(HISTORY_STORE);
+  const next = new Map((Array.isArray(entries) ? entries : []).filter((entry) => entry?.id).map((entry) => [entry.id, entry]));
+  const previous = await requestToPromise(store.getAll());
+  const embeddings = transaction.objectStore(MESSAGE_EMBEDDINGS_STORE);
+  const changed = previous.filter((entry) => !next.has(entry.id) || messagesKey(next.get(entry.id)) !== messagesKey(entry));
+  const staleKeys = await Promise.all(changed.map((entry) =>
+    requestToPromise(embeddings.index('historyId').getAllKeys(entry.id))));
+  for (const key of staleKeys.flat()) embeddings.delete(key);
+
+  store.clear();
+  for (const entry of next.values()) store.put(entry);
+};
+
+/** Replaces the whole chat history and returns true when complete. */
+const replaceChatHistory = async (entries) => {
+  try {
+    await withTransaction([HISTORY_STORE, MESSAGE_EMBEDDINGS_STORE], 'readwrite', (transaction) =>
+      overwriteChatHistory(transaction, entries));
+    notifyChange(HISTORY_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace chat history.', error);
+    return false;
+  }
+};
+
+// ─── Chains ──────────────────────────────────────────────────────────────────
+
+/** Returns prompt chains (newest first) or an empty list when unavailable. */
+const getChains = async () => {
+  try {
+    const chains = await withTransaction([CHAINS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(CHAINS_STORE).getAll()));
+    clearLastStorageError();
+    return sortNewestFirst(chains);
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read chains.', error);
+    return [];
+  }
+};
+
+/** Creates or replaces one chain (a new id is assigned when missing) and returns it, or false on failure. */
+const saveChain = async (chain) => {
+  try {
+    const now = new Date().toISOString();
+    const next = {
+      ...chain,
+      id: String(chain?.id || '') || crypto.randomUUID(),
+      title: String(chain?.title || '').trim(),
+      steps: Array.isArray(chain?.steps) ? chain.steps : [],
+      createdAt: chain?.createdAt || now,
+      updatedAt: now
+    };
+
+    await withTransaction([CHAINS_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(CHAINS_STORE).put(next);
+    });
+    notifyChange(CHAINS_STORE);
+    clearLastStorageError();
+    return next;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to save chain.', error);
+    return false;
+  }
+};
+
+/** Deletes one chain by id and returns true when complete. */
+const deleteChain = async (id) => {
+  try {
+    await withTransaction([CHAINS_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(CHAINS_STORE).delete(String(id || ''));
+    });
+    notifyChange(CHAINS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to delete chain.', error);
+    return false;
+  }
+};
+
+/** Clears the chains store and writes the given chains inside an open transaction. */
+const overwriteChains = (transaction, chains) => {
+  const store = transaction.objectStore(CHAINS_STORE);
+  store.clear();
+  for (const chain of Array.isArray(chains) ? chains : []) {
+    if (chain?.id) store.put(chain);
+  }
+};
+
+/** Replaces every chain and returns true when complete. */
+const replaceChains = async (chains) => {
+  try {
+    await withTransaction([CHAINS_STORE], 'readwrite', (transaction) => overwriteChains(transaction, chains));
+    notifyChange(CHAINS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace chains.', error);
+    return false;
+  }
+};
+
+// ─── Collections ─────────────────────────────────────────────────────────────
+
+/** Returns prompt collections sorted by name or an empty list when unavailable. */
+const getCollections = async () => {
+  try {
+    const collections = await withTransaction([COLLECTIONS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(COLLECTIONS_STORE).getAll()));
+    clearLastStorageError();
+    return collections.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read collections.', error);
+    return [];
+  }
+};
+
+/** Creates or replaces one collection (a new id is assigned when missing) and returns it, or false on failure. */
+const saveCollection = async (collection) => {
+  try {
+    const now = new Date().toISOString();
+    const next = {
+      ...collection,
+      id: String(collection?.id || '') || crypto.randomUUID(),
+      name: String(collection?.name || '').trim(),
+      parentId: collection?.parentId ? String(collection.parentId) : null,
+      createdAt: collection?.createdAt || now,
+      updatedAt: now
+    };
+
+    await withTransaction([COLLECTIONS_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(COLLECTIONS_STORE).put(next);
+    });
+    notifyChange(COLLECTIONS_STORE);
+    clearLastStorageError();
+    return next;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to save collection.', error);
+    return false;
+  }
+};
+
+/**
+ * Deletes a collection with all of its sub-collections and returns true when complete.
+ * Prompts filed in any of them are kept and become unfiled.
+ */
+const deleteCollection = async (id) => {
+  try {
+    await withTransaction([COLLECTIONS_STORE, PROMPTS_STORE], 'readwrite', async (transaction) => {
+      const collectionStore = transaction.objectStore(COLLECTIONS_STORE);
+      const removed = new Set();
+      const pending = [String(id || '')];
+      while (pending.length) {
+        const current = pending.pop();
+        if (removed.has(current)) continue;
+        removed.add(current);
+        collectionStore.delete(current);
+        pending.push(...await requestToPromise(collectionStore.index('parentId').getAllKeys(current)));
+      }
+
+      const promptStore = transaction.objectStore(PROMPTS_STORE);
+      for (const prompt of await requestToPromise(promptStore.getAll())) {
+        if (prompt.collectionId && removed.has(prompt.collectionId)) {
+          promptStore.put({ ...prompt, collectionId: null });
+        }
+      }
+    });
+    notifyChange(COLLECTIONS_STORE);
+    notifyChange(PROMPTS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to delete collection.', error);
+    return false;
+  }
+};
+
+/** Clears the collections store and writes the given collections inside an open transaction. */
+const overwriteCollections = (transaction, collections) => {
+  const store = transaction.objectStore(COLLECTIONS_STORE);
+  store.clear();
+  for (const collection of Array.isArray(collections) ? collections : []) {
+    if (collection?.id) store.put(collection);
+  }
+};
+
+/** Replaces every collection and returns true when complete. */
+const replaceCollections = async (collections) => {
+  try {
+    await withTransaction([COLLECTIONS_STORE], 'readwrite', (transaction) => overwriteCollections(transaction, collections));
+    notifyChange(COLLECTIONS_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace collections.', error);
+    return false;
+  }
+};
+
+// ─── Usage events ────────────────────────────────────────────────────────────
+
+/** Records one inject/copy/improve of a saved prompt and returns the event, or false on failure. */
+const recordUsage = async ({ promptId, action, platform = '' }) => {
+  try {
+    if (!promptId || !USAGE_ACTIONS.includes(action)) {
+      return false;
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      promptId: String(promptId),
+      action,
+      platform: String(platform || ''),
+      at: new Date().toISOString()
+    };
+
+    await withTransaction([USAGE_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(USAGE_STORE).put(event);
+    });
+    notifyChange(USAGE_STORE);
+    clearLastStorageError();
+    return event;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to record prompt usage.', error);
+    return false;
+  }
+};
+
+/** Returns usage events (oldest first), optionally only those at or after an ISO timestamp. */
+const getUsageEvents = async ({ since = '' } = {}) => {
+  try {
+    const events = await withTransaction([USAGE_STORE], 'readonly', (transaction) => {
+      const index = transaction.objectStore(USAGE_STORE).index('at');
+      return requestToPromise(since ? index.getAll(IDBKeyRange.lowerBound(String(since))) : index.getAll());
+    });
+    clearLastStorageError();
+    return events;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read usage events.', error);
+    return [];
+  }
+};
+
+/** Clears the usage log and writes the given events inside an open transaction, skipping malformed ones. */
+const overwriteUsageEvents = (transaction, events) => {
+  const store = transaction.objectStore(USAGE_STORE);
+  store.clear();
+  for (const event of Array.isArray(events) ? events : []) {
+    if (event?.id && event.promptId && USAGE_ACTIONS.includes(event.action)) store.put(event);
+  }
+};
+
+/** Replaces the usage log and returns true when complete. */
+const replaceUsageEvents = async (events) => {
+  try {
+    await withTransaction([USAGE_STORE], 'readwrite', (transaction) => overwriteUsageEvents(transaction, events));
+    notifyChange(USAGE_STORE);
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace usage events.', error);
+    return false;
+  }
+};
+
+// ─── Embeddings ──────────────────────────────────────────────────────────────
+
+/** Returns the prompt id → embedding vector map. */
+const getEmbeddings = async () => {
+  try {
+    const records = await withTransaction([EMBEDDINGS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(EMBEDDINGS_STORE).getAll()));
+    clearLastStorageError();
+    return Object.fromEntries(records.map((record) => [record.id, record.vector]));
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read embeddings.', error);
+    return {};
+  }
+};
+
+/** Upserts embedding vectors from a prompt id → vector map. */
+const putEmbeddings = async (map) => {
+  try {
+    await withTransaction([EMBEDDINGS_STORE], 'readwrite', (transaction) => {
+      for (const [id, vector] of Object.entries(map && typeof map === 'object' ? map : {})) {
+        transaction.objectStore(EMBEDDINGS_STORE).put({ id, vector: toVector(vector) });
+      }
+    });
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to write embeddings.', error);
+    return false;
+  }
+};
+
+/** Deletes the cached embedding for one prompt. */
+const deleteEmbedding = async (id) => {
+  try {
+    await withTransaction([EMBEDDINGS_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(EMBEDDINGS_STORE).delete(String(id || ''));
+    });
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to delete embedding.', error);
+    return false;
+  }
+};
+
+/** Clears the prompt embeddings store and writes a prompt id → vector map inside an open transaction. */
+const overwriteEmbeddings = (transaction, map) => {
+  const store = transaction.objectStore(EMBEDDINGS_STORE);
+  store.clear();
+  for (const [id, vector] of Object.entries(map && typeof map === 'object' ? map : {})) {
+    store.put({ id, vector: toVector(vector) });
+  }
+};
+
+/** Replaces every cached embedding and returns true when complete. */
+const replaceEmbeddings = async (map) => {
+  try {
+    await withTransaction([EMBEDDINGS_STORE], 'readwrite', (transaction) => overwriteEmbeddings(transaction, map));
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace embeddings.', error);
+    return false;
+  }
+};
+
+/** Returns every chat message embedding as [{ id, historyId, index, vector }]. */
+const getMessageEmbeddings = async () => {
+  try {
+    const records = await withTransaction([MESSAGE_EMBEDDINGS_STORE], 'readonly', (transaction) =>
+      requestToPromise(transaction.objectStore(MESSAGE_EMBEDDINGS_STORE).getAll()));
+    clearLastStorageError();
+    return records;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to read message embeddings.', error);
+    return [];
+  }
+};
+
+/** Upserts chat message embeddings; each record is keyed "historyId:index". */
+const putMessageEmbeddings = async (records) => {
+  try {
+    await withTransaction([MESSAGE_EMBEDDINGS_STORE], 'readwrite', (transaction) => {
+      for (const record of Array.isArray(records) ? records : []) {
+        if (!record?.historyId || !Number.isInteger(record.index)) continue;
+        transaction.objectStore(MESSAGE_EMBEDDINGS_STORE).put({
+          id: `${record.historyId}:${record.index}`,
+          historyId: String(record.historyId),
+          index: record.index,
+          vector: toVector(record.vector)
+        });
+      }
+    });
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to write message embeddings.', error);
+    return false;
+  }
+};
+
+/** Deletes message embeddings by record id, e.g. for chats that no longer exist. */
+const deleteMessageEmbeddings = async (ids) => {
+  try {
+    await withTransaction([MESSAGE_EMBEDDINGS_STORE], 'readwrite', (transaction) => {
+      for (const id of Array.isArray(ids) ? ids : []) {
+        transaction.objectStore(MESSAGE_EMBEDDINGS_STORE).delete(String(id));
+      }
+    });
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to delete message embeddings.', error);
+    return false;
+  }
+};
+
+// ─── Library restore ─────────────────────────────────────────────────────────
+
+const LIBRARY_STORES = [
+  PROMPTS_STORE,
+  REVISIONS_STORE,
+  HISTORY_STORE,
+  MESSAGE_EMBEDDINGS_STORE,
+  CHAINS_STORE,
+  COLLECTIONS_STORE,
+  USAGE_STORE,
+  EMBEDDINGS_STORE
+];
+
+/**
+ * Replaces prompts, revisions, chat history, chains, collections, the usage log, and prompt embeddings in one
+ * transaction, so a backup restore is written whole or rolled back. Returns true when the transaction commits.
+ */
+const replaceLibrary = async ({
+  prompts = [],
+  promptRevisions = {},
+  chatHistory = [],
+  chains = [],
+  collections = [],
+  usageEvents = [],
+  embeddings = {}
+} = {}) => {
+  try {
+    await withTransaction(LIBRARY_STORES, 'readwrite', async (transaction) => {
+      overwritePrompts(transaction, prompts);
+      overwritePromptRevisions(transaction, promptRevisions);
+      overwriteChains(transaction, chains);
+      overwriteCollections(transaction, collections);
+      overwriteUsageEvents(transaction, usageEvents);
+      overwriteEmbeddings(transaction, embeddings);
+      await overwriteChatHistory(transaction, chatHistory);
+    });
+    for (const storeName of [PROMPTS_STORE, HISTORY_STORE, CHAINS_STORE, COLLECTIONS_STORE, USAGE_STORE]) {
+      notifyChange(storeName);
+    }
+    clearLastStorageError();
+    return true;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error('[Promptium][Store] Failed to replace the library.', error);
+    return false;
+  }
+};
+
+// ─── Content-script proxy ────────────────────────────────────────────────────
+
+// Methods callable over runtime messaging, with the value returned when the call cannot be delivered.
+// Content scripts only read and append; bulk replace and delete calls stay in extension pages.
+const REMOTE_METHODS = {
+  initDatabase: false,
+  getPrompts: [],
+  getPrompt: null,
+  getPromptsByTag: [],
+  savePrompt: false,
+  getPromptRevisions: [],
+  getAllPromptRevisions: {},
+  getChatHistory: [],
+  getChatHistoryByPlatform: [],
+  saveChatToHistory: false,
+  getChains: [],
+  getCollections: [],
+  recordUsage: false,
+  getUsageEvents: [],
+  getEmbeddings: {},
+  getMessageEmbeddings: []
+};
+
+const LocalStore = {
+  initDatabase,
   getPrompts,
+  getPrompt,
+  getPromptsByTag,
   savePrompt,
   updatePrompt,
+  reorderPrompts,
   deletePrompt,
+  putPrompts,
+  replacePrompts,
+  getPromptRevisions,
+  restorePromptRevision,
+  getAllPromptRevisions,
+  replaceAllPromptRevisions,
   getChatHistory,
+  getChatHistoryByPlatform,
   saveChatToHistory,
   deleteChatFromHistory,
+  replaceChatHistory,
+  getChains,
+  saveChain,
+  deleteChain,
+  replaceChains,
+  getCollections,
+  saveCollection,
+  deleteCollection,
+  replaceCollections,
+  recordUsage,
+  getUsageEvents,
+  replaceUsageEvents,
+  getEmbeddings,
+  putEmbeddings,
+  deleteEmbedding,
+  replaceEmbeddings,
+  getMessageEmbeddings,
+  putMessageEmbeddings,
+  deleteMessageEmbeddings,
+  replaceLibrary
+};
+
+/** Forwards one Store call to the service worker and mirrors its last error locally. */
+const callRemote = async (method, args) => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: STORE_CALL_TYPE, method, args });
+    if (!response?.ok) {
+      throw new Error(response?.error || 'Store request failed.');
+    }
+    lastStorageError = String(response.lastError || '');
+    return response.result;
+  } catch (error) {
+    setLastStorageError(error);
+    console.error(`[Promptium][Store] ${method} failed in the service worker.`, error);
+    return REMOTE_METHODS[method];
+  }
+};
+
+/** Service-worker side of the proxy: runs a STORE_CALL message and returns { ok, result, lastError }. */
+const handleRemoteCall = async (message) => {
+  const method = String(message?.method || '');
+  if (!Object.prototype.hasOwnProperty.call(REMOTE_METHODS, method)) {
+    return { ok: false, error: `Unknown Store method: ${method}` };
+  }
+  const result = await LocalStore[method](...(Array.isArray(message.args) ? message.args : []));
+  return { ok: true, result, lastError: lastStorageError };
+};
+
+const backend = isExtensionContext
+  ? LocalStore
+  : Object.fromEntries(Object.keys(REMOTE_METHODS).map((method) => [method, (...args) => callRemote(method, args)]));
+
+const Store = {
+  ...backend,
+  onStoreChange,
+  handleRemoteCall,
+  STORE_CALL_TYPE,
   getLastError: () => lastStorageError,
   isQuotaError: isStorageQuotaError
 };
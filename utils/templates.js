@@ -995,22 +995,11 @@
     const q = filter.trim().toLowerCase();
     if (!q) return TEMPLATES;
 
-    // Use the AI scoring engine if loaded, otherwise fall back to basic filter
-    if (window.AI && typeof window.AI.semanticSearch === 'function') {
-      // Score each template via the shared engine
-      const scored = [];
-      for (const tpl of TEMPLATES) {
-        // Use scorePrompt directly if available (it's in global scope from ai.js)
-        const score = typeof scorePrompt === 'function'
-          ? scorePrompt(q, tpl)
-          : 0;
-        if (score > 0) {
-          scored.push({ ...tpl, _semanticScore: score });
-        }
-      }
-      if (scored.length) {
-        scored.sort((a, b) => b._semanticScore - a._semanticScore);
-        return scored;
+    // Use the shared lexical ranking if loaded, otherwise fall back to basic filter
+    if (window.AI && typeof window.AI.rankPrompts === 'function') {
+      const ranked = window.AI.rankPrompts(q, TEMPLATES, 'templates');
+      if (ranked.length) {
+        return ranked;
       }
     }
 
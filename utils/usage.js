@@ -0,0 +1,142 @@
+(() => {
+/**
+ * File: utils/usage.js
+ * Purpose: Aggregates the local prompt usage log (inject, copy, improve events) into per-prompt
+ * counts, library sort orders, and the side panel stats breakdowns. Nothing here leaves the browser.
+ * Communicates with: utils/storage.js, sidepanel/sidepanel.js, popup/popup.js.
+ */
+
+const USAGE_ACTION_LABELS = {
+  inject: 'Injected',
+  copy: 'Copied',
+  improve: 'Improved'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Returns promptId -> { count, lastUsedAt, actions, platforms } for a list of usage events. */
+const summarizeByPrompt = (events) => {
+  const summary = new Map();
+
+  for (const event of events) {
+    const entry = summary.get(event.promptId) || { count: 0, lastUsedAt: '', actions: { inject: 0, copy: 0, improve: 0 }, platforms: {} };
+    entry.count += 1;
+    entry.actions[event.action] = (entry.actions[event.action] || 0) + 1;
+    if (event.platform) entry.platforms[event.platform] = (entry.platforms[event.platform] || 0) + 1;
+    if (String(event.at) > entry.lastUsedAt) entry.lastUsedAt = String(event.at);
+    summary.set(event.promptId, entry);
+  }
+
+  return summary;
+};
+
+/**
+ * Returns a copy of prompts ordered by 'mostUsed', 'recent', or 'unused'.
+ * Any other key keeps the incoming order (newest first, or search relevance); ties do too.
+ */
+const sortPrompts = (prompts, summary, sortKey = 'default') => {
+  const countOf = (prompt) => summary.get(prompt.id)?.count || 0;
+  const lastOf = (prompt) => summary.get(prompt.id)?.lastUsedAt || '';
+  const list = [...prompts];
+
+  if (sortKey === 'mostUsed') {
+    return list.sort((a, b) => countOf(b) - countOf(a) || lastOf(b).localeCompare(lastOf(a)));
+  }
+  if (sortKey === 'recent') {
+    return list.sort((a, b) => lastOf(b).localeCompare(lastOf(a)));
+  }
+  if (sortKey === 'unused') {
+    return list.sort((a, b) => Number(countOf(a) > 0) - Number(countOf(b) > 0) || countOf(a) - countOf(b));
+  }
+  return list;
+};
+
+/** Formats a last-used timestamp as "today", "yesterday", "3d ago", or a date. */
+const formatLastUsed = (isoDate) => {
+  const time = new Date(isoDate).getTime();
+  if (Number.isNaN(time)) return '';
+  const startOfToday = new Date().setHours(0, 0, 0, 0);
+  if (time >= startOfToday) return 'today';
+  const days = Math.ceil((startOfToday - time) / DAY_MS);
+  if (days <= 1) return 'yesterday';
+  if (days < 30) return `${days}d ago`;
+  return new Date(time).toLocaleDateString();
+};
+
+/** Returns the one-line usage label shown on prompt cards. */
+const describeUsage = (entry) => {
+  if (!entry?.count) return 'Never used';
+  return `Used ${entry.count}× • last ${formatLastUsed(entry.lastUsedAt)}`;
+};
+
+/** Returns the ISO start of a range of whole days ending today, or '' for all time. */
+const getRangeStart = (days) => {
+  if (!days) return '';
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (days - 1));
+  return start.toISOString();
+};
+
+/** Returns the local Monday that starts the week containing a date. */
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+/** Counts items by key and returns [{ key, count }] largest first. */
+const rankCounts = (keys) => {
+  const counts = new Map();
+  for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+  return Array.from(counts, ([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+};
+
+/**
+ * Builds the stats view model for events already limited to the chosen range.
+ * Events for deleted prompts still count toward totals, platforms, and weeks, but not tags.
+ */
+const buildStats = (events, prompts) => {
+  const promptMap = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+  const summary = summarizeByPrompt(events);
+  const weekCounts = new Map();
+
+  for (const event of events) {
+    const week = startOfWeek(event.at).toISOString();
+    weekCounts.set(week, (weekCounts.get(week) || 0) + 1);
+  }
+
+  return {
+    total: events.length,
+    byAction: Object.keys(USAGE_ACTION_LABELS).map((action) => ({
+      key: action,
+      count: events.filter((event) => event.action === action).length
+    })),
+    byPlatform: rankCounts(events.map((event) => event.platform || '')),
+    byTag: rankCounts(events.flatMap((event) => promptMap.get(event.promptId)?.tags || [])),
+    byWeek: Array.from(weekCounts, ([start, count]) => ({ start, count })).sort((a, b) => a.start.localeCompare(b.start)),
+    topPrompts: Array.from(summary, ([promptId, entry]) => ({ prompt: promptMap.get(promptId), count: entry.count }))
+      .filter((item) => item.prompt)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5),
+    usedPromptCount: prompts.filter((prompt) => summary.has(prompt.id)).length,
+    unusedPromptCount: prompts.filter((prompt) => !summary.has(prompt.id)).length
+  };
+};
+
+const PromptUsage = {
+  USAGE_ACTION_LABELS,
+  summarizeByPrompt,
+  sortPrompts,
+  formatLastUsed,
+  describeUsage,
+  getRangeStart,
+  buildStats
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptUsage = PromptUsage;
+}
+
+})();
@@ -0,0 +1,294 @@
+(() => {
+/**
+ * File: utils/variables.js
+ * Purpose: Parses prompt variables ({{name}}, {{name=default}}, {{name|a|b}} and [Bracket placeholders]),
+ * renders the fill-in form, and remembers the last values used per prompt.
+ * Communicates with: popup/popup.js, sidepanel/sidepanel.js, content/toolbar.js.
+ */
+
+const VARIABLE_VALUES_KEY = 'promptiumVariableValues';
+const VARIABLE_VALUES_CAP = 200;
+const MUSTACHE_PATTERN = /\{\{\s*([^{}\n]+?)\s*\}\}/g;
+const BRACKET_PATTERN = /\[([^[\]\n]{2,80})\](?!\()/g;
+// Filled by the injector in "wrap selection" mode rather than by the form.
+const RESERVED_NAMES = new Set(['selection']);
+
+/** Splits a {{...}} body into name, default value, and choice options. */
+const parseMustacheBody = (body) => {
+  const [head, ...options] = String(body || '').split('|').map((part) => part.trim());
+  const eqIndex = head.indexOf('=');
+  const name = (eqIndex >= 0 ? head.slice(0, eqIndex) : head).trim();
+  const explicitDefault = eqIndex >= 0 ? head.slice(eqIndex + 1).trim() : '';
+  const choices = options.filter(Boolean);
+
+  return {
+    name,
+    defaultValue: explicitDefault || choices[0] || '',
+    options: choices
+  };
+};
+
+/** Returns true when bracket text reads like a placeholder rather than a citation or checkbox. */
+const isBracketPlaceholder = (inner) => {
+  const value = String(inner || '').trim();
+  if (value.length < 2) return false;
+  if (!/^[A-Za-z]/.test(value)) return false;
+  return /[A-Za-z]{2,}/.test(value);
+};
+
+/** Extracts unique variables from prompt text in order of first appearance. */
+const parseVariables = (text) => {
+  const source = String(text || '');
+  const found = [];
+  const seen = new Set();
+
+  for (const match of source.matchAll(MUSTACHE_PATTERN)) {
+    const parsed = parseMustacheBody(match[1]);
+    if (!parsed.name || seen.has(parsed.name.toLowerCase()) || RESERVED_NAMES.has(parsed.name.toLowerCase())) continue;
+    seen.add(parsed.name.toLowerCase());
+    found.push({
+      kind: 'mustache',
+      name: parsed.name,
+      label: parsed.name.replace(/[_-]+/g, ' '),
+      defaultValue: parsed.defaultValue,
+      options: parsed.options,
+      index: match.index
+    });
+  }
+
+  for (const match of source.matchAll(BRACKET_PATTERN)) {
+    const inner = match[1].trim();
+    if (!isBracketPlaceholder(inner) || seen.has(inner.toLowerCase())) continue;
+    seen.add(inner.toLowerCase());
+    // "[Gmail / Outlook]" style placeholders offer their parts as suggestions.
+    const suggestions = inner.includes(' / ')
+      ? inner.split(' / ').map((part) => part.trim()).filter(Boolean)
+      : [];
+    found.push({
+      kind: 'bracket',
+      name: inner,
+      label: inner,
+      defaultValue: '',
+      options: suggestions,
+      index: match.index
+    });
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+};
+
+/** Returns true when prompt text contains at least one fillable variable. */
+const hasVariables = (text) => parseVariables(text).length > 0;
+
+/** Replaces variables in text with supplied values, falling back to defaults. */
+const fillVariables = (text, values = {}) => {
+  const lookup = new Map(Object.entries(values || {}).map(([key, value]) => [key.toLowerCase(), value]));
+
+  const withMustache = String(text || '').replace(MUSTACHE_PATTERN, (raw, body) => {
+    const parsed = parseMustacheBody(body);
+    if (RESERVED_NAMES.has(parsed.name.toLowerCase())) return raw;
+    const value = lookup.get(parsed.name.toLowerCase());
+    if (value !== undefined && String(value) !== '') return String(value);
+    return parsed.defaultValue;
+  });
+
+  return withMustache.replace(BRACKET_PATTERN, (raw, inner) => {
+    if (!isBracketPlaceholder(inner)) return raw;
+    const value = lookup.get(inner.trim().toLowerCase());
+    // Unfilled bracket placeholders stay visible so the user can finish them by hand.
+    return value !== undefined && String(value).trim() !== '' ? String(value) : raw;
+  });
+};
+
+/** Builds a stable memory key for a prompt (id first, then a hash of its text). */
+const getMemoryKey = (prompt) => {
+  if (prompt?.id) return String(prompt.id);
+  const text = String(prompt?.text || prompt || '');
+  let hash = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    hash = ((hash << 5) - hash + text.charCodeAt(index)) | 0;
+  }
+  return `text:${(hash >>> 0).toString(36)}`;
+};
+
+/** Reads the last values used for a prompt's variables. */
+const getRememberedValues = async (key) => {
+  try {
+    const state = await chrome.storage.local.get([VARIABLE_VALUES_KEY]);
+    const all = state[VARIABLE_VALUES_KEY] && typeof state[VARIABLE_VALUES_KEY] === 'object' ? state[VARIABLE_VALUES_KEY] : {};
+    return all[key]?.values && typeof all[key].values === 'object' ? all[key].values : {};
+  } catch (error) {
+    console.error('[Promptium][Variables] Failed to read remembered values.', error);
+    return {};
+  }
+};
+
+/** Persists the values used for a prompt, keeping only the most recent entries. */
+const rememberValues = async (key, values) => {
+  try {
+    const state = await chrome.storage.local.get([VARIABLE_VALUES_KEY]);
+    const all = state[VARIABLE_VALUES_KEY] && typeof state[VARIABLE_VALUES_KEY] === 'object' ? { ...state[VARIABLE_VALUES_KEY] } : {};
+    all[key] = { values: { ...values }, updatedAt: new Date().toISOString() };
+
+    const trimmed = Object.entries(all)
+      .sort((a, b) => String(b[1]?.updatedAt || '').localeCompare(String(a[1]?.updatedAt || '')))
+      .slice(0, VARIABLE_VALUES_CAP);
+
+    await chrome.storage.local.set({ [VARIABLE_VALUES_KEY]: Object.fromEntries(trimmed) });
+    return true;
+  } catch (error) {
+    console.error('[Promptium][Variables] Failed to remember values.', error);
+    return false;
+  }
+};
+
+/** Creates one labelled form control for a variable. */
+const createVariableField = (variable, value) => {
+  const field = document.createElement('label');
+  field.className = 'pn-var-field';
+
+  const label = document.createElement('span');
+  label.className = 'pn-var-field__label';
+  label.textContent = variable.label;
+  field.appendChild(label);
+
+  let control;
+  if (variable.kind === 'mustache' && variable.options.length) {
+    control = document.createElement('select');
+    for (const option of variable.options) {
+      const item = document.createElement('option');
+      item.value = option;
+      item.textContent = option;
+      control.appendChild(item);
+    }
+    control.value = variable.options.includes(value) ? value : variable.defaultValue;
+  } else {
+    const multiline = variable.kind === 'bracket' && /paste|code|text|content|describe|details/i.test(variable.name);
+    control = document.createElement(multiline ? 'textarea' : 'input');
+    if (multiline) {
+      control.rows = 3;
+    } else {
+      control.type = 'text';
+    }
+    control.value = value || variable.defaultValue || '';
+    control.placeholder = variable.kind === 'bracket' ? variable.label : (variable.defaultValue || variable.label);
+
+    if (variable.options.length) {
+      const listId = `pn-var-options-${Math.random().toString(36).slice(2, 8)}`;
+      const datalist = document.createElement('datalist');
+      datalist.id = listId;
+      for (const option of variable.options) {
+        const item = document.createElement('option');
+        item.value = option;
+        datalist.appendChild(item);
+      }
+      control.setAttribute('list', listId);
+      field.appendChild(datalist);
+    }
+  }
+
+  control.className = 'pn-var-field__control';
+  control.dataset.varName = variable.name;
+  field.appendChild(control);
+  return field;
+};
+
+/** Reads current values from all variable controls inside a container. */
+const readVariableFields = (container) => {
+  const values = {};
+  for (const control of container.querySelectorAll('[data-var-name]')) {
+    values[control.dataset.varName] = control.value;
+  }
+  return values;
+};
+
+/** Opens the fill-in dialog and resolves with entered values, or null when cancelled. */
+const openVariableDialog = ({ title, variables, values = {}, submitLabel = 'Insert' }) => new Promise((resolve) => {
+  const root = document.createElement('div');
+  root.className = 'pn-var-modal';
+  root.innerHTML = `
+    <div class="pn-var-modal__backdrop" data-var-cancel></div>
+    <form class="pn-var-modal__panel">
+      <h2 class="pn-var-modal__title"></h2>
+      <p class="pn-var-modal__hint">Fill in the variables for this prompt.</p>
+      <div class="pn-var-modal__fields"></div>
+      <div class="pn-var-modal__actions">
+        <button class="pn-btn pn-btn--ghost" type="button" data-var-cancel>Cancel</button>
+        <button class="pn-btn pn-btn--primary" type="submit"></button>
+      </div>
+    </form>
+  `;
+  root.querySelector('.pn-var-modal__title').textContent = title || 'Prompt Variables';
+  root.querySelector('button[type="submit"]').textContent = submitLabel;
+
+  const fieldsHost = root.querySelector('.pn-var-modal__fields');
+  for (const variable of variables) {
+    fieldsHost.appendChild(createVariableField(variable, values[variable.name]));
+  }
+
+  const finish = (result) => {
+    document.removeEventListener('keydown', onKeydown, true);
+    root.remove();
+    resolve(result);
+  };
+
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      finish(null);
+    }
+  };
+
+  root.querySelector('form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    finish(readVariableFields(fieldsHost));
+  });
+  for (const cancel of root.querySelectorAll('[data-var-cancel]')) {
+    cancel.addEventListener('click', () => finish(null));
+  }
+  document.addEventListener('keydown', onKeydown, true);
+
+  document.body.appendChild(root);
+  fieldsHost.querySelector('[data-var-name]')?.focus();
+});
+
+/**
+ * Resolves final prompt text, asking for variable values first when the prompt declares any.
+ * Preset values (a chain step's captured reply, for example) fill their variables without asking.
+ */
+const resolvePromptText = async (prompt, { submitLabel, preset = {} } = {}) => {
+  const text = String(prompt?.text || '');
+  const presetNames = new Set(Object.keys(preset || {}).map((name) => name.toLowerCase()));
+  const variables = parseVariables(text).filter((variable) => !presetNames.has(variable.name.toLowerCase()));
+  if (!variables.length) return presetNames.size ? fillVariables(text, preset) : text;
+
+  const key = getMemoryKey(prompt);
+  const remembered = await getRememberedValues(key);
+  const values = await openVariableDialog({
+    title: prompt?.title || 'Prompt Variables',
+    variables,
+    values: remembered,
+    submitLabel
+  });
+
+  if (!values) return null;
+  await rememberValues(key, values);
+  return fillVariables(text, { ...values, ...preset });
+};
+
+const PromptVariables = {
+  parseVariables,
+  hasVariables,
+  fillVariables,
+  getMemoryKey,
+  getRememberedValues,
+  rememberValues,
+  openVariableDialog,
+  resolvePromptText
+};
+
+if (typeof window !== 'undefined') {
+  window.PromptVariables = PromptVariables;
+}
+
+})();
@@ -0,0 +1,117 @@
+(() => {
+/**
+ * File: utils/zip.js
+ * Purpose: Writes ZIP archives in the browser for exports made of several files (DOCX packages, batch exports).
+ * Entries are stored uncompressed, which keeps the writer small and is fine for text-sized payloads.
+ * Communicates with: utils/exporter.js.
+ */
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const ZIP_VERSION = 20;
+const UTF8_NAMES_FLAG = 0x0800;
+
+let crcTable = null;
+
+/** Returns the CRC-32 checksum of a byte array. */
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let value = n;
+      for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[n] = value >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = crcTable[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/** Returns the MS-DOS time and date words ZIP headers use for a Date. */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Builds a ZIP archive from [{ name, data }], where data is a string (written as UTF-8) or bytes.
+ * Entries keep their order, so put files a reader expects first (such as [Content_Types].xml) at the front.
+ * Returns the archive as a Uint8Array.
+ */
+const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const stamp = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(String(entry.name || ''));
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : new Uint8Array(entry.data || []);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_NAMES_FLAG, true);
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_NAMES_FLAG, true);
+    central.setUint16(12, stamp.time, true);
+    central.setUint16(14, stamp.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += LOCAL_HEADER_SIZE + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(END_RECORD_SIZE));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+};
+
+const ZipArchive = {
+  crc32,
+  createZip
+};
+
+if (typeof window !== 'undefined') {
+  window.ZipArchive = ZipArchive;
+}
+
+})();